@@ -0,0 +1,23 @@
+-- Alert rules: pacing and performance thresholds checked after each dashboard data load
+-- Run this in the Supabase SQL editor
+-- type 'pace' uses threshold (% of the phased KPI target to date), 'daily_drop' threshold and days
+-- (% drop vs the average of the days before), 'no_data' days; NULL brand/channel = all of them
+
+CREATE TABLE IF NOT EXISTS public.alert_rules (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('pace', 'daily_drop', 'no_data')),
+    brand TEXT,
+    channel TEXT,
+    threshold NUMERIC,
+    days INTEGER,
+    created_by UUID,
+    created_email TEXT,
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Rule ids each user is subscribed to
+ALTER TABLE user_preferences
+    ADD COLUMN IF NOT EXISTS alert_subscriptions JSONB DEFAULT '[]';
+
+-- Apply the same row level security policies as kpi_targets
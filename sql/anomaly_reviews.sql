@@ -0,0 +1,16 @@
+-- Anomaly reviews: what a reviewer decided about a flagged day (see src/js/utils/anomalyDetection.js)
+-- Run this in the Supabase SQL editor
+-- anomaly_key is 'brand|channel|YYYY-MM-DD|type' with type 'spike', 'drop' or 'gap'
+-- status is 'upload_error' (fix the data), 'real' (a real change) or 'expected' (promo, holiday, ...)
+
+CREATE TABLE IF NOT EXISTS public.anomaly_reviews (
+    id SERIAL PRIMARY KEY,
+    anomaly_key TEXT NOT NULL UNIQUE,
+    status TEXT NOT NULL CHECK (status IN ('upload_error', 'real', 'expected')),
+    note TEXT,
+    reviewed_by UUID,
+    reviewed_email TEXT,
+    reviewed_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Apply the same row level security policies as kpi_targets
@@ -0,0 +1,17 @@
+-- KPI levels per fiscal year and brand, stored next to kpi_targets
+-- Run this in the Supabase SQL editor
+-- threshold is the KPI level as % of the full target (the dashboard's "85%" by default)
+-- tiers are optional extra levels shown alongside, e.g. '{90,100,110}'
+-- Brands without a row use CONFIG.KPI.DEFAULT_THRESHOLD / DEFAULT_TIERS
+
+CREATE TABLE IF NOT EXISTS public.kpi_levels (
+    id SERIAL PRIMARY KEY,
+    year INTEGER NOT NULL,
+    brand TEXT NOT NULL,
+    threshold NUMERIC(5, 2) NOT NULL DEFAULT 85 CHECK (threshold > 0 AND threshold <= 100),
+    tiers NUMERIC[] NOT NULL DEFAULT '{}',
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (year, brand)
+);
+
+-- Apply the same row level security policies as kpi_targets
@@ -0,0 +1,9 @@
+-- Optional monthly targets are stored in kpi_targets with period 'M1'..'M12'
+-- (the fiscal month's label month, e.g. 'M7' for July) next to 'annual' and 'Q1'..'Q4'
+-- Run this in the Supabase SQL editor only if kpi_targets restricts the period column
+
+ALTER TABLE public.kpi_targets DROP CONSTRAINT IF EXISTS kpi_targets_period_check;
+ALTER TABLE public.kpi_targets ADD CONSTRAINT kpi_targets_period_check CHECK (
+    period IN ('annual', 'Q1', 'Q2', 'Q3', 'Q4',
+               'M1', 'M2', 'M3', 'M4', 'M5', 'M6', 'M7', 'M8', 'M9', 'M10', 'M11', 'M12')
+);
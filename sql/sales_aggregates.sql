@@ -5,9 +5,12 @@
 CREATE INDEX IF NOT EXISTS idx_sales_data_date ON public.sales_data(date);
 CREATE INDEX IF NOT EXISTS idx_sales_data_brand_key ON public.sales_data(LOWER(brand));
 CREATE INDEX IF NOT EXISTS idx_sales_data_channel_key ON public.sales_data(LOWER(channel));
+-- Keyset pagination walks (date, id) newest first (see iterateSalesData in dataAdapters.js)
+CREATE INDEX IF NOT EXISTS idx_sales_data_date_id ON public.sales_data(date DESC, id DESC);
 
 -- Function: sales_agg
--- Returns aggregated revenue grouped by a chosen grain ('day' | 'month' | 'quarter')
+-- Returns aggregated revenue grouped by a chosen grain ('day' | 'week' | 'month' | 'quarter')
+-- 'week' buckets by ISO week: period is the Monday the week starts on
 -- Filters are optional; pass NULL for brand_filter/channel_filter to include all
 CREATE OR REPLACE FUNCTION public.sales_agg(
     start_date date,
@@ -27,6 +30,7 @@ BEGIN
     SELECT
         CASE
             WHEN group_by = 'day' THEN sd.date::date
+            WHEN group_by = 'week' THEN date_trunc('week', sd.date)::date -- ISO week, Monday start
             WHEN group_by = 'quarter' THEN date_trunc('quarter', sd.date)::date
             ELSE date_trunc('month', sd.date)::date -- default 'month'
         END AS period_date,
@@ -0,0 +1,28 @@
+-- Last loaded day per brand and channel, for the dashboard's data freshness (see src/js/utils/dataFreshness.js)
+-- Run this in the Supabase SQL editor
+-- Without it the dashboard reads the last DATA_FRESHNESS.FALLBACK_LOOKBACK_DAYS days through sales_agg instead
+
+CREATE INDEX IF NOT EXISTS idx_sales_data_brand_channel_date ON public.sales_data(brand, channel, date DESC);
+
+-- Function: sales_last_dates
+-- Returns one row per brand and channel with the latest date that has sales
+CREATE OR REPLACE FUNCTION public.sales_last_dates()
+RETURNS TABLE(
+    brand text,
+    channel text,
+    last_date date
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        sd.brand::text,
+        sd.channel::text,
+        MAX(sd.date)::date AS last_date
+    FROM public.sales_data sd
+    GROUP BY sd.brand, sd.channel
+    ORDER BY 1, 2;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Grant execute to anon/authenticated roles
+GRANT EXECUTE ON FUNCTION public.sales_last_dates() TO anon, authenticated;
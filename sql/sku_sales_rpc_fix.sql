@@ -7,7 +7,7 @@ CREATE OR REPLACE FUNCTION sku_sales_agg(
     channel_filter TEXT DEFAULT NULL,
     brand_filter TEXT DEFAULT NULL,
     sku_filter TEXT DEFAULT NULL,
-    group_by TEXT DEFAULT 'sku'  -- 'sku', 'date', 'month', 'quarter'
+    group_by TEXT DEFAULT 'sku'  -- 'sku', 'date', 'week', 'month', 'quarter'
 )
 RETURNS TABLE(
     period_date DATE,
@@ -23,6 +23,7 @@ BEGIN
     SELECT
         CASE
             WHEN group_by = 'date' THEN sd.date
+            WHEN group_by = 'week' THEN DATE_TRUNC('week', sd.date)::DATE  -- ISO week (Monday)
             WHEN group_by = 'month' THEN DATE_TRUNC('month', sd.date)::DATE
             WHEN group_by = 'quarter' THEN DATE_TRUNC('quarter', sd.date)::DATE
             ELSE sd.date  -- Default: group by SKU (aggregate all dates)
@@ -41,6 +42,7 @@ BEGIN
     GROUP BY 
         CASE
             WHEN group_by = 'date' THEN sd.date
+            WHEN group_by = 'week' THEN DATE_TRUNC('week', sd.date)::DATE  -- ISO week (Monday)
             WHEN group_by = 'month' THEN DATE_TRUNC('month', sd.date)::DATE
             WHEN group_by = 'quarter' THEN DATE_TRUNC('quarter', sd.date)::DATE
             ELSE sd.date
@@ -0,0 +1,24 @@
+-- Target distribution profiles: how an annual target splits across fiscal quarters (and months)
+-- Run this in the Supabase SQL editor
+-- distribution_profiles holds user-defined profiles; quarters has 4 shares in %, months 12 (fiscal order) or none
+-- target_distribution assigns a profile to a brand for a fiscal year (by name; 'Prior-year actuals' is built in)
+-- Brands without a row use CONFIG.TARGET_DISTRIBUTION.BRAND_DEFAULTS / DEFAULT_PROFILE
+
+CREATE TABLE IF NOT EXISTS public.distribution_profiles (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL UNIQUE,
+    quarters NUMERIC[] NOT NULL,
+    months NUMERIC[] NOT NULL DEFAULT '{}',
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.target_distribution (
+    id SERIAL PRIMARY KEY,
+    year INTEGER NOT NULL,
+    brand TEXT NOT NULL,
+    profile TEXT NOT NULL,
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (year, brand)
+);
+
+-- Apply the same row level security policies as kpi_targets
@@ -0,0 +1,19 @@
+-- Target phasing profiles per fiscal year and brand, stored next to kpi_targets
+-- Run this in the Supabase SQL editor
+-- mode is 'even' (by day), 'historical' (derived from last year's sales) or 'custom'
+-- month_weights has 12 entries (January first), weekday_weights 7 (Monday first);
+-- a day's share of its quarter target is month weight x weekday weight
+-- Brands without a row use CONFIG.PHASING.DEFAULT
+
+CREATE TABLE IF NOT EXISTS public.target_phasing (
+    id SERIAL PRIMARY KEY,
+    year INTEGER NOT NULL,
+    brand TEXT NOT NULL,
+    mode TEXT NOT NULL DEFAULT 'even' CHECK (mode IN ('even', 'historical', 'custom')),
+    month_weights NUMERIC[] NOT NULL DEFAULT '{}',
+    weekday_weights NUMERIC[] NOT NULL DEFAULT '{}',
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (year, brand)
+);
+
+-- Apply the same row level security policies as kpi_targets
@@ -0,0 +1,31 @@
+-- Target revisions: Manager edits wait for Admin approval; approved revisions are numbered versions
+-- Run this in the Supabase SQL editor
+-- base and proposed are brand snapshots: { targets: { annual, Q1..Q4, M1..M12? }, kpiLevels, phasing, distribution }
+-- version is set when a revision is approved (1, 2, ... per year and brand)
+
+CREATE TABLE IF NOT EXISTS public.target_revisions (
+    id SERIAL PRIMARY KEY,
+    year INTEGER NOT NULL,
+    brand TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    version INTEGER,
+    base JSONB NOT NULL DEFAULT '{}',
+    proposed JSONB NOT NULL DEFAULT '{}',
+    note TEXT,
+    submitted_by UUID,
+    submitted_email TEXT,
+    submitted_at TIMESTAMP DEFAULT NOW(),
+    reviewed_by UUID,
+    reviewed_email TEXT,
+    reviewed_at TIMESTAMP,
+    review_note TEXT,
+    UNIQUE (year, brand, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_target_revisions_year_status ON public.target_revisions(year, status);
+
+-- Cell changes in kpi_targets_history point at the version that made them
+ALTER TABLE public.kpi_targets_history ADD COLUMN IF NOT EXISTS version INTEGER;
+ALTER TABLE public.kpi_targets_history ADD COLUMN IF NOT EXISTS revision_id INTEGER;
+
+-- Apply the same row level security policies as kpi_targets
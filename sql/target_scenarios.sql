@@ -0,0 +1,18 @@
+-- What-if target scenarios: alternate target sets kept apart from kpi_targets
+-- Run this in the Supabase SQL editor
+-- base is where the scenario started from ('targets' = the year's targets, 'actuals' = last year's sales)
+-- adjustments holds the % changes: { brands: { [brand]: % }, channels: { [channel]: % }, cells: { 'brand|channel': % } }
+-- targets holds the resulting set: { [brand]: { annual, Q1..Q4, M1..M12? } } with channel values per period
+
+CREATE TABLE IF NOT EXISTS public.target_scenarios (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    year INTEGER NOT NULL,
+    base TEXT NOT NULL DEFAULT 'targets' CHECK (base IN ('targets', 'actuals')),
+    adjustments JSONB NOT NULL DEFAULT '{}',
+    targets JSONB NOT NULL DEFAULT '{}',
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (name, year)
+);
+
+-- Apply the same row level security policies as kpi_targets
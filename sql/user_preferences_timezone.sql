@@ -0,0 +1,6 @@
+-- Per-user time zone override for period math (days elapsed, run rate, "today")
+-- Run this in the Supabase SQL editor
+-- NULL or empty uses the app's DATES.TIMEZONE setting
+
+ALTER TABLE user_preferences
+    ADD COLUMN IF NOT EXISTS timezone TEXT;
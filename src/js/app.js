@@ -21,6 +21,16 @@
         rememberMe: false
     };
 
+    // user_preferences columns loaded at sign-in
+    const PREFERENCE_COLUMNS = ['last_selected_brand', 'last_selected_period', 'last_selected_year', 'last_selected_view',
+        'theme', 'compact_mode', 'notifications_enabled', 'refresh_interval', 'show_tutorials', 'auto_save'];
+
+    // Columns added by later migrations -> the script that adds them; loaded only once it has been run
+    const OPTIONAL_PREFERENCE_COLUMNS = {
+        timezone: 'sql/user_preferences_timezone.sql',
+        alert_subscriptions: 'sql/alert_rules.sql'
+    };
+
     /**
      * Initialize the application
      */
@@ -171,12 +181,28 @@
             return saved ? JSON.parse(saved) : {};
         }
 
+        const selectColumns = (columns) => supabase
+            .from('user_preferences')
+            .select(columns.join(', '))
+            .eq('user_id', userId)
+            .single();
+
         try {
-            const { data } = await supabase
-                .from('user_preferences')
-                .select('last_selected_brand, last_selected_period, last_selected_year, last_selected_view, theme, compact_mode, notifications_enabled, refresh_interval, show_tutorials, auto_save')
-                .eq('user_id', userId)
-                .single();
+            const optional = Object.keys(OPTIONAL_PREFERENCE_COLUMNS);
+            let { data, error } = await selectColumns([...PREFERENCE_COLUMNS, ...optional]);
+
+            // 42703 = undefined column: a migration hasn't been run yet, load the rest without it
+            if (error?.code === '42703') {
+                const named = optional.filter(column => error.message?.includes(column));
+                const missing = named.length > 0 ? named : optional;
+                console.warn(`⚠️ user_preferences is missing ${missing.join(', ')} (run ${missing.map(column => OPTIONAL_PREFERENCE_COLUMNS[column]).join(', ')})`);
+                ({ data, error } = await selectColumns([...PREFERENCE_COLUMNS, ...optional.filter(column => !missing.includes(column))]));
+            }
+
+            if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+                console.error('Failed to load preferences:', error);
+                return {};
+            }
 
             return data || {};
         } catch (error) {
@@ -189,6 +215,11 @@
      * Apply user preferences to the application
      */
     function applyUserPreferences(prefs) {
+        // Period math runs in the user's time zone when one is set
+        if (window.dateUtils?.setTimeZoneOverride) {
+            window.dateUtils.setTimeZoneOverride(prefs.timezone || null);
+        }
+
         // Apply theme
         if (prefs.theme) {
             applyTheme(prefs.theme);
@@ -330,9 +361,19 @@
     /**
      * Handle sign out
      */
-    function handleSignOut() {
+    async function handleSignOut() {
         // Handling sign out
 
+        // Drop persisted (IndexedDB) cache entries before the reload, but don't let a stuck delete hold up sign out
+        try {
+            await Promise.race([
+                APP_STATE.dataService?.cache?.destroy?.(),
+                new Promise(resolve => setTimeout(resolve, 2000))
+            ]);
+        } catch (error) {
+            console.warn('⚠️ Failed to clear persistent cache on sign out:', error);
+        }
+
         // Clear all local storage
         Object.keys(localStorage).forEach(key => {
             if (key.startsWith('chai_vision_')) {
@@ -359,6 +400,21 @@
         window.location.reload();
     }
 
+    /**
+     * Layer saved targets over the current ones (per year, brand and period)
+     */
+    function mergeTargets(base = {}, saved = {}) {
+        const merged = { ...base };
+        Object.entries(saved).forEach(([year, yearData]) => {
+            const brands = { ...(merged[year]?.brands || {}) };
+            Object.entries(yearData?.brands || {}).forEach(([brand, periods]) => {
+                brands[brand] = { ...(brands[brand] || {}), ...periods };
+            });
+            merged[year] = { ...(merged[year] || {}), ...yearData, brands };
+        });
+        return merged;
+    }
+
     /**
      * Create fallback data service
      */
@@ -453,20 +509,31 @@
     function initializeReactApp(config) {
         const { useState, useEffect, useMemo, useRef, createElement: h } = React;
 
-        // Helper functions
+        // Helper functions (fiscal periods come from dateUtils when loaded)
         const getCurrentQuarter = () => {
+            if (window.dateUtils?.getCurrentQuarter) return window.dateUtils.getCurrentQuarter();
             const month = new Date().getMonth();
             return `Q${Math.floor(month / 3) + 1}`;
         };
 
         const getCurrentMonth = () => {
+            if (window.dateUtils?.getCurrentMonth) return window.dateUtils.getCurrentMonth();
             return new Date().getMonth() + 1;
         };
 
         const getCurrentYear = () => {
+            if (window.dateUtils?.getCurrentYear) return window.dateUtils.getCurrentYear();
             return new Date().getFullYear().toString();
         };
 
+        const getCurrentWeek = () => {
+            return window.dateUtils?.getCurrentWeek ? window.dateUtils.getCurrentWeek() : 1;
+        };
+
+        const getCurrentWeekYear = () => {
+            return window.dateUtils?.getCurrentWeekYear ? window.dateUtils.getCurrentWeekYear() : new Date().getFullYear().toString();
+        };
+
         // Main App Component
         function App() {
             // Authentication state
@@ -480,8 +547,20 @@
             const [view, setView] = useState(APP_STATE.preferences.last_selected_view || 'quarterly');
             const [selectedPeriod, setSelectedPeriod] = useState(APP_STATE.preferences.last_selected_period || getCurrentQuarter());
             const [selectedMonth, setSelectedMonth] = useState(getCurrentMonth());
+            const [selectedWeek, setSelectedWeek] = useState(getCurrentWeek());
+            // Custom view: { preset, start, end }; presets are re-resolved against today
+            const [customRange, setCustomRange] = useState(() =>
+                window.dateUtils?.resolveCustomRange ? window.dateUtils.resolveCustomRange({ preset: 'last30' }) : null);
             const [selectedYear, setSelectedYear] = useState(APP_STATE.preferences.last_selected_year || getCurrentYear());
+            // Weekly view: weeks belong to an ISO week-year, which is not the fiscal year above
+            const [selectedWeekYear, setSelectedWeekYear] = useState(getCurrentWeekYear());
+            const periodYear = view === 'weekly' ? selectedWeekYear : selectedYear;
             const [selectedBrand, setSelectedBrand] = useState(APP_STATE.preferences.last_selected_brand || 'All Brands');
+            // Comparison: 'none' | 'previous' | 'yoy' | 'custom' (comparisonRange { start, end })
+            const [comparisonMode, setComparisonMode] = useState('none');
+            const [comparisonRange, setComparisonRange] = useState(null);
+            // What-if target scenario the dashboard measures against ('' = the real targets)
+            const [selectedScenario, setSelectedScenario] = useState('');
 
             // Initialize activeSection from URL if present
             const getInitialSection = () => {
@@ -495,9 +574,13 @@
             };
             const [activeSection, setActiveSection] = useState(getInitialSection);
             const [salesData, setSalesData] = useState([]);
+            const [comparisonData, setComparisonData] = useState(null);
+            const [forecastHistory, setForecastHistory] = useState(null);
             const [loading, setLoading] = useState(true);
             const [error, setError] = useState(null);
             const initialBrandSetRef = useRef(false);
+            // AbortController of the latest loadInitialData call; older loads are superseded
+            const loadControllerRef = useRef(null);
 
             // Get initial data
             const INITIAL_DATA = window.ChaiVision?.INITIAL_DATA || {};
@@ -510,6 +593,7 @@
             // Save preferences when they change
             useEffect(() => {
                 APP_STATE.preferences = {
+                    ...APP_STATE.preferences,
                     last_selected_view: view,
                     last_selected_period: selectedPeriod,
                     last_selected_year: selectedYear,
@@ -693,6 +777,30 @@
                 }
             }, [isAuthenticated]);
 
+            // Scope the persistent cache to the signed-in user
+            useEffect(() => {
+                APP_STATE.dataService?.setCacheScope?.(currentUser?.id || null);
+            }, [currentUser]);
+
+            // Load saved KPI targets on authentication (layered over the defaults)
+            async function loadTargetsFromDB() {
+                if (!APP_STATE.dataService?.loadTargets) return;
+                try {
+                    const savedTargets = await APP_STATE.dataService.loadTargets();
+                    if (savedTargets && Object.keys(savedTargets).length > 0) {
+                        setDynamicTargets(prev => mergeTargets(prev, savedTargets));
+                    }
+                } catch (error) {
+                    console.error('Failed to load targets from database:', error);
+                }
+            }
+
+            useEffect(() => {
+                if (isAuthenticated) {
+                    loadTargetsFromDB();
+                }
+            }, [isAuthenticated]);
+
             // Filter brands based on user permissions
             const availableBrands = useMemo(() => {
                 if (!currentUser || !userPermissions.brands) return [];
@@ -840,79 +948,109 @@
                 }
             };
 
-            // Load initial data
-            async function loadInitialData() {
+            // Load initial data (silent reloads skip the loading screen)
+            async function loadInitialData({ silent = false } = {}) {
+                loadControllerRef.current?.abort();
+                const controller = new AbortController();
+                loadControllerRef.current = controller;
+
                 try {
                     // Loading initial data
-                    setLoading(true);
+                    if (!silent) setLoading(true);
                     setError(null);
 
                     if (APP_STATE.dataService) {
                         // Build filters based on current selections
                         const filters = {
-                            startDate: getDateRangeStart(view, selectedPeriod, selectedYear, selectedMonth),
-                            endDate: getDateRangeEnd(view, selectedPeriod, selectedYear, selectedMonth),
+                            startDate: getDateRangeStart(view, selectedPeriod, periodYear, selectedMonth, selectedWeek, customRange),
+                            endDate: getDateRangeEnd(view, selectedPeriod, periodYear, selectedMonth, selectedWeek, customRange),
                             brand: selectedBrand,
                             channel: 'All Channels', // Load all channels, filter in UI
                             view
                         };
 
-                        const data = await APP_STATE.dataService.loadSalesData(filters);
+                        // Comparison period loads alongside; a failure there never blocks the dashboard
+                        const comparison = window.dateUtils.getComparisonRange(comparisonMode, view, selectedPeriod,
+                            periodYear, selectedMonth, selectedWeek, customRange, comparisonRange);
+                        const comparisonPromise = comparison
+                            ? APP_STATE.dataService.loadSalesComparison(filters, comparison, { signal: controller.signal })
+                                .catch(err => {
+                                    if (!controller.signal.aborted) console.warn('⚠️ Failed to load comparison period:', err);
+                                    return null;
+                                })
+                            : Promise.resolve(null);
+
+                        // Daily history for the period-end forecast; without it the dashboard falls back to the run rate
+                        const forecastPromise = APP_STATE.dataService.loadForecastHistory
+                            ? APP_STATE.dataService.loadForecastHistory(filters, { signal: controller.signal })
+                                .catch(err => {
+                                    if (!controller.signal.aborted) console.warn('⚠️ Failed to load forecast history:', err);
+                                    return null;
+                                })
+                            : Promise.resolve(null);
+
+                        const data = await APP_STATE.dataService.loadSalesData(filters, { signal: controller.signal });
+                        if (controller.signal.aborted) return; // Filters changed while loading
                         console.log(`📊 Data loaded: ${data?.length || 0} records`);
+                        if (data?.truncated && window.showWarningMessage) {
+                            window.showWarningMessage(`Only the first ${data.length.toLocaleString()} records were loaded, so totals are incomplete. Narrow the date range or brand to see all of them.`);
+                        }
 
                         // Only filter if we have valid permissions
+                        const hasPermissions = userPermissions.brands && userPermissions.brands.length > 0 &&
+                            userPermissions.channels && userPermissions.channels.length > 0;
+                        const filterByPermissions = (rows) => rows.filter(d => {
+                            const brandAllowed = userPermissions.brands.includes('All Brands') ||
+                                userPermissions.brands.includes(d.brand);
+                            const channelAllowed = userPermissions.channels.includes('All Channels') ||
+                                userPermissions.channels.includes(d.channel);
+                            return brandAllowed && channelAllowed;
+                        });
                         let filteredData = data;
-                        if (userPermissions.brands && userPermissions.brands.length > 0 &&
-                            userPermissions.channels && userPermissions.channels.length > 0) {
-                            filteredData = data.filter(d => {
-                                const brandAllowed = userPermissions.brands.includes('All Brands') ||
-                                    userPermissions.brands.includes(d.brand);
-                                const channelAllowed = userPermissions.channels.includes('All Channels') ||
-                                    userPermissions.channels.includes(d.channel);
-                                return brandAllowed && channelAllowed;
-                            });
+                        if (hasPermissions) {
+                            filteredData = filterByPermissions(data);
                             console.log(`🔍 Filtered data: ${filteredData?.length || 0} records`);
                         } else {
                             console.log('📋 No permissions set, using all data');
                         }
 
+                        const [comparisonResult, forecastResult] = await Promise.all([comparisonPromise, forecastPromise]);
+                        if (controller.signal.aborted) return;
+
                         setSalesData(filteredData || []);
+                        setComparisonData(comparisonResult ? {
+                            ...comparison,
+                            rows: hasPermissions ? filterByPermissions(comparisonResult.dailyData || []) : (comparisonResult.dailyData || [])
+                        } : null);
+                        setForecastHistory(forecastResult ? {
+                            ...forecastResult,
+                            rows: hasPermissions ? filterByPermissions(forecastResult.rows) : forecastResult.rows
+                        } : null);
                     } else {
                         // No data service available
                         setSalesData([]);
+                        setComparisonData(null);
+                        setForecastHistory(null);
                     }
                 } catch (err) {
+                    if (controller.signal.aborted) return;
                     console.error('❌ Failed to load data:', err);
                     setError('Failed to load sales data');
                 } finally {
-                    setLoading(false);
+                    // A superseded load leaves the loading state to the one that replaced it
+                    if (loadControllerRef.current === controller) {
+                        setLoading(false);
+                    }
                 }
             }
 
-            // Helper functions for date range calculation
-            function getDateRangeStart(view, period, year, month) {
-                if (view === 'annual') {
-                    return `${year}-01-01`;
-                } else if (view === 'quarterly') {
-                    const quarterMonths = { 'Q1': '01', 'Q2': '04', 'Q3': '07', 'Q4': '10' };
-                    return `${year}-${quarterMonths[period]}-01`;
-                } else if (view === 'monthly') {
-                    return `${year}-${String(month).padStart(2, '0')}-01`;
-                }
-                return null;
+            // Helper functions for date range calculation (fiscal periods, ISO weeks)
+            function getDateRangeStart(view, period, year, month, week, range) {
+                return window.dateUtils.getPeriodDateRange(view, period, year, month, week, range).start;
             }
 
-            function getDateRangeEnd(view, period, year, month) {
-                if (view === 'annual') {
-                    return `${year}-12-31`;
-                } else if (view === 'quarterly') {
-                    const quarterEnds = { 'Q1': '03-31', 'Q2': '06-30', 'Q3': '09-30', 'Q4': '12-31' };
-                    return `${year}-${quarterEnds[period]}`;
-                } else if (view === 'monthly') {
-                    const daysInMonth = new Date(year, month, 0).getDate();
-                    return `${year}-${String(month).padStart(2, '0')}-${daysInMonth}`;
-                }
-                return null;
+            function getDateRangeEnd(view, period, year, month, week, range) {
+                return window.dateUtils.getPeriodDateRange(view, period, year, month, week, range).end;
             }
 
             // Refresh data when filters change (with debouncing)
@@ -925,11 +1063,25 @@
 
                     return () => clearTimeout(timeoutId);
                 }
-            }, [view, selectedPeriod, selectedYear, selectedMonth, selectedBrand]);
+            }, [view, selectedPeriod, periodYear, selectedMonth, selectedWeek, customRange, selectedBrand, comparisonMode, comparisonRange]);
+
+            // Repaint when stale cached data has been refreshed in the background
+            useEffect(() => {
+                if (!isAuthenticated || !APP_STATE.dataService?.onRevalidated) return;
+
+                return APP_STATE.dataService.onRevalidated((key) => {
+                    if (key === 'targets') {
+                        loadTargetsFromDB();
+                    } else {
+                        loadInitialData({ silent: true });
+                    }
+                });
+            }, [isAuthenticated, view, selectedPeriod, periodYear, selectedMonth, selectedWeek, customRange, selectedBrand, comparisonMode, comparisonRange]);
 
-            // Regenerate sample data only in demo mode (Supabase disabled)
+            // Regenerate sample data only in demo mode (Supabase disabled, no fixture data loaded)
             useEffect(() => {
-                if (!config.FEATURES.ENABLE_SUPABASE && isAuthenticated && availableBrands.length > 0) {
+                if (!config.FEATURES.ENABLE_SUPABASE && APP_STATE.dataService?.adapter?.name !== 'fixture' &&
+                    isAuthenticated && availableBrands.length > 0) {
                     regenerateSampleData();
                 }
             }, [availableBrands, availableChannels]);
@@ -1073,8 +1225,13 @@
             };
 
             // Handle settings update
+            // Saves first and rethrows a failure, so callers that wait on it don't report what never landed
             const handleSettingsUpdate = async (updatedData) => {
                 try {
+                    if (APP_STATE.dataService) {
+                        await APP_STATE.dataService.updateSettings(updatedData);
+                    }
+
                     if (updatedData.brands) {
                         setDynamicBrands(updatedData.brands);
                     }
@@ -1082,10 +1239,6 @@
                         setDynamicTargets(updatedData.targets);
                     }
 
-                    if (APP_STATE.dataService) {
-                        await APP_STATE.dataService.updateSettings(updatedData);
-                    }
-
                     if (window.showSuccessMessage) {
                         window.showSuccessMessage('Settings updated successfully');
                     }
@@ -1094,6 +1247,7 @@
                     if (window.showErrorMessage) {
                         window.showErrorMessage('Failed to update settings');
                     }
+                    throw err;
                 }
             };
 
@@ -1111,13 +1265,9 @@
 
                     if (dataServiceInstance) {
                         console.log('🔄 Refreshing data from database after upload...');
-                        // Clear cache to ensure fresh data
-                        dataServiceInstance.clearCache('sales_data');
-                        dataServiceInstance.clearCache('sku_data'); // Also clear SKU cache
-                        dataServiceInstance.clearCache('channels');
-                        const freshData = await dataServiceInstance.loadSalesData();
-                        setSalesData(freshData);
-                        console.log(`📊 Loaded ${freshData.length} records from database`);
+                        // Saving already invalidated the cache entries overlapping the uploaded rows;
+                        // reload for the current selection so the Dashboard never shows unfiltered data
+                        await loadInitialData({ silent: true });
                     } else {
                         // Fallback: merge with existing data
                         const mergedData = [...salesData, ...uploadedData];
@@ -1136,7 +1286,7 @@
                     // Don't show error toast - upload already succeeded, this is just cache refresh
                     console.warn('Upload succeeded but cache refresh failed - data is in database');
                 }
-            }, [salesData]);
+            }, [salesData, view, selectedPeriod, periodYear, selectedMonth, selectedWeek, customRange, selectedBrand, comparisonMode, comparisonRange]);
 
             // Handle navigation back from SKU Performance page
             const handleNavigateBack = React.useCallback(() => {
@@ -1148,7 +1298,9 @@
                         if (state.view) setView(state.view);
                         if (state.selectedPeriod) setSelectedPeriod(state.selectedPeriod);
                         if (state.selectedMonth) setSelectedMonth(state.selectedMonth);
-                        if (state.selectedYear) setSelectedYear(state.selectedYear);
+                        if (state.selectedWeek) setSelectedWeek(state.selectedWeek);
+                        if (state.customRange) setCustomRange(state.customRange);
+                        if (state.selectedYear) (state.view === 'weekly' ? setSelectedWeekYear : setSelectedYear)(state.selectedYear);
                         if (state.selectedBrand) setSelectedBrand(state.selectedBrand);
                     } catch (e) {
                         console.error('Failed to restore dashboard state:', e);
@@ -1167,6 +1319,9 @@
                 url.searchParams.delete('period');
                 url.searchParams.delete('year');
                 url.searchParams.delete('month');
+                url.searchParams.delete('week');
+                url.searchParams.delete('start');
+                url.searchParams.delete('end');
                 window.history.pushState({ section: 'dashboard' }, '', url);
             }, []);
 
@@ -1197,13 +1352,16 @@
                             view: url.searchParams.get('view') || 'quarterly',
                             period: url.searchParams.get('period') || null,
                             year: url.searchParams.get('year') || new Date().getFullYear().toString(),
-                            month: url.searchParams.get('month') ? parseInt(url.searchParams.get('month')) : null
+                            month: url.searchParams.get('month') ? parseInt(url.searchParams.get('month')) : null,
+                            week: url.searchParams.get('week') ? parseInt(url.searchParams.get('week')) : null,
+                            start: url.searchParams.get('start') || null,
+                            end: url.searchParams.get('end') || null
                         };
                     })();
             }, [activeSection]); // Only re-parse if activeSection changes
 
-            // Calculate channel target for SKU performance (memoized at top level)
-            const channelTarget85 = React.useMemo(() => {
+            // Calculate channel KPI target for SKU performance (memoized at top level)
+            const channelTargetKpi = React.useMemo(() => {
                 if (activeSection !== 'sku-performance' || !skuParams || !skuParams.channel) return 0;
                 if (!dynamicTargets) return 0;
 
@@ -1212,35 +1370,47 @@
                 const year = skuParams.year || new Date().getFullYear().toString();
 
                 let channelTarget = 0;
+                // Each brand's share counts at that brand's KPI threshold for the fiscal year
+                const thresholdOf = (targetYear, brandName) => window.kpiLevels?.getKpiLevels
+                    ? window.kpiLevels.getKpiLevels(dynamicTargets, targetYear, brandName).threshold / 100
+                    : 0.85;
+
+                if (skuParams.view === 'weekly' || skuParams.view === 'custom' || skuParams.view === 'monthly') {
+                    // Each quarter the period touches contributes the brand's phased share of it
+                    const { getPeriodDateRange, getPeriodQuarterShares } = window.dateUtils || {};
+                    const { getPhasing, getPhasedQuarterShares, getTargetSlices } = window.targetPhasing || {};
+                    const range = { preset: 'custom', start: skuParams.start, end: skuParams.end };
+                    const periodArgs = [skuParams.view, skuParams.period, year, skuParams.month || 1, skuParams.week || 1, range];
+                    const { start, end } = getPeriodDateRange ? getPeriodDateRange(...periodArgs) : {};
+                    brandsToCalculate.forEach(brandName => {
+                        const shares = getPhasedQuarterShares
+                            ? getPhasedQuarterShares(start, end, shareYear => getPhasing(dynamicTargets, shareYear, brandName))
+                            : (getPeriodQuarterShares ? getPeriodQuarterShares(...periodArgs) : []);
+                        shares.forEach(share => {
+                            const brandTargets = dynamicTargets?.[share.year]?.brands?.[brandName];
+                            // Explicit monthly targets, when the brand has them, replace the quarter's share
+                            const slices = getTargetSlices
+                                ? getTargetSlices(share, brandTargets, getPhasing(dynamicTargets, share.year, brandName))
+                                : [{ data: brandTargets?.[share.quarter] || {}, ratio: share.ratio }];
+                            slices.forEach(slice => {
+                                channelTarget += (slice.data[skuParams.channel] || 0) * slice.ratio * thresholdOf(share.year, brandName);
+                            });
+                        });
+                    });
+                    return channelTarget;
+                }
 
                 brandsToCalculate.forEach(brandName => {
                     const brandData = dynamicTargets?.[year]?.brands?.[brandName];
                     if (brandData) {
-                        let periodData;
-                        if (skuParams.view === 'annual') {
-                            periodData = brandData.annual;
-                        } else if (skuParams.view === 'quarterly') {
-                            periodData = brandData[skuParams.period];
-                        } else if (skuParams.view === 'monthly') {
-                            const quarter = `Q${Math.ceil((skuParams.month || 1) / 3)}`;
-                            periodData = brandData[quarter];
-                            if (periodData) {
-                                const { getDaysInMonth, getDaysInQuarter } = window.dateUtils || {};
-                                const month = skuParams.month || 1;
-                                const daysInMonth = getDaysInMonth ? getDaysInMonth(parseInt(year), month) : 30;
-                                const daysInQuarter = getDaysInQuarter ? getDaysInQuarter(parseInt(year), quarter) : 90;
-                                const dayRatio = daysInMonth / daysInQuarter;
-                                channelTarget += (periodData[skuParams.channel] || 0) * dayRatio;
-                                return;
-                            }
-                        }
+                        const periodData = skuParams.view === 'annual' ? brandData.annual : brandData[skuParams.period];
                         if (periodData) {
-                            channelTarget += periodData[skuParams.channel] || 0;
+                            channelTarget += (periodData[skuParams.channel] || 0) * thresholdOf(year, brandName);
                         }
                     }
                 });
 
-                return channelTarget * 0.85; // Return 85% target
+                return channelTarget;
             }, [activeSection, skuParams, dynamicTargets, availableBrands]);
 
             // Get components from window
@@ -1315,8 +1485,14 @@
                 setSelectedPeriod,
                 selectedMonth,
                 setSelectedMonth,
+                selectedWeek,
+                setSelectedWeek,
+                customRange,
+                setCustomRange,
                 selectedYear,
                 setSelectedYear,
+                selectedWeekYear,
+                setSelectedWeekYear,
                 selectedBrand,
                 setSelectedBrand,
                 brands: availableBrands,
@@ -1367,10 +1543,22 @@
                             setSelectedPeriod,
                             selectedMonth,
                             setSelectedMonth,
-                            selectedYear,
+                            selectedWeek,
+                            setSelectedWeek,
+                            customRange,
+                            setCustomRange,
+                            selectedYear: periodYear,
                             setSelectedYear,
                             selectedBrand,
                             setSelectedBrand,
+                            comparisonMode,
+                            setComparisonMode,
+                            comparisonRange,
+                            setComparisonRange,
+                            comparisonData,
+                            selectedScenario,
+                            setSelectedScenario,
+                            forecastHistory,
                             salesData,
                             config,
                             dataService: APP_STATE.dataService,
@@ -1396,7 +1584,8 @@
                             onDeleteBrand: handleDeleteBrand,
                             userRole: currentUser?.role,
                             userPermissions,
-                            currentUser
+                            currentUser,
+                            dataService: APP_STATE.dataService
                         }) : h('div', null, 'Settings component not found');
 
                     case 'upload':
@@ -1461,6 +1650,7 @@
                         // All authenticated users can access preferences
                         return Preferences ? h(Preferences, {
                             currentUser,
+                            dataService: APP_STATE.dataService,
                             onUpdate: (updatedPreferences) => {
                                 // Update the global preferences
                                 APP_STATE.preferences = updatedPreferences;
@@ -1491,10 +1681,12 @@
                             view: skuParams.view,
                             selectedPeriod: skuParams.period,
                             selectedMonth: skuParams.month,
+                            selectedWeek: skuParams.week,
+                            customRange: { preset: 'custom', start: skuParams.start, end: skuParams.end },
                             selectedYear: skuParams.year,
                             dataService: APP_STATE.dataService,
                             userPermissions,
-                            channelTarget85,
+                            channelTargetKpi,
                             onNavigateBack: handleNavigateBack
                         }) : h('div', null, 'SKU Performance component not found');
 
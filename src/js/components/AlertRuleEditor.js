@@ -0,0 +1,203 @@
+/**
+ * Alert Rule Editor Component
+ * Creates or edits an alert rule (see alertRules.js): what it checks, the brand and channel it
+ * watches and its threshold
+ */
+
+(function () {
+    'use strict';
+
+    function AlertRuleEditor(props) {
+        const { useState, useEffect, createElement: h } = React;
+
+        const {
+            rule: savedRule,
+            brands = [],
+            channels = [],
+            onSave,
+            onClose
+        } = props;
+
+        const { getRuleTypes, createRule, describeRule, validateRule } = window.alertRules || {};
+
+        const [rule, setRule] = useState(() => savedRule ? { ...savedRule } : createRule());
+        const [isSaving, setIsSaving] = useState(false);
+        const [error, setError] = useState('');
+
+        const ruleType = getRuleTypes().find(option => option.value === rule.type);
+        const usesThreshold = ruleType?.threshold !== null;
+        const usesDays = ruleType?.days !== null;
+
+        // ESC closes the editor; lock body scroll while it is open
+        useEffect(() => {
+            const handleKeyDown = (event) => {
+                if (event.key === 'Escape' && !isSaving) onClose();
+            };
+
+            document.body.classList.add('modal-open');
+            document.addEventListener('keydown', handleKeyDown);
+            return () => {
+                document.body.classList.remove('modal-open');
+                document.removeEventListener('keydown', handleKeyDown);
+            };
+        }, [isSaving]);
+
+        // A new type starts from its own defaults; name and scope carry over
+        const handleTypeChange = (type) => {
+            const defaults = createRule(type);
+            setRule({ ...rule, type, threshold: defaults.threshold, days: defaults.days });
+        };
+
+        const handleSave = async () => {
+            const validation = validateRule(rule);
+            if (!validation.isValid) {
+                setError(validation.errors.join('. '));
+                return;
+            }
+
+            setIsSaving(true);
+            setError('');
+            try {
+                await onSave({
+                    ...rule,
+                    name: rule.name.trim(),
+                    threshold: usesThreshold ? parseFloat(rule.threshold) : null,
+                    days: usesDays ? parseInt(rule.days) : null
+                });
+            } catch (err) {
+                setError('Failed to save alert rule. Please try again.');
+            } finally {
+                setIsSaving(false);
+            }
+        };
+
+        return ReactDOM.createPortal(
+            h('div', {
+                className: 'kpi-modal-overlay',
+                onClick: (e) => {
+                    if (e.target.className === 'kpi-modal-overlay' && !isSaving) onClose();
+                }
+            },
+                h('div', { className: 'kpi-modal' },
+                    h('div', { className: 'kpi-modal-header' },
+                        h('h2', null, savedRule ? `🔔 Edit ${savedRule.name}` : '🔔 New Alert Rule'),
+                        h('button', {
+                            className: 'kpi-modal-close',
+                            onClick: onClose,
+                            disabled: isSaving,
+                            'aria-label': 'Close modal'
+                        }, '×')
+                    ),
+
+                    h('div', { className: 'kpi-modal-body' },
+                        error && h('div', { className: 'kpi-modal-alert' },
+                            h('span', null, '⚠️'),
+                            h('span', null, error)
+                        ),
+
+                        h('div', { className: 'kpi-target-section' },
+                            h('div', { className: 'kpi-section-header' },
+                                h('h3', null, 'Rule')
+                            ),
+                            h('div', { className: 'kpi-annual-grid' },
+                                h('div', { className: 'kpi-channel-input' },
+                                    h('label', { className: 'kpi-channel-label' }, 'Name'),
+                                    h('input', {
+                                        type: 'text',
+                                        className: 'kpi-input',
+                                        placeholder: 'e.g. Amazon LifePro pace',
+                                        value: rule.name,
+                                        onChange: (e) => setRule({ ...rule, name: e.target.value })
+                                    })
+                                ),
+                                h('div', { className: 'kpi-channel-input' },
+                                    h('label', { className: 'kpi-channel-label' }, 'Checks'),
+                                    h('select', {
+                                        className: 'kpi-input',
+                                        value: rule.type,
+                                        onChange: (e) => handleTypeChange(e.target.value)
+                                    },
+                                        getRuleTypes().map(option =>
+                                            h('option', { key: option.value, value: option.value }, option.label)
+                                        )
+                                    )
+                                ),
+                                h('div', { className: 'kpi-channel-input' },
+                                    h('label', { className: 'kpi-channel-label' }, 'Brand'),
+                                    h('select', {
+                                        className: 'kpi-input',
+                                        value: rule.brand,
+                                        onChange: (e) => setRule({ ...rule, brand: e.target.value })
+                                    },
+                                        h('option', { value: '' }, 'All brands'),
+                                        ...brands.map(brand => h('option', { key: brand, value: brand }, brand))
+                                    )
+                                ),
+                                h('div', { className: 'kpi-channel-input' },
+                                    h('label', { className: 'kpi-channel-label' }, 'Channel'),
+                                    h('select', {
+                                        className: 'kpi-input',
+                                        value: rule.channel,
+                                        onChange: (e) => setRule({ ...rule, channel: e.target.value })
+                                    },
+                                        h('option', { value: '' }, 'All channels'),
+                                        ...channels.map(channel => h('option', { key: channel, value: channel }, channel))
+                                    )
+                                ),
+                                usesThreshold && h('div', { className: 'kpi-channel-input' },
+                                    h('label', { className: 'kpi-channel-label' },
+                                        rule.type === 'pace' ? 'Alert Below (% of Pace)' : 'Alert at Drop of (%)'),
+                                    h('input', {
+                                        type: 'number',
+                                        className: 'kpi-input',
+                                        min: 1,
+                                        step: 1,
+                                        value: rule.threshold ?? '',
+                                        onChange: (e) => setRule({ ...rule, threshold: e.target.value })
+                                    })
+                                ),
+                                usesDays && h('div', { className: 'kpi-channel-input' },
+                                    h('label', { className: 'kpi-channel-label' },
+                                        rule.type === 'daily_drop' ? 'Average Over (Days)' : 'Days Without Data'),
+                                    h('input', {
+                                        type: 'number',
+                                        className: 'kpi-input',
+                                        min: 1,
+                                        max: 90,
+                                        step: 1,
+                                        value: rule.days ?? '',
+                                        onChange: (e) => setRule({ ...rule, days: e.target.value })
+                                    })
+                                )
+                            ),
+                            h('p', { className: 'kpi-section-note' },
+                                `${describeRule(rule)}. Checked after each dashboard load for everyone subscribed in Preferences, ` +
+                                'when the dashboard shows that brand or the company total.'
+                            )
+                        )
+                    ),
+
+                    h('div', { className: 'kpi-modal-footer' },
+                        h('button', {
+                            className: 'kpi-btn-secondary',
+                            onClick: onClose,
+                            disabled: isSaving
+                        }, 'Cancel'),
+                        h('button', {
+                            className: 'kpi-btn-primary',
+                            onClick: handleSave,
+                            disabled: isSaving
+                        }, isSaving ? 'Saving…' : '💾 Save Rule')
+                    )
+                )
+            ),
+            document.body
+        );
+    }
+
+    // Make AlertRuleEditor available globally
+    window.AlertRuleEditor = AlertRuleEditor;
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.components = window.ChaiVision.components || {};
+    window.ChaiVision.components.AlertRuleEditor = AlertRuleEditor;
+})();
@@ -0,0 +1,113 @@
+/**
+ * Anomaly List Component
+ * Spikes, drops and missing days found in daily brand and channel revenue (see anomalyDetection.js),
+ * each reviewed as an upload mistake, a real change or something expected
+ */
+
+(function () {
+    'use strict';
+
+    const MAX_ROWS = 50;
+
+    function AnomalyList(props) {
+        const { useState, createElement: h } = React;
+
+        const {
+            anomalies = [],
+            reviews = {},
+            onReview
+        } = props;
+
+        const { formatCurrency } = window.formatters || {};
+        const { getAnomalyTypes, getReviewOptions } = window.anomalyDetection || {};
+
+        const [filter, setFilter] = useState('open');
+        const [savingKey, setSavingKey] = useState(null);
+
+        const money = (value) => formatCurrency ? formatCurrency(value) : '$' + Math.round(value || 0).toLocaleString();
+        const types = getAnomalyTypes();
+        const openCount = anomalies.filter(anomaly => !reviews[anomaly.key]).length;
+        const shown = anomalies.filter(anomaly => filter === 'all' ||
+            (filter === 'open' ? !reviews[anomaly.key] : Boolean(reviews[anomaly.key])));
+
+        const handleReview = async (anomaly, status) => {
+            setSavingKey(anomaly.key);
+            try {
+                await onReview(anomaly, status);
+            } finally {
+                setSavingKey(null);
+            }
+        };
+
+        return h('div', { className: 'chart-card anomaly-list' },
+            h('div', { className: 'chart-header anomaly-list-header' },
+                h('div', null,
+                    h('h3', { className: 'chart-title' }, '🔍 Anomalies'),
+                    h('p', { className: 'chart-subtitle' },
+                        `${openCount} of ${anomalies.length} to review · unusual days in daily revenue by brand and channel, allowing for the day of the week`)
+                ),
+                h('select', {
+                    value: filter,
+                    onChange: (e) => setFilter(e.target.value)
+                },
+                    h('option', { value: 'open' }, 'Needs review'),
+                    h('option', { value: 'reviewed' }, 'Reviewed'),
+                    h('option', { value: 'all' }, 'All')
+                )
+            ),
+            shown.length === 0
+                ? h('p', { className: 'anomaly-empty' }, filter === 'open' ? 'Nothing left to review' : 'No anomalies')
+                : h('table', { className: 'anomaly-table' },
+                    h('thead', null,
+                        h('tr', null,
+                            h('th', null, 'Date'),
+                            h('th', null, 'Brand'),
+                            h('th', null, 'Channel'),
+                            h('th', null, 'Type'),
+                            h('th', null, 'Revenue'),
+                            h('th', null, 'Expected'),
+                            h('th', null, 'Review')
+                        )
+                    ),
+                    h('tbody', null,
+                        shown.slice(0, MAX_ROWS).map(anomaly => {
+                            const review = reviews[anomaly.key];
+                            const type = types[anomaly.type] || { label: anomaly.type, icon: '' };
+                            return h('tr', { key: anomaly.key, className: review ? 'anomaly-reviewed' : '' },
+                                h('td', null, anomaly.date),
+                                h('td', null, anomaly.brand),
+                                h('td', null, anomaly.channel),
+                                h('td', { className: `anomaly-${anomaly.type}` }, `${type.icon} ${type.label}`),
+                                h('td', null, anomaly.revenue === null ? '—' : money(anomaly.revenue)),
+                                h('td', null, money(anomaly.expected)),
+                                h('td', null,
+                                    onReview
+                                        ? h('select', {
+                                            value: review?.status || '',
+                                            disabled: savingKey === anomaly.key,
+                                            title: review?.reviewedEmail ? `Reviewed by ${review.reviewedEmail}` : undefined,
+                                            onChange: (e) => e.target.value && handleReview(anomaly, e.target.value)
+                                        },
+                                            h('option', { value: '' }, 'Needs review'),
+                                            ...getReviewOptions().map(option =>
+                                                h('option', { key: option.value, value: option.value }, option.label)
+                                            )
+                                        )
+                                        : (getReviewOptions().find(option => option.value === review?.status)?.label || 'Needs review')
+                                )
+                            );
+                        }),
+                        shown.length > MAX_ROWS && h('tr', null,
+                            h('td', { colSpan: 7, className: 'anomaly-empty' }, `…and ${shown.length - MAX_ROWS} more`)
+                        )
+                    )
+                )
+        );
+    }
+
+    // Make AnomalyList available globally
+    window.AnomalyList = AnomalyList;
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.components = window.ChaiVision.components || {};
+    window.ChaiVision.components.AnomalyList = AnomalyList;
+})();
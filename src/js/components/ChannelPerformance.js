@@ -6,11 +6,14 @@
 (function() {
     'use strict';
     
-    function ChannelPerformance({ kpis, view, selectedPeriod, selectedYear, selectedMonth, selectedBrand, onChannelClick }) {
+    function ChannelPerformance({ kpis, view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange, selectedBrand, onChannelClick }) {
         const { createElement: h } = React;
         
         // Get dependencies from window
         const { formatCurrency } = window.formatters || {};
+        const { getAchievementStatus, formatKpiLevel } = window.kpiLevels || {};
+        const { describeFreshness } = window.dataFreshness || {};
+        const threshold = kpis.kpiThreshold ?? 85;
         const CHANNEL_COLORS = window.CHANNEL_COLORS || {
             'Amazon': '#FF9900',
             'TikTok': '#000000',
@@ -39,6 +42,8 @@
                         selectedPeriod: selectedPeriod || null,
                         selectedYear: selectedYear || new Date().getFullYear().toString(),
                         selectedMonth: selectedMonth || null,
+                        selectedWeek: selectedWeek || null,
+                        customRange: customRange || null,
                         selectedBrand: selectedBrand || 'All Brands'
                     };
                     sessionStorage.setItem('dashboard_state', JSON.stringify(dashboardState));
@@ -50,7 +55,11 @@
                         view: view || 'quarterly',
                         period: selectedPeriod || null,
                         year: selectedYear || new Date().getFullYear().toString(),
-                        month: selectedMonth || null
+                        month: selectedMonth || null,
+                        week: view === 'weekly' ? selectedWeek || null : null,
+                        // Custom ranges are pinned to dates so the SKU page shows the same days
+                        start: view === 'custom' ? customRange?.start || null : null,
+                        end: view === 'custom' ? customRange?.end || null : null
                     });
                     
                     window.location.href = route;
@@ -61,6 +70,8 @@
                     selectedPeriod: selectedPeriod || null,
                     selectedYear: selectedYear || new Date().getFullYear().toString(),
                     selectedMonth: selectedMonth || null,
+                    selectedWeek: selectedWeek || null,
+                    customRange: customRange || null,
                     selectedBrand: selectedBrand || 'All Brands'
                 });
             }
@@ -75,7 +86,15 @@
                     // Ensure channel is a string
                     const channelName = typeof channel === 'string' ? channel : (channel?.name || String(channel));
                     const achievement = kpis.channelAchievements?.[channelName] || 0;
+                    const status = getAchievementStatus
+                        ? getAchievementStatus(achievement, threshold)
+                        : achievement >= 100 ? 'success' : achievement >= threshold ? 'warning' : 'danger';
                     const channelClass = channelName.toLowerCase().replace(/[\s-]/g, '-');
+                    const growth = kpis.comparison?.channelGrowth?.[channelName];
+                    const freshness = kpis.freshness?.channels?.[channelName];
+                    const brandDates = Object.entries(kpis.freshness?.brands || {})
+                        .filter(([, status]) => status.channels[channelName])
+                        .map(([brand, status]) => `${brand}: ${describeFreshness(status.channels[channelName])}`);
                     
                     return h('div', { 
                         key: channelName, 
@@ -99,13 +118,13 @@
                             h('span', { 
                                 className: 'channel-badge',
                                 style: {
-                                    background: achievement >= 100 ? 
+                                    background: status === 'success' ? 
                                         'linear-gradient(135deg, #D1FAE5, #A7F3D0)' :
-                                        achievement >= 85 ? 
+                                        status === 'warning' ? 
                                         'linear-gradient(135deg, #FEF3C7, #FDE68A)' :
                                         'linear-gradient(135deg, #FEE2E2, #FCA5A5)',
-                                    color: achievement >= 100 ? '#065F46' :
-                                           achievement >= 85 ? '#92400E' : '#991B1B'
+                                    color: status === 'success' ? '#065F46' :
+                                           status === 'warning' ? '#92400E' : '#991B1B'
                                 }
                             }, 
                                 `${achievement.toFixed(1)}%`
@@ -117,13 +136,20 @@
                                 h('div', { className: 'metric-value' }, 
                                     formatCurrency ? formatCurrency(kpis.channelRevenues?.[channel] || 0, 'USD', false) : 
                                     '$' + Number(kpis.channelRevenues?.[channel] || 0).toFixed(2)
+                                ),
+                                growth && h('div', { 
+                                    className: `metric-change ${growth.status}`,
+                                    title: `${kpis.comparison.label}: ${formatCurrency ? formatCurrency(growth.previous, 'USD', false) : '$' + growth.previous.toFixed(2)}`
+                                },
+                                    growth.value === undefined ? growth.text :
+                                        `${growth.text} (${growth.delta < 0 ? '-' : '+'}${formatCurrency ? formatCurrency(Math.abs(growth.delta)) : '$' + Math.abs(growth.delta).toFixed(0)})`
                                 )
                             ),
                             h('div', { className: 'metric-item' },
-                                h('div', { className: 'metric-label' }, '85% Target'),
+                                h('div', { className: 'metric-label' }, `${formatKpiLevel ? formatKpiLevel(threshold) : threshold + '%'} Target`),
                                 h('div', { className: 'metric-value' }, 
-                                    formatCurrency ? formatCurrency(kpis.channelTargets85?.[channel] || 0) : 
-                                    '$' + (kpis.channelTargets85?.[channel] || 0)
+                                    formatCurrency ? formatCurrency(kpis.channelTargetsKpi?.[channel] || 0) : 
+                                    '$' + (kpis.channelTargetsKpi?.[channel] || 0)
                                 )
                             )
                         ),
@@ -140,6 +166,14 @@
                                 )
                             )
                         ),
+                        freshness && describeFreshness && h('div', {
+                            className: `channel-freshness${freshness.stale ? ' stale' : ''}`,
+                            title: brandDates.join('\n') || undefined
+                        },
+                            freshness.lastDate
+                                ? `${freshness.stale ? '⚠️' : '📅'} Data through ${describeFreshness(freshness)}`
+                                : '📅 No data loaded'
+                        ),
                         h('div', { 
                             className: 'channel-click-hint',
                             style: {
@@ -15,6 +15,8 @@
             view,
             selectedPeriod,
             selectedMonth,
+            selectedWeek,
+            customRange,
             selectedYear
         } = props;
 
@@ -32,6 +34,8 @@
 
         // Get formatters from window
         const { formatCurrency } = window.formatters || {};
+        const { formatKpiLevel } = window.kpiLevels || {};
+        const { summarizeForecastDays } = window.forecasting || {};
 
         // Get data from window
         // Get config from window
@@ -66,18 +70,11 @@
 
         // Get display title helper
         const getDisplayTitle = useCallback(() => {
-            let periodText = '';
-            if (view === 'annual') {
-                periodText = selectedYear;
-            } else if (view === 'quarterly') {
-                periodText = `${selectedPeriod} ${selectedYear}`;
-            } else if (view === 'monthly') {
-                const monthNames = ['', 'January', 'February', 'March', 'April', 'May', 'June',
-                    'July', 'August', 'September', 'October', 'November', 'December'];
-                periodText = `${monthNames[selectedMonth]} ${selectedYear}`;
-            }
-            return periodText;
-        }, [view, selectedPeriod, selectedMonth, selectedYear]);
+            const { getPeriodLabel } = window.dateUtils || {};
+            return getPeriodLabel
+                ? getPeriodLabel(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange)
+                : `${selectedPeriod} ${selectedYear}`;
+        }, [view, selectedPeriod, selectedMonth, selectedWeek, customRange, selectedYear]);
 
         // Optimized data processing with memoization
         const processedChartData = useMemo(() => {
@@ -95,60 +92,190 @@
             // Prepare trend data based on view
             let trendLabels = [];
             let trendData = [];
+            // Days behind each point when they differ (custom ranges bucketed by month)
+            let trendDays = null;
+            // Dates behind each point, for laying the forecast over the trend
+            const trendDates = [];
+
+            const { getMonthOptions, getQuarterMonths, getFiscalMonthRange, getISOWeekStart, getPeriodBounds, toDateString, addDaysToDateString } = window.dateUtils || {};
+            const shortMonthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+            const fullMonthNames = ['January', 'February', 'March', 'April', 'May', 'June',
+                'July', 'August', 'September', 'October', 'November', 'December'];
+
+            // Revenue of a fiscal month (a calendar month unless a 4-4-5 calendar is configured)
+            const getFiscalMonthRevenue = (month) => {
+                const range = getFiscalMonthRange(selectedYear, month);
+                const start = toDateString(range.start);
+                const end = toDateString(range.end);
+                const dates = [];
+                for (let date = start; date <= end; date = addDaysToDateString(date, 1)) dates.push(date);
+                trendDates.push(dates);
+                return filteredSalesData
+                    .filter(d => d.date && d.date >= start && d.date <= end)
+                    .reduce((sum, d) => sum + (d.revenue || 0), 0);
+            };
 
             if (view === 'annual') {
-                // Show monthly trends for the year
-                const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-                trendLabels = monthNames;
-
-                for (let month = 1; month <= 12; month++) {
-                    const monthStr = month.toString().padStart(2, '0');
-                    const monthData = filteredSalesData.filter(d => {
-                        if (!d.date) return false;
-                        const [year, m] = d.date.split('-');
-                        return year === selectedYear && m === monthStr;
-                    });
-                    const monthRevenue = monthData.reduce((sum, d) => sum + (d.revenue || 0), 0);
-                    trendData.push(monthRevenue);
-                }
+                // Show monthly trends for the fiscal year
+                const months = getMonthOptions().map(option => option.value);
+                trendLabels = months.map(month => shortMonthNames[month - 1]);
+                months.forEach(month => trendData.push(getFiscalMonthRevenue(month)));
             } else if (view === 'quarterly') {
-                // Show monthly trends within the quarter
-                const quarterMonths = {
-                    'Q1': [{ num: '01', name: 'January' }, { num: '02', name: 'February' }, { num: '03', name: 'March' }],
-                    'Q2': [{ num: '04', name: 'April' }, { num: '05', name: 'May' }, { num: '06', name: 'June' }],
-                    'Q3': [{ num: '07', name: 'July' }, { num: '08', name: 'August' }, { num: '09', name: 'September' }],
-                    'Q4': [{ num: '10', name: 'October' }, { num: '11', name: 'November' }, { num: '12', name: 'December' }]
-                };
+                // Show monthly trends within the fiscal quarter
+                const months = getQuarterMonths(selectedPeriod);
+                trendLabels = months.map(month => fullMonthNames[month - 1]);
+                months.forEach(month => trendData.push(getFiscalMonthRevenue(month)));
+            } else if (view === 'monthly') {
+                // Show daily trends within the month; 4-4-5 periods can span two calendar months
+                const { start, end } = getFiscalMonthRange(selectedYear, selectedMonth);
+                const spansMonths = start.getMonth() !== end.getMonth();
+                const revenueByDate = {};
+                filteredSalesData.forEach(d => {
+                    if (d.date) revenueByDate[d.date] = (revenueByDate[d.date] || 0) + (d.revenue || 0);
+                });
 
-                const months = quarterMonths[selectedPeriod] || [];
-                trendLabels = months.map(m => m.name);
+                for (const day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+                    trendLabels.push(spansMonths ? `${day.getMonth() + 1}/${day.getDate()}` : day.getDate().toString());
+                    trendData.push(revenueByDate[toDateString(day)] || 0);
+                    trendDates.push([toDateString(day)]);
+                }
+            } else if (view === 'weekly') {
+                // Show daily trends Monday-Sunday within the ISO week
+                const dayNames = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+                const day = getISOWeekStart(selectedYear, selectedWeek);
+
+                dayNames.forEach(dayName => {
+                    const dateStr = toDateString(day);
+                    trendLabels.push(`${dayName} ${day.getMonth() + 1}/${day.getDate()}`);
+                    const dayRevenue = filteredSalesData
+                        .filter(d => d.date === dateStr)
+                        .reduce((sum, d) => sum + (d.revenue || 0), 0);
+                    trendData.push(dayRevenue);
+                    trendDates.push([dateStr]);
+                    day.setDate(day.getDate() + 1);
+                });
+            } else if (view === 'custom') {
+                // Daily trend for ranges up to a quarter, calendar months beyond that
+                const { start, end } = getPeriodBounds(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange);
+                const revenueByDate = {};
+                filteredSalesData.forEach(d => {
+                    if (d.date) revenueByDate[d.date] = (revenueByDate[d.date] || 0) + (d.revenue || 0);
+                });
+                const spanDays = Math.round((end - start) / 86400000) + 1;
 
-                months.forEach(month => {
-                    const monthData = filteredSalesData.filter(d => {
-                        if (!d.date) return false;
-                        const [year, m] = d.date.split('-');
-                        return year === selectedYear && m === month.num;
-                    });
-                    const monthRevenue = monthData.reduce((sum, d) => sum + (d.revenue || 0), 0);
-                    trendData.push(monthRevenue);
+                if (spanDays <= 92) {
+                    for (const day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+                        trendLabels.push(`${day.getMonth() + 1}/${day.getDate()}`);
+                        trendData.push(revenueByDate[toDateString(day)] || 0);
+                        trendDates.push([toDateString(day)]);
+                    }
+                } else {
+                    const buckets = {};
+                    trendDays = [];
+                    for (const day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+                        const key = `${shortMonthNames[day.getMonth()]} ${day.getFullYear()}`;
+                        if (!(key in buckets)) {
+                            buckets[key] = trendLabels.length;
+                            trendLabels.push(key);
+                            trendData.push(0);
+                            trendDays.push(0);
+                            trendDates.push([]);
+                        }
+                        trendData[buckets[key]] += revenueByDate[toDateString(day)] || 0;
+                        trendDays[buckets[key]] += 1;
+                        trendDates[buckets[key]].push(toDateString(day));
+                    }
+                }
+            }
+
+            // Comparison series: month-level views line up month by month from the comparison start,
+            // daily views day by day (points covering several days sum the same number of days)
+            const comparison = kpis.comparison;
+            let comparisonTrend = null;
+            if (comparison && trendLabels.length > 0) {
+                const comparisonByDate = {};
+                comparison.rows.forEach(d => {
+                    if (d.date) comparisonByDate[d.date] = (comparisonByDate[d.date] || 0) + (d.revenue || 0);
                 });
-            } else if (view === 'monthly') {
-                // Show daily trends within the month
-                const daysInMonth = new Date(selectedYear, selectedMonth, 0).getDate();
-                trendLabels = Array.from({ length: daysInMonth }, (_, i) => (i + 1).toString());
-
-                for (let day = 1; day <= daysInMonth; day++) {
-                    const dayStr = day.toString().padStart(2, '0');
-                    const monthStr = selectedMonth.toString().padStart(2, '0');
-                    const dayData = filteredSalesData.filter(d => {
-                        if (!d.date) return false;
-                        const [year, month, dayPart] = d.date.split('-');
-                        return year === selectedYear && month === monthStr && dayPart === dayStr;
+
+                if (view === 'annual' || view === 'quarterly') {
+                    const comparisonByMonth = {};
+                    Object.keys(comparisonByDate).forEach(date => {
+                        const key = date.slice(0, 7);
+                        comparisonByMonth[key] = (comparisonByMonth[key] || 0) + comparisonByDate[date];
                     });
-                    const dayRevenue = dayData.reduce((sum, d) => sum + (d.revenue || 0), 0);
-                    trendData.push(dayRevenue);
+                    const cursor = new Date(parseInt(comparison.start.slice(0, 4)), parseInt(comparison.start.slice(5, 7)) - 1, 1);
+                    comparisonTrend = trendLabels.map(() => {
+                        const key = toDateString(cursor).slice(0, 7);
+                        cursor.setMonth(cursor.getMonth() + 1);
+                        return comparisonByMonth[key] || 0;
+                    });
+                } else {
+                    let offset = 0;
+                    comparisonTrend = (trendDays || trendLabels.map(() => 1)).map(days => {
+                        let sum = 0;
+                        for (let i = 0; i < days; i++) {
+                            sum += comparisonByDate[addDaysToDateString(comparison.start, offset + i)] || 0;
+                        }
+                        offset += days;
+                        return sum;
+                    });
+                }
+            }
+            const comparisonSeriesLabel = comparison?.mode === 'yoy' ? 'Last Year'
+                : comparison?.mode === 'previous' ? 'Prior Period' : 'Comparison';
+
+            // Forecast band: revenue to date plus the forecast for days still to come, with its interval
+            const forecast = kpis.forecast;
+            let forecastTrend = null;
+            let forecastLower = null;
+            let forecastUpper = null;
+            if (forecast && forecast.days.length > 0 && summarizeForecastDays) {
+                const forecastByDate = {};
+                forecast.days.forEach(day => {
+                    forecastByDate[day.date] = day;
+                });
+                forecastTrend = [];
+                forecastLower = [];
+                forecastUpper = [];
+                let lastActualIndex = -1;
+
+                trendDates.forEach((dates, index) => {
+                    const days = dates.map(date => forecastByDate[date]).filter(Boolean);
+                    if (days.length === 0) {
+                        if (dates.every(date => date < forecast.forecastStart)) lastActualIndex = index;
+                        forecastTrend.push(null);
+                        forecastLower.push(null);
+                        forecastUpper.push(null);
+                        return;
+                    }
+                    const summary = summarizeForecastDays(days, forecast.confidence);
+                    forecastTrend.push(trendData[index] + summary.expected);
+                    forecastLower.push(trendData[index] + summary.lower);
+                    forecastUpper.push(trendData[index] + summary.upper);
+                });
+
+                // Join the forecast to the last actual point so the lines connect
+                if (lastActualIndex >= 0 && forecastTrend[lastActualIndex + 1] !== null && forecastTrend[lastActualIndex + 1] !== undefined) {
+                    forecastTrend[lastActualIndex] = trendData[lastActualIndex];
+                    forecastLower[lastActualIndex] = trendData[lastActualIndex];
+                    forecastUpper[lastActualIndex] = trendData[lastActualIndex];
                 }
             }
+            const forecastSeriesLabel = forecast ? `Forecast (${Math.round(forecast.confidence * 100)}% range)` : 'Forecast';
+
+            // Anomaly markers: on the trend at each point with a flagged day, described in its tooltip
+            const { describeAnomaly } = window.anomalyDetection || {};
+            let anomalyPoints = null;
+            let anomalyNotes = null;
+            if (kpis.anomalies?.length > 0 && describeAnomaly) {
+                anomalyNotes = trendDates.map(dates => {
+                    const notes = kpis.anomalies.filter(anomaly => dates.includes(anomaly.date)).map(describeAnomaly);
+                    return notes.length > 5 ? [...notes.slice(0, 5), `…and ${notes.length - 5} more`] : notes;
+                });
+                anomalyPoints = anomalyNotes.map((notes, index) => notes.length > 0 ? trendData[index] : null);
+                if (anomalyPoints.every(value => value === null)) anomalyPoints = null;
+            }
 
             // Prepare channel breakdown data using normalized matching
             const normalizeKey = (value) => String(value || '')
@@ -163,33 +290,54 @@
                 return {
                     channel,
                     revenue: totalRevenue,
+                    comparisonRevenue: comparison ? (comparison.channelRevenues?.[channel] || 0) : null,
+                    growth: comparison?.channelGrowth?.[channel] || null,
                     color: CHANNEL_COLORS[channel] || '#6B7280'
                 };
             }).sort((a, b) => b.revenue - a.revenue);
 
-            // Build 85% target series per label for the selected view (daily/monthly target)
-            const totalTarget85 = kpis?.totalTarget85 || 0;
+            // KPI target series per point: the phased daily curve summed over each point's days,
+            // otherwise the KPI target spread evenly by days (or points)
+            const totalTargetKpi = kpis?.totalTargetKpi || 0;
+            const dailyTargetsKpi = kpis?.dailyTargetsKpi || {};
+            const hasPhasedTargets = Object.keys(dailyTargetsKpi).length > 0;
             const pointsCount = trendLabels.length || 1;
-            const perPointTarget = totalTarget85 / pointsCount;
-            const target85Series = trendLabels.map(() => perPointTarget);
+            const perPointTarget = totalTargetKpi / pointsCount;
+            const totalDays = trendDays ? trendDays.reduce((sum, days) => sum + days, 0) : 0;
+            const targetKpiSeries = hasPhasedTargets
+                ? trendDates.map(dates => dates.reduce((sum, date) => sum + (dailyTargetsKpi[date] || 0), 0))
+                : trendDays && totalDays > 0
+                    ? trendDays.map(days => totalTargetKpi * days / totalDays)
+                    : trendLabels.map(() => perPointTarget);
+            const kpiThreshold = kpis?.kpiThreshold ?? 85;
+            const targetSeriesLabel = `${formatKpiLevel ? formatKpiLevel(kpiThreshold) : kpiThreshold + '%'} Target`;
 
             // Add channel targets to the result for bar chart
             const channelTargets = {};
             displayChannels.forEach(channel => {
-                channelTargets[channel] = kpis?.channelTargets85?.[channel] || 0;
+                channelTargets[channel] = kpis?.channelTargetsKpi?.[channel] || 0;
             });
 
             const result = {
                 trendLabels,
                 trendData,
-                target85Series,
+                targetKpiSeries,
+                targetSeriesLabel,
+                comparisonTrend,
+                comparisonSeriesLabel,
+                forecastTrend,
+                forecastLower,
+                forecastUpper,
+                forecastSeriesLabel,
+                anomalyPoints,
+                anomalyNotes,
                 channelData,
                 channelTargets,
                 totalRevenue: trendData.reduce((sum, val) => sum + val, 0)
             };
 
             return result;
-        }, [kpis, selectedChannels, view, selectedPeriod, selectedMonth, selectedYear, ALL_CHANNELS, CHANNEL_COLORS]);
+        }, [kpis, selectedChannels, view, selectedPeriod, selectedMonth, selectedWeek, customRange, selectedYear, ALL_CHANNELS, CHANNEL_COLORS]);
 
         // Debounced chart update
         const updateCharts = useCallback(() => {
@@ -274,7 +422,16 @@
             if (lineChartInstance.current) {
                 lineChartInstance.current.data.labels = data.trendLabels;
                 lineChartInstance.current.data.datasets[0].data = data.trendData;
-                lineChartInstance.current.data.datasets[1].data = data.target85Series || [];
+                lineChartInstance.current.data.datasets[1].data = data.targetKpiSeries || [];
+                lineChartInstance.current.data.datasets[1].label = data.targetSeriesLabel;
+                lineChartInstance.current.data.datasets[2].data = data.comparisonTrend || [];
+                lineChartInstance.current.data.datasets[2].label = data.comparisonSeriesLabel;
+                lineChartInstance.current.data.datasets[3].data = data.forecastTrend || [];
+                lineChartInstance.current.data.datasets[3].label = data.forecastSeriesLabel;
+                lineChartInstance.current.data.datasets[4].data = data.forecastLower || [];
+                lineChartInstance.current.data.datasets[5].data = data.forecastUpper || [];
+                lineChartInstance.current.data.datasets[6].data = data.anomalyPoints || [];
+                lineChartInstance.current.data.datasets[6].notes = data.anomalyNotes || [];
                 lineChartInstance.current.update('none'); // Update without animation for smooth UX
                 return;
             }
@@ -301,8 +458,8 @@
                             pointHoverRadius: 6
                         },
                         {
-                            label: '85% Target',
-                            data: data.target85Series || [],
+                            label: data.targetSeriesLabel,
+                            data: data.targetKpiSeries || [],
                             borderColor: '#10B981',
                             backgroundColor: 'transparent',
                             borderWidth: 2,
@@ -310,6 +467,64 @@
                             tension: 0,
                             pointRadius: 0,
                             borderDash: [6, 4]
+                        },
+                        {
+                            label: data.comparisonSeriesLabel,
+                            data: data.comparisonTrend || [],
+                            borderColor: '#9CA3AF',
+                            backgroundColor: 'transparent',
+                            borderWidth: 2,
+                            fill: false,
+                            tension: 0.4,
+                            pointRadius: 2,
+                            borderDash: [2, 3]
+                        },
+                        {
+                            label: data.forecastSeriesLabel,
+                            data: data.forecastTrend || [],
+                            borderColor: '#8B5CF6',
+                            backgroundColor: 'transparent',
+                            borderWidth: 2,
+                            fill: false,
+                            tension: 0.4,
+                            pointRadius: 2,
+                            borderDash: [6, 3],
+                            spanGaps: false
+                        },
+                        {
+                            // Lower and upper bounds; the upper bound fills down to the lower one
+                            label: 'Forecast Low',
+                            data: data.forecastLower || [],
+                            borderColor: 'transparent',
+                            backgroundColor: 'transparent',
+                            fill: false,
+                            tension: 0.4,
+                            pointRadius: 0,
+                            bandEdge: true
+                        },
+                        {
+                            label: 'Forecast High',
+                            data: data.forecastUpper || [],
+                            borderColor: 'transparent',
+                            backgroundColor: 'rgba(139, 92, 246, 0.15)',
+                            fill: '-1',
+                            tension: 0.4,
+                            pointRadius: 0,
+                            bandEdge: true
+                        },
+                        {
+                            label: 'Anomalies',
+                            data: data.anomalyPoints || [],
+                            notes: data.anomalyNotes || [],
+                            borderColor: '#EF4444',
+                            backgroundColor: '#EF4444',
+                            showLine: false,
+                            pointStyle: 'triangle',
+                            pointBackgroundColor: '#EF4444',
+                            pointBorderColor: '#ffffff',
+                            pointBorderWidth: 1,
+                            pointRadius: 7,
+                            pointHoverRadius: 9
                         }
                     ]
                 },
@@ -319,7 +534,30 @@
                     plugins: {
                         legend: {
                             display: true,
-                            position: 'top'
+                            position: 'top',
+                            labels: {
+                                // The comparison, forecast and anomaly series are empty unless selected/available;
+                                // the forecast band edges are never listed
+                                filter: (item, chartData) => chartData.datasets[item.datasetIndex].data.length > 0 &&
+                                    !chartData.datasets[item.datasetIndex].bandEdge
+                            }
+                        },
+                        tooltip: {
+                            // One tooltip line for the band: 'Forecast range: $1.2M – $1.4M'
+                            filter: (item) => item.raw !== null && item.dataset.label !== 'Forecast Low',
+                            callbacks: {
+                                label: (context) => {
+                                    const format = (value) => formatCurrency ? formatCurrency(value) : `$${Number(value).toLocaleString()}`;
+                                    if (context.dataset.label === 'Forecast High') {
+                                        const lower = context.chart.data.datasets[4].data[context.dataIndex];
+                                        return `Forecast range: ${format(lower)} – ${format(context.raw)}`;
+                                    }
+                                    if (context.dataset.label === 'Anomalies') {
+                                        return context.dataset.notes[context.dataIndex];
+                                    }
+                                    return `${context.dataset.label}: ${format(context.raw)}`;
+                                }
+                            }
                         }
                     },
                     scales: {
@@ -360,13 +598,18 @@
             const actualData = data.channelData.map(ch => ch.revenue);
 
             // Get target data from the data parameter
-            const target85Data = channelNames.map(ch => Number(data.channelTargets?.[ch] || 0));
+            const targetKpiData = channelNames.map(ch => Number(data.channelTargets?.[ch] || 0));
+            const comparisonData = data.comparisonTrend ? data.channelData.map(ch => ch.comparisonRevenue || 0) : [];
 
             // If chart already exists, update it instead of recreating
             if (barChartInstance.current) {
                 barChartInstance.current.data.labels = channelNames;
                 barChartInstance.current.data.datasets[0].data = actualData;
-                barChartInstance.current.data.datasets[1].data = target85Data;
+                barChartInstance.current.data.datasets[0].growth = data.channelData.map(ch => ch.growth);
+                barChartInstance.current.data.datasets[1].data = targetKpiData;
+                barChartInstance.current.data.datasets[1].label = data.targetSeriesLabel;
+                barChartInstance.current.data.datasets[2].data = comparisonData;
+                barChartInstance.current.data.datasets[2].label = `${data.comparisonSeriesLabel} Revenue`;
                 barChartInstance.current.update('none'); // Update without animation for smooth UX
                 return;
             }
@@ -385,6 +628,7 @@
                         {
                             label: 'Actual Revenue',
                             data: actualData,
+                            growth: data.channelData.map(ch => ch.growth),
                             backgroundColor: 'rgba(251, 191, 36, 0.6)', /* amber */
                             borderColor: 'rgb(245, 158, 11)',
                             borderWidth: 2,
@@ -392,13 +636,22 @@
                             barPercentage: 0.45
                         },
                         {
-                            label: '85% Target',
-                            data: target85Data,
+                            label: data.targetSeriesLabel,
+                            data: targetKpiData,
                             backgroundColor: 'rgba(229, 231, 235, 0.9)', /* gray-200 */
                             borderColor: 'rgb(209, 213, 219)',
                             borderWidth: 2,
                             categoryPercentage: 0.6,
                             barPercentage: 0.45
+                        },
+                        {
+                            label: `${data.comparisonSeriesLabel} Revenue`,
+                            data: comparisonData,
+                            backgroundColor: 'rgba(156, 163, 175, 0.5)', /* gray-400 */
+                            borderColor: 'rgb(107, 114, 128)',
+                            borderWidth: 2,
+                            categoryPercentage: 0.6,
+                            barPercentage: 0.45
                         }
                     ]
                 },
@@ -408,7 +661,18 @@
                     plugins: {
                         legend: {
                             display: true,
-                            position: 'top'
+                            position: 'top',
+                            labels: {
+                                filter: (item, chartData) => chartData.datasets[item.datasetIndex].data.length > 0
+                            }
+                        },
+                        tooltip: {
+                            callbacks: {
+                                afterLabel: function (context) {
+                                    const growth = context.dataset.growth?.[context.dataIndex];
+                                    return growth ? `Growth: ${growth.text}` : '';
+                                }
+                            }
                         }
                     },
                     scales: {
@@ -437,6 +701,7 @@
                 pieChartInstance.current.data.labels = data.channelData.map(d => d.channel);
                 pieChartInstance.current.data.datasets[0].data = data.channelData.map(d => d.revenue);
                 pieChartInstance.current.data.datasets[0].backgroundColor = data.channelData.map(d => d.color);
+                pieChartInstance.current.data.datasets[0].growth = data.channelData.map(d => d.growth);
                 pieChartInstance.current.update('none'); // Update without animation for smooth UX
                 return;
             }
@@ -450,6 +715,7 @@
                     datasets: [{
                         data: data.channelData.map(d => d.revenue),
                         backgroundColor: data.channelData.map(d => d.color),
+                        growth: data.channelData.map(d => d.growth),
                         borderColor: '#ffffff',
                         borderWidth: 2
                     }]
@@ -471,7 +737,9 @@
                                     const value = context.parsed;
                                     const total = context.dataset.data.reduce((a, b) => a + b, 0);
                                     const percentage = ((value / total) * 100).toFixed(1);
-                                    return `${context.label}: ${formatCurrency ? formatCurrency(value) : `$${value.toLocaleString()}`} (${percentage}%)`;
+                                    const growth = context.dataset.growth?.[context.dataIndex];
+                                    return `${context.label}: ${formatCurrency ? formatCurrency(value) : `$${value.toLocaleString()}`} (${percentage}%)` +
+                                        (growth ? ` ${growth.text}` : '');
                                 }
                             }
                         }
@@ -16,16 +16,28 @@
             setSelectedPeriod,
             selectedMonth,
             setSelectedMonth,
-            selectedYear,
+            selectedWeek,
+            setSelectedWeek,
+            customRange,
+            setCustomRange,
+            selectedYear, // Fiscal year; the ISO week-year in the weekly view
             setSelectedYear,
             selectedBrand,
             setSelectedBrand,
+            comparisonMode = 'none',
+            setComparisonMode,
+            comparisonRange,
+            setComparisonRange,
+            comparisonData,
+            selectedScenario = '',
+            setSelectedScenario,
+            forecastHistory,
             salesData,
             config,
             dataService,
             dynamicBrands,
             dynamicChannels,
-            dynamicTargets,
+            dynamicTargets: realTargets,
             userRole,        // Added for permission checking
             userPermissions  // Added for filtering
         } = props;
@@ -93,14 +105,76 @@
         };
 
         // Get dependencies from window
-        const { formatCurrency, formatPercent } = window.formatters || {};
-        const { getDaysInPeriod, getDaysElapsed, getDaysInQuarter, getDaysInMonth } = window.dateUtils || {};
+        const { formatCurrency, formatPercent, formatGrowth } = window.formatters || {};
+        const { getComparisonModeOptions, getComparisonLabel, getDaysInPeriod, getDaysElapsed, getPeriodQuarterShares, getPeriodDateRange, getISOWeekStart, getISOWeekEnd, getPeriodLabel, getFiscalYearLabel, normalizeDateKey, getTodayString, addDaysToDateString } = window.dateUtils || {};
+        const { getKpiLevels, combineKpiTiers, formatKpiLevel } = window.kpiLevels || {};
+        const { getPhasing, getPhasedQuarterShares, getTargetSlices, distributeTarget } = window.targetPhasing || {};
+        const { buildForecast } = window.forecasting || {};
+        const { simulateTargetOutcomes } = window.targetSimulation || {};
+        const { applyScenario, getScenarioKey } = window.targetScenarios || {};
+        const { evaluateAlertRules, loadAlertLog, saveAlertLog, mergeAlerts } = window.alertRules || {};
+        const { detectAnomalies } = window.anomalyDetection || {};
+        const { getFreshnessSettings, getExpectedDataDate, getDataFreshness, describeFreshness } = window.dataFreshness || {};
         const KPICards = window.KPICards || window.ChaiVision?.components?.KPICards || (() => null);
         const ChannelPerformance = window.ChannelPerformance || window.ChaiVision?.components?.ChannelPerformance || (() => null);
         const Charts = window.ChaiVision?.components?.Charts || window.Charts || (() => null);
+        const TargetProbability = window.TargetProbability || window.ChaiVision?.components?.TargetProbability || (() => null);
+        const AnomalyList = window.AnomalyList || window.ChaiVision?.components?.AnomalyList || (() => null);
         
         // State for charts and dynamic channels
         const [selectedChannels, setSelectedChannels] = useState([]);
+        const [scenarios, setScenarios] = useState([]);
+        
+        // Alert rules the user subscribes to (user_preferences.alert_subscriptions) and the alerts they fired
+        const alertUserId = window.APP_STATE?.currentUser?.id || null;
+        const [subscribedRules, setSubscribedRules] = useState([]);
+        const [alertLog, setAlertLog] = useState(() => loadAlertLog ? loadAlertLog(alertUserId) : []);
+        const [showAlerts, setShowAlerts] = useState(false);
+        
+        // Reviews of detected anomalies, by anomaly key
+        const [anomalyReviews, setAnomalyReviews] = useState({});
+        
+        // Last loaded day per brand and channel; stale channels can be left out of the run rate
+        const [lastSalesDates, setLastSalesDates] = useState([]);
+        const [excludeStale, setExcludeStale] = useState(() => getFreshnessSettings ? getFreshnessSettings().EXCLUDE_STALE_FROM_RUN_RATE : false);
+        const [showFreshness, setShowFreshness] = useState(false);
+        
+        useEffect(() => {
+            const subscriptions = window.APP_STATE?.preferences?.alert_subscriptions || [];
+            if (!dataService?.loadAlertRules || !evaluateAlertRules || subscriptions.length === 0) return;
+            dataService.loadAlertRules()
+                .then(rules => setSubscribedRules((rules || []).filter(rule => subscriptions.includes(rule.id))))
+                .catch(err => console.warn('⚠️ Failed to load alert rules:', err));
+        }, [dataService]);
+        
+        useEffect(() => {
+            if (!dataService?.loadAnomalyReviews || !detectAnomalies) return;
+            dataService.loadAnomalyReviews()
+                .then(reviews => setAnomalyReviews(Object.fromEntries((reviews || []).map(review => [review.key, review]))))
+                .catch(err => console.warn('⚠️ Failed to load anomaly reviews:', err));
+        }, [dataService]);
+        
+        // Reloaded with the sales data so an upload shows up; cached until sales change
+        useEffect(() => {
+            if (!dataService?.loadLastSalesDates || !getDataFreshness) return;
+            dataService.loadLastSalesDates()
+                .then(rows => setLastSalesDates(rows || []))
+                .catch(err => console.warn('⚠️ Failed to load last sales dates:', err));
+        }, [dataService, salesData]);
+        
+        // What-if scenarios (see targetScenarios.js); the selected one replaces the targets for its year
+        useEffect(() => {
+            if (!dataService?.loadScenarios || !setSelectedScenario) return;
+            dataService.loadScenarios()
+                .then(saved => setScenarios(saved || []))
+                .catch(err => console.warn('⚠️ Failed to load target scenarios:', err));
+        }, [dataService]);
+        
+        const activeScenario = useMemo(() => selectedScenario && getScenarioKey
+            ? scenarios.find(scenario => getScenarioKey(scenario) === selectedScenario) || null
+            : null, [scenarios, selectedScenario]);
+        const dynamicTargets = useMemo(() => applyScenario ? applyScenario(realTargets, activeScenario) : realTargets,
+            [realTargets, activeScenario]);
         
         // Get initial data
         const INITIAL_DATA = window.ChaiVision?.INITIAL_DATA || {};
@@ -136,6 +210,26 @@
             );
         }, [userPermissions, userRole]);
         
+        // Freshness of the brands and channels in view. A period that ended before the expected
+        // date only needs data through its last day.
+        const freshness = useMemo(() => {
+            if (!getDataFreshness || !getExpectedDataDate || lastSalesDates.length === 0) return null;
+            
+            const isCompanyTotal = selectedBrand === 'All Brands' || selectedBrand === 'All Brands (Company Total)' || selectedBrand === 'All My Brands';
+            const expectedDate = getExpectedDataDate();
+            const periodEnd = getPeriodDateRange
+                ? getPeriodDateRange(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange).end
+                : null;
+            return getDataFreshness(lastSalesDates, {
+                brands: isCompanyTotal ? availableBrands : availableBrands.filter(brand => normalizeKey(brand) === normalizeKey(selectedBrand)),
+                channels: availableChannels,
+                mapChannel: (channel) => mapChannelName(channel, availableChannels),
+                expectedDate: periodEnd && periodEnd < expectedDate ? periodEnd : expectedDate
+            });
+        }, [lastSalesDates, view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange,
+            selectedBrand, availableBrands, availableChannels]);
+        const staleChannels = freshness?.staleChannels || [];
+        
         // Calculate KPIs with permission filtering
         const kpis = useMemo(() => {
             const validateSalesRecord = (record) => {
@@ -224,29 +318,12 @@
                 console.log(`🔍 Sample brands in data after filter:`, [...new Set(filteredData.map(d => d._brand))].slice(0, 5));
             }
             
-            // Filter by period
-            if (view === 'annual') {
-                filteredData = filteredData.filter(d => d.date && d.date.startsWith(selectedYear));
-            } else if (view === 'quarterly') {
-                const quarterMonths = {
-                    'Q1': ['01', '02', '03'],
-                    'Q2': ['04', '05', '06'],
-                    'Q3': ['07', '08', '09'],
-                    'Q4': ['10', '11', '12']
-                };
-                const months = quarterMonths[selectedPeriod] || [];
-                filteredData = filteredData.filter(d => {
-                    if (!d.date) return false;
-                    const [year, month] = d.date.split('-');
-                    return year === selectedYear && months.includes(month);
-                });
-            } else if (view === 'monthly') {
-                const monthStr = selectedMonth.toString().padStart(2, '0');
-                filteredData = filteredData.filter(d => {
-                    if (!d.date) return false;
-                    const [year, month] = d.date.split('-');
-                    return year === selectedYear && month === monthStr;
-                });
+            // Filter by period (fiscal year/quarter/month or ISO week; periods can cross calendar boundaries)
+            if (getPeriodDateRange) {
+                const { start, end } = getPeriodDateRange(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange);
+                if (start && end) {
+                    filteredData = filteredData.filter(d => d.date && d.date >= start && d.date <= end);
+                }
             }
             
             // Debug: Log what data we're working with
@@ -261,7 +338,7 @@
             const keyMap = new Map();
             
             filteredData.forEach(record => {
-                const date = typeof record.date === 'string' ? record.date.split('T')[0] : record.date;
+                const date = normalizeDateKey ? normalizeDateKey(record.date) : record.date;
                 const channel = record._channel || record.channel_name || record.channel;
                 const brand = record._brand || record.brand_name || record.brand;
                 const revenue = parseFloat(record.revenue) || 0;
@@ -339,7 +416,7 @@
                 // Check if any aggregated records have revenue that doesn't match source
                 const sampleMismatches = aggregatedArray.slice(0, 5).map(agg => {
                     const sourceRecords = filteredData.filter(r => {
-                        const rDate = typeof r.date === 'string' ? r.date.split('T')[0] : r.date;
+                        const rDate = normalizeDateKey ? normalizeDateKey(r.date) : r.date;
                         return rDate === agg.date && 
                                normalizeKey(r._channel || r.channel) === normalizeKey(agg.channel) &&
                                normalizeKey(r._brand || r.brand) === normalizeKey(agg.brand);
@@ -407,77 +484,118 @@
             
             // Get targets (filtered by permissions)
             const channelTargets100 = {};
-            const channelTargets85 = {};
+            const channelTargetsKpi = {};
+            const brandChannelTargetsKpi = {};
+            const levelsUsed = [];
             
             availableChannels.forEach(channel => {
                 channelTargets100[channel] = 0;
-                channelTargets85[channel] = 0;
+                channelTargetsKpi[channel] = 0;
             });
             
             // Calculate targets based on selection and permissions
             const isCompanyTotal = selectedBrand === 'All Brands' || selectedBrand === 'All Brands (Company Total)' || selectedBrand === 'All My Brands';
             const brandsToCalculate = isCompanyTotal ? availableBrands : [selectedBrand];
+            const getLevels = (year, brand) => getKpiLevels
+                ? getKpiLevels(dynamicTargets, year, brand)
+                : { threshold: 85, tiers: [] };
+            
+            // Each brand's full target counts toward the KPI target at that brand's threshold for the fiscal year
+            const addBrandTargets = (brand, year, periodData, ratio = 1) => {
+                const levels = getLevels(year, brand);
+                levelsUsed.push(levels);
+                brandChannelTargetsKpi[brand] = brandChannelTargetsKpi[brand] || {};
+                availableChannels.forEach(channel => {
+                    const value = (periodData[channel] || 0) * ratio;
+                    channelTargets100[channel] += value;
+                    channelTargetsKpi[channel] += value * levels.threshold / 100;
+                    brandChannelTargetsKpi[brand][channel] = (brandChannelTargetsKpi[brand][channel] || 0) + value * levels.threshold / 100;
+                });
+            };
+            
+            // Daily KPI target curve: each brand's quarterly (or explicit monthly) targets spread over the days
+            // by its phasing profile (see targetPhasing.js); drives pacing and the chart target line
+            const dailyTargetsKpi = {};
+            const periodRange = getPeriodDateRange
+                ? getPeriodDateRange(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange)
+                : { start: null, end: null };
+            const phasingFor = (brand) => (year) => getPhasing ? getPhasing(dynamicTargets, year, brand) : null;
+            const getQuarterShares = (brand) => getPhasedQuarterShares
+                ? getPhasedQuarterShares(periodRange.start, periodRange.end, phasingFor(brand))
+                : (getPeriodQuarterShares ? getPeriodQuarterShares(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange) : []);
+            const getSlices = (brand, share) => {
+                const brandTargets = dynamicTargets?.[share.year]?.brands?.[brand];
+                if (getTargetSlices) return getTargetSlices(share, brandTargets, phasingFor(brand)(share.year));
+                return brandTargets?.[share.quarter] ? [{ data: brandTargets[share.quarter], ratio: share.ratio }] : [];
+            };
+            const addToCurve = (brand, year, slice) => {
+                if (!distributeTarget || !slice.rangeStart) return;
+                const threshold = getLevels(year, brand).threshold;
+                const amount = availableChannels.reduce((sum, channel) => sum + (slice.data[channel] || 0), 0) * threshold / 100;
+                distributeTarget(phasingFor(brand)(year), amount, slice.rangeStart, slice.rangeEnd,
+                    slice.sliceStart, slice.sliceEnd, dailyTargetsKpi);
+            };
             
             brandsToCalculate.forEach(brand => {
-                const brandData = dynamicTargets?.[selectedYear]?.brands?.[brand];
-                if (brandData) {
-                    let periodData;
-                    if (view === 'annual') {
-                        periodData = brandData.annual;
-                    } else if (view === 'quarterly') {
-                        periodData = brandData[selectedPeriod];
-                    } else if (view === 'monthly') {
-                        const quarter = `Q${Math.ceil(selectedMonth / 3)}`;
-                        periodData = brandData[quarter];
-                        if (periodData) {
-                            const monthlyData = {};
-                            const year = parseInt(selectedYear);
-                            const month = parseInt(selectedMonth);
-
-                            // Calculate days-based distribution instead of simple division by 3
-                            const daysInThisMonth = getDaysInMonth ? getDaysInMonth(year, month) : 30;
-                            const daysInThisQuarter = getDaysInQuarter ? getDaysInQuarter(year, quarter) : 90;
-                            const dayRatio = daysInThisMonth / daysInThisQuarter;
-
-                            availableChannels.forEach(ch => {
-                                // Distribute quarterly target based on actual days in month vs quarter
-                                monthlyData[ch] = (periodData[ch] || 0) * dayRatio;
-                            });
-                            periodData = monthlyData;
-                        }
-                    }
-                    if (periodData) {
-                        availableChannels.forEach(channel => {
-                            channelTargets100[channel] += periodData[channel] || 0;
-                        });
+                const shares = getQuarterShares(brand);
+                
+                if (view === 'annual') {
+                    // Totals come from the annual target; the quarters only shape the curve
+                    const annualData = dynamicTargets?.[selectedYear]?.brands?.[brand]?.annual;
+                    if (annualData) {
+                        addBrandTargets(brand, selectedYear, annualData);
                     }
+                    shares.forEach(share => {
+                        getSlices(brand, share).forEach(slice => addToCurve(brand, share.year, slice));
+                    });
+                    return;
                 }
-            });
-            
-            // Calculate 85% targets
-            availableChannels.forEach(channel => {
-                channelTargets85[channel] = channelTargets100[channel] * 0.85;
+                
+                // Each quarter the period touches contributes its phased share, month by month when the
+                // brand has explicit monthly targets; a range crossing a year boundary reads both years
+                shares.forEach(share => {
+                    getSlices(brand, share).forEach(slice => {
+                        addBrandTargets(brand, share.year, slice.data, slice.ratio);
+                        addToCurve(brand, share.year, slice);
+                    });
+                });
             });
             
             const totalTarget100 = Object.values(channelTargets100).reduce((sum, val) => sum + val, 0);
-            const totalTarget85 = totalTarget100 * 0.85;
+            const totalTargetKpi = Object.values(channelTargetsKpi).reduce((sum, val) => sum + val, 0);
+            
+            // The annual target can differ from the sum of its quarters; scale the curve to the KPI target
+            const curveTotal = Object.values(dailyTargetsKpi).reduce((sum, val) => sum + val, 0);
+            if (curveTotal > 0) {
+                Object.keys(dailyTargetsKpi).forEach(date => {
+                    dailyTargetsKpi[date] *= totalTargetKpi / curveTotal;
+                });
+            }
+            
+            // Blended when brands with different thresholds are combined
+            if (levelsUsed.length === 0) {
+                brandsToCalculate.forEach(brand => levelsUsed.push(getLevels(selectedYear, brand)));
+            }
+            const kpiThreshold = totalTarget100 > 0
+                ? Math.round((totalTargetKpi / totalTarget100) * 10000) / 100
+                : (levelsUsed[0]?.threshold ?? 85);
             
             const totalRevenue = Object.values(channelRevenues).reduce((sum, val) => sum + val, 0);
             
             // Time calculations
-            const daysInPeriod = getDaysInPeriod ? getDaysInPeriod(view, selectedPeriod, selectedYear, selectedMonth) : 30;
-            const daysElapsed = getDaysElapsed ? getDaysElapsed(view, selectedPeriod, selectedYear, selectedMonth) : 15;
+            const daysInPeriod = getDaysInPeriod ? getDaysInPeriod(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange) : 30;
+            const daysElapsed = getDaysElapsed ? getDaysElapsed(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange) : 15;
             const daysRemaining = Math.max(0, daysInPeriod - daysElapsed);
             
             // Calculate improved run rate (14-day weighted average)
             const calculateRunRate = (data) => {
                 if (!data || data.length === 0) return 0;
 
-                const fourteenDaysAgo = new Date();
-                fourteenDaysAgo.setDate(fourteenDaysAgo.getDate() - 14);
+                // Window starts 14 days before today in DATES.TIMEZONE; dates are compared as YYYY-MM-DD keys
+                const fourteenDaysAgo = addDaysToDateString(getTodayString(), -14);
 
                 // Get last 14 days of data
-                const recentData = data.filter(d => new Date(d.date) >= fourteenDaysAgo);
+                const recentData = data.filter(d => d.date && d.date >= fourteenDaysAgo);
 
                 if (recentData.length === 0) return 0;
 
@@ -505,7 +623,11 @@
                 return totalWeights > 0 ? weightedSum / totalWeights : 0;
             };
 
-            const runRate = calculateRunRate(filteredData);
+            // Stale channels' missing days would read as zero sales; leave them out when asked
+            const runRateExcludes = excludeStale ? staleChannels : [];
+            const runRate = calculateRunRate(runRateExcludes.length > 0
+                ? filteredData.filter(d => !runRateExcludes.includes(mapChannelName(d._channel, availableChannels)))
+                : filteredData);
             
             // Enhanced Projections with multiple scenarios
             const projections = {
@@ -516,39 +638,61 @@
 
             // Use realistic as main projection for backward compatibility
             const projection = projections.realistic;
-            const projectionPercent85 = totalTarget85 > 0 ? projection / totalTarget85 : 0;
+            const projectionPercentKpi = totalTargetKpi > 0 ? projection / totalTargetKpi : 0;
             const projectionPercent100 = totalTarget100 > 0 ? projection / totalTarget100 : 0;
 
             // Calculate percentages for all scenarios
             const projectionScenarios = {
                 conservative: {
                     value: projections.conservative,
-                    percent85: totalTarget85 > 0 ? projections.conservative / totalTarget85 : 0,
+                    percentKpi: totalTargetKpi > 0 ? projections.conservative / totalTargetKpi : 0,
                     percent100: totalTarget100 > 0 ? projections.conservative / totalTarget100 : 0
                 },
                 realistic: {
                     value: projections.realistic,
-                    percent85: projectionPercent85,
+                    percentKpi: projectionPercentKpi,
                     percent100: projectionPercent100
                 },
                 optimistic: {
                     value: projections.optimistic,
-                    percent85: totalTarget85 > 0 ? projections.optimistic / totalTarget85 : 0,
+                    percentKpi: totalTargetKpi > 0 ? projections.optimistic / totalTargetKpi : 0,
                     percent100: totalTarget100 > 0 ? projections.optimistic / totalTarget100 : 0
                 }
             };
             
             // KPI Achievement
-            const kpiAchievement = totalTarget85 > 0 ? (totalRevenue / totalTarget85) * 100 : 0;
+            const kpiAchievement = totalTargetKpi > 0 ? (totalRevenue / totalTargetKpi) * 100 : 0;
             const achievement100 = totalTarget100 > 0 ? (totalRevenue / totalTarget100) * 100 : 0;
-            const gapToKPI = Math.max(0, totalTarget85 - totalRevenue);
+            const gapToKPI = Math.max(0, totalTargetKpi - totalRevenue);
             const gapTo100 = Math.max(0, totalTarget100 - totalRevenue);
             
+            // Attainment to date: revenue against the phased KPI target through the last day with sales
+            // (today when nothing has been reported yet); linear by days when there is no curve
+            const today = getTodayString ? getTodayString() : periodRange.end;
+            const lastSalesDate = aggregatedArray.reduce((latest, d) => d.date && d.date > latest ? d.date : latest, '');
+            const paceDate = lastSalesDate && lastSalesDate < today ? lastSalesDate : today;
+            const targetKpiToDate = curveTotal > 0
+                ? Object.keys(dailyTargetsKpi).reduce((sum, date) => date <= paceDate ? sum + dailyTargetsKpi[date] : sum, 0)
+                : totalTargetKpi * daysElapsed / Math.max(1, daysInPeriod);
+            const paceAchievement = targetKpiToDate > 0 ? (totalRevenue / targetKpiToDate) * 100 : 0;
+            
+            // Optional tiers (e.g. 90%, 110% stretch) are shares of the full target
+            const kpiTiers = (combineKpiTiers ? combineKpiTiers(levelsUsed) : []).map(percent => {
+                const target = totalTarget100 * percent / 100;
+                return {
+                    percent,
+                    target,
+                    achievement: target > 0 ? (totalRevenue / target) * 100 : 0,
+                    gap: Math.max(0, target - totalRevenue),
+                    projectionPercent: target > 0 ? projection / target : 0
+                };
+            });
+            
             // Channel achievements (only for available channels)
             const channelAchievements = {};
             availableChannels.forEach(channel => {
-                channelAchievements[channel] = channelTargets85[channel] > 0 ? 
-                    (channelRevenues[channel] / channelTargets85[channel]) * 100 : 0;
+                channelAchievements[channel] = channelTargetsKpi[channel] > 0 ? 
+                    (channelRevenues[channel] / channelTargetsKpi[channel]) * 100 : 0;
             });
             
             const debugSummary = {
@@ -557,6 +701,8 @@
                 selectedBrand,
                 year: selectedYear,
                 month: selectedMonth,
+                week: view === 'weekly' ? selectedWeek : undefined,
+                range: view === 'custom' ? customRange : undefined,
                 totalRevenue
             };
             try { console.debug('KPIs debug:', debugSummary); } catch (e) {}
@@ -564,13 +710,22 @@
             return {
                 totalRevenue,
                 channelRevenues,
-                totalTarget85,
+                totalTargetKpi,
                 totalTarget100,
-                channelTargets85,
+                channelTargetsKpi,
                 channelTargets100,
+                brandChannelTargetsKpi,
+                kpiThreshold,
+                kpiTiers,
+                dailyTargetsKpi,
+                targetKpiToDate,
+                paceAchievement,
+                paceDate,
                 runRate,
+                runRateExcludes,
+                freshness,
                 projection,
-                projectionPercent85,
+                projectionPercentKpi,
                 projectionPercent100,
                 projectionScenarios, // Add projection scenarios
                 daysRemaining,
@@ -583,20 +738,212 @@
                 channelAchievements,
                 filteredData: aggregatedArray // Use aggregated data instead of raw filtered data
             };
-        }, [salesData, view, selectedPeriod, selectedYear, selectedMonth, selectedBrand, 
-            dynamicTargets, availableBrands, availableChannels, userRole, userPermissions]);
+        }, [salesData, view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange, selectedBrand, 
+            dynamicTargets, availableBrands, availableChannels, userRole, userPermissions, freshness, excludeStale]);
+        
+        // Alert rules are checked whenever the KPIs change (data load, filters, stale channel toggle);
+        // alerts not listed yet are toasted and kept. They measure against the real targets, so a
+        // selected what-if scenario holds them back until it is cleared.
+        useEffect(() => {
+            if (!evaluateAlertRules || subscribedRules.length === 0 || activeScenario) return;
+            
+            const isCompanyTotal = selectedBrand === 'All Brands' || selectedBrand === 'All Brands (Company Total)' || selectedBrand === 'All My Brands';
+            const { start, end } = getPeriodDateRange
+                ? getPeriodDateRange(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange)
+                : { start: null, end: null };
+            const fired = evaluateAlertRules(subscribedRules, kpis, {
+                scopeBrand: isCompanyTotal ? null : selectedBrand,
+                brands: availableBrands,
+                channels: availableChannels,
+                today: getTodayString ? getTodayString() : null,
+                periodStart: start,
+                periodEnd: end,
+                mapChannel: (channel) => mapChannelName(channel, availableChannels)
+            });
+            
+            const { alerts, added } = mergeAlerts(loadAlertLog(alertUserId), fired);
+            if (added.length === 0) return;
+            saveAlertLog(alertUserId, alerts);
+            setAlertLog(alerts);
+            
+            added.slice(0, 3).forEach(alert => window.showWarningMessage && window.showWarningMessage(alert.message));
+            if (added.length > 3 && window.showInfoMessage) {
+                window.showInfoMessage(`${added.length - 3} more alerts in the alert list`);
+            }
+        }, [kpis, subscribedRules, activeScenario, alertUserId]);
+        
+        const dismissAlert = (key) => {
+            const alerts = key ? alertLog.filter(alert => alert.key !== key) : [];
+            saveAlertLog(alertUserId, alerts);
+            setAlertLog(alerts);
+            if (alerts.length === 0) setShowAlerts(false);
+        };
+        
+        // Rows from a secondary load (comparison period, forecast history) scoped like the KPIs:
+        // selected brand, permissions, dashboard channel names
+        const toScopedRows = (sourceRows) => {
+            const isCompanyTotal = selectedBrand === 'All Brands' || selectedBrand === 'All Brands (Company Total)' || selectedBrand === 'All My Brands';
+            const selKey = normalizeKey(selectedBrand);
+            const limitBrands = userRole !== 'Admin' && userPermissions?.brands && !userPermissions.brands.includes('All Brands');
+            const limitChannels = userRole !== 'Admin' && userPermissions?.channels && !userPermissions.channels.includes('All Channels');
+            const rows = [];
+            
+            sourceRows.forEach(d => {
+                const brandKey = normalizeKey(d.brand_name || d.brand);
+                const channelKey = normalizeKey(d.channel_name || d.channel);
+                if (!isCompanyTotal && brandKey !== selKey) return;
+                if (limitBrands && !userPermissions.brands.some(b => normalizeKey(b) === brandKey)) return;
+                if (limitChannels && !userPermissions.channels.some(c => normalizeKey(c) === channelKey)) return;
+                
+                const dbChannelName = d.channel_name || d.channel;
+                const channel = mapChannelName(dbChannelName, availableChannels) || `${dbChannelName} (Unmapped)`;
+                rows.push({
+                    date: normalizeDateKey ? normalizeDateKey(d.period_date || d.date) : (d.period_date || d.date),
+                    brand: (d.brand_name || d.brand || '').trim(),
+                    channel,
+                    revenue: parseFloat(d.revenue) || 0
+                });
+            });
+            return rows;
+        };
+        
+        const comparison = useMemo(() => {
+            if (!comparisonData?.rows || !formatGrowth) return null;
+            
+            const channelRevenues = {};
+            availableChannels.forEach(channel => {
+                channelRevenues[channel] = 0;
+            });
+            const rows = toScopedRows(comparisonData.rows);
+            rows.forEach(row => {
+                channelRevenues[row.channel] = (channelRevenues[row.channel] || 0) + row.revenue;
+            });
+            
+            const totalRevenue = Object.values(channelRevenues).reduce((sum, val) => sum + val, 0);
+            const days = Math.round((Date.parse(comparisonData.end) - Date.parse(comparisonData.start)) / 86400000) + 1;
+            const dailyAverage = totalRevenue / Math.max(1, days);
+            const currentDailyAverage = kpis.totalRevenue / Math.max(1, kpis.daysElapsed);
+            
+            const channelGrowth = {};
+            Object.keys(kpis.channelRevenues).forEach(channel => {
+                const current = kpis.channelRevenues[channel] || 0;
+                const previous = channelRevenues[channel] || 0;
+                channelGrowth[channel] = { ...formatGrowth(current, previous), delta: current - previous, previous };
+            });
+            
+            return {
+                mode: comparisonData.mode,
+                start: comparisonData.start,
+                end: comparisonData.end,
+                label: getComparisonLabel ? getComparisonLabel(comparisonData) : '',
+                rows,
+                totalRevenue,
+                channelRevenues,
+                dailyAverage,
+                revenueGrowth: { ...formatGrowth(kpis.totalRevenue, totalRevenue), delta: kpis.totalRevenue - totalRevenue },
+                dailyAverageGrowth: { ...formatGrowth(currentDailyAverage, dailyAverage), delta: currentDailyAverage - dailyAverage },
+                channelGrowth
+            };
+        }, [comparisonData, kpis, selectedBrand, availableChannels, userRole, userPermissions]);
+        
+        // Seasonal period-end forecast; replaces the run-rate projection when history is available
+        const forecast = useMemo(() => {
+            if (!forecastHistory?.rows || !buildForecast || !getPeriodDateRange || !getTodayString) return null;
+            
+            const { start, end } = getPeriodDateRange(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange);
+            return buildForecast({
+                rows: toScopedRows(forecastHistory.rows),
+                periodStart: start,
+                periodEnd: end,
+                today: getTodayString(),
+                actuals: kpis.channelRevenues
+            });
+        }, [forecastHistory, kpis, view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange,
+            selectedBrand, availableChannels, userRole, userPermissions]);
+        
+        // Odds of reaching the KPI and full targets, simulated from the forecast model
+        const simulation = useMemo(() => {
+            if (!forecast || !simulateTargetOutcomes) return null;
+            return simulateTargetOutcomes(forecast, {
+                totalKpi: kpis.totalTargetKpi,
+                total100: kpis.totalTarget100,
+                channelsKpi: kpis.channelTargetsKpi,
+                channels100: kpis.channelTargets100
+            });
+        }, [forecast, kpis]);
+        
+        // Unusual days per brand and channel. The forecast history adds the weeks before the period;
+        // without it (past periods) the period's own days are checked.
+        const anomalies = useMemo(() => {
+            if (!detectAnomalies || !getPeriodDateRange) return [];
+            
+            const { start, end } = getPeriodDateRange(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange);
+            const rows = forecastHistory?.rows
+                ? toScopedRows(forecastHistory.rows)
+                : (kpis.filteredData || []).map(d => ({
+                    date: normalizeDateKey ? normalizeDateKey(d.date) : d.date,
+                    brand: d.brand,
+                    channel: mapChannelName(d.channel, availableChannels) || `${d.channel} (Unmapped)`,
+                    revenue: d.revenue
+                }));
+            return detectAnomalies(rows, { start, end, today: getTodayString ? getTodayString() : null });
+        }, [forecastHistory, kpis, view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange,
+            selectedBrand, availableChannels, userRole, userPermissions]);
+        
+        const handleReviewAnomaly = async (anomaly, status) => {
+            const user = window.APP_STATE?.currentUser;
+            const review = {
+                key: anomaly.key,
+                status,
+                reviewedBy: user?.id || null,
+                reviewedEmail: user?.email || '',
+                reviewedAt: new Date().toISOString()
+            };
+            try {
+                await dataService.saveAnomalyReview(review);
+                setAnomalyReviews(reviews => ({ ...reviews, [anomaly.key]: review }));
+            } catch (err) {
+                window.showErrorMessage && window.showErrorMessage('Failed to save anomaly review');
+            }
+        };
+        
+        const displayKpis = useMemo(() => {
+            if (!forecast) return { ...kpis, comparison, forecast, simulation, anomalies };
+            
+            const percentOf = (value, target) => target > 0 ? value / target : 0;
+            const scenario = (value) => ({
+                value,
+                percentKpi: percentOf(value, kpis.totalTargetKpi),
+                percent100: percentOf(value, kpis.totalTarget100)
+            });
+            return {
+                ...kpis,
+                comparison,
+                forecast,
+                simulation,
+                anomalies,
+                projection: forecast.total.expected,
+                projectionPercentKpi: percentOf(forecast.total.expected, kpis.totalTargetKpi),
+                projectionPercent100: percentOf(forecast.total.expected, kpis.totalTarget100),
+                projectionScenarios: {
+                    conservative: scenario(forecast.total.lower),
+                    realistic: scenario(forecast.total.expected),
+                    optimistic: scenario(forecast.total.upper)
+                },
+                kpiTiers: kpis.kpiTiers.map(tier => ({ ...tier, projectionPercent: percentOf(forecast.total.expected, tier.target) }))
+            };
+        }, [kpis, comparison, forecast, simulation, anomalies]);
         
         // Get display title
         const getDisplayTitle = () => {
-            let periodText = '';
+            let periodText = getPeriodLabel
+                ? getPeriodLabel(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange)
+                : `${selectedPeriod} ${selectedYear}`;
             if (view === 'annual') {
-                periodText = `${selectedYear} Annual`;
-            } else if (view === 'quarterly') {
-                periodText = `${selectedPeriod} ${selectedYear}`;
-            } else if (view === 'monthly') {
-                const monthNames = ['', 'January', 'February', 'March', 'April', 'May', 'June', 
-                                  'July', 'August', 'September', 'October', 'November', 'December'];
-                periodText = `${monthNames[selectedMonth]} ${selectedYear}`;
+                periodText = `${periodText} Annual`;
+            } else if (view === 'weekly' && getISOWeekStart && getISOWeekEnd) {
+                const format = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+                periodText += ` (${format(getISOWeekStart(selectedYear, selectedWeek))} - ${format(getISOWeekEnd(selectedYear, selectedWeek))})`;
             }
             
             const brandText = (selectedBrand === 'All Brands' || selectedBrand === 'All My Brands') ? 'Company' : selectedBrand;
@@ -626,7 +973,159 @@
             h('div', { className: 'page-header' },
                 h('div', { className: 'page-title' },
                     h('h1', null, getDisplayTitle()),
-                    h('div', { className: 'page-subtitle' }, `Last updated: ${new Date().toLocaleTimeString()}`)
+                    h('div', { className: 'page-subtitle' }, 
+                        `Last updated: ${new Date().toLocaleTimeString()}${comparison?.label ? ` · Compared ${comparison.label}` : ''}${activeScenario ? ` · What-if: ${activeScenario.name}` : ''}`
+                    )
+                ),
+                h('div', { className: 'page-controls' },
+                    alertLog.length > 0 && h('button', {
+                        className: `alerts-toggle${showAlerts ? ' active' : ''}`,
+                        onClick: () => setShowAlerts(!showAlerts)
+                    }, `🔔 Alerts (${alertLog.length})`),
+                    freshness && h('button', {
+                        className: `alerts-toggle${showFreshness ? ' active' : ''}`,
+                        onClick: () => setShowFreshness(!showFreshness)
+                    }, staleChannels.length > 0 ? `⚠️ Data freshness (${staleChannels.length} behind)` : '📅 Data freshness'),
+                    setSelectedScenario && scenarios.length > 0 && h('div', { className: 'comparison-controls' },
+                        h('span', { className: 'comparison-label' }, 'Targets:'),
+                        h('select', {
+                            value: activeScenario ? selectedScenario : '',
+                            onChange: (e) => setSelectedScenario(e.target.value)
+                        },
+                            h('option', { value: '' }, 'Actual targets'),
+                            ...scenarios.map(scenario =>
+                                h('option', { key: getScenarioKey(scenario), value: getScenarioKey(scenario) },
+                                    `${scenario.name} (${getFiscalYearLabel ? getFiscalYearLabel(scenario.year) : scenario.year})`)
+                            )
+                        )
+                    ),
+                    setComparisonMode && getComparisonModeOptions && h('div', { className: 'comparison-controls' },
+                        h('span', { className: 'comparison-label' }, 'Compare:'),
+                        h('select', {
+                            value: comparisonMode,
+                            onChange: (e) => setComparisonMode(e.target.value)
+                        },
+                            ...getComparisonModeOptions().map(option =>
+                                h('option', { key: option.value, value: option.value }, option.label)
+                            )
+                        ),
+                        comparisonMode === 'custom' && setComparisonRange && [
+                            h('input', {
+                                key: 'start',
+                                type: 'date',
+                                value: comparisonRange?.start || '',
+                                onChange: (e) => setComparisonRange({ ...comparisonRange, start: e.target.value })
+                            }),
+                            h('input', {
+                                key: 'end',
+                                type: 'date',
+                                value: comparisonRange?.end || '',
+                                onChange: (e) => setComparisonRange({ ...comparisonRange, end: e.target.value })
+                            })
+                        ]
+                    )
+                )
+            ),
+            
+            // Persistent alert list: every alert the user's subscribed rules have fired, newest first
+            showAlerts && alertLog.length > 0 && h('div', { className: 'alert-list' },
+                h('div', { className: 'alert-list-header' },
+                    h('h3', null, '🔔 Alerts'),
+                    h('button', {
+                        className: 'alert-list-clear',
+                        onClick: () => dismissAlert(null)
+                    }, 'Clear all')
+                ),
+                h('ul', null,
+                    alertLog.map(alert =>
+                        h('li', { key: alert.key },
+                            h('div', null,
+                                h('div', { className: 'alert-list-message' }, alert.message),
+                                h('div', { className: 'alert-list-time' }, new Date(alert.firedAt).toLocaleString())
+                            ),
+                            h('button', {
+                                className: 'alert-close',
+                                onClick: () => dismissAlert(alert.key),
+                                'aria-label': 'Dismiss alert'
+                            }, '×')
+                        )
+                    )
+                )
+            ),
+            
+            // Stale data warning: channels whose last loaded day trails the expected upload lag
+            staleChannels.length > 0 && h('div', { className: 'alert-banner warning', style: { marginBottom: '20px' } },
+                h('div', { className: 'alert-content' },
+                    h('span', { className: 'alert-icon' }, '⚠️'),
+                    h('span', { className: 'alert-message' },
+                        `Data is behind for ${staleChannels.map(channel => `${channel} (last loaded ${describeFreshness(freshness.channels[channel])})`).join(', ')}; ` +
+                        `expected through ${freshness.expectedDate}`
+                    )
+                ),
+                h('label', { className: 'freshness-exclude' },
+                    h('input', {
+                        type: 'checkbox',
+                        checked: excludeStale,
+                        onChange: (e) => setExcludeStale(e.target.checked)
+                    }),
+                    ' Leave out of run rate'
+                )
+            ),
+            
+            // Last loaded day per brand and channel in view
+            showFreshness && freshness && h('div', { className: 'alert-list data-freshness' },
+                h('div', { className: 'alert-list-header' },
+                    h('h3', null, `📅 Data Freshness · expected through ${freshness.expectedDate}`),
+                    h('button', {
+                        className: 'alert-list-clear',
+                        onClick: () => setShowFreshness(false)
+                    }, 'Close')
+                ),
+                h('table', { className: 'freshness-table' },
+                    h('thead', null,
+                        h('tr', null,
+                            h('th', null, 'Brand'),
+                            ...availableChannels.filter(channel => freshness.channels[channel].lastDate).map(channel =>
+                                h('th', { key: channel }, channel)
+                            )
+                        )
+                    ),
+                    h('tbody', null,
+                        Object.entries(freshness.brands).map(([brand, status]) =>
+                            h('tr', { key: brand },
+                                h('td', { className: status.stale ? 'freshness-stale' : '' }, brand),
+                                ...availableChannels.filter(channel => freshness.channels[channel].lastDate).map(channel =>
+                                    h('td', {
+                                        key: channel,
+                                        className: status.channels[channel]?.stale ? 'freshness-stale' : ''
+                                    }, status.channels[channel] ? describeFreshness(status.channels[channel]) : '—')
+                                )
+                            )
+                        ),
+                        h('tr', { className: 'freshness-total' },
+                            h('td', null, 'Channel'),
+                            ...availableChannels.filter(channel => freshness.channels[channel].lastDate).map(channel =>
+                                h('td', {
+                                    key: channel,
+                                    className: freshness.channels[channel].stale ? 'freshness-stale' : ''
+                                }, describeFreshness(freshness.channels[channel]))
+                            )
+                        )
+                    )
+                )
+            ),
+            
+            // What-if notice: attainment below is against the scenario, not the real targets
+            activeScenario && h('div', { className: 'alert-banner info', style: { marginBottom: '20px' } },
+                h('div', { className: 'alert-content' },
+                    h('span', { className: 'alert-icon' }, '🔮'),
+                    h('span', { className: 'alert-message' },
+                        `Showing attainment against the "${activeScenario.name}" what-if scenario for ${getFiscalYearLabel ? getFiscalYearLabel(activeScenario.year) : activeScenario.year}, not the real targets`
+                    ),
+                    h('button', {
+                        className: 'alert-close',
+                        onClick: () => setSelectedScenario('')
+                    }, '×')
                 )
             ),
             
@@ -641,9 +1140,13 @@
                         h('div', { className: 'target-subtitle' }, 'Complete target goal')
                     ),
                     h('div', { className: 'target-item' },
-                        h('div', { className: 'target-label' }, '✅ KPI Target (85%)'),
-                        h('div', { className: 'target-value' }, formatCurrency ? formatCurrency(kpis.totalTarget85) : '$' + kpis.totalTarget85),
-                        h('div', { className: 'target-subtitle' }, 'Minimum achievement')
+                        h('div', { className: 'target-label' }, `✅ KPI Target (${formatKpiLevel ? formatKpiLevel(kpis.kpiThreshold) : kpis.kpiThreshold + '%'})`),
+                        h('div', { className: 'target-value' }, formatCurrency ? formatCurrency(kpis.totalTargetKpi) : '$' + kpis.totalTargetKpi),
+                        h('div', { className: 'target-subtitle' }, 
+                            kpis.kpiTiers.length > 0
+                                ? `Minimum achievement · Tiers: ${kpis.kpiTiers.map(tier => `${formatKpiLevel ? formatKpiLevel(tier.percent) : tier.percent + '%'} ${formatCurrency ? formatCurrency(tier.target) : '$' + tier.target}`).join(', ')}`
+                                : 'Minimum achievement'
+                        )
                     ),
                     h('div', { className: 'target-item' },
                         h('div', { className: 'target-label' }, '📊 Current Achievement'),
@@ -654,8 +1157,8 @@
                         // Normal content
                         h('div', { className: 'projection-normal' },
                             h('div', { className: 'target-label' }, '📈 End Projection'),
-                            h('div', { className: 'target-value' }, formatCurrency ? formatCurrency(kpis.projectionScenarios?.realistic?.value || 0) : '$' + (kpis.projectionScenarios?.realistic?.value || 0)),
-                            h('div', { className: 'target-subtitle' }, `${((kpis.projectionScenarios?.realistic?.percent100 || 0) * 100).toFixed(1)}% of full target`)
+                            h('div', { className: 'target-value' }, formatCurrency ? formatCurrency(displayKpis.projectionScenarios?.realistic?.value || 0) : '$' + (displayKpis.projectionScenarios?.realistic?.value || 0)),
+                            h('div', { className: 'target-subtitle' }, `${((displayKpis.projectionScenarios?.realistic?.percent100 || 0) * 100).toFixed(1)}% of full target`)
                         ),
                         // Hover content - showing all 3 scenarios in horizontal layout
                         h('div', { className: 'projection-hover-content' },
@@ -663,52 +1166,68 @@
                             h('div', { className: 'scenarios-grid-horizontal' },
                                 h('div', { className: 'scenario-column conservative' },
                                     h('div', { className: 'scenario-type' }, 'Conservative'),
-                                    h('div', { className: 'scenario-amount' }, formatCurrency ? formatCurrency(kpis.projectionScenarios?.conservative?.value || 0) : '$' + (kpis.projectionScenarios?.conservative?.value || 0).toLocaleString()),
-                                    h('div', { className: 'scenario-percentage' }, `${((kpis.projectionScenarios?.conservative?.percent100 || 0) * 100).toFixed(0)}%`)
+                                    h('div', { className: 'scenario-amount' }, formatCurrency ? formatCurrency(displayKpis.projectionScenarios?.conservative?.value || 0) : '$' + (displayKpis.projectionScenarios?.conservative?.value || 0).toLocaleString()),
+                                    h('div', { className: 'scenario-percentage' }, `${((displayKpis.projectionScenarios?.conservative?.percent100 || 0) * 100).toFixed(0)}%`)
                                 ),
                                 h('div', { className: 'scenario-column realistic' },
                                     h('div', { className: 'scenario-type' }, 'Realistic'),
-                                    h('div', { className: 'scenario-amount' }, formatCurrency ? formatCurrency(kpis.projectionScenarios?.realistic?.value || 0) : '$' + (kpis.projectionScenarios?.realistic?.value || 0).toLocaleString()),
-                                    h('div', { className: 'scenario-percentage' }, `${((kpis.projectionScenarios?.realistic?.percent100 || 0) * 100).toFixed(0)}%`)
+                                    h('div', { className: 'scenario-amount' }, formatCurrency ? formatCurrency(displayKpis.projectionScenarios?.realistic?.value || 0) : '$' + (displayKpis.projectionScenarios?.realistic?.value || 0).toLocaleString()),
+                                    h('div', { className: 'scenario-percentage' }, `${((displayKpis.projectionScenarios?.realistic?.percent100 || 0) * 100).toFixed(0)}%`)
                                 ),
                                 h('div', { className: 'scenario-column optimistic' },
                                     h('div', { className: 'scenario-type' }, 'Optimistic'),
-                                    h('div', { className: 'scenario-amount' }, formatCurrency ? formatCurrency(kpis.projectionScenarios?.optimistic?.value || 0) : '$' + (kpis.projectionScenarios?.optimistic?.value || 0).toLocaleString()),
-                                    h('div', { className: 'scenario-percentage' }, `${((kpis.projectionScenarios?.optimistic?.percent100 || 0) * 100).toFixed(0)}%`)
+                                    h('div', { className: 'scenario-amount' }, formatCurrency ? formatCurrency(displayKpis.projectionScenarios?.optimistic?.value || 0) : '$' + (displayKpis.projectionScenarios?.optimistic?.value || 0).toLocaleString()),
+                                    h('div', { className: 'scenario-percentage' }, `${((displayKpis.projectionScenarios?.optimistic?.percent100 || 0) * 100).toFixed(0)}%`)
                                 )
                             ),
-                            h('div', { className: 'scenarios-note' }, '14-day weighted average')
+                            h('div', { className: 'scenarios-note' }, forecast
+                                ? `${Math.round(forecast.confidence * 100)}% forecast interval · ${forecast.seasonalYears > 0 ? `seasonality from ${forecast.seasonalYears} prior year${forecast.seasonalYears > 1 ? 's' : ''}` : 'no prior-year history'}`
+                                : '14-day weighted average')
                         )
                     )
                 )
             ),
             
             // KPI Cards
-            h(KPICards, { kpis }),
+            h(KPICards, { kpis: displayKpis }),
             
             // Channel Performance (filtered by permissions)
             h(ChannelPerformance, { 
                 kpis: {
-                    ...kpis,
+                    ...displayKpis,
                     channels: availableChannels // Pass only available channels
                 },
                 view,
                 selectedPeriod,
                 selectedYear,
                 selectedMonth,
+                selectedWeek,
+                customRange,
                 selectedBrand
             }),
             
+            // Target probability (only once a forecast is available)
+            displayKpis.simulation && h(TargetProbability, { kpis: displayKpis }),
+            
             // Charts (filtered by permissions)
             h(Charts, {
-                kpis,
+                kpis: displayKpis,
                 selectedChannels: selectedChannels.filter(ch => availableChannels.includes(ch)),
                 setSelectedChannels,
                 view,
                 selectedPeriod,
                 selectedMonth,
+                selectedWeek,
+                customRange,
                 selectedYear,
                 availableChannels // Pass available channels to filter options
+            }),
+            
+            // Anomalies in daily revenue; Admins and Managers review them
+            anomalies.length > 0 && h(AnomalyList, {
+                anomalies,
+                reviews: anomalyReviews,
+                onReview: dataService?.saveAnomalyReview && (userRole === 'Admin' || userRole === 'Manager') ? handleReviewAnomaly : null
             })
         );
     }
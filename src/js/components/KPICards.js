@@ -10,18 +10,54 @@
         
         // Get formatCurrency from window
         const { formatCurrency } = window.formatters || {};
+        const { getAchievementStatus, formatKpiLevel } = window.kpiLevels || {};
+        const comparison = kpis.comparison;
+        
+        // Color band and label follow the configured KPI threshold for the selection
+        const threshold = kpis.kpiThreshold ?? 85;
+        const thresholdLabel = formatKpiLevel ? formatKpiLevel(threshold) : `${threshold}%`;
+        const achievementStatus = getAchievementStatus
+            ? getAchievementStatus(kpis.kpiAchievement, threshold)
+            : kpis.kpiAchievement >= 100 ? 'success' : kpis.kpiAchievement >= threshold ? 'warning' : 'danger';
+        const tiers = kpis.kpiTiers || [];
+        
+        // Period-end forecast with its interval, total and per channel
+        const forecast = kpis.forecast;
+        const money = (value) => formatCurrency ? formatCurrency(value) : '$' + Number(value || 0).toFixed(0);
+        const forecastPercent = (kpis.projectionPercentKpi || 0) * 100;
+        const forecastStatus = getAchievementStatus
+            ? getAchievementStatus(forecastPercent, threshold)
+            : forecastPercent >= 100 ? 'success' : forecastPercent >= threshold ? 'warning' : 'danger';
+        const forecastChannels = forecast
+            ? Object.entries(forecast.channels)
+                .filter(([, channelForecast]) => channelForecast.expected > 0)
+                .sort((a, b) => b[1].expected - a[1].expected)
+            : [];
+        
+        // Growth badge for the comparison period, e.g. '↑ 12.4% (+$45K) vs last year'
+        const renderChange = (growth, suffix) => {
+            if (!comparison || !growth) return null;
+            const delta = formatCurrency ? formatCurrency(Math.abs(growth.delta)) : '$' + Math.abs(growth.delta).toFixed(0);
+            const sign = growth.delta < 0 ? '-' : '+';
+            return h('div', { className: `kpi-change change-${growth.status}`, title: comparison.label, style: { marginTop: '8px' } }, 
+                growth.value === undefined ? `${growth.text} ${suffix}` : `${growth.text} (${sign}${delta}) ${suffix}`
+            );
+        };
+        // Pacing against the phased KPI target through the last day with sales
+        const hasPace = kpis.targetKpiToDate > 0;
+        const paceStatus = (kpis.paceAchievement || 0) >= 100 ? 'positive' : 'negative';
+        
+        const comparisonSuffix = comparison?.mode === 'yoy' ? 'vs last year' : comparison?.mode === 'previous' ? 'vs prior period' : 'vs comparison';
         
         return h('div', { className: 'kpi-grid' },
             // KPI Achievement Card
             h('div', { 
-                className: `kpi-card ${kpis.kpiAchievement >= 100 ? 'success' : 
-                                      kpis.kpiAchievement >= 85 ? 'warning' : 'danger'}` 
+                className: `kpi-card ${achievementStatus}` 
             },
                 h('div', { 
-                    className: `kpi-icon ${kpis.kpiAchievement >= 100 ? 'success' : 
-                                          kpis.kpiAchievement >= 85 ? 'warning' : 'danger'}` 
+                    className: `kpi-icon ${achievementStatus}` 
                 }, '💰'),
-                h('div', { className: 'kpi-label' }, 'KPI Achievement (85% Target)'),
+                h('div', { className: 'kpi-label' }, `KPI Achievement (${thresholdLabel} Target)`),
                 h('div', { className: 'kpi-value' }, `${kpis.kpiAchievement.toFixed(1)}%`),
                 h('div', { className: 'kpi-subtitle' }, `Gap to KPI: ${formatCurrency ? formatCurrency(kpis.gapToKPI) : '$' + kpis.gapToKPI}`),
                 h('div', { className: 'progress-bar large' },
@@ -29,9 +65,9 @@
                         className: 'progress-fill',
                         style: { 
                             width: `${Math.min(100, kpis.kpiAchievement)}%`,
-                            background: kpis.kpiAchievement >= 100 ? 
+                            background: achievementStatus === 'success' ? 
                                 'linear-gradient(90deg, #10B981, #34D399)' :
-                                kpis.kpiAchievement >= 85 ? 
+                                achievementStatus === 'warning' ? 
                                 'linear-gradient(90deg, #F59E0B, #FBBF24)' :
                                 'linear-gradient(90deg, #EF4444, #F87171)'
                         }
@@ -40,7 +76,11 @@
                             kpis.kpiAchievement >= 100 ? '✓' : `${kpis.kpiAchievement.toFixed(0)}%`
                         )
                     )
-                )
+                ),
+                tiers.length > 0 && h('div', { className: 'kpi-change change-neutral', style: { marginTop: '8px' } },
+                    `🎯 ${tiers.map(tier => `${formatKpiLevel ? formatKpiLevel(tier.percent) : tier.percent + '%'}: ${tier.achievement.toFixed(0)}%`).join(' · ')}`
+                ),
+                renderChange(comparison?.revenueGrowth, `revenue ${comparisonSuffix}`)
             ),
             
             // Days Progress Card
@@ -59,6 +99,16 @@
                     },
                         h('span', { className: 'progress-text' }, `${kpis.daysElapsed} days`)
                     )
+                ),
+                hasPace && h('div', {
+                    className: `kpi-change change-${paceStatus}`,
+                    title: `Phased KPI target through ${kpis.paceDate}: ${money(kpis.targetKpiToDate)}`,
+                    style: { marginTop: '8px' }
+                },
+                    `⏱️ ${kpis.paceAchievement.toFixed(0)}% of KPI target to date (${paceStatus === 'positive' ? 'on pace' : 'behind pace'})`
+                ),
+                comparison && h('div', { className: 'kpi-change change-neutral', style: { marginTop: '8px' } },
+                    `📆 ${comparison.label}`
                 )
             ),
             
@@ -67,9 +117,35 @@
                 h('div', { className: 'kpi-icon success' }, '🚀'),
                 h('div', { className: 'kpi-label' }, 'Daily Run Rate'),
                 h('div', { className: 'kpi-value' }, formatCurrency ? formatCurrency(kpis.runRate) : '$' + kpis.runRate),
-                h('div', { className: 'kpi-subtitle' }, '14-day weighted average'),
+                h('div', { className: 'kpi-subtitle' },
+                    kpis.runRateExcludes?.length > 0
+                        ? `14-day weighted average, without ${kpis.runRateExcludes.join(', ')} (stale)`
+                        : '14-day weighted average'
+                ),
                 h('div', { className: 'kpi-change change-neutral' }, 
                     `📊 Required: ${formatCurrency ? formatCurrency(kpis.gapToKPI / Math.max(1, kpis.daysRemaining)) : '$' + (kpis.gapToKPI / Math.max(1, kpis.daysRemaining))}/day`
+                ),
+                renderChange(comparison?.dailyAverageGrowth, `avg/day ${comparisonSuffix}`)
+            ),
+            
+            // Period-End Forecast Card
+            forecast && h('div', { className: `kpi-card ${forecastStatus}` },
+                h('div', { className: `kpi-icon ${forecastStatus}` }, '🔮'),
+                h('div', { className: 'kpi-label' }, 'Period-End Forecast'),
+                h('div', { className: 'kpi-value' }, money(forecast.total.expected)),
+                h('div', { className: 'kpi-subtitle' }, 
+                    `${Math.round(forecast.confidence * 100)}% range: ${money(forecast.total.lower)} – ${money(forecast.total.upper)}`
+                ),
+                h('div', { className: 'kpi-change change-neutral' }, 
+                    `🎯 ${forecastPercent.toFixed(0)}% of KPI target · ${forecast.seasonalYears > 0 ? `${forecast.seasonalYears}y seasonality` : 'no prior-year history'}`
+                ),
+                forecastChannels.length > 0 && h('div', { className: 'kpi-forecast-channels' },
+                    forecastChannels.map(([channel, channelForecast]) =>
+                        h('div', { key: channel, className: 'kpi-forecast-channel' },
+                            h('span', null, channel),
+                            h('span', { title: `${money(channelForecast.lower)} – ${money(channelForecast.upper)}` }, money(channelForecast.expected))
+                        )
+                    )
                 )
             )
         );
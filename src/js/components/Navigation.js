@@ -11,7 +11,10 @@
             view, setView,
             selectedPeriod, setSelectedPeriod,
             selectedMonth, setSelectedMonth,
+            selectedWeek, setSelectedWeek,
+            customRange, setCustomRange,
             selectedYear, setSelectedYear,
+            selectedWeekYear, setSelectedWeekYear, // ISO week-year of the weekly view
             selectedBrand, setSelectedBrand,
             brands, activeSection,
             currentUser,
@@ -40,11 +43,26 @@
         const isAllBrandsSelected = selectedBrand === 'All Brands' || selectedBrand === 'All My Brands';
         
         // Get year options dynamically based on actual data
-        const { getYearOptions, getLatestYearFromData } = window.dateUtils || {};
+        const { getYearOptions, getLatestYearFromData, getQuarterOptions, getMonthOptions } = window.dateUtils || {};
         const yearOptions = getYearOptions ? getYearOptions(salesData) : [
             { value: '2024', label: '2024' },
             { value: '2025', label: '2025' }
         ];
+        const weekYearOptions = window.dateUtils?.getWeekYearOptions ? window.dateUtils.getWeekYearOptions(salesData) : yearOptions;
+        
+        // Quarters and months follow the fiscal calendar (CONFIG.DATES.FISCAL_YEAR_START)
+        const quarterOptions = getQuarterOptions ? getQuarterOptions() :
+            ['Q1', 'Q2', 'Q3', 'Q4'].map(quarter => ({ value: quarter, label: quarter }));
+        const monthOptions = getMonthOptions ? getMonthOptions() :
+            ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+             'September', 'October', 'November', 'December'].map((label, i) => ({ value: i + 1, label }));
+        
+        // Custom view: picking a preset re-resolves it, editing a date switches to an explicit range
+        const rangePresetOptions = window.dateUtils?.getRangePresetOptions ? window.dateUtils.getRangePresetOptions() : [];
+        const updateCustomRange = (changes) => {
+            if (!setCustomRange || !window.dateUtils?.resolveCustomRange) return;
+            setCustomRange(window.dateUtils.resolveCustomRange({ ...customRange, ...changes }));
+        };
         
         const ProfileMenuComponent = ProfileMenu || window.ProfileMenu || window.ChaiVision?.components?.ProfileMenu;
         
@@ -81,6 +99,14 @@
                         className: `period-btn ${view === 'monthly' ? 'active' : ''}`,
                         onClick: () => setView && setView('monthly')
                     }, 'Monthly'),
+                    h('button', {
+                        className: `period-btn ${view === 'weekly' ? 'active' : ''}`,
+                        onClick: () => setView && setView('weekly')
+                    }, 'Weekly'),
+                    h('button', {
+                        className: `period-btn ${view === 'custom' ? 'active' : ''}`,
+                        onClick: () => setView && setView('custom')
+                    }, 'Custom'),
                     
                     view === 'annual' && h('select', {
                         value: selectedYear,
@@ -99,10 +125,9 @@
                             onChange: (e) => setSelectedPeriod && setSelectedPeriod(e.target.value),
                             style: { marginLeft: '8px', padding: '10px', borderRadius: '8px', border: '1px solid #E5E7EB', fontWeight: '600' }
                         },
-                            h('option', { value: 'Q1' }, 'Q1'),
-                            h('option', { value: 'Q2' }, 'Q2'),
-                            h('option', { value: 'Q3' }, 'Q3'),
-                            h('option', { value: 'Q4' }, 'Q4')
+                            ...quarterOptions.map(quarter =>
+                                h('option', { key: quarter.value, value: quarter.value }, quarter.label)
+                            )
                         ),
                         h('select', {
                             key: 'year',
@@ -123,18 +148,9 @@
                             onChange: (e) => setSelectedMonth && setSelectedMonth(parseInt(e.target.value)),
                             style: { marginLeft: '8px', padding: '10px', borderRadius: '8px', border: '1px solid #E5E7EB', fontWeight: '600' }
                         },
-                            h('option', { value: 1 }, 'January'),
-                            h('option', { value: 2 }, 'February'),
-                            h('option', { value: 3 }, 'March'),
-                            h('option', { value: 4 }, 'April'),
-                            h('option', { value: 5 }, 'May'),
-                            h('option', { value: 6 }, 'June'),
-                            h('option', { value: 7 }, 'July'),
-                            h('option', { value: 8 }, 'August'),
-                            h('option', { value: 9 }, 'September'),
-                            h('option', { value: 10 }, 'October'),
-                            h('option', { value: 11 }, 'November'),
-                            h('option', { value: 12 }, 'December')
+                            ...monthOptions.map(month =>
+                                h('option', { key: month.value, value: month.value }, month.label)
+                            )
                         ),
                         h('select', {
                             key: 'year',
@@ -146,6 +162,64 @@
                                 h('option', { key: year.value, value: year.value }, year.label)
                             )
                         )
+                    ],
+                    
+                    // Weekly: year is the ISO week-year (its own selection, not the fiscal year), weeks run Monday-Sunday
+                    view === 'weekly' && window.dateUtils?.getWeekOptions && [
+                        h('select', {
+                            key: 'week',
+                            value: selectedWeek,
+                            onChange: (e) => setSelectedWeek && setSelectedWeek(parseInt(e.target.value)),
+                            style: { marginLeft: '8px', padding: '10px', borderRadius: '8px', border: '1px solid #E5E7EB', fontWeight: '600' }
+                        },
+                            ...window.dateUtils.getWeekOptions(parseInt(selectedWeekYear)).map(week =>
+                                h('option', { key: week.value, value: week.value }, week.label)
+                            )
+                        ),
+                        h('select', {
+                            key: 'year',
+                            value: selectedWeekYear,
+                            onChange: (e) => {
+                                if (setSelectedWeekYear) setSelectedWeekYear(e.target.value);
+                                // Week 53 only exists in some years
+                                const weeksInYear = window.dateUtils.getISOWeeksInYear(parseInt(e.target.value));
+                                if (setSelectedWeek && selectedWeek > weeksInYear) setSelectedWeek(weeksInYear);
+                            },
+                            style: { marginLeft: '8px', padding: '10px', borderRadius: '8px', border: '1px solid #E5E7EB', fontWeight: '600' }
+                        },
+                            ...weekYearOptions.map(year => 
+                                h('option', { key: year.value, value: year.value }, year.label)
+                            )
+                        )
+                    ],
+                    
+                    view === 'custom' && customRange && [
+                        h('select', {
+                            key: 'preset',
+                            value: customRange.preset,
+                            onChange: (e) => updateCustomRange({ preset: e.target.value }),
+                            style: { marginLeft: '8px', padding: '10px', borderRadius: '8px', border: '1px solid #E5E7EB', fontWeight: '600' }
+                        },
+                            ...rangePresetOptions.map(preset =>
+                                h('option', { key: preset.value, value: preset.value }, preset.label)
+                            )
+                        ),
+                        h('input', {
+                            key: 'start',
+                            type: 'date',
+                            value: customRange.start,
+                            max: customRange.end,
+                            onChange: (e) => e.target.value && updateCustomRange({ preset: 'custom', start: e.target.value }),
+                            style: { marginLeft: '8px', padding: '9px', borderRadius: '8px', border: '1px solid #E5E7EB', fontWeight: '600' }
+                        }),
+                        h('input', {
+                            key: 'end',
+                            type: 'date',
+                            value: customRange.end,
+                            min: customRange.start,
+                            onChange: (e) => e.target.value && updateCustomRange({ preset: 'custom', end: e.target.value }),
+                            style: { marginLeft: '8px', padding: '9px', borderRadius: '8px', border: '1px solid #E5E7EB', fontWeight: '600' }
+                        })
                     ]
                 ),
                 
@@ -6,7 +6,13 @@
 (function() {
     'use strict';
     
-    function Preferences({ currentUser, onUpdate }) {
+    // Columns added by later migrations -> the script that adds them (see loadUserPreferences in app.js)
+    const OPTIONAL_COLUMNS = {
+        timezone: 'sql/user_preferences_timezone.sql',
+        alert_subscriptions: 'sql/alert_rules.sql'
+    };
+    
+    function Preferences({ currentUser, onUpdate, dataService }) {
         const { useState, useEffect, createElement: h } = React;
         
         // State for preferences
@@ -21,8 +27,12 @@
             default_dashboard_view: 'quarterly',
             refresh_interval: 30,
             show_tutorials: true,
-            compact_mode: false
+            compact_mode: false,
+            timezone: '', // Empty = company time zone (CONFIG.DATES.TIMEZONE)
+            alert_subscriptions: [] // Alert rule ids (see alertRules.js)
         });
+        const [alertRules, setAlertRules] = useState([]);
+        const { describeRule } = window.alertRules || {};
         
         // State for UI
         const [isLoading, setIsLoading] = useState(true);
@@ -35,6 +45,14 @@
             loadPreferences();
         }, []);
         
+        // Alert rules to subscribe to
+        useEffect(() => {
+            if (!dataService?.loadAlertRules) return;
+            dataService.loadAlertRules()
+                .then(rules => setAlertRules(rules || []))
+                .catch(err => console.warn('⚠️ Failed to load alert rules:', err));
+        }, [dataService]);
+        
         // Apply preferences when they change
         useEffect(() => {
             applyPreferences(preferences);
@@ -103,6 +121,11 @@
             
             // Apply tutorials setting
             applyTutorials(prefs.show_tutorials);
+            
+            // Apply time zone used for "today", days elapsed and run rate
+            if (window.dateUtils?.setTimeZoneOverride) {
+                window.dateUtils.setTimeZoneOverride(prefs.timezone || null);
+            }
         };
         
         // Apply theme to the application
@@ -223,13 +246,25 @@
                 
                 if (supabase && config?.FEATURES?.ENABLE_SUPABASE) {
                     // Save to Supabase
-                    const { error } = await supabase
+                    const row = {
+                        user_id: currentUser.id,
+                        ...newPreferences,
+                        updated_at: new Date().toISOString()
+                    };
+                    const upsertRow = (values) => supabase
                         .from('user_preferences')
-                        .upsert({
-                            user_id: currentUser.id,
-                            ...newPreferences,
-                            updated_at: new Date().toISOString()
-                        });
+                        .upsert(values);
+                    let { error } = await upsertRow(row);
+                    
+                    // Unknown column (42703 / PGRST204): save the rest until its migration has been run
+                    if (error?.code === '42703' || error?.code === 'PGRST204') {
+                        const named = Object.keys(OPTIONAL_COLUMNS).filter(column => error.message?.includes(column));
+                        const missing = named.length > 0 ? named : Object.keys(OPTIONAL_COLUMNS);
+                        console.warn(`⚠️ user_preferences is missing ${missing.join(', ')} (run ${missing.map(column => OPTIONAL_COLUMNS[column]).join(', ')})`);
+                        ({ error } = await upsertRow(Object.fromEntries(
+                            Object.entries(row).filter(([column]) => !missing.includes(column))
+                        )));
+                    }
                     
                     if (error) {
                         console.error('Failed to save preferences:', error);
@@ -303,6 +338,12 @@
             }
         };
         
+        // Subscribe to or unsubscribe from an alert rule
+        const handleAlertSubscription = (ruleId, subscribed) => {
+            const subscriptions = (preferences.alert_subscriptions || []).filter(id => id !== ruleId);
+            handlePreferenceChange('alert_subscriptions', subscribed ? [...subscriptions, ruleId] : subscriptions);
+        };
+        
         // Handle save button click
         const handleSave = () => {
             savePreferences(preferences);
@@ -321,7 +362,9 @@
                 default_dashboard_view: 'quarterly',
                 refresh_interval: 30,
                 show_tutorials: true,
-                compact_mode: false
+                compact_mode: false,
+                timezone: '',
+                alert_subscriptions: []
             };
             setPreferences(defaultPreferences);
             
@@ -329,6 +372,17 @@
             applyPreferences(defaultPreferences);
         };
         
+        // Time zone choices: common business zones plus this browser's own zone
+        const companyTimeZone = (window.CONFIG || window.ChaiVision?.CONFIG)?.DATES?.TIMEZONE || 'UTC';
+        const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const timeZoneOptions = Array.from(new Set([
+            'America/New_York', 'America/Chicago', 'America/Denver', 'America/Phoenix', 'America/Los_Angeles',
+            'America/Toronto', 'Europe/London', 'Europe/Berlin', 'Asia/Kolkata', 'Asia/Shanghai', 'Asia/Tokyo',
+            'Australia/Sydney', 'UTC',
+            ...(browserTimeZone ? [browserTimeZone] : []),
+            ...(preferences.timezone ? [preferences.timezone] : [])
+        ]));
+        
         // Loading state
         if (isLoading) {
             return h('div', { className: 'preferences-loading' },
@@ -373,6 +427,8 @@
                             },
                                 h('option', { value: 'quarterly' }, 'Quarterly View'),
                                 h('option', { value: 'monthly' }, 'Monthly View'),
+                                h('option', { value: 'weekly' }, 'Weekly View'),
+                                h('option', { value: 'custom' }, 'Custom Range View'),
                                 h('option', { value: 'daily' }, 'Daily View')
                             ),
                             h('p', { className: 'preference-help' }, 
@@ -413,6 +469,22 @@
                             h('p', { className: 'preference-help' }, 
                                 'Choose the default quarter to display'
                             )
+                        ),
+                        
+                        // Time Zone
+                        h('div', { className: 'preference-item' },
+                            h('label', { className: 'preference-label' }, 'Time Zone'),
+                            h('select', {
+                                className: 'preference-select',
+                                value: preferences.timezone || '',
+                                onChange: (e) => handlePreferenceChange('timezone', e.target.value)
+                            },
+                                h('option', { value: '' }, `Company default (${companyTimeZone})`),
+                                ...timeZoneOptions.map(zone => h('option', { key: zone, value: zone }, zone.replace(/_/g, ' ')))
+                            ),
+                            h('p', { className: 'preference-help' }, 
+                                'Today, days remaining and the run rate are calculated in this time zone'
+                            )
                         )
                     )
                 ),
@@ -543,6 +615,33 @@
                             )
                         )
                     )
+                ),
+                
+                // Alerts Section: rules are set up in Settings, each user subscribes to the ones they want
+                dataService?.loadAlertRules && h('div', { className: 'preferences-section' },
+                    h('h2', { className: 'section-title' }, 'Alerts'),
+                    h('div', { className: 'section-content' },
+                        alertRules.length === 0 && h('p', { className: 'preference-help' },
+                            'No alert rules have been set up yet. Admins and Managers create them in Settings.'
+                        ),
+                        ...alertRules.map(rule =>
+                            h('div', { key: rule.id, className: 'preference-item' },
+                                h('label', { className: 'preference-label' }, rule.name),
+                                h('div', { className: 'toggle-switch' },
+                                    h('input', {
+                                        type: 'checkbox',
+                                        id: `alert-rule-${rule.id}`,
+                                        checked: (preferences.alert_subscriptions || []).includes(rule.id),
+                                        onChange: (e) => handleAlertSubscription(rule.id, e.target.checked)
+                                    }),
+                                    h('label', { htmlFor: `alert-rule-${rule.id}`, className: 'toggle-label' })
+                                ),
+                                h('p', { className: 'preference-help' }, 
+                                    describeRule ? `Alert when ${describeRule(rule)}` : rule.type
+                                )
+                            )
+                        )
+                    )
                 )
             ),
             
@@ -15,10 +15,12 @@
             view,
             selectedPeriod,
             selectedMonth,
+            selectedWeek,
+            customRange,
             selectedYear,
             dataService,
             userPermissions,
-            channelTarget85 = 0,
+            channelTargetKpi = 0,
             onNavigateBack
         } = props;
 
@@ -38,34 +40,9 @@
         const topSKUsChartInstance = useRef(null);
         const contributionChartInstance = useRef(null);
 
-        // Calculate date range based on view
+        // Calculate date range based on view (fiscal year/quarter/month, ISO week)
         const getDateRange = () => {
-            const year = parseInt(selectedYear);
-            const month = parseInt(selectedMonth);
-
-            if (view === 'annual') {
-                return {
-                    start: `${year}-01-01`,
-                    end: `${year}-12-31`
-                };
-            } else if (view === 'quarterly') {
-                const period = selectedPeriod || 'Q1';
-                const quarter = period.toString().replace('Q', '');
-                const startMonth = (quarter - 1) * 3 + 1;
-                const endMonth = startMonth + 2;
-                const endDay = new Date(year, endMonth, 0).getDate();
-                return {
-                    start: `${year}-${String(startMonth).padStart(2, '0')}-01`,
-                    end: `${year}-${String(endMonth).padStart(2, '0')}-${endDay}`
-                };
-            } else if (view === 'monthly') {
-                const daysInMonth = new Date(year, month, 0).getDate();
-                return {
-                    start: `${year}-${String(month).padStart(2, '0')}-01`,
-                    end: `${year}-${String(month).padStart(2, '0')}-${daysInMonth}`
-                };
-            }
-            return { start: null, end: null };
+            return window.dateUtils.getPeriodDateRange(view, selectedPeriod || 'Q1', selectedYear, selectedMonth, selectedWeek || 1, customRange);
         };
 
         // Load SKU data
@@ -130,7 +107,7 @@
             };
 
             loadData();
-        }, [channel, brand, view, selectedPeriod, selectedMonth, selectedYear, dataService]);
+        }, [channel, brand, view, selectedPeriod, selectedMonth, selectedWeek, customRange?.start, customRange?.end, selectedYear, dataService]);
 
         // Filter and sort data
         const filteredAndSortedData = useMemo(() => {
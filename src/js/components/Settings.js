@@ -18,6 +18,7 @@
             userRole,
             userPermissions,
             currentUser,
+            dataService,
             salesData = [] // Add sales data for year detection
         } = props;
 
@@ -29,14 +30,44 @@
         const ALL_CHANNELS = channels || CONFIG.CHANNELS?.LIST || INITIAL_DATA.channels || [];
 
         // Get formatters and services from window
-        const { formatCurrency } = window.formatters || {};
+        const { formatCurrency, formatDateTime } = window.formatters || {};
+        const { getKpiLevels, normalizeKpiLevels, parseKpiTiers, validateKpiLevels, formatKpiLevel } = window.kpiLevels || {};
+        const { getPhasing, getPhasingModeOptions, getWeekdayLabels, normalizePhasing, deriveHistoricalPhasing, validatePhasing,
+            MONTH_PERIODS = [], hasMonthlyTargets, splitQuarterIntoMonths, validateMonthlyTargets } = window.targetPhasing || {};
+        const { PRIOR_YEAR_PROFILE, getBuiltInProfiles, getProfileOptions, findProfile, getAssignedProfileName,
+            deriveProfileFromSales, distributeAnnual, getQuarterMonthWeights, validateProfile } = window.targetDistribution || {};
+        const TargetAllocationWizard = window.TargetAllocationWizard || window.ChaiVision?.components?.TargetAllocationWizard;
+        const TargetScenarioPlanner = window.TargetScenarioPlanner || window.ChaiVision?.components?.TargetScenarioPlanner;
+        const TargetRollForward = window.TargetRollForward || window.ChaiVision?.components?.TargetRollForward;
+        const { getBaseOptions, getAnnualTotal } = window.targetScenarios || {};
+        const TargetRevisionReview = window.TargetRevisionReview || window.ChaiVision?.components?.TargetRevisionReview;
+        const TargetImportPreview = window.TargetImportPreview || window.ChaiVision?.components?.TargetImportPreview;
+        const { getColumns, buildTargetRows, parseTargetFile, readTargetRows, downloadTargetRows } = window.targetImport || {};
+        const { getStatus, getBrandSnapshot, applyBrandSnapshot, diffTargets, diffSettings, mergeRevision, getNextVersion,
+            getVersions } = window.targetRevisions || {};
+        const AlertRuleEditor = window.AlertRuleEditor || window.ChaiVision?.components?.AlertRuleEditor;
+        const { describeRule } = window.alertRules || {};
 
         // Get year options dynamically based on actual data
-        const { getYearOptions, getLatestYearFromData } = window.dateUtils || {};
+        const { getYearOptions, getLatestYearFromData, getCurrentYear, getFiscalYearLabel, getQuarterOptions, getMonthOptions, getQuarterMonths, isCalendarYear } = window.dateUtils || {};
         const yearOptions = getYearOptions ? getYearOptions(salesData) : [
             { value: '2024', label: '2024' },
             { value: '2025', label: '2025' }
         ];
+        
+        // Targets are stored per fiscal year and fiscal quarter
+        const formatYear = (year) => getFiscalYearLabel ? getFiscalYearLabel(year) : year;
+        const quarterLabels = Object.fromEntries(
+            (getQuarterOptions ? getQuarterOptions() : ['Q1', 'Q2', 'Q3', 'Q4'].map(q => ({ value: q, label: q })))
+                .map(option => [option.value, option.label])
+        );
+        const monthLabels = Object.fromEntries(
+            (getMonthOptions ? getMonthOptions() : []).map(option => [option.value, option.label])
+        );
+
+        // Explicit monthly targets (M1..M12) are optional and edited next to the quarters
+        const getTargetPeriods = (values) => ['annual', 'Q1', 'Q2', 'Q3', 'Q4',
+            ...(hasMonthlyTargets && hasMonthlyTargets(values) ? MONTH_PERIODS : [])];
 
         const getSupabaseClient = () => {
             const config = window.CONFIG || window.ChaiVision?.CONFIG;
@@ -64,6 +95,9 @@
         // Check if user can manage brands (Admin only)
         const canManageBrands = userRole === 'Admin';
 
+        // Target changes are versioned and Manager edits wait for Admin approval once revisions can be stored
+        const revisionsEnabled = Boolean(TargetRevisionReview && getBrandSnapshot && dataService?.saveRevision);
+
         // State
         // Helper function to create empty targets structure
         const createEmptyTargets = () => {
@@ -86,9 +120,28 @@
             return emptyTargets;
         };
 
-        const [settingsYear, setSettingsYear] = useState(new Date().getFullYear().toString());
+        const [settingsYear, setSettingsYear] = useState(getCurrentYear ? getCurrentYear() : new Date().getFullYear().toString());
         const [editingBrand, setEditingBrand] = useState(null);
         const [editingValues, setEditingValues] = useState({});
+        const [editingLevels, setEditingLevels] = useState({ threshold: 85, tiersText: '' });
+        const [editingPhasing, setEditingPhasing] = useState(null);
+        const [isDerivingPhasing, setIsDerivingPhasing] = useState(false);
+        const [savedProfiles, setSavedProfiles] = useState([]);
+        const [editingDistribution, setEditingDistribution] = useState('');
+        const [newBrandDistribution, setNewBrandDistribution] = useState('');
+        const [isDistributing, setIsDistributing] = useState(false);
+        const [profileForm, setProfileForm] = useState(null);
+        const [showAllocationWizard, setShowAllocationWizard] = useState(false);
+        const [showRollForward, setShowRollForward] = useState(false);
+        const [scenarios, setScenarios] = useState([]);
+        const [editingScenario, setEditingScenario] = useState(null);
+        const [alertRules, setAlertRules] = useState([]);
+        const [editingAlertRule, setEditingAlertRule] = useState(null);
+        const [revisions, setRevisions] = useState([]);
+        const [revisionNote, setRevisionNote] = useState('');
+        const [reviewingRevision, setReviewingRevision] = useState(null);
+        const [historyBrand, setHistoryBrand] = useState(null);
+        const [importPreview, setImportPreview] = useState(null);
         const [showAddBrand, setShowAddBrand] = useState(false);
         const [newBrandName, setNewBrandName] = useState('');
         const [newBrandTargets, setNewBrandTargets] = useState(createEmptyTargets());
@@ -102,11 +155,56 @@
         const [deleteAction, setDeleteAction] = useState('delete'); // 'delete' or 'reassign'
         const [reassignToBrand, setReassignToBrand] = useState('');
 
+        // Targets can also be set for next fiscal year and for any year that already has them
+        const settingsYearOptions = (() => {
+            const years = new Set([
+                ...yearOptions.map(option => option.value),
+                ...Object.keys(dynamicTargets).filter(year => /^\d{4}$/.test(year)),
+                String(parseInt(getCurrentYear ? getCurrentYear() : new Date().getFullYear()) + 1)
+            ]);
+            return Array.from(years)
+                .sort((a, b) => b - a)
+                .map(year => ({ value: year, label: formatYear(year) }));
+        })();
+        const previousYear = String(parseInt(settingsYear) - 1);
+
         // Update local state when props change
         useEffect(() => {
             setDynamicBrands(availableBrands);
         }, [initialBrands, userPermissions]);
 
+        // User-defined distribution profiles
+        useEffect(() => {
+            if (!dataService?.loadDistributionProfiles) return;
+            dataService.loadDistributionProfiles()
+                .then(profiles => setSavedProfiles(profiles || []))
+                .catch(err => console.warn('⚠️ Failed to load distribution profiles:', err));
+        }, [dataService]);
+
+        // What-if target scenarios
+        useEffect(() => {
+            if (!dataService?.loadScenarios) return;
+            dataService.loadScenarios()
+                .then(saved => setScenarios(saved || []))
+                .catch(err => console.warn('⚠️ Failed to load target scenarios:', err));
+        }, [dataService]);
+
+        // Alert rules users can subscribe to in Preferences
+        useEffect(() => {
+            if (!dataService?.loadAlertRules) return;
+            dataService.loadAlertRules()
+                .then(saved => setAlertRules(saved || []))
+                .catch(err => console.warn('⚠️ Failed to load alert rules:', err));
+        }, [dataService]);
+
+        // Target revisions of the selected year: pending approvals and version history
+        useEffect(() => {
+            if (!revisionsEnabled || !dataService?.loadRevisions) return;
+            dataService.loadRevisions(settingsYear)
+                .then(saved => setRevisions(saved || []))
+                .catch(err => console.warn('⚠️ Failed to load target revisions:', err));
+        }, [dataService, settingsYear]);
+
         // Handle ESC key to close modal and body scroll locking
         useEffect(() => {
             const handleKeyDown = (event) => {
@@ -142,41 +240,51 @@
             return hasBrandAccess && hasChannelAccess;
         };
 
-        // Helper function to auto-calculate quarterly targets from annual
-        const autoCalculateQuarterly = (annualTargets, brandName = '') => {
-            const quarterlyTargets = {
-                Q1: {},
-                Q2: {},
-                Q3: {},
-                Q4: {}
-            };
-
-            // Use different quarterly distributions based on brand
-            const isLifePro = brandName.toLowerCase() === 'lifepro';
-
-            // LifePro quarterly distribution: Q1: 27.8%, Q2: 17.6%, Q3: 17.6%, Q4: 37.0%
-            // Other brands: Q1: 18.2%, Q2: 18.2%, Q3: 27.3%, Q4: 36.3%
-            const quarterlyPercentages = isLifePro
-                ? { Q1: 0.278, Q2: 0.176, Q3: 0.176, Q4: 0.370 }
-                : { Q1: 0.182, Q2: 0.182, Q3: 0.273, Q4: 0.363 };
+        // Helper function to auto-calculate quarterly targets from annual with a distribution profile
+        const autoCalculateQuarterly = (annualTargets, profile) => distributeAnnual
+            ? distributeAnnual(profile, annualTargets, availableChannels)
+            : { Q1: {}, Q2: {}, Q3: {}, Q4: {} };
 
-            availableChannels.forEach(channel => {
-                const annualValue = parseFloat(annualTargets[channel]) || 0;
+        // Profile by name; 'Prior-year actuals' is the brand's quarter and month mix in the previous fiscal year
+        const resolveProfile = async (profileName, brandName) => {
+            if (profileName !== PRIOR_YEAR_PROFILE) {
+                return findProfile(profileName, savedProfiles) || getBuiltInProfiles()[0];
+            }
+            if (!dataService?.loadPhasingHistory) {
+                setError('Prior-year actuals need a data connection');
+                return null;
+            }
 
-                quarterlyTargets.Q1[channel] = annualValue * quarterlyPercentages.Q1;
-                quarterlyTargets.Q2[channel] = annualValue * quarterlyPercentages.Q2;
-                quarterlyTargets.Q3[channel] = annualValue * quarterlyPercentages.Q3;
-                quarterlyTargets.Q4[channel] = annualValue * quarterlyPercentages.Q4;
-            });
+            setIsDistributing(true);
+            try {
+                const rows = await dataService.loadPhasingHistory(brandName, settingsYear, 1);
+                const profile = deriveProfileFromSales(rows);
+                if (!profile) {
+                    setError(`No ${brandName} sales found for ${formatYear(String(parseInt(settingsYear) - 1))}; choose another profile`);
+                }
+                return profile;
+            } catch (err) {
+                console.error('❌ Failed to derive distribution profile:', err);
+                setError('Failed to load last year\'s sales for the distribution profile');
+                return null;
+            } finally {
+                setIsDistributing(false);
+            }
+        };
 
-            return quarterlyTargets;
+        const describeProfile = (profileName) => {
+            if (profileName === PRIOR_YEAR_PROFILE) return 'Split by the brand\'s actual quarterly mix in the previous year.';
+            const profile = findProfile ? findProfile(profileName, savedProfiles) : null;
+            return profile
+                ? `Split by ${profile.name}: ${profile.quarters.map((share, index) => `${quarterLabels[`Q${index + 1}`] || `Q${index + 1}`} ${share.toFixed(1)}%`).join(', ')}.`
+                : '';
         };
 
         // Helper function to validate targets (using the validator from utils)
-        const validateTargets = (targets) => {
+        const validateTargets = (targets, channels) => {
             const { validateTargets: validateTargetsUtil } = window.validators || {};
             if (validateTargetsUtil) {
-                return validateTargetsUtil(targets);
+                return validateTargetsUtil(targets, channels);
             }
 
             // Fallback validation
@@ -203,7 +311,7 @@
         };
 
         // Audit log helper
-        const logKPIChange = async (brand, channel, period, oldValue, newValue) => {
+        const logKPIChange = async (brand, channel, period, oldValue, newValue, revision = null, year = settingsYear) => {
             const supabase = getSupabaseClient();
             if (!supabase) return;
 
@@ -216,7 +324,7 @@
                         user_role: userRole,
                         action: 'kpi_target_update',
                         action_details: {
-                            year: settingsYear,
+                            year,
                             brand,
                             channel,
                             period,
@@ -231,19 +339,208 @@
                 await supabase
                     .from('kpi_targets_history')
                     .insert({
-                        year: parseInt(settingsYear),
+                        year: parseInt(year),
                         period,
                         brand,
                         channel,
                         old_value: oldValue,
                         new_value: newValue,
-                        changed_by: currentUser?.id
+                        changed_by: currentUser?.id,
+                        ...(revision ? { version: revision.version, revision_id: revision.id } : {})
                     });
             } catch (error) {
                 console.error('Failed to log KPI change:', error);
             }
         };
 
+        // Applied changes become the brand's next approved version; approving a pending revision keeps its id
+        const recordVersion = async (brand, base, proposed, { pending = null, note = '', reviewNote = '', year = settingsYear } = {}) => {
+            if (!revisionsEnabled) return null;
+
+            const isSettingsYear = String(year) === String(settingsYear);
+            const now = new Date().toISOString();
+
+            try {
+                // Only the selected year's revisions are loaded with the page
+                const yearRevisions = isSettingsYear ? revisions : await dataService.loadRevisions(year);
+                const review = {
+                    status: 'approved',
+                    version: getNextVersion(yearRevisions, year, brand),
+                    reviewedBy: currentUser?.id || null,
+                    reviewedEmail: currentUser?.email || '',
+                    reviewedAt: now,
+                    reviewNote
+                };
+
+                let saved;
+                if (pending) {
+                    // The version keeps what was applied, which may differ from what was submitted
+                    Object.assign(review, { base, proposed });
+                    await dataService.updateRevision(pending.id, review);
+                    saved = { ...pending, ...review };
+                } else {
+                    saved = await dataService.saveRevision({
+                        year,
+                        brand,
+                        base,
+                        proposed,
+                        note,
+                        submittedBy: currentUser?.id || null,
+                        submittedEmail: currentUser?.email || '',
+                        submittedAt: now,
+                        ...review
+                    });
+                }
+                if (isSettingsYear) {
+                    setRevisions(prev => [saved, ...prev.filter(revision => revision.id !== saved.id)]);
+                }
+                return saved;
+            } catch (err) {
+                console.warn('⚠️ Failed to record target version:', err);
+                return null;
+            }
+        };
+
+        // Manager changes wait as a pending revision; the targets stay as they are until an Admin approves
+        const submitRevision = async (brand, base, proposed, note = '') => {
+            const saved = await dataService.saveRevision({
+                year: settingsYear,
+                brand,
+                status: 'pending',
+                base,
+                proposed,
+                note,
+                submittedBy: currentUser?.id || null,
+                submittedEmail: currentUser?.email || '',
+                submittedAt: new Date().toISOString()
+            });
+            setRevisions(prev => [saved, ...prev]);
+            return saved;
+        };
+
+        // Write a brand snapshot into the targets, logging each changed cell against the version
+        const applySnapshot = async (brand, current, snapshot, revision) => {
+            diffTargets(current.targets, snapshot.targets, ALL_CHANNELS).forEach(change => {
+                logKPIChange(brand, change.channel, change.period, change.before, change.after, revision);
+            });
+
+            const updatedTargets = applyBrandSnapshot(dynamicTargets, settingsYear, brand, snapshot);
+            setDynamicTargets(updatedTargets);
+
+            if (onUpdate) {
+                await Promise.resolve(onUpdate({
+                    brands: dynamicBrands,
+                    targets: updatedTargets
+                }));
+            }
+        };
+
+        // What approving a pending revision would write: its own changes on top of the current targets
+        const getRevisionMerge = (revision) => mergeRevision(revision.base, revision.proposed,
+            getBrandSnapshot(dynamicTargets, settingsYear, revision.brand), ALL_CHANNELS);
+
+        const describeConflicts = ({ conflicts, settingConflicts }) => [
+            ...conflicts.map(conflict => {
+                const period = conflict.period === 'annual' ? 'Annual' :
+                    quarterLabels[conflict.period] || monthLabels[conflict.period.slice(1)] || conflict.period;
+                return `${period} ${conflict.channel}`;
+            }),
+            ...settingConflicts
+        ];
+
+        const handleApproveRevision = async (revision, reviewNote) => {
+            const current = getBrandSnapshot(dynamicTargets, settingsYear, revision.brand);
+            const merge = getRevisionMerge(revision);
+            const conflicting = describeConflicts(merge);
+            if (conflicting.length > 0) {
+                setError(`${conflicting.join(', ')} changed after this was submitted. Reject it and submit the changes again.`);
+                return;
+            }
+
+            const approved = await recordVersion(revision.brand, current, merge.snapshot, { pending: revision, reviewNote });
+            if (!approved) {
+                setError('Failed to approve the changes. Please try again.');
+                return;
+            }
+
+            await applySnapshot(revision.brand, current, merge.snapshot, approved);
+            setReviewingRevision(null);
+            setSuccess(`${revision.brand} changes approved as version ${approved.version}`);
+            setTimeout(() => setSuccess(''), 3000);
+        };
+
+        const handleRejectRevision = async (revision, reviewNote) => {
+            const review = {
+                status: 'rejected',
+                reviewedBy: currentUser?.id || null,
+                reviewedEmail: currentUser?.email || '',
+                reviewedAt: new Date().toISOString(),
+                reviewNote
+            };
+
+            try {
+                await dataService.updateRevision(revision.id, review);
+            } catch (err) {
+                setError('Failed to reject the changes. Please try again.');
+                return;
+            }
+
+            setRevisions(prev => prev.map(saved => saved.id === revision.id ? { ...saved, ...review } : saved));
+            setReviewingRevision(null);
+            setSuccess(`${revision.brand} changes rejected`);
+            setTimeout(() => setSuccess(''), 3000);
+        };
+
+        // Restoring an earlier version applies it as a new version (Admin) or submits it for approval (Manager)
+        const handleRestoreVersion = async (brand, option, note) => {
+            const current = getBrandSnapshot(dynamicTargets, settingsYear, brand);
+
+            if (userRole === 'Manager') {
+                try {
+                    await submitRevision(brand, current, option.snapshot, note || `Restore ${option.label}`);
+                } catch (err) {
+                    setError('Failed to submit the restore for approval. Please try again.');
+                    return;
+                }
+                setHistoryBrand(null);
+                setSuccess(`Restoring ${brand} ${option.label} submitted for Admin approval`);
+                setTimeout(() => setSuccess(''), 3000);
+                return;
+            }
+
+            const restored = await recordVersion(brand, current, option.snapshot, { note: note || `Restored ${option.label}` });
+            await applySnapshot(brand, current, option.snapshot, restored);
+            setHistoryBrand(null);
+            setSuccess(`${brand} targets restored to ${option.label}`);
+            setTimeout(() => setSuccess(''), 3000);
+        };
+
+        // Version picker entries for the history view, newest first, ending with the targets before version 1
+        const getVersionOptions = (brand) => {
+            const versions = getVersions(revisions, settingsYear, brand);
+            const options = versions.map(revision => ({
+                key: String(revision.id),
+                label: `Version ${revision.version}`,
+                description: [
+                    revision.submittedEmail || 'Unknown user',
+                    revision.reviewedAt && formatDateTime ? formatDateTime(revision.reviewedAt) : '',
+                    revision.note
+                ].filter(Boolean).join(' · '),
+                snapshot: revision.proposed
+            }));
+
+            const first = versions[versions.length - 1];
+            if (first) {
+                options.push({
+                    key: 'original',
+                    label: `Before version ${first.version}`,
+                    description: 'Targets before the first recorded version',
+                    snapshot: first.base
+                });
+            }
+            return options;
+        };
+
         // Handle editing existing brand
         const handleEditBrand = (brand) => {
             // Check if user can edit this brand
@@ -266,7 +563,7 @@
             // Filter channels to only those the user can edit
             const filteredData = { ...editingData };
             if (userRole === 'Manager') {
-                ['annual', 'Q1', 'Q2', 'Q3', 'Q4'].forEach(period => {
+                getTargetPeriods(editingData).forEach(period => {
                     if (filteredData[period]) {
                         const filtered = {};
                         availableChannels.forEach(channel => {
@@ -287,7 +584,7 @@
                 });
             } else {
                 // Admin: ensure all channels are initialized
-                ['annual', 'Q1', 'Q2', 'Q3', 'Q4'].forEach(period => {
+                getTargetPeriods(editingData).forEach(period => {
                     if (!filteredData[period]) {
                         filteredData[period] = {};
                     }
@@ -299,11 +596,370 @@
                 });
             }
 
+            const levels = getKpiLevels ? getKpiLevels(dynamicTargets, settingsYear, brand) : { threshold: 85, tiers: [] };
+
             setEditingBrand(brand);
             setEditingValues(filteredData);
+            setEditingLevels({ threshold: levels.threshold, tiersText: levels.tiers.join(', ') });
+            setEditingPhasing(getPhasing ? getPhasing(dynamicTargets, settingsYear, brand) : null);
+            setEditingDistribution(getAssignedProfileName ? getAssignedProfileName(dynamicTargets, settingsYear, brand) : '');
+            setRevisionNote('');
             setError('');
         };
 
+        // Phasing weights in the shape of the brand's sales over the previous fiscal year
+        const handleDerivePhasing = async () => {
+            if (!editingBrand || !dataService?.loadPhasingHistory || !deriveHistoricalPhasing) return;
+
+            setIsDerivingPhasing(true);
+            try {
+                const rows = await dataService.loadPhasingHistory(editingBrand, settingsYear);
+                if (rows.length === 0) {
+                    setError(`No ${editingBrand} sales found for the previous year; phasing left unchanged`);
+                    return;
+                }
+                setEditingPhasing(deriveHistoricalPhasing(rows));
+                setError('');
+            } catch (err) {
+                console.error('❌ Failed to derive phasing:', err);
+                setError('Failed to load last year\'s sales for phasing');
+            } finally {
+                setIsDerivingPhasing(false);
+            }
+        };
+
+        // Month targets for every quarter from the quarter targets being edited: by the distribution
+        // profile's month shares when it has them, otherwise by the phasing profile
+        const splitAllQuarters = (values, profile = null, brand = editingBrand) => {
+            const phasing = (brand === editingBrand && editingPhasing) || (getPhasing ? getPhasing(dynamicTargets, settingsYear, brand) : null);
+            return ['Q1', 'Q2', 'Q3', 'Q4'].reduce((months, quarter) => ({
+                ...months,
+                ...splitQuarterIntoMonths(phasing, settingsYear, quarter, values[quarter] || {},
+                    profile && getQuarterMonthWeights ? getQuarterMonthWeights(profile, quarter) : null)
+            }), {});
+        };
+
+        // Fill month values missing for a channel from that channel's quarter
+        const completeMonthlyTargets = (values) => {
+            const split = splitAllQuarters(values);
+            const completed = { ...values };
+            MONTH_PERIODS.forEach(period => {
+                if (!split[period]) return;
+                completed[period] = { ...split[period], ...(values[period] || {}) };
+            });
+            return completed;
+        };
+
+        const handleSplitMonths = async () => {
+            if (!splitQuarterIntoMonths) return;
+            const profile = await resolveProfile(editingDistribution, editingBrand);
+            setEditingValues({ ...editingValues, ...splitAllQuarters(editingValues, profile) });
+        };
+
+        // Quarters (and months, when the brand has monthly targets) from the annual targets
+        const handleAutoCalculate = async () => {
+            const profile = await resolveProfile(editingDistribution, editingBrand);
+            if (!profile) return;
+
+            const quarters = autoCalculateQuarterly(editingValues.annual || {}, profile);
+            const updatedValues = { ...editingValues, ...quarters };
+            setEditingValues(hasMonthlyTargets && hasMonthlyTargets(editingValues)
+                ? { ...updatedValues, ...splitAllQuarters(updatedValues, profile) }
+                : updatedValues);
+        };
+
+        // Top-down allocation (Admin): annual targets from the wizard, optionally split into quarters
+        // (and months, for brands with monthly targets) by each brand's distribution profile
+        const handleApplyAllocation = async (allocation, { distributeQuarters }) => {
+            const yearData = dynamicTargets[settingsYear] || { brands: {} };
+            const note = `Top-down allocation of ${formatYear(settingsYear)}`;
+            const brandsData = { ...(yearData.brands || {}) };
+            const allocated = {};
+            const defaulted = [];
+
+            // Build and check every brand first: new annual figures with old quarters fail validation,
+            // and nothing is written unless all brands pass
+            for (const brand of Object.keys(allocation)) {
+                const oldValues = brandsData[brand] || createEmptyTargets();
+                let brandData = { ...oldValues, annual: { ...(oldValues.annual || {}), ...allocation[brand] } };
+
+                if (distributeQuarters) {
+                    let profile = await resolveProfile(getAssignedProfileName(dynamicTargets, settingsYear, brand), brand);
+                    if (!profile) {
+                        profile = getBuiltInProfiles()[0];
+                        defaulted.push(brand);
+                    }
+                    brandData = { ...brandData, ...autoCalculateQuarterly(brandData.annual, profile) };
+                    if (hasMonthlyTargets && hasMonthlyTargets(brandData)) {
+                        brandData = { ...brandData, ...splitAllQuarters(brandData, profile, brand) };
+                    }
+                }
+                allocated[brand] = brandData;
+            }
+
+            const invalid = Object.keys(allocated)
+                .map(brand => ({ brand, validation: validateTargets(allocated[brand], availableChannels) }))
+                .filter(({ validation }) => !validation.isValid);
+            if (invalid.length > 0) {
+                throw new Error(`Not applied: ${invalid.map(({ brand, validation }) => `${brand}: ${validation.errors[0]}`).join('; ')}` +
+                    (distributeQuarters ? '' : '. Split the annual targets into quarters to keep them in line.'));
+            }
+            if (defaulted.length > 0) setError('');
+
+            // All brands go out in one save; versions and the change log follow only once it has landed,
+            // so a failed save leaves nothing half applied
+            Object.assign(brandsData, allocated);
+            const updatedTargets = {
+                ...dynamicTargets,
+                [settingsYear]: { ...yearData, brands: brandsData }
+            };
+
+            if (onUpdate) {
+                await Promise.resolve(onUpdate({
+                    brands: dynamicBrands,
+                    targets: updatedTargets
+                }));
+            }
+            setDynamicTargets(updatedTargets);
+
+            const unversioned = [];
+            for (const brand of Object.keys(allocated)) {
+                const oldValues = yearData.brands?.[brand] || createEmptyTargets();
+                const brandData = allocated[brand];
+                const current = getBrandSnapshot ? getBrandSnapshot(dynamicTargets, settingsYear, brand) : null;
+                const revision = await recordVersion(brand, current, { ...current, targets: brandData }, { note });
+                if (revisionsEnabled && !revision) unversioned.push(brand);
+
+                getTargetPeriods(brandData).forEach(period => {
+                    ALL_CHANNELS.forEach(channel => {
+                        const oldValue = oldValues[period]?.[channel] || 0;
+                        const newValue = brandData[period]?.[channel] || 0;
+                        if (oldValue !== newValue) {
+                            logKPIChange(brand, channel, period, oldValue, newValue, revision);
+                        }
+                    });
+                });
+            }
+
+            setShowAllocationWizard(false);
+            if (unversioned.length > 0) {
+                setError(`Targets allocated, but no version was recorded for ${unversioned.join(', ')}`);
+            }
+            setSuccess(defaulted.length > 0
+                ? `Targets allocated. Quarters for ${defaulted.join(', ')} were split with the ${getBuiltInProfiles()[0].name} profile`
+                : `${formatYear(settingsYear)} targets allocated across ${Object.keys(allocation).length} brands`);
+            setTimeout(() => setSuccess(''), 3000);
+        };
+
+        // Roll forward (Admin): seed the selected year from last year's targets or actuals; brands the
+        // wizard leaves out keep what they have
+        const handleApplyRollForward = async ({ targets: rolledBrands, copySettings }) => {
+            const sourceData = dynamicTargets[previousYear] || {};
+            const yearData = dynamicTargets[settingsYear] || { brands: {} };
+            const updatedYear = { ...yearData, brands: { ...(yearData.brands || {}) } };
+            const note = `Rolled forward from ${formatYear(previousYear)}`;
+
+            Object.keys(rolledBrands).forEach(brand => {
+                updatedYear.brands[brand] = { ...createEmptyTargets(), ...rolledBrands[brand] };
+                if (copySettings) {
+                    ['kpiLevels', 'phasing', 'distribution'].forEach(setting => {
+                        if (sourceData[setting]?.[brand]) {
+                            updatedYear[setting] = { ...(updatedYear[setting] || {}), [brand]: sourceData[setting][brand] };
+                        }
+                    });
+                }
+            });
+            const updatedTargets = { ...dynamicTargets, [settingsYear]: updatedYear };
+
+            for (const brand of Object.keys(rolledBrands)) {
+                const current = getBrandSnapshot(dynamicTargets, settingsYear, brand);
+                const proposed = getBrandSnapshot(updatedTargets, settingsYear, brand);
+                const revision = await recordVersion(brand, current, proposed, { note });
+                diffTargets(current.targets, proposed.targets, ALL_CHANNELS).forEach(change => {
+                    logKPIChange(brand, change.channel, change.period, change.before, change.after, revision);
+                });
+            }
+
+            setDynamicTargets(updatedTargets);
+            if (onUpdate) {
+                await Promise.resolve(onUpdate({
+                    brands: dynamicBrands,
+                    targets: updatedTargets
+                }));
+            }
+
+            setShowRollForward(false);
+            setSuccess(`${formatYear(settingsYear)} targets set for ${Object.keys(rolledBrands).length} brands from ${formatYear(previousYear)}`);
+            setTimeout(() => setSuccess(''), 3000);
+        };
+
+        // What-if scenarios are saved on their own and never change the targets
+        const handleSaveScenario = async (scenario) => {
+            await dataService.saveScenario(scenario);
+            setScenarios([
+                ...scenarios.filter(saved => !(saved.name === scenario.name && String(saved.year) === scenario.year)),
+                scenario
+            ].sort((a, b) => a.name.localeCompare(b.name)));
+            setEditingScenario(null);
+            setSuccess(`Scenario "${scenario.name}" saved`);
+            setTimeout(() => setSuccess(''), 3000);
+        };
+
+        const handleDeleteScenario = async (scenario) => {
+            try {
+                await dataService.deleteScenario(scenario.name, scenario.year);
+                setScenarios(scenarios.filter(saved => saved !== scenario));
+                setSuccess(`Scenario "${scenario.name}" deleted`);
+                setTimeout(() => setSuccess(''), 3000);
+            } catch (err) {
+                setError('Failed to delete scenario. Please try again.');
+            }
+        };
+
+        // Alert rules can be changed by whoever created them and by Admins
+        const canChangeAlertRule = (rule) => userRole === 'Admin' || (rule.createdBy && rule.createdBy === currentUser?.id);
+
+        const handleSaveAlertRule = async (rule) => {
+            const saved = await dataService.saveAlertRule(rule.id ? rule : {
+                ...rule,
+                createdBy: currentUser?.id || null,
+                createdEmail: currentUser?.email || ''
+            });
+            setAlertRules([...alertRules.filter(existing => existing.id !== saved.id), saved]
+                .sort((a, b) => a.name.localeCompare(b.name)));
+            setEditingAlertRule(null);
+            setSuccess(`Alert rule "${saved.name}" saved. Subscribe to it in Preferences.`);
+            setTimeout(() => setSuccess(''), 3000);
+        };
+
+        const handleDeleteAlertRule = async (rule) => {
+            try {
+                await dataService.deleteAlertRule(rule.id);
+                setAlertRules(alertRules.filter(existing => existing.id !== rule.id));
+                setSuccess(`Alert rule "${rule.name}" deleted`);
+                setTimeout(() => setSuccess(''), 3000);
+            } catch (err) {
+                setError('Failed to delete alert rule. Please try again.');
+            }
+        };
+
+        // Targets workbook: export what the user can see; Admins import with a diff preview before saving
+        const handleExportTargets = (format) => {
+            const sheet = buildTargetRows(dynamicTargets, { brands: dynamicBrands, channels: availableChannels });
+            if (sheet.rows.length === 0) {
+                setError('There are no targets to export');
+                return;
+            }
+            downloadTargetRows(sheet, format, `kpi_targets_${new Date().toISOString().split('T')[0]}`);
+        };
+
+        const handleImportFile = async (e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (!file) return;
+
+            // Browsers report CSV MIME types inconsistently, so only the extension and size are checked
+            const { validateFile } = window.validators || {};
+            const fileValidation = validateFile ? validateFile(file, { allowedMimeTypes: [] }) : { isValid: true, errors: [] };
+            if (!fileValidation.isValid) {
+                setError(fileValidation.errors.join('. '));
+                return;
+            }
+
+            try {
+                const rows = await parseTargetFile(file);
+                setImportPreview({
+                    fileName: file.name,
+                    result: readTargetRows(rows, { targets: dynamicTargets, brands: dynamicBrands, channels: ALL_CHANNELS })
+                });
+                setError('');
+            } catch (err) {
+                console.error('❌ Failed to read targets file:', err);
+                setError(`Failed to read ${file.name}: ${err.message}`);
+            }
+        };
+
+        const handleApplyImport = async () => {
+            const { fileName, result } = importPreview;
+
+            for (const { year, brand } of result.imported) {
+                const brandChanges = result.changes.filter(change => change.year === year && change.brand === brand);
+                if (brandChanges.length === 0) continue;
+
+                const revision = revisionsEnabled ? await recordVersion(brand,
+                    getBrandSnapshot(dynamicTargets, year, brand),
+                    getBrandSnapshot(result.targets, year, brand),
+                    { year, note: `Imported from ${fileName}` }) : null;
+                brandChanges.forEach(change => {
+                    logKPIChange(brand, change.channel, change.period, change.before, change.after, revision, year);
+                });
+            }
+
+            setDynamicTargets(result.targets);
+            if (onUpdate) {
+                await Promise.resolve(onUpdate({
+                    brands: dynamicBrands,
+                    targets: result.targets
+                }));
+            }
+
+            setImportPreview(null);
+            setSuccess(`${result.changes.length} target${result.changes.length === 1 ? '' : 's'} imported from ${fileName}`);
+            setTimeout(() => setSuccess(''), 3000);
+        };
+
+        // Distribution profile library (Admin)
+        const handleSaveProfile = async () => {
+            const profile = {
+                name: String(profileForm.name || '').trim(),
+                quarters: profileForm.quarters.map(value => parseFloat(value)),
+                months: null
+            };
+            const validation = validateProfile(profile, savedProfiles);
+            if (!validation.isValid) {
+                setError(validation.errors.join('. '));
+                return;
+            }
+
+            try {
+                await dataService.saveDistributionProfile(profile);
+                setSavedProfiles([...savedProfiles.filter(saved => saved.name !== profile.name), profile]
+                    .sort((a, b) => a.name.localeCompare(b.name)));
+                setProfileForm(null);
+                setError('');
+                setSuccess(`Distribution profile "${profile.name}" saved`);
+                setTimeout(() => setSuccess(''), 3000);
+            } catch (err) {
+                setError('Failed to save distribution profile. Please try again.');
+            }
+        };
+
+        const handleDeleteProfile = async (name) => {
+            const inUse = Object.entries(dynamicTargets || {}).some(([, yearData]) =>
+                Object.values(yearData?.distribution || {}).includes(name));
+            if (inUse) {
+                setError(`"${name}" is assigned to a brand; assign another profile before deleting it`);
+                return;
+            }
+
+            try {
+                await dataService.deleteDistributionProfile(name);
+                setSavedProfiles(savedProfiles.filter(saved => saved.name !== name));
+                setSuccess(`Distribution profile "${name}" deleted`);
+                setTimeout(() => setSuccess(''), 3000);
+            } catch (err) {
+                setError('Failed to delete distribution profile. Please try again.');
+            }
+        };
+
+        const handleRemoveMonths = () => {
+            const withoutMonths = { ...editingValues };
+            MONTH_PERIODS.forEach(period => {
+                delete withoutMonths[period];
+            });
+            setEditingValues(withoutMonths);
+        };
+
         const removeBrandFromTargets = (targets, brandToRemove) => {
             if (!targets) return {};
 
@@ -320,6 +976,21 @@
                     }
                     updatedYear.brands = brandsCopy;
                 }
+                if (yearData.kpiLevels) {
+                    const levelsCopy = { ...yearData.kpiLevels };
+                    delete levelsCopy[brandToRemove];
+                    updatedYear.kpiLevels = levelsCopy;
+                }
+                if (yearData.phasing) {
+                    const phasingCopy = { ...yearData.phasing };
+                    delete phasingCopy[brandToRemove];
+                    updatedYear.phasing = phasingCopy;
+                }
+                if (yearData.distribution) {
+                    const distributionCopy = { ...yearData.distribution };
+                    delete distributionCopy[brandToRemove];
+                    updatedYear.distribution = distributionCopy;
+                }
 
                 updatedTargets[year] = updatedYear;
             });
@@ -363,6 +1034,12 @@
                 }
 
                 updatedTargets[settingsYear].brands[brandName] = newBrandTargets;
+                if (newBrandDistribution) {
+                    updatedTargets[settingsYear].distribution = {
+                        ...(updatedTargets[settingsYear].distribution || {}),
+                        [brandName]: newBrandDistribution
+                    };
+                }
                 setDynamicTargets(updatedTargets);
 
                 // Save to database if Supabase is enabled
@@ -438,17 +1115,18 @@
                     }
                 }
 
-                // Notify parent component
+                // Notify parent component (it reports a failed save itself)
                 if (onUpdate) {
-                    onUpdate({
+                    Promise.resolve(onUpdate({
                         brands: updatedBrands,
                         targets: updatedTargets
-                    });
+                    })).catch(() => {});
                 }
 
                 // Reset form
                 setNewBrandName('');
                 setNewBrandTargets(createEmptyTargets());
+                setNewBrandDistribution('');
                 setShowAddBrand(false);
                 setSuccess(`Brand "${brandName}" added successfully`);
                 setTimeout(() => setSuccess(''), 3000);
@@ -553,62 +1231,146 @@
             const oldValues = dynamicTargets[settingsYear]?.brands?.[editingBrand] || {};
             const updatedTargets = { ...dynamicTargets };
 
+            // KPI threshold and tiers are saved with the year's targets
+            const levels = {
+                threshold: parseFloat(editingLevels.threshold),
+                tiers: parseKpiTiers ? parseKpiTiers(editingLevels.tiersText) : []
+            };
+            const levelsValidation = validateKpiLevels ? validateKpiLevels(levels) : { isValid: true, errors: [] };
+            if (!levelsValidation.isValid) {
+                setError(levelsValidation.errors.join('. '));
+                return;
+            }
+            const phasingValidation = editingPhasing && validatePhasing ? validatePhasing(editingPhasing) : { isValid: true, errors: [] };
+            if (!phasingValidation.isValid) {
+                setError(phasingValidation.errors.join('. '));
+                return;
+            }
+
             if (!updatedTargets[settingsYear]) {
                 updatedTargets[settingsYear] = { brands: {} };
             }
+            updatedTargets[settingsYear] = {
+                ...updatedTargets[settingsYear],
+                kpiLevels: {
+                    ...(updatedTargets[settingsYear].kpiLevels || {}),
+                    [editingBrand]: normalizeKpiLevels ? normalizeKpiLevels(levels) : levels
+                }
+            };
+            if (editingDistribution) {
+                updatedTargets[settingsYear].distribution = {
+                    ...(updatedTargets[settingsYear].distribution || {}),
+                    [editingBrand]: editingDistribution
+                };
+            }
+            if (editingPhasing) {
+                updatedTargets[settingsYear].phasing = {
+                    ...(updatedTargets[settingsYear].phasing || {}),
+                    [editingBrand]: normalizePhasing ? normalizePhasing(editingPhasing) : editingPhasing
+                };
+            }
 
             // For Managers, merge with existing values (only update what they can edit)
+            let brandData;
             if (userRole === 'Manager') {
-                const existingData = updatedTargets[settingsYear].brands[editingBrand] || {};
-                const mergedData = { ...existingData };
-
-                ['annual', 'Q1', 'Q2', 'Q3', 'Q4'].forEach(period => {
-                    if (!mergedData[period]) mergedData[period] = {};
-
+                brandData = { ...oldValues };
+                getTargetPeriods(editingValues).forEach(period => {
+                    brandData[period] = { ...(oldValues[period] || {}) };
                     availableChannels.forEach(channel => {
                         if (editingValues[period] && editingValues[period][channel] !== undefined) {
-                            const oldValue = existingData[period]?.[channel] || 0;
-                            const newValue = editingValues[period][channel];
-
-                            if (oldValue !== newValue) {
-                                // Log the change
-                                logKPIChange(editingBrand, channel, period, oldValue, newValue);
-                            }
-
-                            mergedData[period][channel] = newValue;
+                            brandData[period][channel] = editingValues[period][channel];
                         }
                     });
                 });
-
-                updatedTargets[settingsYear].brands[editingBrand] = mergedData;
             } else {
                 // Admin can update everything
-                ['annual', 'Q1', 'Q2', 'Q3', 'Q4'].forEach(period => {
-                    ALL_CHANNELS.forEach(channel => {
-                        const oldValue = oldValues[period]?.[channel] || 0;
-                        const newValue = editingValues[period]?.[channel] || 0;
+                brandData = editingValues;
+            }
 
-                        if (oldValue !== newValue) {
-                            logKPIChange(editingBrand, channel, period, oldValue, newValue);
-                        }
-                    });
+            // Channels without month values (e.g. ones a Manager can't see) get their quarter's phased split
+            if (hasMonthlyTargets && hasMonthlyTargets(brandData)) {
+                brandData = completeMonthlyTargets(brandData);
+                const monthlyValidation = validateMonthlyTargets(brandData, ALL_CHANNELS);
+                if (!monthlyValidation.isValid) {
+                    const more = monthlyValidation.errors.length > 3 ? ` (and ${monthlyValidation.errors.length - 3} more)` : '';
+                    setError(`Monthly targets must add up to their quarter. ${monthlyValidation.errors.slice(0, 3).join('. ')}${more}`);
+                    return;
+                }
+            }
+
+            const base = getBrandSnapshot ? getBrandSnapshot(dynamicTargets, settingsYear, editingBrand) : null;
+            updatedTargets[settingsYear].brands = {
+                ...(updatedTargets[settingsYear].brands || {}),
+                [editingBrand]: brandData
+            };
+            const proposed = getBrandSnapshot ? getBrandSnapshot(updatedTargets, settingsYear, editingBrand) : null;
+
+            // Settings saved for the first time at their default values are not changes
+            if (proposed) {
+                const defaults = {
+                    kpiLevels: getKpiLevels ? getKpiLevels(dynamicTargets, settingsYear, editingBrand) : null,
+                    phasing: getPhasing ? getPhasing(dynamicTargets, settingsYear, editingBrand) : null,
+                    distribution: getAssignedProfileName ? getAssignedProfileName(dynamicTargets, settingsYear, editingBrand) : null
+                };
+                Object.keys(defaults).forEach(setting => {
+                    if (!base[setting] && JSON.stringify(proposed[setting]) === JSON.stringify(defaults[setting])) {
+                        proposed[setting] = null;
+                    }
                 });
+            }
 
-                updatedTargets[settingsYear].brands[editingBrand] = editingValues;
+            if (userRole === 'Manager' && revisionsEnabled) {
+                if (diffTargets(base.targets, proposed.targets, ALL_CHANNELS).length === 0 && diffSettings(base, proposed).length === 0) {
+                    setError('There are no changes to submit');
+                    return;
+                }
+
+                setIsProcessing(true);
+                try {
+                    await submitRevision(editingBrand, base, proposed, revisionNote.trim());
+                } catch (err) {
+                    setError('Failed to submit changes for approval. Please try again.');
+                    return;
+                } finally {
+                    setIsProcessing(false);
+                }
+
+                setEditingBrand(null);
+                setEditingValues({});
+                setError('');
+                setSuccess(`${editingBrand} changes submitted for Admin approval`);
+                setTimeout(() => setSuccess(''), 3000);
+                return;
             }
 
+            const revision = await recordVersion(editingBrand, base, proposed);
+
+            // Log the change
+            const loggedChannels = userRole === 'Manager' ? availableChannels : ALL_CHANNELS;
+            [...new Set([...getTargetPeriods(oldValues), ...getTargetPeriods(brandData)])].forEach(period => {
+                loggedChannels.forEach(channel => {
+                    const oldValue = oldValues[period]?.[channel] || 0;
+                    const newValue = brandData[period]?.[channel] || 0;
+
+                    if (oldValue !== newValue) {
+                        logKPIChange(editingBrand, channel, period, oldValue, newValue, revision);
+                    }
+                });
+            });
+
             setDynamicTargets(updatedTargets);
 
-            // Notify parent component
+            // Notify parent component (it reports a failed save itself)
             if (onUpdate) {
-                onUpdate({
+                Promise.resolve(onUpdate({
                     brands: dynamicBrands,
                     targets: updatedTargets
-                });
+                })).catch(() => {});
             }
 
             setEditingBrand(null);
             setEditingValues({});
+            setError('');
             setSuccess('KPI targets updated successfully');
             setTimeout(() => setSuccess(''), 3000);
         };
@@ -644,14 +1406,14 @@
                 h('div', { className: 'settings-header' },
                     h('h2', { className: 'settings-title' }, '⚙️ KPI Settings & Brand Management'),
                     h('div', { className: 'year-selector' },
-                        h('label', null, 'Year:'),
+                        h('label', null, isCalendarYear && !isCalendarYear() ? 'Fiscal Year:' : 'Year:'),
                         h('select', {
                             value: settingsYear,
                             onChange: (e) => setSettingsYear(e.target.value),
                             className: 'input-field',
                             style: { width: '120px' }
                         },
-                            ...yearOptions.map(year =>
+                            ...settingsYearOptions.map(year =>
                                 h('option', { key: year.value, value: year.value }, year.label)
                             )
                         )
@@ -690,6 +1452,125 @@
                     )
                 ),
 
+                // Pending Approvals: Admins review Manager changes; Managers follow their own submissions
+                revisionsEnabled && (() => {
+                    const listed = revisions.filter(revision => userRole === 'Admin'
+                        ? revision.status === 'pending'
+                        : revision.status !== 'approved' && revision.submittedBy === currentUser?.id);
+                    if (listed.length === 0) return null;
+
+                    return h('div', { className: 'add-brand-section' },
+                        h('div', { className: 'section-header' },
+                            h('h3', null, userRole === 'Admin'
+                                ? `📨 Pending Approvals (${listed.length})`
+                                : '📨 Your Submitted Changes')
+                        ),
+                        h('div', { className: 'brand-table' },
+                            h('div', { className: 'table-wrapper' },
+                                h('table', null,
+                                    h('thead', null,
+                                        h('tr', null,
+                                            h('th', null, 'Brand'),
+                                            h('th', null, 'Submitted By'),
+                                            h('th', null, 'Submitted'),
+                                            h('th', null, 'Changes'),
+                                            h('th', null, 'Status'),
+                                            h('th', null, 'Actions')
+                                        )
+                                    ),
+                                    h('tbody', null,
+                                        listed.map(revision => {
+                                            const changes = diffTargets(revision.base?.targets, revision.proposed?.targets, ALL_CHANNELS).length;
+                                            const settingChanges = diffSettings(revision.base, revision.proposed);
+                                            const status = getStatus(revision.status);
+                                            return h('tr', { key: revision.id },
+                                                h('td', { className: 'brand-name-cell' },
+                                                    h('span', { className: 'brand-pill' }, revision.brand)
+                                                ),
+                                                h('td', null, revision.submittedEmail || '—'),
+                                                h('td', null, revision.submittedAt && formatDateTime ? formatDateTime(revision.submittedAt) : '—'),
+                                                h('td', null, [
+                                                    `${changes} target${changes === 1 ? '' : 's'}`,
+                                                    ...settingChanges
+                                                ].join(', ')),
+                                                h('td', null,
+                                                    h('span', {
+                                                        className: `revision-status ${status.className}`,
+                                                        title: revision.reviewNote || undefined
+                                                    }, status.label)
+                                                ),
+                                                h('td', null,
+                                                    h('div', { className: 'action-buttons' },
+                                                        h('button', {
+                                                            className: 'btn btn-primary',
+                                                            onClick: () => setReviewingRevision(revision),
+                                                            style: { padding: '6px 12px', fontSize: '12px' }
+                                                        }, userRole === 'Admin' ? 'Review' : 'View')
+                                                    )
+                                                )
+                                            );
+                                        })
+                                    )
+                                )
+                            )
+                        )
+                    );
+                })(),
+
+                // Top-Down Allocation (Admin only)
+                canManageBrands && TargetAllocationWizard && dynamicBrands.length > 0 && h('div', { className: 'add-brand-section' },
+                    h('div', { className: 'section-header' },
+                        h('h3', null, '🧮 Top-Down Allocation'),
+                        h('button', {
+                            className: 'btn btn-primary',
+                            onClick: () => setShowAllocationWizard(true)
+                        }, 'Allocate Company Target')
+                    )
+                ),
+
+                // Roll Forward (Admin only): seed this year from last year
+                canManageBrands && TargetRollForward && dynamicBrands.length > 0 && h('div', { className: 'add-brand-section' },
+                    h('div', { className: 'section-header' },
+                        h('h3', null, `⏩ Roll Forward from ${formatYear(previousYear)}`),
+                        h('button', {
+                            className: 'btn btn-primary',
+                            onClick: () => setShowRollForward(true)
+                        }, 'Roll Forward')
+                    ),
+                    h('p', { style: { fontSize: '14px', color: '#6B7280', margin: '8px 0 0 0' } },
+                        `Start ${formatYear(settingsYear)} from last year's targets or actuals with company, brand and channel growth.`
+                    )
+                ),
+
+                // Import / Export: the targets as a spreadsheet, one row per year, brand and channel
+                buildTargetRows && h('div', { className: 'add-brand-section' },
+                    h('div', { className: 'section-header' },
+                        h('h3', null, '📥 Import / Export Targets'),
+                        h('div', { className: 'action-buttons' },
+                            h('button', {
+                                className: 'btn btn-secondary',
+                                onClick: () => handleExportTargets('csv')
+                            }, 'Export CSV'),
+                            h('button', {
+                                className: 'btn btn-secondary',
+                                onClick: () => handleExportTargets('xlsx')
+                            }, 'Export Excel'),
+                            canManageBrands && TargetImportPreview && h('label', { className: 'btn btn-primary' },
+                                'Import File',
+                                h('input', {
+                                    type: 'file',
+                                    accept: '.csv,.xlsx,.xls',
+                                    style: { display: 'none' },
+                                    onChange: handleImportFile
+                                })
+                            )
+                        )
+                    ),
+                    h('p', { style: { fontSize: '14px', color: '#6B7280', margin: '8px 0 0 0' } },
+                        `Columns: ${getColumns().join(', ')}, plus optional month columns. Channels left out of a file keep their current targets.`
+                    )
+                ),
+
                 // Add New Brand Section (Admin only)
                 canManageBrands && h('div', { className: 'add-brand-section' },
                     h('div', { className: 'section-header' },
@@ -849,14 +1730,14 @@
                                 }, '📅 Quarterly Targets'),
                                 h('button', {
                                     className: 'btn btn-outline',
-                                    onClick: () => {
-                                        const updatedTargets = { ...newBrandTargets };
-                                        const quarterlyTargets = autoCalculateQuarterly(newBrandTargets.annual, newBrandName);
-                                        updatedTargets.Q1 = quarterlyTargets.Q1;
-                                        updatedTargets.Q2 = quarterlyTargets.Q2;
-                                        updatedTargets.Q3 = quarterlyTargets.Q3;
-                                        updatedTargets.Q4 = quarterlyTargets.Q4;
-                                        setNewBrandTargets(updatedTargets);
+                                    disabled: isDistributing,
+                                    onClick: async () => {
+                                        const profileName = newBrandDistribution || getAssignedProfileName(dynamicTargets, settingsYear, newBrandName);
+                                        const profile = await resolveProfile(profileName, newBrandName.trim());
+                                        if (!profile) return;
+
+                                        const quarterlyTargets = autoCalculateQuarterly(newBrandTargets.annual, profile);
+                                        setNewBrandTargets({ ...newBrandTargets, ...quarterlyTargets });
                                     },
                                     style: {
                                         padding: '8px 16px',
@@ -867,7 +1748,27 @@
                                         borderRadius: '6px',
                                         color: '#374151'
                                     }
-                                }, 'Auto-Calculate Quarterly')
+                                }, isDistributing ? 'Loading…' : 'Auto-Calculate Quarterly')
+                            ),
+                            getProfileOptions && h('div', { className: 'form-group', style: { marginBottom: '12px' } },
+                                h('label', {
+                                    style: {
+                                        fontSize: '14px',
+                                        fontWeight: '600',
+                                        color: '#374151',
+                                        marginRight: '12px'
+                                    }
+                                }, 'Distribution Profile:'),
+                                h('select', {
+                                    className: 'input-field',
+                                    value: newBrandDistribution || getAssignedProfileName(dynamicTargets, settingsYear, newBrandName),
+                                    onChange: (e) => setNewBrandDistribution(e.target.value),
+                                    style: { maxWidth: '320px' }
+                                },
+                                    getProfileOptions(savedProfiles).map(option =>
+                                        h('option', { key: option.value, value: option.value }, option.label)
+                                    )
+                                )
                             ),
                             h('p', {
                                 style: {
@@ -876,7 +1777,9 @@
                                     marginBottom: '16px',
                                     lineHeight: '1.4'
                                 }
-                            }, 'Quarterly targets are auto-calculated using brand-specific distributions. LifePro: Q1(27.8%), Q2(17.6%), Q3(17.6%), Q4(37.0%). Other brands: Q1(18.2%), Q2(18.2%), Q3(27.3%), Q4(36.3%).'),
+                            }, getProfileOptions
+                                ? describeProfile(newBrandDistribution || getAssignedProfileName(dynamicTargets, settingsYear, newBrandName))
+                                : ''),
 
                             // Horizontal Layout for Quarterly Cards
                             h('div', {
@@ -908,7 +1811,7 @@
                                                 padding: '8px 12px',
                                                 borderRadius: '6px'
                                             }
-                                        }, quarter),
+                                        }, quarterLabels[quarter] || quarter),
                                         h('div', {
                                             style: {
                                                 display: 'flex',
@@ -993,6 +1896,7 @@
                                 setShowAddBrand(false);
                                 setNewBrandName('');
                                 setNewBrandTargets(createEmptyTargets());
+                                setNewBrandDistribution('');
                             },
                             style: {
                                 padding: '12px 24px',
@@ -1015,6 +1919,9 @@
                                         h('th', { key: channel }, channel)
                                     ),
                                     h('th', null, 'Total'),
+                                    h('th', null, 'KPI Levels'),
+                                    h('th', null, 'Phasing'),
+                                    getAssignedProfileName && h('th', null, 'Distribution'),
                                     canEdit && h('th', null, 'Actions')
                                 )
                             ),
@@ -1046,6 +1953,17 @@
                                         h('td', { style: { fontWeight: '700' } },
                                             formatCurrency ? formatCurrency(total) : '$' + total
                                         ),
+                                        h('td', null, (() => {
+                                            const levels = getKpiLevels ? getKpiLevels(dynamicTargets, settingsYear, brand) : { threshold: 85, tiers: [] };
+                                            const format = formatKpiLevel || (value => `${value}%`);
+                                            return [levels.threshold, ...levels.tiers].map(format).join(' / ');
+                                        })()),
+                                        h('td', null, (() => {
+                                            const mode = getPhasing ? getPhasing(dynamicTargets, settingsYear, brand).mode : 'even';
+                                            const option = getPhasingModeOptions ? getPhasingModeOptions().find(o => o.value === mode) : null;
+                                            return option ? option.label : mode;
+                                        })()),
+                                        getAssignedProfileName && h('td', null, getAssignedProfileName(dynamicTargets, settingsYear, brand)),
                                         canEdit && h('td', null,
                                             h('div', { className: 'action-buttons' },
                                                 h('button', {
@@ -1055,7 +1973,16 @@
                                                     disabled: userRole === 'Manager' &&
                                                         !userPermissions?.brands?.includes(brand) &&
                                                         !userPermissions?.brands?.includes('All Brands')
-                                                }, 'Edit')
+                                                }, 'Edit'),
+                                                revisionsEnabled && h('button', {
+                                                    className: 'btn btn-secondary',
+                                                    onClick: () => setHistoryBrand(brand),
+                                                    style: { padding: '6px 12px', fontSize: '12px' },
+                                                    disabled: getVersions(revisions, settingsYear, brand).length === 0 ||
+                                                        (userRole === 'Manager' &&
+                                                            !userPermissions?.brands?.includes(brand) &&
+                                                            !userPermissions?.brands?.includes('All Brands'))
+                                                }, 'History')
                                             )
                                         )
                                     );
@@ -1063,9 +1990,346 @@
                             )
                         )
                     )
+                ),
+
+                // Distribution Profiles: built-in and saved quarter splits for auto-calculating targets
+                getBuiltInProfiles && h('div', { className: 'add-brand-section' },
+                    h('div', { className: 'section-header' },
+                        h('h3', null, '📊 Distribution Profiles'),
+                        canManageBrands && dataService?.saveDistributionProfile && h('button', {
+                            className: 'btn btn-primary',
+                            onClick: () => setProfileForm(profileForm ? null : { name: '', quarters: ['', '', '', ''] })
+                        }, profileForm ? 'Cancel' : 'New Profile')
+                    ),
+
+                    profileForm && h('div', {
+                        className: 'add-brand-form',
+                        style: { display: 'flex', flexWrap: 'wrap', alignItems: 'flex-end', gap: '12px', marginTop: '16px' }
+                    },
+                        h('div', { className: 'form-group' },
+                            h('label', null, 'Name'),
+                            h('input', {
+                                type: 'text',
+                                className: 'input-field',
+                                placeholder: 'Profile name...',
+                                value: profileForm.name,
+                                onChange: (e) => setProfileForm({ ...profileForm, name: e.target.value })
+                            })
+                        ),
+                        ...profileForm.quarters.map((value, index) =>
+                            h('div', { key: index, className: 'form-group' },
+                                h('label', null, `${quarterLabels[`Q${index + 1}`] || `Q${index + 1}`} %`),
+                                h('input', {
+                                    type: 'number',
+                                    className: 'input-field',
+                                    style: { width: '100px' },
+                                    min: 0,
+                                    step: 0.1,
+                                    value,
+                                    onChange: (e) => setProfileForm({
+                                        ...profileForm,
+                                        quarters: profileForm.quarters.map((share, i) => i === index ? e.target.value : share)
+                                    })
+                                })
+                            )
+                        ),
+                        h('button', {
+                            className: 'btn btn-success',
+                            onClick: handleSaveProfile
+                        }, 'Save Profile')
+                    ),
+
+                    h('div', { className: 'brand-table' },
+                        h('div', { className: 'table-wrapper' },
+                            h('table', null,
+                                h('thead', null,
+                                    h('tr', null,
+                                        h('th', null, 'Profile'),
+                                        ...['Q1', 'Q2', 'Q3', 'Q4'].map(quarter =>
+                                            h('th', { key: quarter }, quarterLabels[quarter] || quarter)
+                                        ),
+                                        h('th', null, 'Months'),
+                                        canManageBrands && h('th', null, 'Actions')
+                                    )
+                                ),
+                                h('tbody', null,
+                                    [...getBuiltInProfiles(), ...savedProfiles].map(profile =>
+                                        h('tr', { key: `${profile.builtIn ? 'built-in' : 'saved'}-${profile.name}` },
+                                            h('td', { className: 'brand-name-cell' },
+                                                h('span', { className: 'brand-pill' }, profile.name),
+                                                profile.builtIn && h('span', { style: { marginLeft: '8px', fontSize: '12px', color: '#6B7280' } }, 'built-in')
+                                            ),
+                                            ...profile.quarters.map((share, index) =>
+                                                h('td', { key: index }, `${share.toFixed(1)}%`)
+                                            ),
+                                            h('td', null, profile.months ? 'Custom' : 'Phased'),
+                                            canManageBrands && h('td', null,
+                                                !profile.builtIn && h('button', {
+                                                    className: 'btn btn-danger',
+                                                    onClick: () => handleDeleteProfile(profile.name),
+                                                    style: { padding: '6px 12px', fontSize: '12px' }
+                                                }, 'Delete')
+                                            )
+                                        )
+                                    ),
+                                    h('tr', { key: 'prior-year' },
+                                        h('td', { className: 'brand-name-cell' },
+                                            h('span', { className: 'brand-pill' }, PRIOR_YEAR_PROFILE)
+                                        ),
+                                        h('td', { colSpan: 5, style: { color: '#6B7280' } },
+                                            'Each brand\'s own quarter and month mix from the previous year\'s sales'
+                                        ),
+                                        canManageBrands && h('td', null)
+                                    )
+                                )
+                            )
+                        )
+                    )
+                ),
+
+                // What-If Scenarios: alternate target sets the dashboard can measure against
+                canEdit && TargetScenarioPlanner && dataService?.saveScenario && h('div', { className: 'add-brand-section' },
+                    h('div', { className: 'section-header' },
+                        h('h3', null, `🔮 What-If Scenarios (${formatYear(settingsYear)})`),
+                        h('button', {
+                            className: 'btn btn-primary',
+                            onClick: () => setEditingScenario('new')
+                        }, 'New Scenario')
+                    ),
+                    h('p', { style: { fontSize: '14px', color: '#6B7280', margin: '8px 0 16px 0' } },
+                        'Scenarios are kept apart from the real targets. Pick one under "Targets" on the dashboard to see attainment against it.'
+                    ),
+                    h('div', { className: 'brand-table' },
+                        h('div', { className: 'table-wrapper' },
+                            h('table', null,
+                                h('thead', null,
+                                    h('tr', null,
+                                        h('th', null, 'Scenario'),
+                                        h('th', null, 'Starts From'),
+                                        h('th', null, 'Annual Total'),
+                                        h('th', null, 'vs Targets'),
+                                        h('th', null, 'Actions')
+                                    )
+                                ),
+                                h('tbody', null,
+                                    (() => {
+                                        const yearScenarios = scenarios.filter(scenario => String(scenario.year) === String(settingsYear));
+                                        if (yearScenarios.length === 0) {
+                                            return h('tr', null,
+                                                h('td', { colSpan: 5, style: { color: '#6B7280' } }, 'No scenarios for this year yet')
+                                            );
+                                        }
+
+                                        const targetTotal = getAnnualTotal(dynamicTargets[settingsYear]?.brands || {}, dynamicBrands, availableChannels);
+                                        return yearScenarios.map(scenario => {
+                                            const total = getAnnualTotal(scenario.targets, dynamicBrands, availableChannels);
+                                            const baseOption = getBaseOptions().find(option => option.value === scenario.base);
+                                            return h('tr', { key: scenario.name },
+                                                h('td', { className: 'brand-name-cell' },
+                                                    h('span', { className: 'brand-pill' }, scenario.name)
+                                                ),
+                                                h('td', null, baseOption ? baseOption.label : scenario.base),
+                                                h('td', { style: { fontWeight: '700' } }, formatCurrency ? formatCurrency(total) : '$' + total),
+                                                h('td', null, targetTotal > 0
+                                                    ? `${total >= targetTotal ? '+' : ''}${((total / targetTotal - 1) * 100).toFixed(1)}%`
+                                                    : '—'),
+                                                h('td', null,
+                                                    h('div', { className: 'action-buttons' },
+                                                        h('button', {
+                                                            className: 'btn btn-primary',
+                                                            onClick: () => setEditingScenario(scenario),
+                                                            style: { padding: '6px 12px', fontSize: '12px' }
+                                                        }, 'Edit'),
+                                                        h('button', {
+                                                            className: 'btn btn-danger',
+                                                            onClick: () => handleDeleteScenario(scenario),
+                                                            style: { padding: '6px 12px', fontSize: '12px' }
+                                                        }, 'Delete')
+                                                    )
+                                                )
+                                            );
+                                        });
+                                    })()
+                                )
+                            )
+                        )
+                    )
+                ),
+
+                // Alert Rules: pacing and performance thresholds users subscribe to in Preferences
+                canEdit && AlertRuleEditor && dataService?.saveAlertRule && h('div', { className: 'add-brand-section' },
+                    h('div', { className: 'section-header' },
+                        h('h3', null, '🔔 Alert Rules'),
+                        h('button', {
+                            className: 'btn btn-primary',
+                            onClick: () => setEditingAlertRule('new')
+                        }, 'New Rule')
+                    ),
+                    h('p', { style: { fontSize: '14px', color: '#6B7280', margin: '8px 0 16px 0' } },
+                        'Rules are checked after each dashboard load. Everyone picks the rules they want under Preferences; alerts show as notifications and in the dashboard\'s alert list.'
+                    ),
+                    h('div', { className: 'brand-table' },
+                        h('div', { className: 'table-wrapper' },
+                            h('table', null,
+                                h('thead', null,
+                                    h('tr', null,
+                                        h('th', null, 'Rule'),
+                                        h('th', null, 'Alerts When'),
+                                        h('th', null, 'Created By'),
+                                        h('th', null, 'Actions')
+                                    )
+                                ),
+                                h('tbody', null,
+                                    alertRules.length === 0
+                                        ? h('tr', null,
+                                            h('td', { colSpan: 4, style: { color: '#6B7280' } }, 'No alert rules yet')
+                                        )
+                                        : alertRules.map(rule =>
+                                            h('tr', { key: rule.id },
+                                                h('td', { className: 'brand-name-cell' },
+                                                    h('span', { className: 'brand-pill' }, rule.name)
+                                                ),
+                                                h('td', null, describeRule(rule)),
+                                                h('td', null, rule.createdEmail || '—'),
+                                                h('td', null,
+                                                    canChangeAlertRule(rule) && h('div', { className: 'action-buttons' },
+                                                        h('button', {
+                                                            className: 'btn btn-primary',
+                                                            onClick: () => setEditingAlertRule(rule),
+                                                            style: { padding: '6px 12px', fontSize: '12px' }
+                                                        }, 'Edit'),
+                                                        h('button', {
+                                                            className: 'btn btn-danger',
+                                                            onClick: () => handleDeleteAlertRule(rule),
+                                                            style: { padding: '6px 12px', fontSize: '12px' }
+                                                        }, 'Delete')
+                                                    )
+                                                )
+                                            )
+                                        )
+                                )
+                            )
+                        )
+                    )
                 )
             ),
 
+            // Review of a submitted revision against the current targets
+            reviewingRevision && (() => {
+                const current = getBrandSnapshot(dynamicTargets, settingsYear, reviewingRevision.brand);
+                const isPending = reviewingRevision.status === 'pending';
+                const merge = isPending ? getRevisionMerge(reviewingRevision) : null;
+                const conflicting = merge ? describeConflicts(merge) : [];
+                const canReview = isPending && userRole === 'Admin';
+                const changedSince = isPending &&
+                    diffTargets(reviewingRevision.base?.targets, current.targets, ALL_CHANNELS).length > 0;
+
+                return h(TargetRevisionReview, {
+                    title: `${canReview ? 'Review' : 'View'} ${reviewingRevision.brand} Changes`,
+                    subtitle: [
+                        `Submitted by ${reviewingRevision.submittedEmail || 'unknown user'}`,
+                        reviewingRevision.note && `"${reviewingRevision.note}"`,
+                        reviewingRevision.status === 'rejected' &&
+                            `Rejected by ${reviewingRevision.reviewedEmail || 'an Admin'}${reviewingRevision.reviewNote ? `: ${reviewingRevision.reviewNote}` : ''}`
+                    ].filter(Boolean).join(' · '),
+                    channels: ALL_CHANNELS,
+                    before: isPending ? current : reviewingRevision.base,
+                    after: merge ? merge.snapshot : reviewingRevision.proposed,
+                    beforeLabel: isPending ? 'Current' : 'Before',
+                    warnings: conflicting.length > 0
+                        ? [`${conflicting.join(', ')} changed after this was submitted and again in it; reject it and submit the changes again`]
+                        : changedSince
+                            ? [`${reviewingRevision.brand} targets changed after this was submitted; approving applies only this revision's own changes and keeps the later ones`]
+                            : [],
+                    showNote: canReview,
+                    actions: canReview ? [
+                        {
+                            label: '✖ Reject',
+                            className: 'kpi-btn-secondary',
+                            onClick: (note) => handleRejectRevision(reviewingRevision, note)
+                        },
+                        {
+                            label: '✔ Approve',
+                            disabled: conflicting.length > 0,
+                            onClick: (note) => handleApproveRevision(reviewingRevision, note)
+                        }
+                    ] : [],
+                    onClose: () => setReviewingRevision(null)
+                });
+            })(),
+
+            // Version history of a brand's targets for the selected year
+            historyBrand && h(TargetRevisionReview, {
+                title: `🕘 ${historyBrand} ${formatYear(settingsYear)} Versions`,
+                subtitle: 'Pick a version to compare it with the current targets.',
+                channels: ALL_CHANNELS,
+                before: getBrandSnapshot(dynamicTargets, settingsYear, historyBrand),
+                versions: getVersionOptions(historyBrand),
+                showNote: true,
+                actions: [{
+                    label: userRole === 'Manager' ? '📨 Request Restore' : '↩ Restore Version',
+                    requiresChanges: true,
+                    onClick: (note, option) => handleRestoreVersion(historyBrand, option, note)
+                }],
+                onClose: () => setHistoryBrand(null)
+            }),
+
+            // What-If Scenario Planner
+            editingScenario && h(TargetScenarioPlanner, {
+                year: settingsYear,
+                yearLabel: formatYear(settingsYear),
+                brands: dynamicBrands,
+                channels: availableChannels,
+                allChannels: ALL_CHANNELS,
+                targets: dynamicTargets,
+                scenario: editingScenario === 'new' ? null : editingScenario,
+                dataService,
+                onSave: handleSaveScenario,
+                onClose: () => setEditingScenario(null)
+            }),
+
+            // Alert Rule Editor
+            editingAlertRule && h(AlertRuleEditor, {
+                rule: editingAlertRule === 'new' ? null : editingAlertRule,
+                brands: dynamicBrands,
+                channels: availableChannels,
+                onSave: handleSaveAlertRule,
+                onClose: () => setEditingAlertRule(null)
+            }),
+
+            // Roll Forward
+            showRollForward && h(TargetRollForward, {
+                year: settingsYear,
+                yearLabel: formatYear(settingsYear),
+                sourceYearLabel: formatYear(previousYear),
+                brands: dynamicBrands,
+                channels: availableChannels,
+                allChannels: ALL_CHANNELS,
+                targets: dynamicTargets,
+                dataService,
+                onApply: handleApplyRollForward,
+                onClose: () => setShowRollForward(false)
+            }),
+
+            // Targets file import preview
+            importPreview && h(TargetImportPreview, {
+                fileName: importPreview.fileName,
+                result: importPreview.result,
+                onApply: handleApplyImport,
+                onClose: () => setImportPreview(null)
+            }),
+
+            // Top-Down Allocation Wizard
+            showAllocationWizard && h(TargetAllocationWizard, {
+                year: settingsYear,
+                yearLabel: formatYear(settingsYear),
+                brands: dynamicBrands,
+                channels: availableChannels,
+                dataService,
+                onApply: handleApplyAllocation,
+                onClose: () => setShowAllocationWizard(false)
+            }),
+
             // KPI Edit Modal - Clean Implementation with Portal
             editingBrand && ReactDOM.createPortal(
                 h('div', {
@@ -1081,7 +2345,7 @@
                     h('div', { className: 'kpi-modal' },
                         // Modal Header
                         h('div', { className: 'kpi-modal-header' },
-                            h('h2', null, `Edit ${editingBrand} Targets (${settingsYear})`),
+                            h('h2', null, `Edit ${editingBrand} Targets (${formatYear(settingsYear)})`),
                             h('button', {
                                 className: 'kpi-modal-close',
                                 onClick: () => {
@@ -1099,6 +2363,51 @@
                                 h('span', null, '⚠️'),
                                 h('span', null, 'You can only edit targets for brands and channels you have permission to manage')
                             ),
+                            userRole === 'Manager' && revisionsEnabled && h('div', { className: 'kpi-modal-alert' },
+                                h('span', null, '📨'),
+                                h('span', null, 'Your changes are sent to an Admin for approval and take effect once approved')
+                            ),
+
+                            // KPI Levels Section
+                            h('div', { className: 'kpi-target-section' },
+                                h('div', { className: 'kpi-section-header' },
+                                    h('h3', null, 'KPI Levels')
+                                ),
+                                error && h('div', { className: 'kpi-modal-alert' },
+                                    h('span', null, '⚠️'),
+                                    h('span', null, error)
+                                ),
+                                h('div', { className: 'kpi-annual-grid' },
+                                    h('div', { className: 'kpi-channel-input' },
+                                        h('label', { className: 'kpi-channel-label' }, 'KPI Threshold (% of target)'),
+                                        h('div', { className: 'kpi-input-wrapper' },
+                                            h('span', { className: 'kpi-input-prefix' }, '%'),
+                                            h('input', {
+                                                className: 'kpi-input',
+                                                type: 'number',
+                                                min: 1,
+                                                max: 100,
+                                                step: 0.5,
+                                                value: editingLevels.threshold,
+                                                onChange: (e) => setEditingLevels({ ...editingLevels, threshold: e.target.value })
+                                            })
+                                        )
+                                    ),
+                                    h('div', { className: 'kpi-channel-input' },
+                                        h('label', { className: 'kpi-channel-label' }, 'Additional Tiers (optional)'),
+                                        h('div', { className: 'kpi-input-wrapper' },
+                                            h('span', { className: 'kpi-input-prefix' }, '%'),
+                                            h('input', {
+                                                className: 'kpi-input',
+                                                type: 'text',
+                                                placeholder: 'e.g. 90, 100, 110',
+                                                value: editingLevels.tiersText,
+                                                onChange: (e) => setEditingLevels({ ...editingLevels, tiersText: e.target.value })
+                                            })
+                                        )
+                                    )
+                                )
+                            ),
 
                             // Annual Targets Section
                             h('div', { className: 'kpi-target-section' },
@@ -1133,19 +2442,29 @@
                                     h('h3', null, 'Quarterly Targets'),
                                     h('button', {
                                         className: 'kpi-btn-auto',
-                                        onClick: () => {
-                                            const autoCalculated = autoCalculateQuarterly(editingValues.annual || {}, editingBrand);
-                                            setEditingValues({
-                                                ...editingValues,
-                                                ...autoCalculated
-                                            });
-                                        }
-                                    }, '⚡ Auto-calculate from Annual')
+                                        onClick: handleAutoCalculate,
+                                        disabled: isDistributing
+                                    }, isDistributing ? 'Loading…' : '⚡ Auto-calculate from Annual')
                                 ),
+                                getProfileOptions && h('div', { className: 'kpi-annual-grid' },
+                                    h('div', { className: 'kpi-channel-input' },
+                                        h('label', { className: 'kpi-channel-label' }, 'Distribution Profile'),
+                                        h('select', {
+                                            className: 'kpi-input',
+                                            value: editingDistribution,
+                                            onChange: (e) => setEditingDistribution(e.target.value)
+                                        },
+                                            getProfileOptions(savedProfiles).map(option =>
+                                                h('option', { key: option.value, value: option.value }, option.label)
+                                            )
+                                        )
+                                    )
+                                ),
+                                getProfileOptions && h('p', { className: 'kpi-section-note' }, describeProfile(editingDistribution)),
                                 h('div', { className: 'kpi-quarterly-grid' },
                                     ['Q1', 'Q2', 'Q3', 'Q4'].map(quarter =>
                                         h('div', { key: quarter, className: 'kpi-quarter-section' },
-                                            h('h4', { className: 'kpi-quarter-title' }, quarter),
+                                            h('h4', { className: 'kpi-quarter-title' }, quarterLabels[quarter] || quarter),
                                             availableChannels.map(channel =>
                                                 h('div', { key: `${quarter}-${channel}`, className: 'kpi-channel-input' },
                                                     h('label', { className: 'kpi-channel-label' }, channel),
@@ -1167,11 +2486,150 @@
                                         )
                                     )
                                 )
+                            ),
+
+                            // Monthly Targets Section (optional): months must add up to their quarter
+                            splitQuarterIntoMonths && h('div', { className: 'kpi-target-section' },
+                                h('div', { className: 'kpi-section-header' },
+                                    h('h3', null, 'Monthly Targets (optional)'),
+                                    h('div', { className: 'kpi-section-actions' },
+                                        hasMonthlyTargets(editingValues) && canManageBrands && h('button', {
+                                            className: 'kpi-btn-secondary',
+                                            onClick: handleRemoveMonths
+                                        }, 'Remove Monthly Targets'),
+                                        h('button', {
+                                            className: 'kpi-btn-auto',
+                                            onClick: handleSplitMonths
+                                        }, hasMonthlyTargets(editingValues) ? '⚡ Re-split from Quarters' : '📅 Add Monthly Targets')
+                                    )
+                                ),
+                                !hasMonthlyTargets(editingValues) && h('p', { className: 'kpi-section-note' },
+                                    'Without monthly targets, monthly views use each quarter\'s phased share.'
+                                ),
+                                hasMonthlyTargets(editingValues) && h('div', { className: 'kpi-quarterly-grid' },
+                                    ['Q1', 'Q2', 'Q3', 'Q4'].map(quarter => {
+                                        const months = getQuarterMonths ? getQuarterMonths(quarter) : [];
+                                        const unbalanced = availableChannels.filter(channel => {
+                                            const monthsTotal = months.reduce((sum, month) => sum + (parseFloat(editingValues[`M${month}`]?.[channel]) || 0), 0);
+                                            return Math.abs(monthsTotal - (parseFloat(editingValues[quarter]?.[channel]) || 0)) >= 1;
+                                        });
+
+                                        return h('div', { key: quarter, className: 'kpi-quarter-section' },
+                                            h('h4', { className: 'kpi-quarter-title' }, quarterLabels[quarter] || quarter),
+                                            h('div', { className: `kpi-rollup-status ${unbalanced.length > 0 ? 'mismatch' : 'ok'}` },
+                                                unbalanced.length > 0
+                                                    ? `⚠️ ${unbalanced.join(', ')} ${unbalanced.length > 1 ? 'don\'t' : 'doesn\'t'} add up to the quarter`
+                                                    : '✓ Months add up to the quarter'
+                                            ),
+                                            months.map(month => [
+                                                h('div', { key: `M${month}-title`, className: 'kpi-month-title' }, monthLabels[month] || `M${month}`),
+                                                ...availableChannels.map(channel =>
+                                                    h('div', { key: `M${month}-${channel}`, className: 'kpi-channel-input' },
+                                                        h('label', { className: 'kpi-channel-label' }, channel),
+                                                        h('div', { className: 'kpi-input-wrapper' },
+                                                            h('span', { className: 'kpi-input-prefix' }, '$'),
+                                                            h('input', {
+                                                                className: 'kpi-input',
+                                                                type: 'number',
+                                                                value: editingValues[`M${month}`]?.[channel] || 0,
+                                                                onChange: (e) => setEditingValues({
+                                                                    ...editingValues,
+                                                                    [`M${month}`]: { ...editingValues[`M${month}`], [channel]: parseFloat(e.target.value) || 0 }
+                                                                }),
+                                                                disabled: !canEditTarget(editingBrand, channel)
+                                                            })
+                                                        )
+                                                    )
+                                                )
+                                            ])
+                                        );
+                                    })
+                                )
+                            ),
+
+                            // Target Phasing Section: how each quarter's target spreads over its days
+                            editingPhasing && h('div', { className: 'kpi-target-section' },
+                                h('div', { className: 'kpi-section-header' },
+                                    h('h3', null, 'Target Phasing'),
+                                    dataService?.loadPhasingHistory && h('button', {
+                                        className: 'kpi-btn-auto',
+                                        onClick: handleDerivePhasing,
+                                        disabled: isDerivingPhasing
+                                    }, isDerivingPhasing ? 'Loading…' : "📐 Derive from Last Year's Sales")
+                                ),
+                                h('div', { className: 'kpi-annual-grid' },
+                                    h('div', { className: 'kpi-channel-input' },
+                                        h('label', { className: 'kpi-channel-label' }, 'Phasing'),
+                                        h('select', {
+                                            className: 'kpi-input',
+                                            value: editingPhasing.mode,
+                                            onChange: (e) => e.target.value === 'historical' && dataService?.loadPhasingHistory
+                                                ? handleDerivePhasing()
+                                                : setEditingPhasing({ ...editingPhasing, mode: e.target.value })
+                                        },
+                                            (getPhasingModeOptions ? getPhasingModeOptions() : []).map(option =>
+                                                h('option', { key: option.value, value: option.value }, option.label)
+                                            )
+                                        )
+                                    )
+                                ),
+                                editingPhasing.mode !== 'even' && [
+                                    // Editing a weight by hand turns the profile into custom weights
+                                    h('h4', { key: 'months-title', className: 'kpi-quarter-title' }, 'Month Weights'),
+                                    h('div', { key: 'months', className: 'kpi-annual-grid' },
+                                        (getMonthOptions ? getMonthOptions() : []).map(option =>
+                                            h('div', { key: option.value, className: 'kpi-channel-input' },
+                                                h('label', { className: 'kpi-channel-label' }, option.label),
+                                                h('input', {
+                                                    className: 'kpi-input',
+                                                    type: 'number',
+                                                    min: 0.01,
+                                                    step: 0.05,
+                                                    value: editingPhasing.monthWeights[option.value - 1],
+                                                    onChange: (e) => setEditingPhasing({
+                                                        ...editingPhasing,
+                                                        mode: 'custom',
+                                                        monthWeights: editingPhasing.monthWeights.map((weight, index) =>
+                                                            index === option.value - 1 ? e.target.value : weight)
+                                                    })
+                                                })
+                                            )
+                                        )
+                                    ),
+                                    h('h4', { key: 'weekdays-title', className: 'kpi-quarter-title' }, 'Weekday Weights'),
+                                    h('div', { key: 'weekdays', className: 'kpi-annual-grid' },
+                                        (getWeekdayLabels ? getWeekdayLabels() : []).map((label, index) =>
+                                            h('div', { key: label, className: 'kpi-channel-input' },
+                                                h('label', { className: 'kpi-channel-label' }, label),
+                                                h('input', {
+                                                    className: 'kpi-input',
+                                                    type: 'number',
+                                                    min: 0.01,
+                                                    step: 0.05,
+                                                    value: editingPhasing.weekdayWeights[index],
+                                                    onChange: (e) => setEditingPhasing({
+                                                        ...editingPhasing,
+                                                        mode: 'custom',
+                                                        weekdayWeights: editingPhasing.weekdayWeights.map((weight, i) =>
+                                                            i === index ? e.target.value : weight)
+                                                    })
+                                                })
+                                            )
+                                        )
+                                    )
+                                ]
                             )
                         ),
 
                         // Modal Footer
                         h('div', { className: 'kpi-modal-footer' },
+                            userRole === 'Manager' && revisionsEnabled && h('input', {
+                                type: 'text',
+                                className: 'kpi-input revision-note',
+                                placeholder: 'Note for the approver (optional)',
+                                value: revisionNote,
+                                onChange: (e) => setRevisionNote(e.target.value)
+                            }),
                             h('button', {
                                 className: 'kpi-btn-secondary',
                                 onClick: () => {
@@ -1184,7 +2642,7 @@
                                 className: 'kpi-btn-primary',
                                 onClick: handleSaveEdit,
                                 disabled: isProcessing
-                            }, '💾 Save Changes'),
+                            }, userRole === 'Manager' && revisionsEnabled ? '📨 Submit for Approval' : '💾 Save Changes'),
                             canManageBrands && h('button', {
                                 onClick: () => handleDeleteBrand(editingBrand),
                                 disabled: isProcessing,
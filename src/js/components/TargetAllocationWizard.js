@@ -0,0 +1,353 @@
+/**
+ * Target Allocation Wizard Component
+ * Top-down planning: a company annual target and growth assumptions are allocated across brands and
+ * channels by last year's actual mix. Individual cells can be overridden; the rest rebalances.
+ */
+
+(function () {
+    'use strict';
+
+    function TargetAllocationWizard(props) {
+        const { useState, useEffect, createElement: h } = React;
+
+        const {
+            year,
+            yearLabel,
+            brands = [],
+            channels = [],
+            dataService,
+            onApply,
+            onClose
+        } = props;
+
+        const { formatCurrency } = window.formatters || {};
+        const { cellKey, summarizeMix, allocateTargets, getImpliedGrowth } = window.targetAllocation || {};
+
+        const [step, setStep] = useState('assumptions');
+        const [mix, setMix] = useState(null);
+        const [loadError, setLoadError] = useState('');
+        const [companyTarget, setCompanyTarget] = useState('');
+        const [companyGrowth, setCompanyGrowth] = useState('');
+        const [brandGrowth, setBrandGrowth] = useState({});
+        const [channelGrowth, setChannelGrowth] = useState({});
+        const [overrides, setOverrides] = useState({});
+        const [distributeQuarters, setDistributeQuarters] = useState(true);
+        const [isApplying, setIsApplying] = useState(false);
+        const [applyError, setApplyError] = useState('');
+
+        const money = (value) => formatCurrency ? formatCurrency(value) : '$' + Math.round(value || 0).toLocaleString();
+        const growthText = (value) => value === null ? '—' : `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+
+        // Last year's brand and channel mix
+        useEffect(() => {
+            if (!dataService?.loadAllocationMix) {
+                setMix({});
+                setLoadError('Last year\'s sales are not available; the target will be split evenly');
+                return;
+            }
+
+            let cancelled = false;
+            dataService.loadAllocationMix(brands, year)
+                .then(result => {
+                    if (!cancelled) setMix(result || {});
+                })
+                .catch(err => {
+                    console.error('❌ Failed to load allocation mix:', err);
+                    if (!cancelled) {
+                        setMix({});
+                        setLoadError('Failed to load last year\'s sales; the target will be split evenly');
+                    }
+                });
+            return () => {
+                cancelled = true;
+            };
+        }, [year]);
+
+        // ESC closes the wizard; lock body scroll while it is open
+        useEffect(() => {
+            const handleKeyDown = (event) => {
+                if (event.key === 'Escape' && !isApplying) onClose();
+            };
+
+            document.body.classList.add('modal-open');
+            document.addEventListener('keydown', handleKeyDown);
+            return () => {
+                document.body.classList.remove('modal-open');
+                document.removeEventListener('keydown', handleKeyDown);
+            };
+        }, [isApplying]);
+
+        const lastYear = summarizeMix(mix || {}, brands, channels);
+        const allocation = allocateTargets({
+            total: companyTarget,
+            mix: mix || {},
+            brands,
+            channels,
+            brandGrowth,
+            channelGrowth,
+            overrides
+        });
+        const target = parseFloat(companyTarget) || 0;
+        const lockedCount = Object.keys(overrides).length;
+
+        // Growth of the whole company sets the target from last year's actuals
+        const handleCompanyGrowth = (value) => {
+            setCompanyGrowth(value);
+            const growth = parseFloat(value);
+            if (isNaN(growth) || lastYear.total <= 0) return;
+            setCompanyTarget(String(Math.round(lastYear.total * (1 + growth / 100))));
+        };
+
+        const handleCompanyTarget = (value) => {
+            setCompanyTarget(value);
+            const growth = getImpliedGrowth(value, lastYear.total);
+            setCompanyGrowth(growth === null || value === '' ? '' : growth.toFixed(1));
+        };
+
+        const handleCellChange = (brand, channel, value) => {
+            const key = cellKey(brand, channel);
+            if (value === '') {
+                const { [key]: removed, ...rest } = overrides;
+                setOverrides(rest);
+                return;
+            }
+            setOverrides({ ...overrides, [key]: Math.max(0, parseFloat(value) || 0) });
+        };
+
+        const handleUnlock = (brand, channel) => {
+            const { [cellKey(brand, channel)]: removed, ...rest } = overrides;
+            setOverrides(rest);
+        };
+
+        const handleApply = async () => {
+            if (allocation.overAllocated || target <= 0) return;
+            setIsApplying(true);
+            setApplyError('');
+            try {
+                await onApply(allocation.values, { distributeQuarters });
+            } catch (err) {
+                setApplyError(err.message || 'Failed to apply the allocation. Please try again.');
+            } finally {
+                setIsApplying(false);
+            }
+        };
+
+        const renderGrowthInput = (value, onChange) =>
+            h('div', { className: 'kpi-input-wrapper' },
+                h('input', {
+                    type: 'number',
+                    className: 'kpi-input allocation-growth-input',
+                    step: 0.5,
+                    placeholder: '0',
+                    value: value ?? '',
+                    onChange: (e) => onChange(e.target.value)
+                }),
+                h('span', { className: 'allocation-suffix' }, '%')
+            );
+
+        const renderAssumptions = () => [
+            h('div', { key: 'company', className: 'kpi-target-section' },
+                h('div', { className: 'kpi-section-header' },
+                    h('h3', null, 'Company Annual Target')
+                ),
+                h('div', { className: 'kpi-annual-grid' },
+                    h('div', { className: 'kpi-channel-input' },
+                        h('label', { className: 'kpi-channel-label' }, `${yearLabel} Target`),
+                        h('div', { className: 'kpi-input-wrapper' },
+                            h('span', { className: 'kpi-input-prefix' }, '$'),
+                            h('input', {
+                                type: 'number',
+                                className: 'kpi-input',
+                                min: 0,
+                                value: companyTarget,
+                                placeholder: '0',
+                                onChange: (e) => handleCompanyTarget(e.target.value)
+                            })
+                        )
+                    ),
+                    h('div', { className: 'kpi-channel-input' },
+                        h('label', { className: 'kpi-channel-label' }, 'Growth vs Last Year'),
+                        renderGrowthInput(companyGrowth, handleCompanyGrowth)
+                    ),
+                    h('div', { className: 'kpi-channel-input' },
+                        h('label', { className: 'kpi-channel-label' }, 'Last Year Actual'),
+                        h('div', { className: 'allocation-stat' }, mix ? money(lastYear.total) : 'Loading…')
+                    )
+                )
+            ),
+
+            h('div', { key: 'brands', className: 'kpi-target-section' },
+                h('div', { className: 'kpi-section-header' },
+                    h('h3', null, 'Growth Assumptions')
+                ),
+                h('p', { className: 'kpi-section-note' },
+                    'Brands and channels expected to grow faster than the rest get a larger share of the company target.'
+                ),
+                h('h4', { className: 'kpi-quarter-title' }, 'By Brand'),
+                h('div', { className: 'kpi-annual-grid' },
+                    brands.map(brand =>
+                        h('div', { key: brand, className: 'kpi-channel-input' },
+                            h('label', { className: 'kpi-channel-label' },
+                                `${brand} (${mix ? money(lastYear.brandTotals[brand] || 0) : '…'})`
+                            ),
+                            renderGrowthInput(brandGrowth[brand], (value) => setBrandGrowth({ ...brandGrowth, [brand]: value }))
+                        )
+                    )
+                ),
+                h('h4', { className: 'kpi-quarter-title' }, 'By Channel'),
+                h('div', { className: 'kpi-annual-grid' },
+                    channels.map(channel =>
+                        h('div', { key: channel, className: 'kpi-channel-input' },
+                            h('label', { className: 'kpi-channel-label' },
+                                `${channel} (${mix ? money(lastYear.channelTotals[channel] || 0) : '…'})`
+                            ),
+                            renderGrowthInput(channelGrowth[channel], (value) => setChannelGrowth({ ...channelGrowth, [channel]: value }))
+                        )
+                    )
+                )
+            )
+        ];
+
+        const renderAllocation = () =>
+            h('div', { className: 'kpi-target-section' },
+                h('div', { className: 'kpi-section-header' },
+                    h('h3', null, 'Allocation by Brand and Channel'),
+                    lockedCount > 0 && h('button', {
+                        className: 'kpi-btn-secondary',
+                        onClick: () => setOverrides({})
+                    }, `Clear ${lockedCount} Override${lockedCount === 1 ? '' : 's'}`)
+                ),
+                h('p', { className: 'kpi-section-note' },
+                    'Type over a cell to fix its value; the rest of the company target is rebalanced across the other cells.'
+                ),
+                h('div', { className: 'allocation-table-wrapper' },
+                    h('table', { className: 'allocation-table' },
+                        h('thead', null,
+                            h('tr', null,
+                                h('th', null, 'Brand'),
+                                ...channels.map(channel => h('th', { key: channel }, channel)),
+                                h('th', null, 'Total'),
+                                h('th', null, 'vs Last Year')
+                            )
+                        ),
+                        h('tbody', null,
+                            brands.map(brand =>
+                                h('tr', { key: brand },
+                                    h('td', { className: 'allocation-brand' }, brand),
+                                    ...channels.map(channel => {
+                                        const locked = cellKey(brand, channel) in overrides;
+                                        return h('td', { key: channel, className: locked ? 'locked' : '' },
+                                            h('div', { className: 'allocation-cell' },
+                                                h('input', {
+                                                    type: 'number',
+                                                    className: 'kpi-input',
+                                                    min: 0,
+                                                    value: locked ? overrides[cellKey(brand, channel)] : allocation.values[brand][channel],
+                                                    onChange: (e) => handleCellChange(brand, channel, e.target.value)
+                                                }),
+                                                locked && h('button', {
+                                                    className: 'allocation-unlock',
+                                                    title: 'Rebalance this cell again',
+                                                    onClick: () => handleUnlock(brand, channel)
+                                                }, '🔒')
+                                            )
+                                        );
+                                    }),
+                                    h('td', { className: 'allocation-total' }, money(allocation.brandTotals[brand])),
+                                    h('td', null, growthText(getImpliedGrowth(allocation.brandTotals[brand], lastYear.brandTotals[brand])))
+                                )
+                            )
+                        ),
+                        h('tfoot', null,
+                            h('tr', null,
+                                h('td', null, 'Total'),
+                                ...channels.map(channel =>
+                                    h('td', { key: channel }, money(allocation.channelTotals[channel]))
+                                ),
+                                h('td', { className: 'allocation-total' }, money(allocation.allocated)),
+                                h('td', null, growthText(getImpliedGrowth(allocation.allocated, lastYear.total)))
+                            )
+                        )
+                    )
+                ),
+                h('div', { className: `kpi-rollup-status ${allocation.overAllocated || allocation.underAllocated ? 'mismatch' : 'ok'}` },
+                    allocation.overAllocated
+                        ? `Overrides add up to ${money(allocation.lockedTotal)}, more than the company target of ${money(target)}`
+                        : allocation.underAllocated
+                            ? `Every cell is locked and the overrides add up to ${money(allocation.lockedTotal)}, short of the company target of ${money(target)}; unlock a cell to take the rest`
+                            : `${money(allocation.allocated)} of ${money(target)} allocated`
+                ),
+                h('label', { className: 'allocation-option' },
+                    h('input', {
+                        type: 'checkbox',
+                        checked: distributeQuarters,
+                        onChange: (e) => setDistributeQuarters(e.target.checked)
+                    }),
+                    ' Also split each brand\'s annual targets into quarters with its distribution profile'
+                )
+            );
+
+        return ReactDOM.createPortal(
+            h('div', {
+                className: 'kpi-modal-overlay',
+                onClick: (e) => {
+                    if (e.target.className === 'kpi-modal-overlay' && !isApplying) onClose();
+                }
+            },
+                h('div', { className: 'kpi-modal' },
+                    h('div', { className: 'kpi-modal-header' },
+                        h('h2', null, `🧮 Allocate ${yearLabel} Targets`),
+                        h('button', {
+                            className: 'kpi-modal-close',
+                            onClick: onClose,
+                            disabled: isApplying,
+                            'aria-label': 'Close modal'
+                        }, '×')
+                    ),
+
+                    h('div', { className: 'kpi-modal-body' },
+                        loadError && h('div', { className: 'kpi-modal-alert' },
+                            h('span', null, '⚠️'),
+                            h('span', null, loadError)
+                        ),
+                        applyError && h('div', { className: 'kpi-modal-alert' },
+                            h('span', null, '⚠️'),
+                            h('span', null, applyError)
+                        ),
+                        mix && allocation.noHistory && !loadError && h('div', { className: 'kpi-modal-alert' },
+                            h('span', null, '⚠️'),
+                            h('span', null, 'No sales last year for these brands; the target is split evenly')
+                        ),
+                        step === 'assumptions' ? renderAssumptions() : renderAllocation()
+                    ),
+
+                    h('div', { className: 'kpi-modal-footer' },
+                        h('button', {
+                            className: 'kpi-btn-secondary',
+                            onClick: step === 'assumptions' ? onClose : () => setStep('assumptions'),
+                            disabled: isApplying
+                        }, step === 'assumptions' ? 'Cancel' : '← Back'),
+                        step === 'assumptions'
+                            ? h('button', {
+                                className: 'kpi-btn-primary',
+                                onClick: () => setStep('allocation'),
+                                disabled: !mix || target <= 0
+                            }, 'Next: Review Allocation →')
+                            : h('button', {
+                                className: 'kpi-btn-primary',
+                                onClick: handleApply,
+                                disabled: isApplying || allocation.overAllocated || target <= 0
+                            }, isApplying ? 'Applying…' : `💾 Apply to ${yearLabel} Targets`)
+                    )
+                )
+            ),
+            document.body
+        );
+    }
+
+    // Make TargetAllocationWizard available globally
+    window.TargetAllocationWizard = TargetAllocationWizard;
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.components = window.ChaiVision.components || {};
+    window.ChaiVision.components.TargetAllocationWizard = TargetAllocationWizard;
+})();
@@ -0,0 +1,163 @@
+/**
+ * Target Import Preview Component
+ * Validation errors and the cell-by-cell diff of an imported targets file (see targetImport.js)
+ * against the current targets, shown before anything is saved
+ */
+
+(function () {
+    'use strict';
+
+    const MAX_ERRORS = 20;
+
+    function TargetImportPreview(props) {
+        const { useState, useEffect, createElement: h } = React;
+
+        const {
+            fileName,
+            result,
+            onApply,
+            onClose
+        } = props;
+
+        const { formatCurrency } = window.formatters || {};
+        const { getQuarterOptions, getMonthOptions, getFiscalYearLabel } = window.dateUtils || {};
+
+        const [isApplying, setIsApplying] = useState(false);
+        const [error, setError] = useState('');
+
+        const { changes = [], errors = [], imported = [] } = result || {};
+        const periodLabels = {
+            annual: 'Annual',
+            ...Object.fromEntries((getQuarterOptions ? getQuarterOptions() : []).map(option => [option.value, option.label])),
+            ...Object.fromEntries((getMonthOptions ? getMonthOptions() : []).map(option => [`M${option.value}`, option.label]))
+        };
+        const money = (value) => formatCurrency ? formatCurrency(value, 'USD', false) : '$' + Math.round(value || 0).toLocaleString();
+        const formatYear = (year) => getFiscalYearLabel ? getFiscalYearLabel(year) : year;
+        const changedBrands = new Set(changes.map(change => `${change.year}|${change.brand}`));
+
+        // ESC closes the preview; lock body scroll while it is open
+        useEffect(() => {
+            const handleKeyDown = (event) => {
+                if (event.key === 'Escape' && !isApplying) onClose();
+            };
+
+            document.body.classList.add('modal-open');
+            document.addEventListener('keydown', handleKeyDown);
+            return () => {
+                document.body.classList.remove('modal-open');
+                document.removeEventListener('keydown', handleKeyDown);
+            };
+        }, [isApplying]);
+
+        const handleApply = async () => {
+            setIsApplying(true);
+            try {
+                await onApply();
+            } catch (err) {
+                setError('Failed to save the imported targets. Please try again.');
+            } finally {
+                setIsApplying(false);
+            }
+        };
+
+        return ReactDOM.createPortal(
+            h('div', {
+                className: 'kpi-modal-overlay',
+                onClick: (e) => {
+                    if (e.target.className === 'kpi-modal-overlay' && !isApplying) onClose();
+                }
+            },
+                h('div', { className: 'kpi-modal revision-modal' },
+                    h('div', { className: 'kpi-modal-header' },
+                        h('h2', null, '📥 Import Targets'),
+                        h('button', {
+                            className: 'kpi-modal-close',
+                            onClick: onClose,
+                            disabled: isApplying,
+                            'aria-label': 'Close modal'
+                        }, '×')
+                    ),
+
+                    h('div', { className: 'kpi-modal-body' },
+                        h('p', { className: 'kpi-section-note' },
+                            `${fileName}: ${imported.length} brand-year${imported.length === 1 ? '' : 's'} in the file, ` +
+                            `${changedBrands.size} with changes`
+                        ),
+                        error && h('div', { className: 'kpi-modal-alert' },
+                            h('span', null, '⚠️'),
+                            h('span', null, error)
+                        ),
+
+                        errors.length > 0 && h('div', { className: 'kpi-target-section' },
+                            h('div', { className: 'kpi-section-header' },
+                                h('h3', null, `${errors.length} Problem${errors.length === 1 ? '' : 's'} to Fix Before Importing`)
+                            ),
+                            h('ul', { className: 'import-errors' },
+                                errors.slice(0, MAX_ERRORS).map((message, index) => h('li', { key: index }, message)),
+                                errors.length > MAX_ERRORS && h('li', null, `…and ${errors.length - MAX_ERRORS} more`)
+                            )
+                        ),
+
+                        h('div', { className: 'kpi-target-section' },
+                            h('div', { className: 'kpi-section-header' },
+                                h('h3', null, changes.length > 0
+                                    ? `${changes.length} Target Change${changes.length === 1 ? '' : 's'}`
+                                    : 'No Target Changes')
+                            ),
+                            changes.length > 0 && h('div', { className: 'allocation-table-wrapper' },
+                                h('table', { className: 'allocation-table revision-diff' },
+                                    h('thead', null,
+                                        h('tr', null,
+                                            h('th', null, 'Year'),
+                                            h('th', null, 'Brand'),
+                                            h('th', null, 'Period'),
+                                            h('th', null, 'Channel'),
+                                            h('th', null, 'Current'),
+                                            h('th', null, 'Imported'),
+                                            h('th', null, 'Change')
+                                        )
+                                    ),
+                                    h('tbody', null,
+                                        changes.map(change => {
+                                            const delta = change.after - change.before;
+                                            return h('tr', { key: `${change.year}|${change.brand}|${change.period}|${change.channel}` },
+                                                h('td', null, formatYear(change.year)),
+                                                h('td', null, change.brand),
+                                                h('td', null, periodLabels[change.period] || change.period),
+                                                h('td', null, change.channel),
+                                                h('td', null, money(change.before)),
+                                                h('td', null, money(change.after)),
+                                                h('td', { className: delta >= 0 ? 'revision-up' : 'revision-down' },
+                                                    `${delta >= 0 ? '+' : '−'}${money(Math.abs(delta))}`)
+                                            );
+                                        })
+                                    )
+                                )
+                            )
+                        )
+                    ),
+
+                    h('div', { className: 'kpi-modal-footer' },
+                        h('button', {
+                            className: 'kpi-btn-secondary',
+                            onClick: onClose,
+                            disabled: isApplying
+                        }, 'Cancel'),
+                        h('button', {
+                            className: 'kpi-btn-primary',
+                            onClick: handleApply,
+                            disabled: isApplying || errors.length > 0 || changes.length === 0
+                        }, isApplying ? 'Importing…' : '💾 Save Imported Targets')
+                    )
+                )
+            ),
+            document.body
+        );
+    }
+
+    // Make TargetImportPreview available globally
+    window.TargetImportPreview = TargetImportPreview;
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.components = window.ChaiVision.components || {};
+    window.ChaiVision.components.TargetImportPreview = TargetImportPreview;
+})();
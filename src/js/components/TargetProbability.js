@@ -0,0 +1,159 @@
+/**
+ * Target Probability Component
+ * Odds of reaching the KPI and full targets from the Monte Carlo simulation,
+ * with the distribution of simulated period-end revenue and a per-channel breakdown
+ */
+
+(function () {
+    'use strict';
+
+    function TargetProbability({ kpis }) {
+        const { useEffect, useRef, createElement: h } = React;
+
+        const { formatCurrency, formatPercent } = window.formatters || {};
+        const { formatKpiLevel } = window.kpiLevels || {};
+        const chartRef = useRef(null);
+        const chartInstance = useRef(null);
+
+        const simulation = kpis?.simulation;
+        const threshold = kpis?.kpiThreshold ?? 85;
+        const thresholdLabel = formatKpiLevel ? formatKpiLevel(threshold) : `${threshold}%`;
+        const money = (value) => formatCurrency ? formatCurrency(value) : '$' + Number(value || 0).toFixed(0);
+        const odds = (value) => value === null || value === undefined
+            ? '—'
+            : formatPercent ? formatPercent(value, 0) : `${Math.round(value * 100)}%`;
+        const oddsStatus = (value) => value === null || value === undefined ? 'neutral'
+            : value >= 0.7 ? 'success' : value >= 0.3 ? 'warning' : 'danger';
+
+        // Distribution chart: bins colored by which target they reach
+        useEffect(() => {
+            if (!chartRef.current || !simulation || typeof Chart === 'undefined') return;
+
+            const bins = simulation.histogram;
+            const labels = bins.map(bin => money((bin.from + bin.to) / 2));
+            const counts = bins.map(bin => bin.count);
+            const colors = bins.map(bin => bin.to <= kpis.totalTargetKpi ? 'rgba(239, 68, 68, 0.6)'
+                : bin.to <= kpis.totalTarget100 ? 'rgba(245, 158, 11, 0.6)'
+                : 'rgba(16, 185, 129, 0.6)');
+
+            if (chartInstance.current) {
+                chartInstance.current.data.labels = labels;
+                chartInstance.current.data.datasets[0].data = counts;
+                chartInstance.current.data.datasets[0].bins = bins;
+                chartInstance.current.data.datasets[0].backgroundColor = colors;
+                chartInstance.current.update('none');
+                return;
+            }
+
+            chartInstance.current = new Chart(chartRef.current.getContext('2d'), {
+                type: 'bar',
+                data: {
+                    labels,
+                    datasets: [{
+                        label: 'Simulated outcomes',
+                        data: counts,
+                        bins,
+                        backgroundColor: colors,
+                        borderWidth: 0,
+                        categoryPercentage: 1,
+                        barPercentage: 0.95
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: { display: false },
+                        tooltip: {
+                            callbacks: {
+                                // Bins are kept on the dataset so updates don't leave a stale closure
+                                title: (items) => {
+                                    const bin = items[0]?.dataset.bins?.[items[0].dataIndex];
+                                    return bin ? `${money(bin.from)} – ${money(bin.to)}` : items[0]?.label;
+                                },
+                                label: (context) => {
+                                    const share = context.raw / Math.max(1, context.dataset.data.reduce((sum, count) => sum + count, 0));
+                                    return `${context.raw} runs (${(share * 100).toFixed(1)}%)`;
+                                }
+                            }
+                        }
+                    },
+                    scales: {
+                        x: { ticks: { maxRotation: 0, autoSkip: true, maxTicksLimit: 6 } },
+                        y: { beginAtZero: true, ticks: { precision: 0 } }
+                    },
+                    animation: { duration: 300 }
+                }
+            });
+        }, [simulation, kpis?.totalTargetKpi, kpis?.totalTarget100]);
+
+        // Destroy the chart on unmount
+        useEffect(() => () => {
+            if (chartInstance.current) {
+                chartInstance.current.destroy();
+                chartInstance.current = null;
+            }
+        }, []);
+
+        if (!simulation) return null;
+
+        const channelRows = Object.entries(simulation.channels)
+            .filter(([, result]) => result.p50 > 0)
+            .sort((a, b) => b[1].p50 - a[1].p50);
+
+        return h('div', { className: 'chart-card target-probability' },
+            h('div', { className: 'chart-header' },
+                h('h3', { className: 'chart-title' }, '🎲 Probability of Hitting Target'),
+                h('p', { className: 'chart-subtitle' },
+                    `${simulation.runs.toLocaleString()} simulated outcomes from each channel's recent daily revenue`
+                )
+            ),
+            h('div', { className: 'probability-summary' },
+                h('div', { className: `probability-tile ${oddsStatus(simulation.probabilityKpi)}` },
+                    h('div', { className: 'probability-label' }, `KPI Target (${thresholdLabel})`),
+                    h('div', { className: 'probability-value' }, odds(simulation.probabilityKpi)),
+                    h('div', { className: 'probability-subtitle' }, money(kpis.totalTargetKpi))
+                ),
+                h('div', { className: `probability-tile ${oddsStatus(simulation.probability100)}` },
+                    h('div', { className: 'probability-label' }, 'Full Target (100%)'),
+                    h('div', { className: 'probability-value' }, odds(simulation.probability100)),
+                    h('div', { className: 'probability-subtitle' }, money(kpis.totalTarget100))
+                ),
+                h('div', { className: 'probability-tile neutral' },
+                    h('div', { className: 'probability-label' }, 'Likely Range (P10 – P90)'),
+                    h('div', { className: 'probability-value small' }, `${money(simulation.p10)} – ${money(simulation.p90)}`),
+                    h('div', { className: 'probability-subtitle' }, `Median ${money(simulation.p50)}`)
+                )
+            ),
+            h('div', { className: 'chart-container', style: { height: '220px' } },
+                h('canvas', { ref: chartRef })
+            ),
+            channelRows.length > 0 && h('table', { className: 'probability-table' },
+                h('thead', null,
+                    h('tr', null,
+                        h('th', null, 'Channel'),
+                        h('th', null, `${thresholdLabel} Target`),
+                        h('th', null, '100% Target'),
+                        h('th', null, 'Median Outcome')
+                    )
+                ),
+                h('tbody', null,
+                    channelRows.map(([channel, result]) =>
+                        h('tr', { key: channel },
+                            h('td', null, channel),
+                            h('td', { className: `odds-${oddsStatus(result.probabilityKpi)}` }, odds(result.probabilityKpi)),
+                            h('td', { className: `odds-${oddsStatus(result.probability100)}` }, odds(result.probability100)),
+                            h('td', null, money(result.p50))
+                        )
+                    )
+                )
+            )
+        );
+    }
+
+    // Make TargetProbability available globally
+    window.TargetProbability = TargetProbability;
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.components = window.ChaiVision.components || {};
+    window.ChaiVision.components.TargetProbability = TargetProbability;
+})();
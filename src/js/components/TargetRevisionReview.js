@@ -0,0 +1,190 @@
+/**
+ * Target Revision Review Component
+ * Diff of a brand's targets between two snapshots (see targetRevisions.js), used to approve or reject a
+ * pending revision and to browse and restore earlier versions
+ */
+
+(function () {
+    'use strict';
+
+    function TargetRevisionReview(props) {
+        const { useState, useEffect, createElement: h } = React;
+
+        const {
+            title,
+            subtitle,
+            channels = [],
+            before,
+            after,
+            beforeLabel = 'Current',
+            afterLabel = 'Proposed',
+            versions,
+            warnings = [],
+            showNote = false,
+            actions = [],
+            onClose
+        } = props;
+
+        const { formatCurrency } = window.formatters || {};
+        const { diffTargets, diffSettings } = window.targetRevisions || {};
+        const { getQuarterOptions, getMonthOptions } = window.dateUtils || {};
+
+        const [selectedVersion, setSelectedVersion] = useState(versions?.[0]?.key || null);
+        const [note, setNote] = useState('');
+        const [isBusy, setIsBusy] = useState(false);
+
+        const periodLabels = {
+            annual: 'Annual',
+            ...Object.fromEntries((getQuarterOptions ? getQuarterOptions() : []).map(option => [option.value, option.label])),
+            ...Object.fromEntries((getMonthOptions ? getMonthOptions() : []).map(option => [`M${option.value}`, option.label]))
+        };
+        const money = (value) => formatCurrency ? formatCurrency(value, 'USD', false) : '$' + Math.round(value || 0).toLocaleString();
+
+        // ESC closes the review; lock body scroll while it is open
+        useEffect(() => {
+            const handleKeyDown = (event) => {
+                if (event.key === 'Escape' && !isBusy) onClose();
+            };
+
+            document.body.classList.add('modal-open');
+            document.addEventListener('keydown', handleKeyDown);
+            return () => {
+                document.body.classList.remove('modal-open');
+                document.removeEventListener('keydown', handleKeyDown);
+            };
+        }, [isBusy]);
+
+        const version = versions ? versions.find(option => option.key === selectedVersion) : null;
+        const target = version ? version.snapshot : after;
+        const changes = target ? diffTargets(before?.targets || {}, target.targets || {}, channels) : [];
+        const settingChanges = target ? diffSettings(before || {}, target) : [];
+
+        const handleAction = async (action) => {
+            setIsBusy(true);
+            try {
+                await action.onClick(note.trim(), version);
+            } finally {
+                setIsBusy(false);
+            }
+        };
+
+        return ReactDOM.createPortal(
+            h('div', {
+                className: 'kpi-modal-overlay',
+                onClick: (e) => {
+                    if (e.target.className === 'kpi-modal-overlay' && !isBusy) onClose();
+                }
+            },
+                h('div', { className: 'kpi-modal revision-modal' },
+                    h('div', { className: 'kpi-modal-header' },
+                        h('h2', null, title),
+                        h('button', {
+                            className: 'kpi-modal-close',
+                            onClick: onClose,
+                            disabled: isBusy,
+                            'aria-label': 'Close modal'
+                        }, '×')
+                    ),
+
+                    h('div', { className: 'kpi-modal-body' },
+                        subtitle && h('p', { className: 'kpi-section-note' }, subtitle),
+                        warnings.map(warning =>
+                            h('div', { key: warning, className: 'kpi-modal-alert' },
+                                h('span', null, '⚠️'),
+                                h('span', null, warning)
+                            )
+                        ),
+
+                        versions && h('div', { className: 'kpi-target-section' },
+                            h('div', { className: 'kpi-annual-grid' },
+                                h('div', { className: 'kpi-channel-input' },
+                                    h('label', { className: 'kpi-channel-label' }, 'Version'),
+                                    h('select', {
+                                        className: 'kpi-input',
+                                        value: selectedVersion || '',
+                                        onChange: (e) => setSelectedVersion(e.target.value)
+                                    },
+                                        versions.map(option =>
+                                            h('option', { key: option.key, value: option.key }, option.label)
+                                        )
+                                    )
+                                )
+                            ),
+                            version?.description && h('p', { className: 'kpi-section-note' }, version.description)
+                        ),
+
+                        h('div', { className: 'kpi-target-section' },
+                            h('div', { className: 'kpi-section-header' },
+                                h('h3', null, changes.length > 0
+                                    ? `${changes.length} Target Change${changes.length === 1 ? '' : 's'}`
+                                    : 'No Target Changes')
+                            ),
+                            settingChanges.length > 0 && h('p', { className: 'kpi-section-note' },
+                                `Also changes: ${settingChanges.join(', ')}`
+                            ),
+                            changes.length > 0 && h('div', { className: 'allocation-table-wrapper' },
+                                h('table', { className: 'allocation-table revision-diff' },
+                                    h('thead', null,
+                                        h('tr', null,
+                                            h('th', null, 'Period'),
+                                            h('th', null, 'Channel'),
+                                            h('th', null, beforeLabel),
+                                            h('th', null, version ? version.label : afterLabel),
+                                            h('th', null, 'Change')
+                                        )
+                                    ),
+                                    h('tbody', null,
+                                        changes.map(change => {
+                                            const delta = change.after - change.before;
+                                            return h('tr', { key: `${change.period}|${change.channel}` },
+                                                h('td', null, periodLabels[change.period] || change.period),
+                                                h('td', null, change.channel),
+                                                h('td', null, money(change.before)),
+                                                h('td', null, money(change.after)),
+                                                h('td', { className: delta >= 0 ? 'revision-up' : 'revision-down' },
+                                                    `${delta >= 0 ? '+' : '−'}${money(Math.abs(delta))}`)
+                                            );
+                                        })
+                                    )
+                                )
+                            )
+                        ),
+
+                        showNote && h('div', { className: 'kpi-target-section' },
+                            h('label', { className: 'kpi-channel-label' }, 'Note (optional)'),
+                            h('textarea', {
+                                className: 'kpi-input revision-note',
+                                rows: 2,
+                                value: note,
+                                onChange: (e) => setNote(e.target.value)
+                            })
+                        )
+                    ),
+
+                    h('div', { className: 'kpi-modal-footer' },
+                        h('button', {
+                            className: 'kpi-btn-secondary',
+                            onClick: onClose,
+                            disabled: isBusy
+                        }, 'Close'),
+                        actions.map(action =>
+                            h('button', {
+                                key: action.label,
+                                className: action.className || 'kpi-btn-primary',
+                                onClick: () => handleAction(action),
+                                disabled: isBusy || action.disabled || (action.requiresChanges && changes.length === 0 && settingChanges.length === 0)
+                            }, action.label)
+                        )
+                    )
+                )
+            ),
+            document.body
+        );
+    }
+
+    // Make TargetRevisionReview available globally
+    window.TargetRevisionReview = TargetRevisionReview;
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.components = window.ChaiVision.components || {};
+    window.ChaiVision.components.TargetRevisionReview = TargetRevisionReview;
+})();
@@ -0,0 +1,313 @@
+/**
+ * Target Roll Forward Component
+ * Seeds a fiscal year's targets from last year's targets or actuals with company, brand and channel
+ * growth, previewing every brand and how it meets targets that already exist for the year
+ */
+
+(function () {
+    'use strict';
+
+    const ACTION_LABELS = {
+        new: 'Add',
+        replace: 'Replace',
+        keep: 'Keep existing',
+        empty: 'Nothing to copy'
+    };
+
+    function TargetRollForward(props) {
+        const { useState, useEffect, createElement: h } = React;
+
+        const {
+            year,
+            yearLabel,
+            sourceYearLabel,
+            brands = [],
+            channels = [],
+            allChannels,
+            targets,
+            dataService,
+            onApply,
+            onClose
+        } = props;
+
+        const { formatCurrency } = window.formatters || {};
+        const { getSourceOptions, getConflictOptions, getGrowth, buildRolledTargets, getRollForwardPlan,
+            validateGrowth } = window.targetRollForward || {};
+        const { buildActualTargets, getAnnualTotal } = window.targetScenarios || {};
+
+        // Channels hidden from the user are rolled forward with the same growth
+        const rollChannels = allChannels || channels;
+        const sourceYear = String(parseInt(year) - 1);
+
+        const [source, setSource] = useState('targets');
+        const [growth, setGrowth] = useState({ company: '', brands: {}, channels: {} });
+        const [conflictMode, setConflictMode] = useState('keep');
+        const [copySettings, setCopySettings] = useState(true);
+        const [actualRows, setActualRows] = useState(null);
+        const [isLoading, setIsLoading] = useState(false);
+        const [isApplying, setIsApplying] = useState(false);
+        const [error, setError] = useState('');
+
+        const money = (value) => formatCurrency ? formatCurrency(value) : '$' + Math.round(value || 0).toLocaleString();
+
+        // Last year's actuals load the first time they are chosen as the source
+        useEffect(() => {
+            if (source !== 'actuals' || actualRows) return;
+            if (!dataService?.loadScenarioActuals) {
+                setError('Last year\'s actuals need a data connection');
+                return;
+            }
+
+            let cancelled = false;
+            setIsLoading(true);
+            dataService.loadScenarioActuals(year)
+                .then(rows => {
+                    if (!cancelled) setActualRows(rows || []);
+                })
+                .catch(err => {
+                    console.error('❌ Failed to load roll forward actuals:', err);
+                    if (!cancelled) setError('Failed to load last year\'s actuals');
+                })
+                .finally(() => {
+                    if (!cancelled) setIsLoading(false);
+                });
+            return () => {
+                cancelled = true;
+            };
+        }, [source, year]);
+
+        // ESC closes the dialog; lock body scroll while it is open
+        useEffect(() => {
+            const handleKeyDown = (event) => {
+                if (event.key === 'Escape' && !isApplying) onClose();
+            };
+
+            document.body.classList.add('modal-open');
+            document.addEventListener('keydown', handleKeyDown);
+            return () => {
+                document.body.classList.remove('modal-open');
+                document.removeEventListener('keydown', handleKeyDown);
+            };
+        }, [isApplying]);
+
+        const sourceTargets = source === 'actuals'
+            ? buildActualTargets(actualRows || [], brands, rollChannels)
+            : (targets?.[sourceYear]?.brands || {});
+        const rolled = buildRolledTargets(sourceTargets, {
+            growth,
+            brands,
+            channels: rollChannels,
+            includeMonths: source === 'targets'
+        });
+        const existing = targets?.[year]?.brands || {};
+        const plan = getRollForwardPlan(rolled, existing, { brands, channels: rollChannels, conflictMode });
+        const conflicts = brands.filter(brand => plan[brand] === 'keep' || plan[brand] === 'replace');
+        const written = brands.filter(brand => plan[brand] === 'new' || plan[brand] === 'replace');
+        const growthValidation = validateGrowth(growth);
+
+        const setGrowthValue = (group, key, value) => {
+            const updated = { ...growth[group] };
+            if (value === '') {
+                delete updated[key];
+            } else {
+                updated[key] = value;
+            }
+            setGrowth({ ...growth, [group]: updated });
+        };
+
+        const handleApply = async () => {
+            if (!growthValidation.isValid) {
+                setError(growthValidation.errors.join('. '));
+                return;
+            }
+
+            setIsApplying(true);
+            try {
+                await onApply({
+                    targets: Object.fromEntries(written.map(brand => [brand, rolled[brand]])),
+                    copySettings
+                });
+            } catch (err) {
+                setError('Failed to roll targets forward. Please try again.');
+            } finally {
+                setIsApplying(false);
+            }
+        };
+
+        const renderPercentInput = (value, onChange) =>
+            h('div', { className: 'kpi-input-wrapper' },
+                h('input', {
+                    type: 'number',
+                    className: 'kpi-input scenario-percent-input',
+                    step: 1,
+                    placeholder: '0',
+                    value: value ?? '',
+                    onChange: (e) => onChange(e.target.value)
+                }),
+                h('span', { className: 'allocation-suffix' }, '%')
+            );
+
+        return ReactDOM.createPortal(
+            h('div', {
+                className: 'kpi-modal-overlay',
+                onClick: (e) => {
+                    if (e.target.className === 'kpi-modal-overlay' && !isApplying) onClose();
+                }
+            },
+                h('div', { className: 'kpi-modal' },
+                    h('div', { className: 'kpi-modal-header' },
+                        h('h2', null, `⏩ Roll ${sourceYearLabel} Forward to ${yearLabel}`),
+                        h('button', {
+                            className: 'kpi-modal-close',
+                            onClick: onClose,
+                            disabled: isApplying,
+                            'aria-label': 'Close modal'
+                        }, '×')
+                    ),
+
+                    h('div', { className: 'kpi-modal-body' },
+                        (error || !growthValidation.isValid) && h('div', { className: 'kpi-modal-alert' },
+                            h('span', null, '⚠️'),
+                            h('span', null, error || growthValidation.errors.join('. '))
+                        ),
+
+                        h('div', { className: 'kpi-target-section' },
+                            h('div', { className: 'kpi-section-header' },
+                                h('h3', null, 'Start From')
+                            ),
+                            h('div', { className: 'kpi-annual-grid' },
+                                h('div', { className: 'kpi-channel-input' },
+                                    h('label', { className: 'kpi-channel-label' }, 'Source'),
+                                    h('select', {
+                                        className: 'kpi-input',
+                                        value: source,
+                                        onChange: (e) => {
+                                            setError('');
+                                            setSource(e.target.value);
+                                        }
+                                    },
+                                        getSourceOptions().map(option =>
+                                            h('option', { key: option.value, value: option.value }, option.label)
+                                        )
+                                    )
+                                ),
+                                h('div', { className: 'kpi-channel-input' },
+                                    h('label', { className: 'kpi-channel-label' }, 'Company Growth'),
+                                    renderPercentInput(growth.company, (value) => setGrowth({ ...growth, company: value }))
+                                ),
+                                h('div', { className: 'kpi-channel-input' },
+                                    h('label', { className: 'kpi-channel-label' }, `${yearLabel} Total`),
+                                    h('div', { className: 'allocation-stat' },
+                                        isLoading ? 'Loading…' : money(getAnnualTotal(rolled, brands, channels)))
+                                )
+                            ),
+                            h('label', { className: 'allocation-option' },
+                                h('input', {
+                                    type: 'checkbox',
+                                    checked: copySettings,
+                                    onChange: (e) => setCopySettings(e.target.checked)
+                                }),
+                                ` Copy ${sourceYearLabel} KPI levels, phasing and distribution profiles`
+                            )
+                        ),
+
+                        conflicts.length > 0 && h('div', { className: 'kpi-target-section' },
+                            h('div', { className: 'kpi-modal-alert' },
+                                h('span', null, '⚠️'),
+                                h('span', null, `${conflicts.join(', ')} already ${conflicts.length === 1 ? 'has' : 'have'} ${yearLabel} targets`)
+                            ),
+                            h('div', { className: 'kpi-annual-grid' },
+                                h('div', { className: 'kpi-channel-input' },
+                                    h('label', { className: 'kpi-channel-label' }, 'For Those Brands'),
+                                    h('select', {
+                                        className: 'kpi-input',
+                                        value: conflictMode,
+                                        onChange: (e) => setConflictMode(e.target.value)
+                                    },
+                                        getConflictOptions().map(option =>
+                                            h('option', { key: option.value, value: option.value }, option.label)
+                                        )
+                                    )
+                                )
+                            )
+                        ),
+
+                        h('div', { className: 'kpi-target-section' },
+                            h('div', { className: 'kpi-section-header' },
+                                h('h3', null, 'Preview')
+                            ),
+                            h('p', { className: 'kpi-section-note' },
+                                'Company, brand and channel growth compound. Quarters (and months) keep last year\'s shape.'
+                            ),
+                            h('div', { className: 'allocation-table-wrapper' },
+                                h('table', { className: 'allocation-table' },
+                                    h('thead', null,
+                                        h('tr', null,
+                                            h('th', null, 'Brand'),
+                                            h('th', null, 'Brand %'),
+                                            ...channels.map(channel =>
+                                                h('th', { key: channel },
+                                                    h('div', null, channel),
+                                                    renderPercentInput(growth.channels[channel],
+                                                        (value) => setGrowthValue('channels', channel, value))
+                                                )
+                                            ),
+                                            h('th', null, sourceYearLabel),
+                                            h('th', null, yearLabel),
+                                            h('th', null, 'Existing'),
+                                            h('th', null, 'Action')
+                                        )
+                                    ),
+                                    h('tbody', null,
+                                        brands.map(brand =>
+                                            h('tr', { key: brand, className: plan[brand] === 'keep' || plan[brand] === 'empty' ? 'rollforward-skipped' : '' },
+                                                h('td', null, brand),
+                                                h('td', null,
+                                                    renderPercentInput(growth.brands[brand],
+                                                        (value) => setGrowthValue('brands', brand, value))
+                                                ),
+                                                ...channels.map(channel =>
+                                                    h('td', { key: channel },
+                                                        money(rolled[brand]?.annual?.[channel] || 0),
+                                                        h('div', { className: 'scenario-cell-value' },
+                                                            `${getGrowth(growth, brand, channel) >= 0 ? '+' : ''}${getGrowth(growth, brand, channel).toFixed(1)}%`)
+                                                    )
+                                                ),
+                                                h('td', null, money(getAnnualTotal(sourceTargets, [brand], channels))),
+                                                h('td', { className: 'allocation-total' }, money(getAnnualTotal(rolled, [brand], channels))),
+                                                h('td', null, money(getAnnualTotal(existing, [brand], channels))),
+                                                h('td', null, ACTION_LABELS[plan[brand]])
+                                            )
+                                        )
+                                    )
+                                )
+                            )
+                        )
+                    ),
+
+                    h('div', { className: 'kpi-modal-footer' },
+                        h('button', {
+                            className: 'kpi-btn-secondary',
+                            onClick: onClose,
+                            disabled: isApplying
+                        }, 'Cancel'),
+                        h('button', {
+                            className: 'kpi-btn-primary',
+                            onClick: handleApply,
+                            disabled: isApplying || isLoading || written.length === 0 || !growthValidation.isValid
+                        }, isApplying
+                            ? 'Applying…'
+                            : `💾 Set ${yearLabel} Targets for ${written.length} Brand${written.length === 1 ? '' : 's'}`)
+                    )
+                )
+            ),
+            document.body
+        );
+    }
+
+    // Make TargetRollForward available globally
+    window.TargetRollForward = TargetRollForward;
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.components = window.ChaiVision.components || {};
+    window.ChaiVision.components.TargetRollForward = TargetRollForward;
+})();
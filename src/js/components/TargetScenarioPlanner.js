@@ -0,0 +1,287 @@
+/**
+ * Target Scenario Planner Component
+ * Builds a named what-if target set from the year's targets or last year's actuals with % adjustments
+ * per brand, per channel or per brand and channel. Scenarios never touch the real targets.
+ */
+
+(function () {
+    'use strict';
+
+    function TargetScenarioPlanner(props) {
+        const { useState, useEffect, createElement: h } = React;
+
+        const {
+            year,
+            yearLabel,
+            brands = [],
+            channels = [],
+            allChannels,
+            targets,
+            scenario,
+            dataService,
+            onSave,
+            onClose
+        } = props;
+
+        const { formatCurrency } = window.formatters || {};
+        const { cellKey, getBaseOptions, getAdjustment, buildActualTargets, buildScenarioTargets,
+            getAnnualTotal, validateScenario } = window.targetScenarios || {};
+
+        // Channels hidden from the user are carried over unchanged
+        const scenarioChannels = allChannels || channels;
+
+        const [name, setName] = useState(scenario?.name || '');
+        const [base, setBase] = useState(scenario?.base || 'targets');
+        const [adjustments, setAdjustments] = useState({
+            brands: { ...(scenario?.adjustments?.brands || {}) },
+            channels: { ...(scenario?.adjustments?.channels || {}) },
+            cells: { ...(scenario?.adjustments?.cells || {}) }
+        });
+        const [actualRows, setActualRows] = useState(null);
+        const [isLoading, setIsLoading] = useState(false);
+        const [isSaving, setIsSaving] = useState(false);
+        const [error, setError] = useState('');
+
+        const money = (value) => formatCurrency ? formatCurrency(value) : '$' + Math.round(value || 0).toLocaleString();
+        const percentText = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+
+        // Last year's actuals load the first time they are chosen as the base
+        useEffect(() => {
+            if (base !== 'actuals' || actualRows) return;
+            if (!dataService?.loadScenarioActuals) {
+                setError('Last year\'s actuals need a data connection');
+                return;
+            }
+
+            let cancelled = false;
+            setIsLoading(true);
+            dataService.loadScenarioActuals(year)
+                .then(rows => {
+                    if (!cancelled) setActualRows(rows || []);
+                })
+                .catch(err => {
+                    console.error('❌ Failed to load scenario actuals:', err);
+                    if (!cancelled) setError('Failed to load last year\'s actuals');
+                })
+                .finally(() => {
+                    if (!cancelled) setIsLoading(false);
+                });
+            return () => {
+                cancelled = true;
+            };
+        }, [base, year]);
+
+        // ESC closes the planner; lock body scroll while it is open
+        useEffect(() => {
+            const handleKeyDown = (event) => {
+                if (event.key === 'Escape' && !isSaving) onClose();
+            };
+
+            document.body.classList.add('modal-open');
+            document.addEventListener('keydown', handleKeyDown);
+            return () => {
+                document.body.classList.remove('modal-open');
+                document.removeEventListener('keydown', handleKeyDown);
+            };
+        }, [isSaving]);
+
+        const baseTargets = base === 'actuals'
+            ? buildActualTargets(actualRows || [], brands, scenarioChannels)
+            : Object.fromEntries(brands.map(brand => [brand, targets?.[year]?.brands?.[brand] || {}]));
+        const scenarioTargets = buildScenarioTargets(baseTargets, adjustments, brands, scenarioChannels);
+        const baseTotal = getAnnualTotal(baseTargets, brands, channels);
+        const scenarioTotal = getAnnualTotal(scenarioTargets, brands, channels);
+
+        const setAdjustment = (group, key, value) => {
+            const updated = { ...adjustments[group] };
+            if (value === '') {
+                delete updated[key];
+            } else {
+                updated[key] = value;
+            }
+            setAdjustments({ ...adjustments, [group]: updated });
+        };
+
+        const handleSave = async () => {
+            const cleaned = Object.fromEntries(['brands', 'channels', 'cells'].map(group => [group,
+                Object.fromEntries(Object.entries(adjustments[group]).map(([key, value]) => [key, parseFloat(value)]))
+            ]));
+            const result = {
+                name: name.trim(),
+                year: String(year),
+                base,
+                adjustments: cleaned,
+                targets: scenarioTargets
+            };
+
+            const validation = validateScenario(result);
+            if (!validation.isValid) {
+                setError(validation.errors.join('. '));
+                return;
+            }
+
+            setIsSaving(true);
+            try {
+                await onSave(result);
+            } catch (err) {
+                setError('Failed to save scenario. Please try again.');
+            } finally {
+                setIsSaving(false);
+            }
+        };
+
+        const renderPercentInput = (value, placeholder, onChange, className = '') =>
+            h('div', { className: 'kpi-input-wrapper' },
+                h('input', {
+                    type: 'number',
+                    className: `kpi-input scenario-percent-input ${className}`.trim(),
+                    step: 1,
+                    placeholder,
+                    value: value ?? '',
+                    onChange: (e) => onChange(e.target.value)
+                }),
+                h('span', { className: 'allocation-suffix' }, '%')
+            );
+
+        return ReactDOM.createPortal(
+            h('div', {
+                className: 'kpi-modal-overlay',
+                onClick: (e) => {
+                    if (e.target.className === 'kpi-modal-overlay' && !isSaving) onClose();
+                }
+            },
+                h('div', { className: 'kpi-modal' },
+                    h('div', { className: 'kpi-modal-header' },
+                        h('h2', null, `🔮 ${scenario ? 'Edit' : 'New'} ${yearLabel} Scenario`),
+                        h('button', {
+                            className: 'kpi-modal-close',
+                            onClick: onClose,
+                            disabled: isSaving,
+                            'aria-label': 'Close modal'
+                        }, '×')
+                    ),
+
+                    h('div', { className: 'kpi-modal-body' },
+                        error && h('div', { className: 'kpi-modal-alert' },
+                            h('span', null, '⚠️'),
+                            h('span', null, error)
+                        ),
+
+                        h('div', { className: 'kpi-target-section' },
+                            h('div', { className: 'kpi-section-header' },
+                                h('h3', null, 'Scenario')
+                            ),
+                            h('div', { className: 'kpi-annual-grid' },
+                                h('div', { className: 'kpi-channel-input' },
+                                    h('label', { className: 'kpi-channel-label' }, 'Name'),
+                                    h('input', {
+                                        type: 'text',
+                                        className: 'kpi-input scenario-name-input',
+                                        placeholder: 'e.g. TikTok +40%',
+                                        value: name,
+                                        disabled: Boolean(scenario),
+                                        onChange: (e) => setName(e.target.value)
+                                    })
+                                ),
+                                h('div', { className: 'kpi-channel-input' },
+                                    h('label', { className: 'kpi-channel-label' }, 'Start From'),
+                                    h('select', {
+                                        className: 'kpi-input',
+                                        value: base,
+                                        onChange: (e) => {
+                                            setError('');
+                                            setBase(e.target.value);
+                                        }
+                                    },
+                                        getBaseOptions().map(option =>
+                                            h('option', { key: option.value, value: option.value }, option.label)
+                                        )
+                                    )
+                                ),
+                                h('div', { className: 'kpi-channel-input' },
+                                    h('label', { className: 'kpi-channel-label' }, 'Scenario Total'),
+                                    h('div', { className: 'allocation-stat' },
+                                        isLoading ? 'Loading…' : `${money(scenarioTotal)} (${baseTotal > 0
+                                            ? percentText((scenarioTotal / baseTotal - 1) * 100)
+                                            : '—'} vs ${base === 'actuals' ? 'last year' : 'targets'})`
+                                    )
+                                )
+                            )
+                        ),
+
+                        h('div', { className: 'kpi-target-section' },
+                            h('div', { className: 'kpi-section-header' },
+                                h('h3', null, 'Adjustments')
+                            ),
+                            h('p', { className: 'kpi-section-note' },
+                                'Brand and channel changes compound; a change typed into a cell replaces both for that brand and channel.'
+                            ),
+                            h('div', { className: 'allocation-table-wrapper' },
+                                h('table', { className: 'allocation-table' },
+                                    h('thead', null,
+                                        h('tr', null,
+                                            h('th', null, 'Brand'),
+                                            h('th', null, 'Brand %'),
+                                            ...channels.map(channel =>
+                                                h('th', { key: channel },
+                                                    h('div', null, channel),
+                                                    renderPercentInput(adjustments.channels[channel], '0',
+                                                        (value) => setAdjustment('channels', channel, value))
+                                                )
+                                            ),
+                                            h('th', null, 'Annual')
+                                        )
+                                    ),
+                                    h('tbody', null,
+                                        brands.map(brand =>
+                                            h('tr', { key: brand },
+                                                h('td', null, brand),
+                                                h('td', null,
+                                                    renderPercentInput(adjustments.brands[brand], '0',
+                                                        (value) => setAdjustment('brands', brand, value))
+                                                ),
+                                                ...channels.map(channel => {
+                                                    const key = cellKey(brand, channel);
+                                                    const overridden = adjustments.cells[key] !== undefined;
+                                                    return h('td', { key: channel, className: overridden ? 'locked' : '' },
+                                                        renderPercentInput(adjustments.cells[key],
+                                                            getAdjustment(adjustments, brand, channel).toFixed(1),
+                                                            (value) => setAdjustment('cells', key, value)),
+                                                        h('div', { className: 'scenario-cell-value' },
+                                                            money(scenarioTargets[brand]?.annual?.[channel] || 0))
+                                                    );
+                                                }),
+                                                h('td', { className: 'allocation-total' },
+                                                    money(getAnnualTotal(scenarioTargets, [brand], channels)))
+                                            )
+                                        )
+                                    )
+                                )
+                            )
+                        )
+                    ),
+
+                    h('div', { className: 'kpi-modal-footer' },
+                        h('button', {
+                            className: 'kpi-btn-secondary',
+                            onClick: onClose,
+                            disabled: isSaving
+                        }, 'Cancel'),
+                        h('button', {
+                            className: 'kpi-btn-primary',
+                            onClick: handleSave,
+                            disabled: isSaving || isLoading
+                        }, isSaving ? 'Saving…' : '💾 Save Scenario')
+                    )
+                )
+            ),
+            document.body
+        );
+    }
+
+    // Make TargetScenarioPlanner available globally
+    window.TargetScenarioPlanner = TargetScenarioPlanner;
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.components = window.ChaiVision.components || {};
+    window.ChaiVision.components.TargetScenarioPlanner = TargetScenarioPlanner;
+})();
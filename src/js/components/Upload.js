@@ -568,7 +568,8 @@
                     // Convert date to string if it's a Date object or number
                     let finalDate = dateVal;
                     if (dateVal instanceof Date) {
-                        finalDate = dateVal.toISOString().split('T')[0]; // Convert to YYYY-MM-DD
+                        // Spreadsheet dates are calendar days at local midnight; toISOString would shift them east of UTC
+                        finalDate = window.dateUtils?.toDateString ? window.dateUtils.toDateString(dateVal) : dateVal.toISOString().split('T')[0];
                     } else if (typeof dateVal === 'number' && dateVal > 25569) { // Excel date number (days since 1900-01-01)
                         // Convert Excel date number to YYYY-MM-DD
                         const excelDate = new Date((dateVal - 25569) * 86400 * 1000);
@@ -1095,8 +1096,20 @@
                             batchProgress.error && h('div', {
                                 style: { color: '#DC2626', marginTop: '4px' }
                             },
-                                `⚠️ Batch ${batchProgress.processedBatches} had errors (continuing...)`
+                                `⚠️ Batch ${batchProgress.processedBatches} had errors${batchProgress.attempts > 1 ? ` after ${batchProgress.attempts} attempts` : ''} (continuing...)`
                             )
+                        ),
+                        // Transient failure being retried with backoff
+                        batchProgress && batchProgress.retry && h('div', {
+                            className: 'batch-retry',
+                            style: {
+                                marginTop: '4px',
+                                fontSize: '12px',
+                                color: '#D97706',
+                                textAlign: 'center'
+                            }
+                        },
+                            `🔄 Retrying batch ${batchProgress.currentBatch} (attempt ${batchProgress.retry.attempt} of ${batchProgress.retry.maxAttempts}, ${batchProgress.retry.kind} error) in ${Math.ceil(batchProgress.retry.delay / 1000)}s...`
                         )
                     ),
 
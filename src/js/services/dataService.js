@@ -5,14 +5,37 @@
 (function() {
     'use strict';
     
+    // Cache entries that survive reloads (IndexedDB) and are served stale-while-revalidate
+    const PERSISTED_CACHE_PREFIXES = ['agg_', 'sales_data_', 'sku_data_', 'targets'];
+    
     class DataService {
         constructor(supabaseClient, config) {
             this.supabase = supabaseClient;
             this.config = config;
             
+            // Storage backend (Supabase, localStorage, fixture, ...) - see dataAdapters.js
+            const DataAdapters = window.DataAdapters || window.ChaiVision?.services?.DataAdapters;
+            this.adapters = DataAdapters;
+            this.adapter = DataAdapters.createDataAdapter(supabaseClient, config);
+            console.log(`🔌 Data adapter: ${this.adapter.name}`);
+            
             // Performance optimizations
-            this.cache = new Map();
+            // Two-tier LRU cache: memory (MEMORY_CACHE_SIZE entries) + IndexedDB (DISK_CACHE_SIZE bytes)
+            const PersistentCache = window.PersistentCache || window.ChaiVision?.services?.PersistentCache;
+            const perf = config?.PERFORMANCE || {};
+            this.cache = new PersistentCache({
+                maxMemoryEntries: perf.MEMORY_CACHE_SIZE,
+                maxDiskBytes: perf.DISK_CACHE_SIZE,
+                maxDiskAge: perf.DISK_CACHE_MAX_AGE,
+                namespace: this.adapter.name,
+                shouldPersist: (key) => this.adapter.isRemote && PERSISTED_CACHE_PREFIXES.some(prefix => key.startsWith(prefix))
+            });
             this.cacheTimeout = 5 * 60 * 1000; // 5 minutes for filtered data
+            this.revalidating = new Set();
+            this.revalidateListeners = new Set();
+            this.inFlight = new Map(); // cache key -> { promise, controller, waiters, tags }
+            // Bumped by invalidateCache(); a fetch that started before a write doesn't cache its result
+            this.cacheGeneration = 0;
             this.debounceTimers = new Map();
             this.lastUpdate = 0;
             this.updateThreshold = 30000; // 30 seconds
@@ -26,15 +49,18 @@
          */
         initCacheCleanup() {
             setInterval(() => {
-                const now = Date.now();
-                for (const [key, value] of this.cache.entries()) {
-                    if (now - value.timestamp > this.cacheTimeout) {
-                        this.cache.delete(key);
-                    }
-                }
+                // Only the memory tier is pruned; persisted entries stay available for stale-while-revalidate
+                this.cache.pruneMemory(this.cacheTimeout);
             }, 60000); // Clean up every minute
         }
         
+        /**
+         * Scope persisted cache entries to the signed-in user (null disables persistence)
+         */
+        setCacheScope(scope) {
+            this.cache.setScope(scope);
+        }
+        
         /**
          * Clear cache for specific key or all cache
          */
@@ -48,6 +74,82 @@
             }
         }
         
+        /**
+         * Build the tags stored with a cache entry so writes can find it later
+         * @param {string} kind - 'sales', 'agg', 'sku' or 'targets'
+         * @param {Object} filters - Filters the entry was loaded with
+         */
+        createCacheTags(kind, filters = {}) {
+            let channel = this.adapters.normalizeChannelFilter(filters.channel);
+            if (channel && kind === 'sku') {
+                channel = this.mapChannelNameForSKU(channel);
+            }
+            const brand = this.adapters.normalizeBrandFilter(filters.brand);
+            
+            return {
+                kind,
+                brand: brand ? String(brand).toLowerCase() : null,
+                channel: channel ? String(channel).toLowerCase() : null,
+                startDate: filters.startDate || null,
+                endDate: filters.endDate || null
+            };
+        }
+        
+        /**
+         * Describe the slice of data touched by a write, for invalidateCache()
+         * @param {Array} rows - Rows being saved ({ date, brand, channel, ... })
+         * @param {Array<string>} kinds - Cache kinds affected by the write
+         */
+        getWriteScope(rows = [], kinds) {
+            const distinct = (field, map = value => value) => rows.every(row => row[field])
+                ? Array.from(new Set(rows.map(row => row[field]))).map(value => String(map(value)).toLowerCase())
+                : null; // A row without the field could land anywhere
+            const dates = rows.map(row => String(this.adapters.normalizeDate(row.date) || '')).filter(Boolean).sort();
+            const complete = dates.length === rows.length && dates.length > 0;
+            
+            return {
+                kinds,
+                brands: distinct('brand'),
+                channels: kinds.includes('sku')
+                    ? distinct('channel', channel => this.mapChannelNameForSKU(channel))
+                    : distinct('channel'),
+                startDate: complete ? dates[0] : null,
+                endDate: complete ? dates[dates.length - 1] : null
+            };
+        }
+        
+        /**
+         * Drop cached entries that overlap a write. Unset scope fields match everything;
+         * entries cached for "all brands"/"all channels"/no date bound always overlap.
+         * @param {Object} scope - { kinds, brands, channels, startDate, endDate }
+         * @returns {number} Number of memory entries removed
+         */
+        invalidateCache(scope = {}) {
+            const { kinds, brands, channels, startDate, endDate } = scope;
+            const overlaps = (tags) => {
+                // Untagged entries (filterData memoization, older persisted entries) can't be scoped
+                if (!tags) return true;
+                if (kinds && !kinds.includes(tags.kind)) return false;
+                if (brands && tags.brand && !brands.includes(tags.brand)) return false;
+                if (channels && tags.channel && !channels.includes(tags.channel)) return false;
+                if (startDate && tags.endDate && tags.endDate < startDate) return false;
+                if (endDate && tags.startDate && tags.startDate > endDate) return false;
+                return true;
+            };
+            
+            this.cacheGeneration++;
+            const removed = this.cache.invalidate(overlaps);
+            
+            // Requests that started before the write may return pre-write data: later loads start
+            // their own instead of joining them (their current waiters still get the old result)
+            for (const [key, request] of Array.from(this.inFlight.entries())) {
+                if (overlaps(request.tags)) this.inFlight.delete(key);
+            }
+            
+            console.log(`🗑️ Invalidated ${removed} cache entries`, scope);
+            return removed;
+        }
+        
         /**
          * Get cached data or fetch fresh data
          */
@@ -89,560 +191,439 @@
         }
         
         /**
-         * Load aggregated data using database-side aggregation (fast, efficient)
-         * This uses PostgREST aggregate queries similar to SQL GROUP BY
+         * Swap the storage backend at runtime (e.g. switching to fixture data offline)
          */
-        async loadAggregatedSalesData(filters = {}) {
-            if (!this.supabase || !this.config.FEATURES.ENABLE_SUPABASE) {
-                return { totalRevenue: 0, channelRevenues: {}, dailyData: [] };
-            }
+        setAdapter(adapter) {
+            this.adapter = adapter;
+            this.cache.memory.clear();
+            this.cache.namespace = adapter.name;
+        }
+        
+        /**
+         * Stale-while-revalidate read: memory, then IndexedDB, then the adapter.
+         * Stale entries are returned immediately and refreshed in the background;
+         * listeners registered with onRevalidated() are told when fresh data lands.
+         * @param {Function} fetchFunction - (signal) => Promise, called on a cache miss
+         * @param {Object} tags - Stored with the entry, see createCacheTags()
+         * @param {AbortSignal} signal - Cancels this caller's wait (see coalesce())
+         */
+        async getWithRevalidate(key, fetchFunction, tags, signal) {
+            const entry = this.cache.get(key) || await this.cache.getPersisted(key);
+            this.adapters.throwIfAborted(signal);
             
-            try {
-                const cacheKey = `agg_${this.createCacheKey(filters)}`;
-                const cached = this.cache.get(cacheKey);
-                if (cached && (Date.now() - cached.timestamp) < this.cacheTimeout) {
-                    console.log(`⚡ Cache hit for aggregated data`);
-                    return cached.data;
+            if (entry) {
+                if (Date.now() - entry.timestamp >= this.cacheTimeout) {
+                    this.revalidate(key, fetchFunction, tags);
                 }
-                
-                const normalizedBrand = (filters.brand && filters.brand !== 'All Brands' && filters.brand !== 'All Brands (Company Total)' && filters.brand !== 'All My Brands')
-                    ? filters.brand
-                    : null;
-                const normalizedChannel = (filters.channel && filters.channel !== 'All Channels')
-                    ? filters.channel
-                    : null;
-                const startDate = filters.startDate || null;
-                const endDate = filters.endDate || null;
-
-                const { data: channelData, error: channelError } = await this.supabase.rpc('sales_channel_agg', {
-                    start_date: startDate,
-                    end_date: endDate,
-                    brand_filter: normalizedBrand
-                });
-                
-                if (channelError) {
-                    console.error('❌ Channel aggregation RPC error:', channelError);
-                    throw channelError;
+                return entry.data;
+            }
+            
+            return this.coalesce(key, async (fetchSignal) => {
+                const generation = this.cacheGeneration;
+                const data = await fetchFunction(fetchSignal);
+                if (generation === this.cacheGeneration) {
+                    this.cache.set(key, { data, timestamp: Date.now(), tags });
                 }
-                
-                // Calculate total revenue from channel aggregates
-                const totalRevenue = (channelData || []).reduce((sum, row) => {
-                    return sum + (parseFloat(row.total_revenue) || 0);
-                }, 0);
-                
-                // Map channel aggregates
-                const channelRevenues = {};
-                (channelData || []).forEach(row => {
-                    channelRevenues[row.channel] = parseFloat(row.total_revenue) || 0;
-                });
-                
-                // For charts, we still need daily/monthly aggregates
-                // Use RPC for that but with appropriate granularity
-                let dailyData = [];
-                try {
-                    const granularity = filters.view === 'monthly' ? 'day' : 
-                                       filters.view === 'quarterly' ? 'month' : 
-                                       filters.view === 'annual' ? 'month' : 'day';
-                    
-                    const { data: rpcData, error: aggError } = await this.supabase.rpc('sales_agg', {
-                        start_date: startDate,
-                        end_date: endDate,
-                        brand_filter: normalizedBrand,
-                        channel_filter: normalizedChannel,
-                        group_by: granularity
-                    });
-                    
-                    if (aggError) {
-                        console.error('❌ sales_agg RPC error:', aggError);
-                        throw aggError;
+                return data;
+            }, signal, tags);
+        }
+        
+        /**
+         * Share one in-flight request per cache key. Every caller can cancel its own wait
+         * through `signal`; the underlying request is only aborted once all callers have.
+         * @param {Function} fetchFunction - (signal) => Promise
+         * @param {Object} tags - Cache tags of the result, so invalidateCache() can detach the request
+         */
+        coalesce(key, fetchFunction, signal, tags) {
+            this.adapters.throwIfAborted(signal);
+            
+            let request = this.inFlight.get(key);
+            if (request) {
+                console.log(`🔄 Joining in-flight request: ${key}`);
+            } else {
+                const controller = new AbortController();
+                request = { controller, waiters: 0, tags };
+                request.promise = fetchFunction(controller.signal).finally(() => {
+                    if (this.inFlight.get(key) === request) {
+                        this.inFlight.delete(key);
                     }
-
-                    if (rpcData) {
-                        dailyData = rpcData.map(r => ({
-                            date: typeof r.period_date === 'string' ? r.period_date.split('T')[0] : r.period_date,
-                            brand: r.brand,
-                            channel: r.channel,
-                            revenue: typeof r.revenue === 'string' ? parseFloat(r.revenue) : r.revenue
-                        }));
+                });
+                this.inFlight.set(key, request);
+            }
+            
+            request.waiters++;
+            if (!signal) {
+                // Callers without a signal can't cancel, so the request always has a waiter
+                return request.promise;
+            }
+            
+            return new Promise((resolve, reject) => {
+                const onAbort = () => {
+                    request.waiters--;
+                    if (request.waiters === 0) {
+                        console.log(`🛑 Aborting superseded request: ${key}`);
+                        request.controller.abort();
+                        if (this.inFlight.get(key) === request) {
+                            this.inFlight.delete(key);
+                        }
                     }
-                } catch (rpcErr) {
-                    console.error('❌ Failed to load aggregated chart data via RPC:', rpcErr);
-                    throw rpcErr;
-                }
-                
-                const result = {
-                    totalRevenue,
-                    channelRevenues,
-                    dailyData
+                    reject(this.adapters.createAbortError());
                 };
                 
-                this.cache.set(cacheKey, { data: result, timestamp: Date.now() });
-                console.log(`✅ Aggregated data loaded: Total=${totalRevenue}, Channels=${Object.keys(channelRevenues).length}`);
-                return result;
-                
-            } catch (err) {
-                console.error('❌ Failed to load aggregated sales data:', err);
-                throw err;
-            }
+                signal.addEventListener('abort', onAbort, { once: true });
+                request.promise
+                    .then(resolve, reject)
+                    .finally(() => signal.removeEventListener('abort', onAbort));
+            });
         }
         
-        async loadSalesData(filters = {}) {
-            // Loading sales data with smart filtering and caching
+        /**
+         * Refresh a cache entry in the background (one refresh per key at a time)
+         */
+        revalidate(key, fetchFunction, tags) {
+            if (this.revalidating.has(key)) {
+                return;
+            }
             
-            if (this.supabase && this.config.FEATURES.ENABLE_SUPABASE) {
-                try {
-                    // Create cache key based on filters
-                    const cacheKey = this.createCacheKey(filters);
-                    
-                    // For dashboard KPIs (total revenue, channel breakdown), use direct aggregation
-                    // This is much faster than loading all records - queries database with GROUP BY
-                    // For annual/quarterly views, we can use aggregated channel data
-                    const shouldUseAggregation = filters.view === 'annual' || 
-                        (filters.view === 'quarterly' && filters.brand && filters.brand !== 'All Brands' && filters.brand !== 'All My Brands');
-                    
-                    if (shouldUseAggregation) {
-                        console.log('📊 Using direct database aggregation (like SQL GROUP BY) for efficient loading');
-                        const aggregated = await this.loadAggregatedSalesData(filters);
-                        
-                        // Store aggregated data in cache for Dashboard to access
-                        this.cache.set(`${cacheKey}_aggregated`, { 
-                            data: aggregated, 
-                            timestamp: Date.now() 
-                        });
-                        
-                        // Return dailyData for charts/trends, but Dashboard will use aggregated.channelRevenues for totals
-                        return aggregated.dailyData;
+            this.revalidating.add(key);
+            console.log(`🔄 Serving stale data, revalidating: ${key}`);
+            
+            // A refresh that started before a write would re-cache and broadcast pre-write data
+            const generation = this.cacheGeneration;
+            this.coalesce(key, fetchFunction, undefined, tags)
+                .then(data => {
+                    if (generation !== this.cacheGeneration) {
+                        console.log(`🗑️ Dropping revalidation that predates a write: ${key}`);
+                        return;
                     }
-                    console.log(`🔍 Loading sales data with filters:`, filters);
+                    this.cache.set(key, { data, timestamp: Date.now(), tags });
+                    this.revalidateListeners.forEach(listener => {
+                        try {
+                            listener(key, data);
+                        } catch (error) {
+                            console.warn('⚠️ Revalidation listener failed:', error);
+                        }
+                    });
+                })
+                .catch(error => {
+                    console.warn(`⚠️ Background revalidation failed for ${key}:`, error);
+                })
+                .finally(() => {
+                    this.revalidating.delete(key);
+                });
+        }
+        
+        /**
+         * Subscribe to background refreshes
+         * @returns {Function} Unsubscribe function
+         */
+        onRevalidated(listener) {
+            this.revalidateListeners.add(listener);
+            return () => this.revalidateListeners.delete(listener);
+        }
+        
+        /**
+         * Load aggregated data using backend-side aggregation (fast, efficient)
+         * Channel totals plus date/brand/channel aggregates at a view-appropriate granularity
+         */
+        async loadAggregatedSalesData(filters = {}, { signal } = {}) {
+            try {
+                const granularity = this.getGranularityFromFilters(filters);
+                const cacheKey = `agg_${granularity}_${this.createCacheKey(filters)}`;
+                
+                return await this.getWithRevalidate(cacheKey, async (fetchSignal) => {
+                    const channelRevenues = await this.adapter.loadChannelTotals(filters, { signal: fetchSignal });
                     
-                    // Check cache first
-                    const cached = this.cache.get(cacheKey);
-                    if (cached && (Date.now() - cached.timestamp) < this.cacheTimeout) {
-                        console.log(`⚡ Cache hit: ${cached.data.length} records`);
-                        return cached.data;
-                    }
+                    // Calculate total revenue from channel aggregates
+                    const totalRevenue = Object.values(channelRevenues).reduce((sum, revenue) => sum + revenue, 0);
                     
-                    // Try RPC aggregate first (fast, small payload)
-                    // Always use 'day' granularity to return daily aggregates
-                    // Dashboard will handle aggregation by date+channel+brand
-                    console.log('🎯 Attempting RPC call...');
+                    // For charts, we still need daily/weekly/monthly aggregates with appropriate granularity
+                    let dailyData = [];
                     try {
-                        // Always request daily aggregates - Dashboard handles grouping
-                        console.log(`📊 RPC params: granularity=day, start=${filters.startDate}, end=${filters.endDate}, brand=${filters.brand}`);
-                        // Normalize brand name for case-insensitive matching
-                        let brandFilter = null;
-                        if (filters.brand && filters.brand !== 'All Brands' && filters.brand !== 'All Brands (Company Total)' && filters.brand !== 'All My Brands') {
-                            brandFilter = filters.brand;
-                        }
-                        
-                        const rpcParams = {
-                            start_date: filters.startDate,
-                            end_date: filters.endDate,
-                            brand_filter: brandFilter,
-                            channel_filter: (!filters.channel || filters.channel === 'All Channels') ? null : filters.channel,
-                            group_by: 'day' // Always use daily aggregates for proper Dashboard aggregation
-                        };
-                        console.log('📞 Calling sales_agg RPC...', rpcParams);
-                        console.log(`🔍 Brand filter applied: ${brandFilter || 'ALL BRANDS'}`);
-                        const { data: rpcData, error: rpcError } = await this.supabase.rpc('sales_agg', rpcParams);
-                        if (!rpcError && Array.isArray(rpcData)) {
-                            // RPC returns daily aggregates (date+brand+channel already summed per day)
-                            // Format: period_date (actual date), brand, channel, revenue (sum for that day+brand+channel)
-                            const normalizedRpc = (rpcData || []).map(r => ({
-                                date: typeof r.period_date === 'string' ? r.period_date.split('T')[0] : r.period_date,
-                                brand: r.brand,
-                                channel: r.channel,
-                                revenue: typeof r.revenue === 'string' ? parseFloat(r.revenue) : r.revenue
-                            }));
-                            
-                            // CRITICAL: Check if RPC hit a limit (exactly 1000 records is suspicious for annual data)
-                            // For annual view with daily aggregates, we could have 365 days × multiple channels = 2000+ records
-                            // If we get exactly 1000, it's likely truncated and we need to fall back to REST with pagination
-                            const isAnnualView = filters.view === 'annual';
-                            const isLargeDateRange = filters.startDate && filters.endDate && 
-                                (new Date(filters.endDate) - new Date(filters.startDate)) / (1000 * 60 * 60 * 24) > 90; // More than 90 days
-                            
-                            if (normalizedRpc.length === 1000 && (isAnnualView || isLargeDateRange)) {
-                                console.warn(`⚠️ RPC returned exactly 1000 records (likely limit hit) for ${filters.view} view`);
-                                console.warn(`⚠️ Falling back to REST query with pagination to get all data...`);
-                                // Don't return here - fall through to REST query with pagination
-                            } else {
-                                this.cache.set(cacheKey, { data: normalizedRpc, timestamp: Date.now() });
-                                console.log(`✅ RPC loaded: ${normalizedRpc.length} records (daily aggregates)`);
-                                console.log(`📊 Sample RPC data:`, normalizedRpc.slice(0, 3));
-                                return normalizedRpc;
-                            }
-                        } else if (rpcError) {
-                            console.error('❌ RPC sales_agg error:', rpcError);
-                            console.warn('⚠️ Falling back to REST query due to RPC error');
-                        }
-                    } catch (rpcTryErr) {
-                        console.error('❌ RPC attempt exception:', rpcTryErr);
-                        console.warn('⚠️ Falling back to REST query due to exception');
+                        dailyData = await this.adapter.loadSalesAggregates(filters, granularity, { signal: fetchSignal });
+                    } catch (rpcErr) {
+                        if (this.adapters.isAbortError(rpcErr)) throw rpcErr;
+                        console.error('❌ Failed to load aggregated chart data:', rpcErr);
+                        throw rpcErr;
                     }
-
-                    // Try filtered query first (optimized)
-                    let data = await this.loadFilteredData(filters);
                     
-                    // If we got 0 records or hit RLS limit (1000), try fallback strategies
-                    if (!data || data.length === 0) {
-                        console.warn('⚠️ Filtered query returned 0 records, trying fallback...');
-                        data = await this.loadWithFallback(filters);
-                    } else if (data.length === 1000) {
-                        console.warn('⚠️ Hit RLS limit (1000 records), loading via pagination...');
-                        data = await this.loadWithPagination(filters);
-                    }
-                    
-                    // Normalize types/fields for frontend calculations
-                    const normalized = (data || []).map(row => ({
-                        ...row,
-                        // Ensure revenue is a number (Supabase may return numeric as string)
-                        revenue: typeof row.revenue === 'string' ? parseFloat(row.revenue) : row.revenue,
-                        // Ensure date is YYYY-MM-DD string
-                        date: typeof row.date === 'string' ? row.date.split('T')[0] : row.date
-                    }));
-                    
-                    // Cache the result
-                    this.cache.set(cacheKey, {
-                        data: normalized,
-                        timestamp: Date.now()
-                    });
-                    
-                    console.log(`✅ Final result: ${normalized.length} records loaded`);
-                    return normalized;
-                } catch (err) {
-                    console.error('❌ Failed to load sales data:', err);
-                    throw err;
+                    console.log(`✅ Aggregated data loaded: Total=${totalRevenue}, Channels=${Object.keys(channelRevenues).length}`);
+                    return {
+                        totalRevenue,
+                        channelRevenues,
+                        dailyData
+                    };
+                }, this.createCacheTags('agg', filters), signal);
+                
+            } catch (err) {
+                if (!this.adapters.isAbortError(err)) {
+                    console.error('❌ Failed to load aggregated sales data:', err);
                 }
-            } else {
-                // Fallback to demo data
-                return this.loadLocalData();
+                throw err;
             }
         }
-
-        getGranularityFromFilters(filters) {
-            // DEPRECATED: Always use 'day' granularity for RPC
-            // Dashboard handles grouping by date+channel+brand regardless of view
-            // This ensures proper aggregation without double-counting
-            return 'day';
+        
+        /**
+         * Load the comparison period for channel KPIs (prior period, last year or a custom range)
+         * Same brand/channel filters and granularity as the current view, so charts can line the series up
+         * @param {Object} filters - Current period filters
+         * @param {Object} comparison - { start, end } from dateUtils.getComparisonRange
+         * @returns {Promise<Object>} { totalRevenue, channelRevenues, dailyData } for the comparison range
+         */
+        async loadSalesComparison(filters = {}, comparison, { signal } = {}) {
+            return this.loadAggregatedSalesData({
+                ...filters,
+                startDate: comparison.start,
+                endDate: comparison.end
+            }, { signal });
         }
         
         /**
-         * Create cache key from filters
+         * Load the daily history behind the period-end forecast: prior years for the seasonal shape
+         * through today. Null when the period is already over.
+         * @param {Object} filters - Current period filters ({ startDate, endDate, brand })
+         * @returns {Promise<Object|null>} { start, end, rows } with daily { date, brand, channel, revenue } rows
          */
-        createCacheKey(filters) {
-            const key = JSON.stringify({
-                startDate: filters.startDate || 'all',
-                endDate: filters.endDate || 'all',
-                brand: filters.brand || 'all',
-                channel: filters.channel || 'all'
-            });
-            return `sales_data_${key}`;
+        async loadForecastHistory(filters = {}, { signal } = {}) {
+            const { getForecastHistoryRange } = window.forecasting || {};
+            const today = window.dateUtils?.getTodayString?.();
+            const range = getForecastHistoryRange ? getForecastHistoryRange(filters.startDate, filters.endDate, today) : null;
+            if (!range) return null;
+            
+            const historyFilters = { ...filters, startDate: range.start, endDate: range.end, granularity: 'day' };
+            const cacheKey = `forecast_${this.createCacheKey(historyFilters)}`;
+            const rows = await this.getWithRevalidate(cacheKey, (fetchSignal) =>
+                this.adapter.loadSalesAggregates(historyFilters, 'day', { signal: fetchSignal }),
+                this.createCacheTags('agg', historyFilters), signal);
+            
+            console.log(`📈 Forecast history loaded: ${rows?.length || 0} daily rows (${range.start} - ${range.end})`);
+            return { ...range, rows: rows || [] };
         }
         
         /**
-         * Load data with optimized filters
+         * Last day with sales per brand and channel, for data freshness (see dataFreshness.js).
+         * Tagged with every brand, channel and date, so any sales upload refreshes it.
+         * @returns {Promise<Array>} [{ brand, channel, lastDate }]
          */
-        async loadFilteredData(filters) {
-            // Select base columns; we will aggregate client-side until RPC is added
-            let query = this.supabase
-                .from('sales_data')
-                .select('date, brand, channel, revenue')
-                .order('date', { ascending: false });
-            
-            // Apply filters to reduce data load
-            if (filters.startDate) {
-                query = query.gte('date', filters.startDate);
-            }
-            if (filters.endDate) {
-                query = query.lte('date', filters.endDate);
-            }
-            if (filters.brand && filters.brand !== 'All Brands' && filters.brand !== 'All My Brands') {
-                // Use case-insensitive matching for brand names
-                query = query.ilike('brand', filters.brand);
-            }
-            if (filters.channel && filters.channel !== 'All Channels') {
-                query = query.eq('channel', filters.channel);
-            }
-            
-            // No hard limit needed when aggregating, but keep guard for extremely large windows
-            const limit = this.calculateOptimalLimit(filters);
-            if (limit) query = query.limit(limit);
-            
-            const { data, error } = await query;
-            
-            if (error) {
-                console.error('❌ Filtered query error:', error);
-                throw error;
-            }
+        async loadLastSalesDates({ signal } = {}) {
+            const rows = await this.getWithRevalidate('last_sales_dates', (fetchSignal) =>
+                this.adapter.loadLastSalesDates({ signal: fetchSignal }),
+                this.createCacheTags('agg'), signal);
+            return rows || [];
+        }
+        
+        /**
+         * Daily sales of a brand over the fiscal years before `year`, for deriving a phasing profile
+         * (see targetPhasing.deriveHistoricalPhasing)
+         * @param {string} brand - Brand name
+         * @param {string|number} year - Fiscal year being phased
+         * @param {number} years - Fiscal years to look back (defaults to CONFIG.PHASING.HISTORY_YEARS)
+         * @returns {Promise<Array>} Daily { date, brand, channel, revenue } rows
+         */
+        async loadPhasingHistory(brand, year, years) {
+            const { getFiscalYearRange, toDateString } = window.dateUtils || {};
+            if (!getFiscalYearRange) return [];
+            
+            const historyYears = years || (window.CONFIG || window.ChaiVision?.CONFIG)?.PHASING?.HISTORY_YEARS || 1;
+            const filters = {
+                brand,
+                startDate: toDateString(getFiscalYearRange(String(parseInt(year) - historyYears)).start),
+                endDate: toDateString(getFiscalYearRange(String(parseInt(year) - 1)).end),
+                granularity: 'day'
+            };
+            const rows = await this.getWithRevalidate(`phasing_${this.createCacheKey(filters)}`, (fetchSignal) =>
+                this.adapter.loadSalesAggregates(filters, 'day', { signal: fetchSignal }),
+                this.createCacheTags('agg', filters));
             
-            return data || [];
+            console.log(`📐 Phasing history loaded for ${brand}: ${rows?.length || 0} daily rows (${filters.startDate} - ${filters.endDate})`);
+            return rows || [];
         }
         
         /**
-         * Fallback: Load without brand filter (case-sensitive matching issue)
+         * Monthly sales of every brand and channel in the fiscal year before `year`, for building a
+         * scenario or rolling targets forward from actuals (see targetScenarios.buildActualTargets)
+         * @param {string|number} year - Fiscal year of the scenario or roll forward
+         * @returns {Promise<Array>} Monthly (daily on a 4-4-5 calendar) { date, brand, channel, revenue } rows
          */
-        async loadWithFallback(filters) {
-            // Try without brand filter (might be case mismatch)
-            const fallbackFilters = { ...filters };
-            delete fallbackFilters.brand;
+        async loadScenarioActuals(year) {
+            const { getFiscalYearRange, toDateString } = window.dateUtils || {};
+            if (!getFiscalYearRange) return [];
+            
+            const range = getFiscalYearRange(String(parseInt(year) - 1));
+            const granularity = this.getMonthGrain();
+            const filters = {
+                startDate: toDateString(range.start),
+                endDate: toDateString(range.end),
+                granularity
+            };
+            const rows = await this.getWithRevalidate(`scenario_${granularity}_${this.createCacheKey(filters)}`, (fetchSignal) =>
+                this.adapter.loadSalesAggregates(filters, granularity, { signal: fetchSignal }),
+                this.createCacheTags('agg', filters));
             
-            console.log('🔄 Fallback: Trying without brand filter...');
-            let data = await this.loadFilteredData(fallbackFilters);
+            console.log(`🔮 Scenario actuals loaded: ${rows?.length || 0} ${granularity} rows (${filters.startDate} - ${filters.endDate})`);
+            return rows || [];
+        }
+        
+        /**
+         * Each brand's revenue by channel in the fiscal year before `year`, for allocating a company target
+         * (see targetAllocation.allocateTargets)
+         * @param {Array<string>} brands - Brands to allocate to
+         * @param {string|number} year - Fiscal year being planned
+         * @returns {Promise<Object>} { [brand]: { [channel]: revenue } }
+         */
+        async loadAllocationMix(brands = [], year) {
+            const { getFiscalYearRange, toDateString } = window.dateUtils || {};
+            if (!getFiscalYearRange) return {};
             
-            // If still no data, try with just date range
-            if (!data || data.length === 0) {
-                console.log('🔄 Fallback: Trying with date range only...');
-                const dateOnlyFilters = {
-                    startDate: filters.startDate,
-                    endDate: filters.endDate
+            const range = getFiscalYearRange(String(parseInt(year) - 1));
+            const totals = await Promise.all(brands.map(brand => {
+                const filters = {
+                    brand,
+                    startDate: toDateString(range.start),
+                    endDate: toDateString(range.end)
                 };
-                data = await this.loadFilteredData(dateOnlyFilters);
-            }
-            
-            // Filter client-side for brand (case-insensitive)
-            if (data && data.length > 0 && filters.brand && filters.brand !== 'All Brands' && filters.brand !== 'All My Brands') {
-                const brandKey = filters.brand.toLowerCase();
-                data = data.filter(row => {
-                    const rowBrand = String(row.brand || '').toLowerCase();
-                    return rowBrand === brandKey;
-                });
-                console.log(`🔍 Client-side brand filter: ${data.length} records match "${filters.brand}"`);
-            }
-            
-            return data || [];
+                return this.getWithRevalidate(`allocation_${this.createCacheKey(filters)}`, (fetchSignal) =>
+                    this.adapter.loadChannelTotals(filters, { signal: fetchSignal }),
+                    this.createCacheTags('agg', filters));
+            }));
+            
+            const mix = {};
+            brands.forEach((brand, index) => {
+                mix[brand] = totals[index] || {};
+            });
+            console.log(`🧮 Allocation mix loaded for ${brands.length} brands (${toDateString(range.start)} - ${toDateString(range.end)})`);
+            return mix;
         }
         
         /**
-         * Load data via pagination when hitting RLS limits
+         * Load sales rows for the given filters
+         * @param {Object} filters - { startDate, endDate, brand, channel, view }
+         * @param {Object} options - { signal } AbortSignal for superseded requests
          */
-        async loadWithPagination(filters) {
-            const allData = [];
-            let offset = 0;
-            const pageSize = 1000;
-            let hasMore = true;
-            const maxPages = 500; // Safety limit
-            
-            console.log('📄 Starting pagination...');
-            
-            while (hasMore && allData.length < 500000 && (offset / pageSize) < maxPages) {
-                let query = this.supabase
-                    .from('sales_data')
-                    .select('date, brand, channel, revenue')
-                    .order('date', { ascending: false })
-                    .range(offset, offset + pageSize - 1);
-                
-                // Apply same filters
-                if (filters.startDate) {
-                    query = query.gte('date', filters.startDate);
-                }
-                if (filters.endDate) {
-                    query = query.lte('date', filters.endDate);
-                }
-                if (filters.brand && filters.brand !== 'All Brands' && filters.brand !== 'All My Brands') {
-                    query = query.ilike('brand', filters.brand);
-                }
-                if (filters.channel && filters.channel !== 'All Channels') {
-                    query = query.eq('channel', filters.channel);
-                }
-                
-                const { data: pageData, error } = await query;
+        async loadSalesData(filters = {}, { signal } = {}) {
+            // Loading sales data with smart filtering and caching
+            try {
+                // Create cache key based on filters
+                const cacheKey = this.createCacheKey(filters);
                 
-                if (error) {
-                    console.error('❌ Pagination error:', error);
-                    break;
-                }
+                // For dashboard KPIs (total revenue, channel breakdown), use direct aggregation
+                // This is much faster than loading all records - queries database with GROUP BY
+                // For annual/quarterly views and custom ranges (up to trailing 12 months), we can use aggregated channel data
+                const shouldUseAggregation = filters.view === 'annual' || filters.view === 'custom' ||
+                    (filters.view === 'quarterly' && filters.brand && filters.brand !== 'All Brands' && filters.brand !== 'All My Brands');
                 
-                if (!pageData || pageData.length === 0) {
-                    hasMore = false;
-                } else {
-                    allData.push(...pageData);
-                    offset += pageSize;
+                if (shouldUseAggregation) {
+                    console.log('📊 Using direct database aggregation (like SQL GROUP BY) for efficient loading');
+                    const generation = this.cacheGeneration;
+                    const aggregated = await this.loadAggregatedSalesData(filters, { signal });
                     
-                    if (offset % 10000 === 0) {
-                        console.log(`📄 Loaded ${allData.length} records so far...`);
+                    // Store aggregated data in cache for Dashboard to access (unless a write landed meanwhile)
+                    if (generation === this.cacheGeneration) {
+                        this.cache.set(`${cacheKey}_aggregated`, { 
+                            data: aggregated, 
+                            timestamp: Date.now(),
+                            tags: this.createCacheTags('agg', filters)
+                        });
                     }
+                    
+                    // Return dailyData for charts/trends, but Dashboard will use aggregated.channelRevenues for totals
+                    return aggregated.dailyData;
                 }
+                console.log(`🔍 Loading sales data with filters:`, filters);
                 
-                // Small delay to prevent overwhelming server
-                if (hasMore) {
-                    await new Promise(resolve => setTimeout(resolve, 50));
+                return await this.getWithRevalidate(cacheKey, async (fetchSignal) => {
+                    // data.truncated (pagination cap hit) lives on the in-memory array; at the default
+                    // MAX_PAGINATED_ROWS such a result is past the disk budget and never persisted
+                    const data = await this.adapter.loadSalesData(filters, { signal: fetchSignal });
+                    console.log(`✅ Final result: ${data.length} records loaded (${this.adapter.name})${data.truncated ? ', truncated' : ''}`);
+                    return data;
+                }, this.createCacheTags('sales', filters), signal);
+            } catch (err) {
+                if (!this.adapters.isAbortError(err)) {
+                    console.error('❌ Failed to load sales data:', err);
                 }
+                throw err;
             }
-            
-            console.log(`✅ Pagination complete: ${allData.length} records`);
-            
-            // Apply client-side brand filter if needed (case-insensitive)
-            if (allData.length > 0 && filters.brand && filters.brand !== 'All Brands' && filters.brand !== 'All My Brands') {
-                const brandKey = filters.brand.toLowerCase();
-                const filtered = allData.filter(row => {
-                    const rowBrand = String(row.brand || '').toLowerCase();
-                    return rowBrand === brandKey;
-                });
-                console.log(`🔍 Client-side brand filter applied: ${filtered.length} records match "${filters.brand}"`);
-                return filtered;
-            }
-            
-            return allData;
         }
-        
+
         /**
-         * Calculate optimal limit based on filters
+         * Stream raw sales rows page by page without caching (exports, full-table walks)
+         * @param {Object} filters - { startDate, endDate, brand, channel }
+         * @param {Object} options - { signal, pageSize, maxRows }
+         * @returns {AsyncIterator<{ rows: Array, cursor: Object, truncated: boolean }>}
+         * @example
+         * for await (const page of dataService.streamSalesData(filters)) {
+         *     writeCsv(page.rows);
+         *     if (page.truncated) warnUser();
+         * }
          */
-        calculateOptimalLimit(filters) {
-            // Base limit
-            let limit = 10000;
-            
-            // Reduce limit if we have specific filters
-            if (filters.brand && filters.brand !== 'All Brands' && filters.brand !== 'All My Brands') {
-                limit = Math.min(limit, 50000); // Brand-specific data
-            }
-            if (filters.channel && filters.channel !== 'All Channels') {
-                limit = Math.min(limit, 50000); // Channel-specific data
-            }
-            if (filters.startDate && filters.endDate) {
-                // Calculate days between dates
-                const start = new Date(filters.startDate);
-                const end = new Date(filters.endDate);
-                const days = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
-                
-                if (days <= 30) {
-                    limit = Math.min(limit, 5000); // Short period
-                } else if (days <= 365) {
-                    limit = Math.min(limit, 20000); // Medium period
-                }
-            }
-            
-            return limit;
+        streamSalesData(filters = {}, options = {}) {
+            return this.adapter.iterateSalesData(filters, options);
         }
-        
-        loadLocalData() {
-            // Load from localStorage with error handling
-            try {
-                const stored = localStorage.getItem('chai_vision_sales_data');
-                if (stored) {
-                    const parsed = JSON.parse(stored);
-                    return Array.isArray(parsed) ? parsed : [];
-                }
-            } catch (error) {
-                // Failed to parse stored sales data, clearing
-                localStorage.removeItem('chai_vision_sales_data');
+
+        /**
+         * Grain for monthly totals: calendar month buckets (dated the 1st) only line up with fiscal months
+         * on a standard calendar; 4-4-5 months start mid-month, so they are summed from days instead
+         */
+        getMonthGrain() {
+            return window.dateUtils?.getFiscalSettings?.().calendar === '445' ? 'day' : 'month';
+        }
+
+        /**
+         * RPC grain for a view: 'day' | 'week' | 'month' | 'quarter'
+         * An explicit filters.granularity wins (e.g. 'week' for week-over-week charts);
+         * weekly, monthly and custom views chart days (custom ranges start mid-month), longer views chart months
+         * (see getMonthGrain)
+         */
+        getGranularityFromFilters(filters = {}) {
+            if (['day', 'week', 'month', 'quarter'].includes(filters.granularity)) {
+                return filters.granularity;
             }
             
-            // Get generateSampleData from window
-            const { generateSampleData } = window.ChaiVision?.INITIAL_DATA || {};
-            if (generateSampleData) {
-                // Generate sample data
-                const startDate = '2025-01-01';
-                const endDate = new Date().toISOString().split('T')[0];
-                return generateSampleData(startDate, endDate);
+            switch (filters.view) {
+                case 'annual':
+                case 'quarterly':
+                    return this.getMonthGrain();
+                case 'monthly':
+                case 'weekly':
+                case 'custom':
+                default:
+                    return 'day';
             }
-            
-            // Return empty array if nothing available
-            return [];
         }
         
-        async saveSalesData(data) {
+        /**
+         * Create cache key from filters
+         * Every filter that shapes the result is part of the key, since sales and SKU results are persisted;
+         * the optional ones are left out when unset so keys for the plain filters stay the same
+         */
+        createCacheKey(filters) {
+            const key = JSON.stringify({
+                startDate: filters.startDate || 'all',
+                endDate: filters.endDate || 'all',
+                brand: filters.brand || 'all',
+                channel: filters.channel || 'all',
+                sku: filters.sku || undefined,
+                groupBy: filters.groupBy || undefined,
+                granularity: filters.granularity || undefined,
+                view: filters.view || undefined
+            });
+            return `sales_data_${key}`;
+        }
+        
+        /**
+         * Save sales rows through the active adapter
+         * @param {Object} options - { onRetry } called before a transient failure is retried
+         */
+        async saveSalesData(data, options = {}) {
             // Debounce save operations to prevent excessive writes
             return this.debounce('save_sales_data', async () => {
-                if (this.supabase && this.config.FEATURES.ENABLE_SUPABASE) {
-                    try {
-                        // Preferred path: upsert on source_id if supported by DB constraint
-                        const { error } = await this.supabase
-                            .from('sales_data')
-                            .upsert(data, { onConflict: 'source_id' });
-                        if (error) {
-                            console.error('Supabase upsert error:', error);
-                            throw error;
-                        }
-
-                        this.cache.delete('sales_data');
-                        return true;
-                    } catch (error) {
-                        // Handle specific error codes
-                        if (error?.code === '23505' || error?.code === '21000' || error?.message?.includes('duplicate constrained values')) {
-                            // Unique constraint violation or duplicate key error
-                            console.warn('Unique constraint violation, attempting individual inserts:', error.message);
-                            return await this.insertIndividualRows(data);
-                        }
-                        
-                        // Fallback when ON CONFLICT is not available (e.g., no unique constraint)
-                        if (error?.code === '42P10') {
-                            try {
-                                const sourceIds = Array.from(new Set((data || []).map(r => r.source_id).filter(Boolean)));
-                                if (sourceIds.length === 0) throw error;
-
-                                // Find which rows already exist
-                                const { data: existing, error: selectError } = await this.supabase
-                                    .from('sales_data')
-                                    .select('source_id')
-                                    .in('source_id', sourceIds);
-                                if (selectError) throw selectError;
-
-                                const existingSet = new Set((existing || []).map(r => r.source_id));
-                                const toInsert = [];
-                                const toUpdate = [];
-
-                                for (const row of data) {
-                                    if (existingSet.has(row.source_id)) {
-                                        toUpdate.push(row);
-                                    } else {
-                                        toInsert.push(row);
-                                    }
-                                }
-
-                                // Insert new rows in bulk
-                                if (toInsert.length > 0) {
-                                    const { error: insertError } = await this.supabase
-                                        .from('sales_data')
-                                        .insert(toInsert);
-                                    if (insertError) throw insertError;
-                                }
-
-                                // Update existing rows one-by-one (safe, preserves differing values per row)
-                                for (const row of toUpdate) {
-                                    const rowCopy = { ...row };
-                                    // Ensure we do not modify created_at; optionally set updated_at client-side
-                                    rowCopy.updated_at = new Date().toISOString();
-                                    const { error: updateError } = await this.supabase
-                                        .from('sales_data')
-                                        .update(rowCopy)
-                                        .eq('source_id', row.source_id);
-                                    if (updateError) throw updateError;
-                                }
-
-                                this.cache.delete('sales_data');
-                                return true;
-                            } catch (fallbackError) {
-                                console.error('Supabase fallback merge error:', fallbackError);
-                                throw fallbackError;
-                            }
-                        }
-
-                        console.error('Supabase error:', error);
-                        throw error;
-                    }
-                } else {
-                    return this.saveLocalData(data);
-                }
+                const result = await this.adapter.saveSalesData(data, options);
+                this.invalidateCache(this.getWriteScope(data, ['sales', 'agg']));
+                return result;
             }, 500);
         }
         
-        saveLocalData(data) {
-            try {
-                const existing = this.loadLocalData();
-                const updated = [...existing, ...data];
-                localStorage.setItem('chai_vision_sales_data', JSON.stringify(updated));
-                
-                // Invalidate cache
-                this.cache.delete('sales_data');
-                return true;
-            } catch (error) {
-                console.error('Failed to save local data:', error);
-                return false;
-            }
-        }
-        
         /**
          * Optimized data filtering with memoization
          */
@@ -673,203 +654,21 @@
         }
         
         /**
-         * Save SKU sales data to database
-         */
-        /**
-         * Helper function to wrap Supabase queries with timeout protection
+         * Save SKU sales data through the active adapter
+         * @param {Object} options - { onRetry } called before a transient failure is retried
          */
-        async queryWithTimeout(queryPromise, timeoutMs = 30000, operationName = 'Query') {
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error(`${operationName} timeout after ${timeoutMs}ms`)), timeoutMs);
-            });
+        async saveSKUData(data, options = {}) {
+            console.log(`🔍 DEBUG [saveSKUData] - START: Processing ${data?.length || 0} rows (${this.adapter.name})`);
             
             try {
-                return await Promise.race([queryPromise, timeoutPromise]);
+                const result = await this.adapter.saveSKUData(data, options);
+                this.invalidateCache(this.getWriteScope(data, ['sku']));
+                return result;
             } catch (error) {
-                console.error(`${operationName} failed or timed out:`, error);
+                console.error('🔍 DEBUG [saveSKUData] - EXCEPTION:', error);
                 throw error;
             }
         }
-
-        async saveSKUData(data) {
-            console.log(`🔍 DEBUG [saveSKUData] - START: Processing ${data?.length || 0} rows`);
-            
-            if (this.supabase && this.config.FEATURES.ENABLE_SUPABASE) {
-                try {
-                    // Check for existing records to avoid duplicates
-                    // Unique constraint: (date, channel, brand, sku, source_id)
-                    const sourceIds = Array.from(new Set((data || []).map(r => r.source_id).filter(Boolean)));
-                    console.log(`🔍 DEBUG [saveSKUData] - Extracted ${sourceIds.length} unique source_ids`);
-                    
-                    if (sourceIds.length > 0) {
-                        // Supabase .in() query has a limit (typically 1000 items)
-                        // Split into chunks to handle large batches
-                        const CHUNK_SIZE = 1000;
-                        const existingSet = new Set();
-                        const numChunks = Math.ceil(sourceIds.length / CHUNK_SIZE);
-                        console.log(`🔍 DEBUG [saveSKUData] - Checking existing records in ${numChunks} chunks`);
-                        
-                        for (let i = 0; i < sourceIds.length; i += CHUNK_SIZE) {
-                            const chunk = sourceIds.slice(i, i + CHUNK_SIZE);
-                            const chunkNum = Math.floor(i / CHUNK_SIZE) + 1;
-                            console.log(`🔍 DEBUG [saveSKUData] - Checking chunk ${chunkNum}/${numChunks} (${chunk.length} IDs)`);
-                            
-                            try {
-                                const selectQuery = this.supabase
-                                    .from('sku_sales_data')
-                                    .select('source_id')
-                                    .in('source_id', chunk);
-                                
-                                const { data: existing, error: selectError } = await this.queryWithTimeout(
-                                    selectQuery,
-                                    15000,
-                                    `Check existing chunk ${chunkNum}/${numChunks}`
-                                );
-                                
-                                if (selectError) {
-                                    console.warn(`Could not check for existing SKU records (chunk ${chunkNum}/${numChunks}):`, selectError);
-                                    // Continue with insert - database will handle duplicates via constraint
-                                } else if (existing) {
-                                    existing.forEach(r => existingSet.add(r.source_id));
-                                    console.log(`🔍 DEBUG [saveSKUData] - Chunk ${chunkNum}: Found ${existing.length} existing records`);
-                                }
-                            } catch (chunkError) {
-                                console.warn(`Chunk ${chunkNum} check failed (continuing):`, chunkError.message);
-                                // Continue - duplicates will be handled by database constraint
-                            }
-                        }
-                        
-                        console.log(`🔍 DEBUG [saveSKUData] - Total existing records found: ${existingSet.size}`);
-                        
-                        // Filter out existing records
-                        const toInsert = data.filter(row => !existingSet.has(row.source_id));
-                        console.log(`🔍 DEBUG [saveSKUData] - After filtering: ${toInsert.length} to insert, ${data.length - toInsert.length} to skip`);
-                        
-                        if (toInsert.length === 0) {
-                            // All records already exist
-                            console.log(`🔍 DEBUG [saveSKUData] - END: All records already exist`);
-                            this.cache.delete('sku_data');
-                            return { success: true, inserted: 0, skipped: data.length };
-                        }
-                        
-                        // Insert only new records
-                        console.log(`🔍 DEBUG [saveSKUData] - Starting INSERT of ${toInsert.length} rows`);
-                        const insertQuery = this.supabase
-                            .from('sku_sales_data')
-                            .insert(toInsert)
-                            .select('id', { count: 'exact', head: false });
-                        
-                        const { error: insertError, count } = await this.queryWithTimeout(
-                            insertQuery,
-                            30000,
-                            `Insert ${toInsert.length} rows`
-                        );
-                        
-                        if (insertError) {
-                            console.log(`🔍 DEBUG [saveSKUData] - INSERT ERROR:`, insertError);
-                            // If error is due to duplicates (constraint violation), that's okay
-                            if (insertError.code === '23505' || insertError.message?.includes('duplicate')) {
-                                console.warn('Some SKU records were duplicates (skipped), trying individual insert');
-                                this.cache.delete('sku_data');
-                                // Try to insert individually to get accurate count
-                                return await this.insertSKUDataIndividually(toInsert);
-                            }
-                            console.error('Supabase SKU insert error:', insertError);
-                            throw insertError;
-                        }
-                        
-                        const insertedCount = count || toInsert.length;
-                        console.log(`🔍 DEBUG [saveSKUData] - END: Successfully inserted ${insertedCount} rows, skipped ${data.length - insertedCount}`);
-                        this.cache.delete('sku_data');
-                        return { success: true, inserted: insertedCount, skipped: data.length - insertedCount };
-                    } else {
-                        console.log(`🔍 DEBUG [saveSKUData] - No source_ids, inserting all ${data.length} rows`);
-                        // No source_ids, insert all
-                        const insertQuery = this.supabase
-                            .from('sku_sales_data')
-                            .insert(data)
-                            .select('id', { count: 'exact', head: false });
-                        
-                        const { error: insertError, count } = await this.queryWithTimeout(
-                            insertQuery,
-                            30000,
-                            `Insert ${data.length} rows (no source_id check)`
-                        );
-                        
-                        if (insertError) {
-                            console.log(`🔍 DEBUG [saveSKUData] - INSERT ERROR:`, insertError);
-                            if (insertError.code === '23505' || insertError.message?.includes('duplicate')) {
-                                console.warn('Some SKU records were duplicates (skipped), trying individual insert');
-                                this.cache.delete('sku_data');
-                                // Try to insert individually to get accurate count
-                                return await this.insertSKUDataIndividually(data);
-                            }
-                            console.error('Supabase SKU insert error:', insertError);
-                            throw insertError;
-                        }
-                        
-                        const insertedCount = count || data.length;
-                        console.log(`🔍 DEBUG [saveSKUData] - END: Successfully inserted ${insertedCount} rows`);
-                        this.cache.delete('sku_data');
-                        return { success: true, inserted: insertedCount, skipped: data.length - insertedCount };
-                    }
-                } catch (error) {
-                    console.error('🔍 DEBUG [saveSKUData] - EXCEPTION:', error);
-                    throw error;
-                }
-            } else {
-                console.log(`🔍 DEBUG [saveSKUData] - Using localStorage fallback`);
-                // Fallback: Store in localStorage
-                return this.saveLocalSKUData(data);
-            }
-        }
-        
-        /**
-         * Insert SKU rows individually to handle constraint violations and get accurate count
-         */
-        async insertSKUDataIndividually(data) {
-            let inserted = 0;
-            let skipped = 0;
-            
-            for (const row of data) {
-                try {
-                    const { error } = await this.supabase
-                        .from('sku_sales_data')
-                        .insert(row);
-                    
-                    if (error) {
-                        if (error.code === '23505' || error.message?.includes('duplicate')) {
-                            skipped++;
-                        } else {
-                            console.error('Error inserting SKU row:', error);
-                            skipped++;
-                        }
-                    } else {
-                        inserted++;
-                    }
-                } catch (err) {
-                    console.error('Exception inserting SKU row:', err);
-                    skipped++;
-                }
-            }
-            
-            this.cache.delete('sku_data');
-            return { success: true, inserted, skipped };
-        }
-        
-        saveLocalSKUData(data) {
-            try {
-                const existing = JSON.parse(localStorage.getItem('chai_vision_sku_data') || '[]');
-                const updated = [...existing, ...data];
-                localStorage.setItem('chai_vision_sku_data', JSON.stringify(updated));
-                
-                this.cache.delete('sku_data');
-                return true;
-            } catch (error) {
-                console.error('Failed to save local SKU data:', error);
-                return false;
-            }
-        }
         
         /**
          * Batch operations for better performance with progress tracking
@@ -884,10 +683,28 @@
             let processedBatches = 0;
             let successfulRows = 0;
             let failedRows = 0;
+            let retries = 0;
             
             for (const batch of batches) {
+                // Retries happen inside the adapter; surface them so the upload UI can show them
+                const onRetry = (retry) => {
+                    retries++;
+                    if (onProgress) {
+                        onProgress({
+                            processedBatches,
+                            totalBatches: batches.length,
+                            progress: Math.round((processedBatches / batches.length) * 100),
+                            processedRows: successfulRows,
+                            totalRows: dataArray.length,
+                            currentBatch: processedBatches + 1,
+                            batchSize: batch.length,
+                            retry
+                        });
+                    }
+                };
+                
                 try {
-                    const result = await this.saveSalesData(batch);
+                    const result = await this.saveSalesData(batch, { onRetry });
                     results.push(result);
                     processedBatches++;
                     successfulRows += batch.length;
@@ -928,6 +745,8 @@
                             processedRows: successfulRows,
                             totalRows: dataArray.length,
                             error: error.message,
+                            errorKind: error.kind,
+                            attempts: error.attempts,
                             currentBatch: processedBatches
                         });
                     }
@@ -945,7 +764,8 @@
                 total: results.length,
                 allSuccessful: results.every(r => r === true),
                 successfulRows,
-                failedRows
+                failedRows,
+                retries
             };
         }
         
@@ -971,18 +791,43 @@
             let successfulRows = 0;
             let skippedRows = 0;
             let failedRows = 0;
+            let retries = 0;
+            
+            // Allow every retry attempt its own 60 seconds before giving up on a batch
+            const batchTimeout = 60000 * (this.adapter.retryPolicy?.attempts || 1);
             
             for (const batch of batches) {
+                // Retries happen inside the adapter; surface them so the upload UI can show them
+                const onRetry = (retry) => {
+                    retries++;
+                    if (onProgress) {
+                        onProgress({
+                            processedBatches,
+                            totalBatches: batches.length,
+                            progress: Math.round((processedBatches / batches.length) * 100),
+                            processedRows: successfulRows + skippedRows,
+                            totalRows: dataArray.length,
+                            insertedRows: successfulRows,
+                            skippedRows: skippedRows,
+                            currentBatch: processedBatches + 1,
+                            batchSize: batch.length,
+                            retry
+                        });
+                    }
+                };
+                
+                let timeoutId;
                 try {
                     console.log(`🔍 DEBUG [dataService] - Processing batch ${processedBatches + 1}/${batches.length} (${batch.length} rows)`);
                     
-                    // Wrap saveSKUData with timeout (60 seconds max per batch)
-                    const savePromise = this.saveSKUData(batch);
+                    // Wrap saveSKUData with a per-batch timeout
+                    const savePromise = this.saveSKUData(batch, { onRetry });
                     const timeoutPromise = new Promise((_, reject) => {
-                        setTimeout(() => reject(new Error(`Batch ${processedBatches + 1} timeout after 60s`)), 60000);
+                        timeoutId = setTimeout(() => reject(new Error(`Batch ${processedBatches + 1} timeout after ${batchTimeout / 1000}s`)), batchTimeout);
                     });
                     
                     const result = await Promise.race([savePromise, timeoutPromise]);
+                    clearTimeout(timeoutId);
                     const isSuccess = result && (result.success === true || result === true);
                     results.push(isSuccess ? result : false);
                     processedBatches++;
@@ -1022,6 +867,7 @@
                         await new Promise(resolve => setTimeout(resolve, 100));
                     }
                 } catch (error) {
+                    clearTimeout(timeoutId);
                     console.error(`❌ SKU Batch ${processedBatches + 1} failed:`, error);
                     results.push(false);
                     processedBatches++;
@@ -1038,6 +884,8 @@
                             insertedRows: successfulRows,
                             skippedRows: skippedRows,
                             error: error.message,
+                            errorKind: error.kind,
+                            attempts: error.attempts,
                             currentBatch: processedBatches,
                             batchSize: batch.length
                         };
@@ -1080,7 +928,8 @@
                 failed,
                 successfulRows,
                 skippedRows,
-                failedRows
+                failedRows,
+                retries
             };
             
             console.log(`🔍 DEBUG [dataService] - Returning:`, returnValue);
@@ -1088,183 +937,107 @@
             return returnValue;
         }
         
-        /**
-         * Insert rows individually to handle constraint violations
-         */
-        async insertIndividualRows(data) {
-            let successCount = 0;
-            let errorCount = 0;
-            
-            for (const row of data) {
-                try {
-                    const { error } = await this.supabase
-                        .from('sales_data')
-                        .upsert([row], { onConflict: 'source_id' });
-                    
-                    if (error) {
-                        console.warn(`Failed to insert row with source_id ${row.source_id}:`, error.message);
-                        errorCount++;
-                    } else {
-                        successCount++;
-                    }
-                } catch (err) {
-                    console.warn(`Failed to insert row with source_id ${row.source_id}:`, err.message);
-                    errorCount++;
-                }
-            }
-            
-            console.log(`Individual insert completed: ${successCount} successful, ${errorCount} failed`);
-            return successCount > 0;
-        }
-        
         async updateSettings(updatedData = {}) {
-            if (this.supabase && this.config?.FEATURES?.ENABLE_SUPABASE) {
-                try {
-                    // Persisting settings relies on server-side logic; for now we clear caches
-                    this.clearCache();
-                    return true;
-                } catch (error) {
-                    console.error('Failed to update settings via Supabase:', error);
-                    throw error;
-                }
-            }
-            
             try {
-                this.config = this.config || {};
-                this.config.INITIAL_DATA = this.config.INITIAL_DATA || {};
-                
-                if (Array.isArray(updatedData.brands)) {
-                    this.config.INITIAL_DATA.brands = updatedData.brands;
-                }
-                
-                if (updatedData.targets) {
-                    this.config.INITIAL_DATA.targets = updatedData.targets;
-                }
-                
-                const persisted = {
-                    brands: updatedData.brands,
-                    targets: updatedData.targets
-                };
-                localStorage.setItem('chai_vision_settings', JSON.stringify(persisted));
+                await this.adapter.saveSettings(updatedData);
             } catch (error) {
-                console.warn('Unable to persist settings locally:', error);
+                console.error(`Failed to update settings via ${this.adapter.name}:`, error);
+                throw error;
             }
             
-            this.clearCache();
+            // Targets are the only cached data derived from settings
+            this.invalidateCache({ kinds: ['targets'] });
             return true;
         }
         
         /**
-         * Load brands from the brands table
+         * Load brands from the active adapter
          */
         async loadBrands() {
-            if (this.supabase && this.config?.FEATURES?.ENABLE_SUPABASE) {
-                try {
-                    const { data, error } = await this.supabase
-                        .from('brands')
-                        .select('name')
-                        .order('name', { ascending: true });
-                    
-                    if (error) {
-                        console.error('Failed to load brands:', error);
-                        // Fallback to INITIAL_DATA
-                        return this.config?.INITIAL_DATA?.brands || [];
-                    }
-                    
-                    return (data || []).map(b => b.name);
-                } catch (error) {
-                    console.error('Error loading brands:', error);
-                    return this.config?.INITIAL_DATA?.brands || [];
-                }
-            }
-            
-            // Fallback for demo mode
-            return this.config?.INITIAL_DATA?.brands || [];
+            return this.adapter.loadBrands();
         }
         
         /**
-         * Delete rows in batches to avoid timeout
+         * Load saved KPI targets (null when the backend has none)
          */
-        async deleteInBatches(table, filterFn, batchSize = 1000) {
-            let totalDeleted = 0;
-            let hasMore = true;
-            const maxIterations = 1000; // Safety limit
-            let iterations = 0;
-            
-            console.log(`🗑️ Starting batch deletion from ${table}...`);
-            
-            while (hasMore && iterations < maxIterations) {
-                iterations++;
-                
-                // Get a batch of IDs to delete
-                let query = this.supabase.from(table).select('id').limit(batchSize);
-                query = filterFn(query);
-                
-                const { data: batch, error: selectError } = await query;
-                
-                if (selectError) {
-                    // If table doesn't have 'id' column, use RPC or direct delete
-                    if (selectError.message?.includes('column') || selectError.code === '42703') {
-                        console.log(`⚠️ Table ${table} doesn't have 'id' column, using direct deletion`);
-                        // Try direct deletion - this may timeout for large datasets
-                        // but it's the best we can do without an ID column
-                        let deleteQuery = this.supabase.from(table).delete();
-                        deleteQuery = filterFn(deleteQuery);
-                        const { error: deleteError, count } = await deleteQuery;
-                        
-                        if (deleteError) {
-                            // Check if it's a timeout
-                            if (deleteError.code === '57014' || deleteError.message?.includes('timeout')) {
-                                throw new Error(`Deletion timed out. The brand has too much data. Please delete sales data manually or contact support.`);
-                            }
-                            throw deleteError;
-                        }
-                        
-                        console.log(`✅ Direct deletion completed for ${table}`);
-                        hasMore = false;
-                        break;
-                    }
-                    throw selectError;
-                }
-                
-                if (!batch || batch.length === 0) {
-                    hasMore = false;
-                    break;
-                }
-                
-                // Delete this batch by IDs
-                const ids = batch.map(row => row.id);
-                const { error: deleteError, count } = await this.supabase
-                    .from(table)
-                    .delete()
-                    .in('id', ids);
-                
-                if (deleteError) {
-                    // Check for timeout
-                    if (deleteError.code === '57014' || deleteError.message?.includes('timeout')) {
-                        throw new Error(`Deletion timed out after deleting ${totalDeleted} rows. Please try again or contact support.`);
-                    }
-                    throw deleteError;
-                }
-                
-                const deletedCount = count || ids.length;
-                totalDeleted += deletedCount;
-                
-                console.log(`🗑️ Deleted batch ${iterations}: ${deletedCount} rows (total: ${totalDeleted})`);
-                
-                // If we got fewer than batchSize, we're done
-                if (batch.length < batchSize) {
-                    hasMore = false;
-                }
-                
-                // Small delay to prevent overwhelming the server
-                if (hasMore) {
-                    await new Promise(resolve => setTimeout(resolve, 200));
-                }
+        async loadTargets() {
+            try {
+                return await this.getWithRevalidate('targets', () => this.adapter.loadTargets(), { kind: 'targets' });
+            } catch (error) {
+                console.error('❌ Failed to load targets:', error);
+                throw error;
             }
-            
-            console.log(`✅ Batch deletion complete: ${totalDeleted} rows deleted from ${table}`);
-            return totalDeleted;
+        }
+        
+        /**
+         * User-defined target distribution profiles (see targetDistribution.js); not cached, Settings loads them once
+         */
+        async loadDistributionProfiles() {
+            return this.adapter.loadDistributionProfiles();
+        }
+        
+        async saveDistributionProfile(profile) {
+            return this.adapter.saveDistributionProfile(profile);
+        }
+        
+        async deleteDistributionProfile(name) {
+            return this.adapter.deleteDistributionProfile(name);
+        }
+        
+        /**
+         * What-if target scenarios (see targetScenarios.js); not cached, they are loaded on demand
+         */
+        async loadScenarios() {
+            return this.adapter.loadScenarios();
+        }
+        
+        async saveScenario(scenario) {
+            return this.adapter.saveScenario(scenario);
+        }
+        
+        async deleteScenario(name, year) {
+            return this.adapter.deleteScenario(name, year);
+        }
+        
+        /**
+         * Target revisions of a fiscal year (see targetRevisions.js); not cached, approvals must see the latest
+         */
+        async loadRevisions(year) {
+            return this.adapter.loadRevisions(year);
+        }
+        
+        async saveRevision(revision) {
+            return this.adapter.saveRevision(revision);
+        }
+        
+        async updateRevision(id, changes) {
+            return this.adapter.updateRevision(id, changes);
+        }
+        
+        /**
+         * Alert rules (see alertRules.js); not cached, subscribers should see new rules right away
+         */
+        async loadAlertRules() {
+            return this.adapter.loadAlertRules();
+        }
+        
+        async saveAlertRule(rule) {
+            return this.adapter.saveAlertRule(rule);
+        }
+        
+        async deleteAlertRule(id) {
+            return this.adapter.deleteAlertRule(id);
+        }
+        
+        /**
+         * Reviews of detected anomalies (see anomalyDetection.js); not cached, reviewers share one list
+         */
+        async loadAnomalyReviews() {
+            return this.adapter.loadAnomalyReviews();
+        }
+        
+        async saveAnomalyReview(review) {
+            return this.adapter.saveAnomalyReview(review);
         }
         
         async deleteBrand(brandName, reassignTo = null) {
@@ -1272,267 +1045,17 @@
                 throw new Error('Brand name is required for deletion');
             }
             
-            if (this.supabase && this.config?.FEATURES?.ENABLE_SUPABASE) {
-                try {
-                    const brandLookup = await this.supabase
-                        .from('brands')
-                        .select('id, name')
-                        .eq('name', brandName)
-                        .maybeSingle();
-                    
-                    if (brandLookup.error) {
-                        throw brandLookup.error;
-                    }
-                    
-                    const brandId = brandLookup.data?.id;
-                    
-                    // If reassigning, update data instead of deleting
-                    if (reassignTo) {
-                        console.log(`🔄 Reassigning data from "${brandName}" to "${reassignTo}"...`);
-                        
-                        // Get target brand ID
-                        const targetBrandLookup = await this.supabase
-                            .from('brands')
-                            .select('id, name')
-                            .eq('name', reassignTo)
-                            .maybeSingle();
-                        
-                        if (targetBrandLookup.error || !targetBrandLookup.data) {
-                            throw new Error(`Target brand "${reassignTo}" not found`);
-                        }
-                        
-                        const targetBrandId = targetBrandLookup.data.id;
-                        
-                        // Reassign sales_data by brand_id
-                        if (brandId !== undefined && brandId !== null) {
-                            const { error: updateError } = await this.supabase
-                                .from('sales_data')
-                                .update({ brand_id: targetBrandId, brand: reassignTo })
-                                .eq('brand_id', brandId);
-                            
-                            if (updateError && !updateError.message?.includes('column') && updateError.code !== '42703') {
-                                throw updateError;
-                            }
-                        }
-                        
-                        // Reassign sales_data by brand name (case-insensitive)
-                        const { data: matchingRows } = await this.supabase
-                            .from('sales_data')
-                            .select('brand')
-                            .ilike('brand', brandName)
-                            .limit(1);
-                        
-                        if (matchingRows && matchingRows.length > 0) {
-                            const { data: allMatching } = await this.supabase
-                                .from('sales_data')
-                                .select('brand')
-                                .ilike('brand', brandName);
-                            
-                            const uniqueBrands = [...new Set((allMatching || []).map(r => r.brand))];
-                            
-                            for (const brandVariation of uniqueBrands) {
-                                const { error: updateError } = await this.supabase
-                                    .from('sales_data')
-                                    .update({ brand: reassignTo })
-                                    .eq('brand', brandVariation);
-                                
-                                if (updateError) {
-                                    throw updateError;
-                                }
-                            }
-                        }
-                        
-                        // Reassign KPI targets
-                        const tablesToReassign = [
-                            { table: 'kpi_targets', column: 'brand' },
-                            { table: 'kpi_targets_history', column: 'brand' },
-                            { table: 'user_brand_permissions', column: 'brand' }
-                        ];
-                        
-                        for (const { table, column } of tablesToReassign) {
-                            const { data: matchingRows } = await this.supabase
-                                .from(table)
-                                .select(column)
-                                .ilike(column, brandName);
-                            
-                            if (matchingRows && matchingRows.length > 0) {
-                                const uniqueValues = [...new Set(matchingRows.map(r => r[column]))];
-                                
-                                for (const value of uniqueValues) {
-                                    const { error: updateError } = await this.supabase
-                                        .from(table)
-                                        .update({ [column]: reassignTo })
-                                        .eq(column, value);
-                                    
-                                    if (updateError) {
-                                        throw updateError;
-                                    }
-                                }
-                            }
-                        }
-                        
-                        console.log(`✅ Data reassigned successfully`);
-                    } else {
-                        // Delete data (original behavior)
-                        const cleanupActions = [
-                            async () => {
-                                // Delete sales_data by brand_id in batches
-                                if (brandId !== undefined && brandId !== null) {
-                                    try {
-                                        await this.deleteInBatches('sales_data', (query) => {
-                                            return query.eq('brand_id', brandId);
-                                        });
-                                    } catch (error) {
-                                        // If brand_id column doesn't exist, continue to brand name deletion
-                                        if (!error.message?.includes('column') && error.code !== '42703') {
-                                            throw error;
-                                        }
-                                    }
-                                }
-                            },
-                            async () => {
-                                // Delete sales_data by brand name in batches (case-insensitive)
-                                // Get unique brand name variations first
-                                const { data: matchingRows } = await this.supabase
-                                    .from('sales_data')
-                                    .select('brand')
-                                    .ilike('brand', brandName)
-                                    .limit(1); // Just check if any exist
-                                
-                                if (matchingRows && matchingRows.length > 0) {
-                                    // Get all unique brand name variations
-                                    const { data: allMatching } = await this.supabase
-                                        .from('sales_data')
-                                        .select('brand')
-                                        .ilike('brand', brandName);
-                                    
-                                    const uniqueBrands = [...new Set((allMatching || []).map(r => r.brand))];
-                                    
-                                    // Delete each variation in batches
-                                    for (const brandVariation of uniqueBrands) {
-                                        await this.deleteInBatches('sales_data', (query) => {
-                                            return query.eq('brand', brandVariation);
-                                        });
-                                    }
-                                }
-                            }
-                        ];
-                        
-                        const tablesToClean = [
-                            { table: 'kpi_targets', column: 'brand' },
-                            { table: 'kpi_targets_history', column: 'brand' },
-                            { table: 'user_brand_permissions', column: 'brand' }
-                        ];
-                        
-                        for (const step of cleanupActions) {
-                            await step();
-                        }
-                        
-                        // Case-insensitive deletion for other tables
-                        for (const { table, column } of tablesToClean) {
-                            // Get matching rows with case variations
-                            const { data: matchingRows } = await this.supabase
-                                .from(table)
-                                .select(column)
-                                .ilike(column, brandName);
-                            
-                            if (matchingRows && matchingRows.length > 0) {
-                                const uniqueValues = [...new Set(matchingRows.map(r => r[column]))];
-                                
-                                for (const value of uniqueValues) {
-                                    const { error } = await this.supabase
-                                        .from(table)
-                                        .delete()
-                                        .eq(column, value);
-                                    
-                                    if (error && !String(error.message || '').toLowerCase().includes('does not exist')) {
-                                        throw error;
-                                    }
-                                }
-                            }
-                        }
-                    }
-                    
-                    // Delete the brand record itself (whether reassigning or deleting)
-                    const { error: brandDeleteError } = await this.supabase
-                        .from('brands')
-                        .delete()
-                        .eq('name', brandName);
-                    
-                    if (brandDeleteError && !String(brandDeleteError.message || '').toLowerCase().includes('does not exist')) {
-                        throw brandDeleteError;
-                    }
-                    
-                    try {
-                        await this.supabase
-                            .from('audit_logs')
-                            .insert({
-                                action: reassignTo ? 'brand_reassigned' : 'brand_deleted',
-                                user_id: null,
-                                user_email: null,
-                                user_role: 'system',
-                                action_details: { 
-                                    brand_name: brandName,
-                                    reassigned_to: reassignTo || null
-                                },
-                                reference_id: reassignTo 
-                                    ? `BRAND_REASSIGN_${Date.now()}_${brandName}_${reassignTo}`
-                                    : `BRAND_DELETE_${Date.now()}_${brandName}`
-                            });
-                    } catch (auditError) {
-                        console.warn('Unable to log brand action:', auditError);
-                    }
-                    
-                    this.clearCache();
-                    return true;
-                } catch (error) {
-                    console.error('Failed to delete brand via Supabase:', error);
-                    throw error;
-                }
-            }
-            
-            this.config = this.config || {};
-            this.config.INITIAL_DATA = this.config.INITIAL_DATA || {};
-            
-            if (Array.isArray(this.config.INITIAL_DATA.brands)) {
-                this.config.INITIAL_DATA.brands = this.config.INITIAL_DATA.brands.filter(brand => brand !== brandName);
-            }
-            
-            if (this.config.INITIAL_DATA.targets) {
-                Object.entries(this.config.INITIAL_DATA.targets).forEach(([year, yearData]) => {
-                    if (!yearData?.brands) {
-                        return;
-                    }
-                    if (yearData.brands[brandName]) {
-                        const updatedBrands = { ...yearData.brands };
-                        delete updatedBrands[brandName];
-                        this.config.INITIAL_DATA.targets[year] = {
-                            ...yearData,
-                            brands: updatedBrands
-                        };
-                    }
-                });
-            }
-            
             try {
-                const stored = localStorage.getItem('chai_vision_settings');
-                const parsed = stored ? JSON.parse(stored) : {};
-                if (Array.isArray(parsed.brands)) {
-                    parsed.brands = parsed.brands.filter(brand => brand !== brandName);
-                }
-                if (parsed.targets) {
-                    Object.keys(parsed.targets).forEach((year) => {
-                        if (parsed.targets[year]?.brands?.[brandName]) {
-                            delete parsed.targets[year].brands[brandName];
-                        }
-                    });
-                }
-                localStorage.setItem('chai_vision_settings', JSON.stringify(parsed));
+                await this.adapter.deleteBrand(brandName, reassignTo);
             } catch (error) {
-                console.warn('Unable to update cached settings for brand deletion:', error);
+                console.error(`Failed to delete brand via ${this.adapter.name}:`, error);
+                throw error;
             }
             
-            this.clearCache();
+            // Rows of the deleted brand were dropped or moved to reassignTo
+            const brands = [brandName, reassignTo].filter(Boolean).map(brand => brand.toLowerCase());
+            this.invalidateCache({ kinds: ['sales', 'agg', 'sku'], brands });
+            this.invalidateCache({ kinds: ['targets'] });
             return true;
         }
         
@@ -1603,14 +1126,6 @@
             return data;
         }
         
-        /**
-         * Clear all caches
-         */
-        clearCache() {
-            this.cache.clear();
-            // Cache cleared
-        }
-        
         /**
          * Get cache statistics
          */
@@ -1618,7 +1133,8 @@
             return {
                 size: this.cache.size,
                 keys: Array.from(this.cache.keys()),
-                memoryUsage: this.estimateMemoryUsage()
+                memoryUsage: this.estimateMemoryUsage(),
+                ...this.cache.getStats()
             };
         }
         
@@ -1693,85 +1209,26 @@
          * @param {string} filters.brand - Brand name (optional)
          * @param {string} filters.sku - SKU code (optional, for single SKU)
          * @param {string} filters.groupBy - 'sku', 'date', 'month', 'quarter'
+         * @param {Object} options - { signal } AbortSignal for superseded requests
          * @returns {Promise<Array>} Array of aggregated SKU data
          */
-        async loadSKUData(filters = {}) {
-            if (!this.supabase || !this.config.FEATURES.ENABLE_SUPABASE) {
-                console.warn('SKU data loading requires Supabase');
-                return [];
-            }
-            
+        async loadSKUData(filters = {}, { signal } = {}) {
             try {
                 const cacheKey = `sku_data_${this.createCacheKey(filters)}`;
-                const cached = this.cache.get(cacheKey);
-                if (cached && (Date.now() - cached.timestamp) < this.cacheTimeout) {
-                    console.log(`⚡ Cache hit for SKU data`);
-                    return cached.data;
-                }
                 
-                const {
-                    startDate,
-                    endDate,
-                    channel,
-                    brand,
-                    sku,
-                    groupBy = 'sku'
-                } = filters;
-                
-                // Map dashboard channel name to database channel name
-                const mappedChannel = channel ? this.mapChannelNameForSKU(channel) : null;
-                
-                // Normalize filters
-                const normalizedChannel = (mappedChannel && mappedChannel !== 'All Channels') ? mappedChannel : null;
-                const normalizedBrand = (brand && brand !== 'All Brands' && brand !== 'All Brands (Company Total)' && brand !== 'All My Brands') ? brand : null;
-                const normalizedSku = sku || null;
-                
-                console.log(`📊 Loading SKU data via RPC:`, {
-                    startDate,
-                    endDate,
-                    channelOriginal: channel,
-                    channelMapped: normalizedChannel,
-                    brand: normalizedBrand,
-                    sku: normalizedSku,
-                    groupBy
-                });
-                
-                const { data, error } = await this.supabase.rpc('sku_sales_agg', {
-                    start_date: startDate,
-                    end_date: endDate,
-                    channel_filter: normalizedChannel,
-                    brand_filter: normalizedBrand,
-                    sku_filter: normalizedSku,
-                    group_by: groupBy
-                });
-                
-                if (error) {
-                    console.error('❌ SKU aggregation RPC error:', error);
-                    throw error;
-                }
-                
-                // Normalize the response
-                const normalized = (data || []).map(row => ({
-                    date: row.period_date,
-                    sku: row.sku,
-                    channel: row.channel,
-                    brand: row.brand,
-                    units: parseInt(row.total_units) || 0,
-                    revenue: parseFloat(row.total_revenue) || 0,
-                    recordCount: parseInt(row.record_count) || 0
-                }));
-                
-                // Cache the result
-                this.cache.set(cacheKey, {
-                    data: normalized,
-                    timestamp: Date.now()
-                });
-                
-                console.log(`✅ SKU data loaded: ${normalized.length} SKUs`);
-                return normalized;
+                return await this.getWithRevalidate(cacheKey, async (fetchSignal) => {
+                    // Map dashboard channel name to database channel name
+                    const mappedChannel = filters.channel ? this.mapChannelNameForSKU(filters.channel) : null;
+                    
+                    const normalized = await this.adapter.loadSKUData({ ...filters, channel: mappedChannel }, { signal: fetchSignal });
+                    console.log(`✅ SKU data loaded: ${normalized.length} SKUs`);
+                    return normalized;
+                }, this.createCacheTags('sku', filters), signal);
                 
             } catch (err) {
-                console.error('❌ Failed to load SKU data:', err);
+                if (!this.adapters.isAbortError(err)) {
+                    console.error('❌ Failed to load SKU data:', err);
+                }
                 throw err;
             }
         }
@@ -0,0 +1,427 @@
+/**
+ * Persistent Cache - Two-tier LRU cache (memory + IndexedDB) used by DataService
+ *
+ * The memory tier is Map-compatible (get/set/delete/clear/keys/entries/size) so
+ * existing cache code keeps working. Entries marked persistable are written
+ * through to IndexedDB and can be read back after a reload with getPersisted().
+ * Entries may carry a `tags` object; invalidate() drops every entry whose tags
+ * match a predicate, in both tiers.
+ */
+
+(function() {
+    'use strict';
+
+    const DB_NAME = 'chai_vision_cache';
+    const DB_VERSION = 1;
+    const ENTRY_STORE = 'entries';
+    const META_STORE = 'meta';
+
+    /**
+     * Wrap an IDBRequest in a promise
+     */
+    function promisifyRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    class PersistentCache {
+        /**
+         * @param {Object} options
+         * @param {number} options.maxMemoryEntries - Memory tier size (entries)
+         * @param {number} options.maxDiskBytes - IndexedDB tier size (approximate bytes)
+         * @param {number} options.maxDiskAge - Persisted entries older than this are ignored (ms)
+         * @param {Function} options.shouldPersist - (key) => boolean, which keys go to IndexedDB
+         * @param {string} options.namespace - Prefix separating backends sharing the database
+         */
+        constructor(options = {}) {
+            this.maxMemoryEntries = options.maxMemoryEntries || 100;
+            this.maxDiskBytes = options.maxDiskBytes || 50 * 1024 * 1024;
+            this.maxDiskAge = options.maxDiskAge || 7 * 24 * 60 * 60 * 1000;
+            this.shouldPersist = options.shouldPersist || (() => false);
+            this.namespace = options.namespace || 'default';
+
+            // Disk tier is disabled until a scope (signed-in user) is set
+            this.scope = null;
+
+            // Map iteration order doubles as recency order (oldest first)
+            this.memory = new Map();
+
+            // key -> { size, lastAccess, tags } for the disk tier, loaded once on open
+            this.diskIndex = new Map();
+            this.diskBytes = 0;
+            this.dbPromise = null;
+        }
+
+        // ============================================
+        // MEMORY TIER (Map-compatible)
+        // ============================================
+
+        get size() {
+            return this.memory.size;
+        }
+
+        get(key) {
+            const entry = this.memory.get(key);
+            if (entry) {
+                // Move to most-recently-used position
+                this.memory.delete(key);
+                this.memory.set(key, entry);
+            }
+            return entry;
+        }
+
+        has(key) {
+            return this.memory.has(key);
+        }
+
+        set(key, entry) {
+            this.memory.delete(key);
+            this.memory.set(key, entry);
+            this.evictMemory();
+
+            if (this.scope && this.shouldPersist(key)) {
+                this.writeDisk(key, entry).catch(error => {
+                    console.warn(`⚠️ Failed to persist cache entry ${key}:`, error);
+                });
+            }
+            return this;
+        }
+
+        delete(key) {
+            const existed = this.memory.delete(key);
+            if (this.scope && this.shouldPersist(key)) {
+                const diskKey = this.diskKey(key);
+                const indexed = this.forgetDisk(diskKey);
+                this.openDB()
+                    .then(() => indexed || this.diskIndex.has(diskKey) ? this.deleteDisk(diskKey) : null)
+                    .catch(() => {});
+            }
+            return existed;
+        }
+
+        clear() {
+            this.memory.clear();
+            this.clearDisk().catch(error => {
+                console.warn('⚠️ Failed to clear persistent cache:', error);
+            });
+        }
+
+        keys() {
+            return this.memory.keys();
+        }
+
+        entries() {
+            return this.memory.entries();
+        }
+
+        /**
+         * Remove entries whose tags match, from memory and from IndexedDB
+         * @param {Function} predicate - (tags, key) => boolean; tags is undefined for untagged entries
+         * @returns {number} Number of memory entries removed
+         */
+        invalidate(predicate) {
+            let removed = 0;
+            for (const [key, entry] of Array.from(this.memory.entries())) {
+                if (predicate(entry.tags, key)) {
+                    this.memory.delete(key);
+                    removed++;
+                }
+            }
+
+            if (this.scope) {
+                const prefix = `${this.namespace}|${this.scope}|`;
+                const findMatches = () => Array.from(this.diskIndex.entries())
+                    .filter(([diskKey, meta]) => diskKey.startsWith(prefix) && predicate(meta.tags, diskKey.slice(prefix.length)))
+                    .map(([diskKey]) => diskKey);
+
+                // Drop matches from the index right away so getPersisted() can't serve them while the deletes run;
+                // the index may still be loading, so match again once it has
+                const matches = findMatches();
+                matches.forEach(diskKey => this.forgetDisk(diskKey));
+                this.openDB()
+                    .then(async () => {
+                        const loaded = findMatches();
+                        loaded.forEach(diskKey => this.forgetDisk(diskKey));
+                        for (const diskKey of [...matches, ...loaded]) {
+                            await this.deleteDisk(diskKey);
+                        }
+                    })
+                    .catch(error => {
+                        console.warn('⚠️ Failed to invalidate persistent cache:', error);
+                    });
+            }
+
+            return removed;
+        }
+
+        /**
+         * Drop memory entries older than maxAge without touching IndexedDB
+         */
+        pruneMemory(maxAge) {
+            const now = Date.now();
+            for (const [key, entry] of this.memory.entries()) {
+                if (now - entry.timestamp > maxAge) {
+                    this.memory.delete(key);
+                }
+            }
+        }
+
+        evictMemory() {
+            while (this.memory.size > this.maxMemoryEntries) {
+                const oldestKey = this.memory.keys().next().value;
+                this.memory.delete(oldestKey);
+            }
+        }
+
+        // ============================================
+        // DISK TIER (IndexedDB)
+        // ============================================
+
+        /**
+         * Set the owner of persisted entries (usually the user id); null disables the disk tier
+         */
+        setScope(scope) {
+            if (this.scope !== scope) {
+                this.memory.clear();
+            }
+            this.scope = scope || null;
+        }
+
+        diskKey(key) {
+            return `${this.namespace}|${this.scope}|${key}`;
+        }
+
+        openDB() {
+            if (this.dbPromise) {
+                return this.dbPromise;
+            }
+
+            if (typeof indexedDB === 'undefined') {
+                this.dbPromise = Promise.resolve(null);
+                return this.dbPromise;
+            }
+
+            this.dbPromise = new Promise((resolve) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(ENTRY_STORE)) {
+                        db.createObjectStore(ENTRY_STORE, { keyPath: 'key' });
+                    }
+                    if (!db.objectStoreNames.contains(META_STORE)) {
+                        db.createObjectStore(META_STORE, { keyPath: 'key' });
+                    }
+                };
+
+                request.onsuccess = async () => {
+                    const db = request.result;
+                    try {
+                        const metas = await promisifyRequest(
+                            db.transaction(META_STORE, 'readonly').objectStore(META_STORE).getAll()
+                        );
+                        metas.forEach(meta => {
+                            this.diskIndex.set(meta.key, { size: meta.size, lastAccess: meta.lastAccess, tags: meta.tags });
+                            this.diskBytes += meta.size;
+                        });
+                        console.log(`💾 Persistent cache ready: ${metas.length} entries, ${Math.round(this.diskBytes / 1024)}KB`);
+                    } catch (error) {
+                        console.warn('⚠️ Failed to read persistent cache index:', error);
+                    }
+                    resolve(db);
+                };
+
+                request.onerror = () => {
+                    console.warn('⚠️ IndexedDB unavailable, using memory cache only:', request.error);
+                    resolve(null);
+                };
+            });
+
+            return this.dbPromise;
+        }
+
+        /**
+         * Read an entry from IndexedDB and promote it to the memory tier
+         * @returns {Promise<Object|null>} { data, timestamp, tags } or null
+         */
+        async getPersisted(key) {
+            if (!this.scope || !this.shouldPersist(key)) {
+                return null;
+            }
+
+            const db = await this.openDB();
+            const diskKey = this.diskKey(key);
+            if (!db || !this.diskIndex.has(diskKey)) {
+                return null;
+            }
+
+            try {
+                const record = await promisifyRequest(
+                    db.transaction(ENTRY_STORE, 'readonly').objectStore(ENTRY_STORE).get(diskKey)
+                );
+
+                if (!record || Date.now() - record.timestamp > this.maxDiskAge) {
+                    await this.deleteDisk(diskKey);
+                    return null;
+                }
+
+                const entry = { data: record.data, timestamp: record.timestamp, tags: this.diskIndex.get(diskKey)?.tags };
+                this.memory.delete(key);
+                this.memory.set(key, entry);
+                this.evictMemory();
+                this.touchDisk(db, diskKey);
+                return entry;
+            } catch (error) {
+                console.warn(`⚠️ Failed to read persisted cache entry ${key}:`, error);
+                return null;
+            }
+        }
+
+        async writeDisk(key, entry) {
+            const db = await this.openDB();
+            if (!db) return;
+
+            const diskKey = this.diskKey(key);
+            const size = JSON.stringify(entry.data ?? null).length * 2; // UTF-16 estimate
+
+            // Never persist a single entry that would take over the whole budget; an older copy on disk
+            // would otherwise outlive the fresher value held in memory
+            if (size > this.maxDiskBytes / 2) {
+                if (this.diskIndex.has(diskKey)) {
+                    await this.deleteDisk(diskKey);
+                }
+                return;
+            }
+
+            const meta = { key: diskKey, size, lastAccess: Date.now(), tags: entry.tags };
+            const tx = db.transaction([ENTRY_STORE, META_STORE], 'readwrite');
+            tx.objectStore(ENTRY_STORE).put({ key: diskKey, data: entry.data, timestamp: entry.timestamp });
+            tx.objectStore(META_STORE).put(meta);
+            await new Promise((resolve, reject) => {
+                tx.oncomplete = resolve;
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+
+            this.diskBytes -= this.diskIndex.get(diskKey)?.size || 0;
+            this.diskIndex.set(diskKey, { size, lastAccess: meta.lastAccess, tags: meta.tags });
+            this.diskBytes += size;
+
+            await this.evictDisk();
+        }
+
+        touchDisk(db, diskKey) {
+            const meta = this.diskIndex.get(diskKey);
+            if (!meta) return;
+
+            meta.lastAccess = Date.now();
+            try {
+                db.transaction(META_STORE, 'readwrite')
+                    .objectStore(META_STORE)
+                    .put({ key: diskKey, size: meta.size, lastAccess: meta.lastAccess, tags: meta.tags });
+            } catch (error) {
+                // Access time is best-effort
+            }
+        }
+
+        /**
+         * Drop least-recently-used entries until the disk tier fits DISK_CACHE_SIZE
+         */
+        async evictDisk() {
+            if (this.diskBytes <= this.maxDiskBytes) {
+                return;
+            }
+
+            const byAge = Array.from(this.diskIndex.entries())
+                .sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+
+            for (const [diskKey] of byAge) {
+                if (this.diskBytes <= this.maxDiskBytes) break;
+                await this.deleteDisk(diskKey);
+            }
+        }
+
+        /**
+         * Remove an entry from the disk index (and its size from the total) before its records are deleted
+         * @returns {boolean} Whether it was indexed
+         */
+        forgetDisk(diskKey) {
+            const meta = this.diskIndex.get(diskKey);
+            if (!meta) return false;
+            this.diskBytes -= meta.size || 0;
+            this.diskIndex.delete(diskKey);
+            return true;
+        }
+
+        async deleteDisk(diskKey) {
+            this.forgetDisk(diskKey);
+            const db = await this.openDB();
+            if (!db) return;
+
+            const tx = db.transaction([ENTRY_STORE, META_STORE], 'readwrite');
+            tx.objectStore(ENTRY_STORE).delete(diskKey);
+            tx.objectStore(META_STORE).delete(diskKey);
+            await new Promise((resolve, reject) => {
+                tx.oncomplete = resolve;
+                tx.onerror = () => reject(tx.error);
+            });
+        }
+
+        /**
+         * Remove every persisted entry for the current namespace and scope
+         */
+        async clearDisk() {
+            if (!this.scope) return;
+            await this.openDB();
+
+            const prefix = `${this.namespace}|${this.scope}|`;
+            const keys = Array.from(this.diskIndex.keys()).filter(key => key.startsWith(prefix));
+            for (const diskKey of keys) {
+                await this.deleteDisk(diskKey);
+            }
+        }
+
+        /**
+         * Close the connection and remove the whole database (all users, all backends)
+         */
+        async destroy() {
+            this.memory.clear();
+            this.diskIndex.clear();
+            this.diskBytes = 0;
+
+            const db = await this.dbPromise;
+            if (db) db.close();
+            this.dbPromise = null;
+
+            if (typeof indexedDB !== 'undefined') {
+                await new Promise((resolve, reject) => {
+                    const request = indexedDB.deleteDatabase(DB_NAME);
+                    request.onsuccess = resolve;
+                    request.onerror = () => reject(request.error);
+                    // Another tab still has it open; the delete finishes once that tab lets go
+                    request.onblocked = resolve;
+                });
+            }
+        }
+
+        getStats() {
+            return {
+                memoryEntries: this.memory.size,
+                maxMemoryEntries: this.maxMemoryEntries,
+                diskEntries: this.diskIndex.size,
+                diskBytes: this.diskBytes,
+                maxDiskBytes: this.maxDiskBytes
+            };
+        }
+    }
+
+    // Make available globally
+    window.PersistentCache = PersistentCache;
+
+    // Also add to ChaiVision namespace
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.services = window.ChaiVision.services || {};
+    window.ChaiVision.services.PersistentCache = PersistentCache;
+})();
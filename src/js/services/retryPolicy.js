@@ -0,0 +1,165 @@
+/**
+ * Retry Policy - Shared retry with exponential backoff and jitter
+ *
+ * Errors are classified first so only transient failures are retried:
+ *   timeout    - statement timeout (57014) or our own request timeout
+ *   network    - fetch failures, connection resets
+ *   server     - 5xx, connection/resource errors (08xxx, 53xxx), deadlocks
+ *   rate_limit - 429
+ * Constraint violations, bad requests and aborted requests fail immediately.
+ */
+
+(function() {
+    'use strict';
+
+    const RETRYABLE_KINDS = ['timeout', 'network', 'server', 'rate_limit'];
+
+    // A timed-out or dropped insert may still have committed on the server; only a refused
+    // request (429) is known not to have run, so that is all a non-idempotent write retries
+    const NON_IDEMPOTENT_RETRY_KINDS = ['rate_limit'];
+
+    /**
+     * Classify an error thrown by fetch or returned by Supabase ({ code, message, status })
+     * @returns {string} 'abort' | 'timeout' | 'network' | 'server' | 'rate_limit' | 'constraint' | 'client'
+     */
+    function classifyError(error) {
+        if (!error) return 'client';
+
+        const code = String(error.code || '');
+        const status = Number(error.status || error.statusCode || 0);
+        const message = String(error.message || error.details || '').toLowerCase();
+
+        if (error.name === 'AbortError' || message.includes('aborted')) {
+            return 'abort';
+        }
+        if (code === '57014' || message.includes('statement timeout') || message.includes('timeout after')) {
+            return 'timeout';
+        }
+        // Integrity constraint violations (23xxx), cardinality (21000), missing ON CONFLICT target (42P10)
+        if (code.startsWith('23') || code === '21000' || code === '42P10') {
+            return 'constraint';
+        }
+        if (status === 429) {
+            return 'rate_limit';
+        }
+        if (status >= 500 || code.startsWith('08') || code.startsWith('53') || code === '40001' || code === '40P01') {
+            return 'server';
+        }
+        if (error.name === 'TypeError' || message.includes('failed to fetch') || message.includes('networkerror') ||
+            message.includes('network request failed') || message.includes('fetch failed') || message.includes('load failed')) {
+            return 'network';
+        }
+        return 'client';
+    }
+
+    function isRetryableError(error) {
+        return RETRYABLE_KINDS.includes(classifyError(error));
+    }
+
+    /**
+     * Sleep that rejects early when the signal aborts
+     */
+    function sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                const error = new Error('Retry was aborted');
+                error.name = 'AbortError';
+                reject(error);
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    class RetryPolicy {
+        /**
+         * @param {Object} options
+         * @param {number} options.attempts - Total attempts including the first one
+         * @param {number} options.baseDelay - Delay before the first retry (ms), doubled each retry
+         * @param {number} options.maxDelay - Upper bound for a single delay (ms)
+         */
+        constructor(options = {}) {
+            this.attempts = Math.max(1, options.attempts || 3);
+            this.baseDelay = options.baseDelay ?? 1000;
+            this.maxDelay = options.maxDelay || 30000;
+        }
+
+        /**
+         * Build the policy from SUPABASE.PERFORMANCE (falls back to API.RETRY_ATTEMPTS)
+         */
+        static fromConfig(config) {
+            const perf = config?.SUPABASE?.PERFORMANCE || {};
+            return new RetryPolicy({
+                attempts: perf.RETRY_ATTEMPTS || config?.API?.RETRY_ATTEMPTS,
+                baseDelay: perf.RETRY_DELAY,
+                maxDelay: perf.RETRY_MAX_DELAY
+            });
+        }
+
+        /**
+         * Backoff before retry number `attempt` (1-based): half fixed, half random
+         */
+        getDelay(attempt) {
+            const exponential = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+            return Math.round(exponential / 2 + Math.random() * exponential / 2);
+        }
+
+        /**
+         * Run an operation, retrying transient failures
+         * @param {Function} operation - (attempt) => Promise
+         * @param {Object} options
+         * @param {string} options.operationName - Used in logs
+         * @param {Function} options.onRetry - ({ attempt, maxAttempts, delay, kind, error, operationName }) before each retry
+         * @param {AbortSignal} options.signal - Stops retrying when aborted
+         * @param {Array<string>} options.retryKinds - Error kinds to retry (defaults to every transient kind;
+         *   pass RetryPolicy.NON_IDEMPOTENT_RETRY_KINDS for writes that are not safe to repeat)
+         * @returns {Promise<*>} Operation result; thrown errors carry `attempts` and `kind`
+         */
+        async execute(operation, { operationName = 'Operation', onRetry = null, signal = null, retryKinds = RETRYABLE_KINDS } = {}) {
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    return await operation(attempt);
+                } catch (error) {
+                    const kind = classifyError(error);
+                    if (attempt >= this.attempts || !retryKinds.includes(kind) || signal?.aborted) {
+                        if (error && typeof error === 'object') {
+                            error.attempts = attempt;
+                            error.kind = kind;
+                        }
+                        throw error;
+                    }
+
+                    const delay = this.getDelay(attempt);
+                    console.warn(`🔄 ${operationName} failed (${kind}), retrying in ${delay}ms (attempt ${attempt + 1}/${this.attempts})`);
+
+                    if (onRetry) {
+                        try {
+                            onRetry({ attempt: attempt + 1, maxAttempts: this.attempts, delay, kind, error, operationName });
+                        } catch (listenerError) {
+                            console.warn('⚠️ onRetry callback failed:', listenerError);
+                        }
+                    }
+
+                    await sleep(delay, signal);
+                }
+            }
+        }
+    }
+
+    RetryPolicy.classifyError = classifyError;
+    RetryPolicy.isRetryableError = isRetryableError;
+    RetryPolicy.RETRYABLE_KINDS = RETRYABLE_KINDS;
+    RetryPolicy.NON_IDEMPOTENT_RETRY_KINDS = NON_IDEMPOTENT_RETRY_KINDS;
+
+    // Make available globally
+    window.RetryPolicy = RetryPolicy;
+
+    // Also add to ChaiVision namespace
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.services = window.ChaiVision.services || {};
+    window.ChaiVision.services.RetryPolicy = RetryPolicy;
+})();
@@ -0,0 +1,255 @@
+/**
+ * Chai Vision Dashboard - Alert Rules
+ * User-defined pacing and performance thresholds, evaluated against the dashboard's kpis after each
+ * data load. Users subscribe to the rules they want (user_preferences.alert_subscriptions); alerts
+ * that fire are kept per user in a persistent list.
+ *   rule: { id, name, type, brand ('' = all brands), channel ('' = all channels), threshold (%), days }
+ *   pace:       revenue below threshold % of the phased KPI target to date
+ *   daily_drop: latest day's revenue down threshold % or more vs the average of the `days` before it
+ *   no_data:    no revenue for `days` full days or more
+ */
+
+(function () {
+    'use strict';
+
+    const RULE_TYPES = [
+        { value: 'pace', label: 'Below phased pace', threshold: 90, days: null },
+        { value: 'daily_drop', label: 'Daily revenue drop vs average', threshold: 30, days: 14 },
+        { value: 'no_data', label: 'No data', threshold: null, days: 2 }
+    ];
+
+    const LOG_KEY = 'chai_vision_alerts';
+    const MAX_LOG_ENTRIES = 100;
+
+    const normalizeName = (value) => String(value || '').trim().toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]+/g, '');
+    const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+
+    function getRuleTypes() {
+        return RULE_TYPES;
+    }
+
+    /**
+     * A new rule of a type, with that type's default threshold and days
+     */
+    function createRule(type = 'pace') {
+        const ruleType = RULE_TYPES.find(option => option.value === type) || RULE_TYPES[0];
+        return {
+            name: '',
+            type: ruleType.value,
+            brand: '',
+            channel: '',
+            threshold: ruleType.threshold,
+            days: ruleType.days
+        };
+    }
+
+    /**
+     * What a rule watches, e.g. "Amazon LifePro below 90% of phased pace"
+     */
+    function describeRule(rule = {}) {
+        const scope = [rule.channel, rule.brand].filter(Boolean).join(' ') || 'Company';
+        switch (rule.type) {
+            case 'pace':
+                return `${scope} below ${rule.threshold}% of phased pace`;
+            case 'daily_drop':
+                return `${scope} daily revenue down ${rule.threshold}% vs ${rule.days}-day average`;
+            case 'no_data':
+                return `${scope} has no data for ${rule.days} day${rule.days === 1 ? '' : 's'}`;
+            default:
+                return scope;
+        }
+    }
+
+    /**
+     * Validate a rule before saving
+     * @returns {{ isValid: boolean, errors: string[] }}
+     */
+    function validateRule(rule = {}) {
+        const errors = [];
+        const ruleType = RULE_TYPES.find(option => option.value === rule.type);
+
+        if (!String(rule.name || '').trim()) {
+            errors.push('Rule name is required');
+        }
+        if (!ruleType) {
+            errors.push('Choose what the rule checks');
+        }
+        if (ruleType?.threshold !== null && ruleType?.threshold !== undefined) {
+            const threshold = parseFloat(rule.threshold);
+            if (isNaN(threshold) || threshold <= 0 || threshold > 1000) {
+                errors.push('Threshold must be a percentage above 0');
+            }
+        }
+        if (ruleType?.days !== null && ruleType?.days !== undefined) {
+            const days = parseInt(rule.days);
+            if (isNaN(days) || days < 1 || days > 90) {
+                errors.push('Days must be between 1 and 90');
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Daily revenue of the rows a rule covers
+     * @returns {Object} { [YYYY-MM-DD]: revenue }
+     */
+    function getDailyRevenue(rows, rule, mapChannel) {
+        const brandKey = normalizeName(rule.brand);
+        const daily = {};
+        rows.forEach(row => {
+            if (rule.brand && normalizeName(row.brand) !== brandKey) return;
+            if (rule.channel && (mapChannel ? mapChannel(row.channel) : row.channel) !== rule.channel) return;
+            if (!row.date) return;
+            daily[row.date] = (daily[row.date] || 0) + (parseFloat(row.revenue) || 0);
+        });
+        return daily;
+    }
+
+    /**
+     * Phased KPI target to date of the brands and channels a rule covers; the dashboard's phasing curve
+     * sets how much of each brand's period target is due by now
+     */
+    function getTargetToDate(kpis, rule, brands) {
+        if (!(kpis.totalTargetKpi > 0)) return 0;
+        const share = (kpis.targetKpiToDate || 0) / kpis.totalTargetKpi;
+
+        if (!rule.brand && !rule.channel) return kpis.targetKpiToDate || 0;
+        if (!rule.brand) return (kpis.channelTargetsKpi?.[rule.channel] || 0) * share;
+
+        const brandTargets = kpis.brandChannelTargetsKpi?.[brands.find(brand => normalizeName(brand) === normalizeName(rule.brand))] || {};
+        const target = rule.channel
+            ? (brandTargets[rule.channel] || 0)
+            : Object.values(brandTargets).reduce((sum, value) => sum + value, 0);
+        return target * share;
+    }
+
+    /**
+     * Check rules against the dashboard's kpis
+     * @param {Array} rules - Subscribed rules
+     * @param {Object} kpis - Dashboard kpis (filteredData = daily { date, brand, channel, revenue } rows)
+     * @param {Object} options - { scopeBrand (null = company total), brands, channels, today, periodStart, periodEnd, mapChannel }
+     *   Rules are only checked when the dashboard shows what they watch: company rules on the company
+     *   total, brand rules on the company total or that brand, and only for brands and channels in view
+     * @returns {Array} Alerts: [{ key, ruleId, ruleName, type, message, value, date }]
+     */
+    function evaluateAlertRules(rules = [], kpis = {}, options = {}) {
+        const { scopeBrand = null, brands = [], channels = [], today, periodStart, periodEnd, mapChannel } = options;
+        const { formatCurrency } = window.formatters || {};
+        const money = (value) => formatCurrency ? formatCurrency(value) : '$' + Math.round(value || 0).toLocaleString();
+        const rows = kpis.filteredData || [];
+        const alerts = [];
+
+        rules.forEach(rule => {
+            if (!rule.brand && scopeBrand) return;
+            if (rule.brand && scopeBrand && normalizeName(rule.brand) !== normalizeName(scopeBrand)) return;
+            if (rule.brand && !brands.some(brand => normalizeName(brand) === normalizeName(rule.brand))) return;
+            if (rule.channel && !channels.includes(rule.channel)) return;
+
+            const scope = [rule.channel, rule.brand].filter(Boolean).join(' ') || 'Company';
+            const daily = getDailyRevenue(rows, rule, mapChannel);
+            const dates = Object.keys(daily).filter(date => !today || date <= today).sort();
+            const lastDate = dates[dates.length - 1];
+            const threshold = parseFloat(rule.threshold);
+            const days = parseInt(rule.days);
+            const alert = (date, value, message) => alerts.push({
+                key: `${rule.id}|${date}`,
+                ruleId: rule.id,
+                ruleName: rule.name,
+                type: rule.type,
+                message: `${rule.name}: ${message}`,
+                value,
+                date
+            });
+
+            if (rule.type === 'pace') {
+                const targetToDate = getTargetToDate(kpis, rule, brands);
+                if (!(targetToDate > 0)) return;
+                const revenue = Object.values(daily).reduce((sum, value) => sum + value, 0);
+                const pace = (revenue / targetToDate) * 100;
+                if (pace < threshold) {
+                    alert(kpis.paceDate || today, pace,
+                        `${scope} is at ${pace.toFixed(1)}% of phased pace (${money(revenue)} of ${money(targetToDate)} due to date)`);
+                }
+            } else if (rule.type === 'daily_drop') {
+                if (!lastDate || !dates[0] || daysBetween(dates[0], lastDate) < days) return;
+                const windowStart = window.dateUtils?.addDaysToDateString
+                    ? window.dateUtils.addDaysToDateString(lastDate, -days)
+                    : dates[0];
+                const average = dates
+                    .filter(date => date >= windowStart && date < lastDate)
+                    .reduce((sum, date) => sum + daily[date], 0) / days;
+                if (!(average > 0)) return;
+                const drop = (1 - daily[lastDate] / average) * 100;
+                if (drop >= threshold) {
+                    alert(lastDate, drop,
+                        `${scope} revenue on ${lastDate} was ${money(daily[lastDate])}, down ${drop.toFixed(1)}% vs the ${days}-day average of ${money(average)}`);
+                }
+            } else if (rule.type === 'no_data') {
+                if (!today || !periodStart) return;
+                // Full days without revenue, counted from the period start when it has none at all
+                const until = periodEnd && periodEnd < today ? periodEnd : today;
+                const since = dates.filter(date => daily[date] !== 0).pop() ||
+                    (window.dateUtils?.addDaysToDateString ? window.dateUtils.addDaysToDateString(periodStart, -1) : periodStart);
+                const missingDays = daysBetween(since, until) - (until === today ? 1 : 0);
+                if (missingDays >= days) {
+                    alert(until, missingDays, `${scope} has had no data for ${missingDays} day${missingDays === 1 ? '' : 's'}`);
+                }
+            }
+        });
+
+        return alerts;
+    }
+
+    /**
+     * A user's persistent alert list, newest first
+     */
+    function loadAlertLog(userId) {
+        try {
+            const saved = localStorage.getItem(`${LOG_KEY}_${userId || 'local'}`);
+            return saved ? JSON.parse(saved) : [];
+        } catch (error) {
+            console.warn('⚠️ Failed to read alert list:', error);
+            return [];
+        }
+    }
+
+    function saveAlertLog(userId, alerts) {
+        try {
+            localStorage.setItem(`${LOG_KEY}_${userId || 'local'}`, JSON.stringify(alerts.slice(0, MAX_LOG_ENTRIES)));
+        } catch (error) {
+            console.warn('⚠️ Failed to save alert list:', error);
+        }
+    }
+
+    /**
+     * Add newly fired alerts to a list; an alert already listed (same rule and day) is not added again
+     * @returns {{ alerts: Array, added: Array }}
+     */
+    function mergeAlerts(existing = [], fired = []) {
+        const keys = new Set(existing.map(alert => alert.key));
+        const added = fired
+            .filter(alert => !keys.has(alert.key))
+            .map(alert => ({ ...alert, firedAt: new Date().toISOString() }));
+        return { alerts: [...added, ...existing].slice(0, MAX_LOG_ENTRIES), added };
+    }
+
+    // Make available globally
+    window.alertRules = {
+        getRuleTypes,
+        createRule,
+        describeRule,
+        validateRule,
+        evaluateAlertRules,
+        loadAlertLog,
+        saveAlertLog,
+        mergeAlerts
+    };
+
+    // Also add to ChaiVision namespace
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.alertRules = window.alertRules;
+})();
@@ -0,0 +1,199 @@
+/**
+ * Chai Vision Dashboard - Anomaly Detection
+ * Flags unusual days in the daily sales_agg series of each brand and channel: spikes (e.g. a file
+ * uploaded twice), drops (e.g. a suppressed listing) and gaps (a day missing between days with data).
+ * Each day is compared with the days before it using robust statistics: revenue is divided by its
+ * day-of-week factor, then scored against the median and MAD (median absolute deviation) of the window.
+ */
+
+(function () {
+    'use strict';
+
+    const DEFAULTS = {
+        WINDOW_DAYS: 28, // Days before each date that set its expected level
+        WEEKDAY_WINDOW_DAYS: 56, // Days used for the day-of-week pattern
+        MIN_HISTORY_DAYS: 14, // Days with data needed before a date is checked
+        THRESHOLD: 3.5, // Robust z-score beyond which a day is a spike or a drop
+        MIN_RELATIVE_SPREAD: 0.05 // Spread floor as a share of the median, so flat series are not all anomalies
+    };
+
+    // 1.4826 × MAD estimates the standard deviation of normally distributed values
+    const MAD_SCALE = 1.4826;
+
+    const ANOMALY_TYPES = {
+        spike: { label: 'Spike', icon: '📈' },
+        drop: { label: 'Drop', icon: '📉' },
+        gap: { label: 'Missing day', icon: '⛔' }
+    };
+
+    const REVIEW_OPTIONS = [
+        { value: 'upload_error', label: 'Upload mistake' },
+        { value: 'real', label: 'Real change' },
+        { value: 'expected', label: 'Expected (promo, holiday, …)' }
+    ];
+
+    function getAnomalySettings() {
+        // CONFIG loads after the utils; read it at call time
+        const config = window.CONFIG || window.ChaiVision?.CONFIG || {};
+        return { ...DEFAULTS, ...(config.ANOMALIES || {}) };
+    }
+
+    function getAnomalyTypes() {
+        return ANOMALY_TYPES;
+    }
+
+    function getReviewOptions() {
+        return REVIEW_OPTIONS;
+    }
+
+    // ==================== DATE HELPERS (YYYY-MM-DD, day numbers in UTC) ====================
+
+    function toDayNumber(dateString) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return Math.round(Date.UTC(year, month - 1, day) / 86400000);
+    }
+
+    function fromDayNumber(dayNumber) {
+        return new Date(dayNumber * 86400000).toISOString().slice(0, 10);
+    }
+
+    // 0 = Monday ... 6 = Sunday
+    function getWeekday(dayNumber) {
+        return (dayNumber + 3) % 7;
+    }
+
+    // ==================== ROBUST STATISTICS ====================
+
+    function median(values) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * Day-of-week factors (Monday first) as each weekday's median over the overall median;
+     * weekdays without data count as average
+     */
+    function getWeekdayFactors(revenueByDay, fromDay, toDay) {
+        const byWeekday = [[], [], [], [], [], [], []];
+        const all = [];
+        for (let day = fromDay; day <= toDay; day++) {
+            if (!(day in revenueByDay)) continue;
+            byWeekday[getWeekday(day)].push(revenueByDay[day]);
+            all.push(revenueByDay[day]);
+        }
+        const overall = median(all);
+        if (overall <= 0) return [1, 1, 1, 1, 1, 1, 1];
+        return byWeekday.map(values => values.length > 0 ? median(values) / overall : 1);
+    }
+
+    /**
+     * Check one day of a series against the days before it
+     * @returns {Object|null} { type, expected, score } when the day is an anomaly
+     */
+    function checkDay(revenueByDay, day, settings) {
+        const factors = getWeekdayFactors(revenueByDay, day - settings.WEEKDAY_WINDOW_DAYS, day - 1);
+        const factor = factors[getWeekday(day)];
+        // A weekday that never sells (e.g. a closed store) has nothing to compare with
+        if (factor <= 0) return null;
+
+        const history = [];
+        for (let prior = day - settings.WINDOW_DAYS; prior < day; prior++) {
+            if (!(prior in revenueByDay)) continue;
+            const priorFactor = factors[getWeekday(prior)];
+            if (priorFactor > 0) history.push(revenueByDay[prior] / priorFactor);
+        }
+        if (history.length < settings.MIN_HISTORY_DAYS) return null;
+
+        const level = median(history);
+        const spread = Math.max(
+            MAD_SCALE * median(history.map(value => Math.abs(value - level))),
+            level * settings.MIN_RELATIVE_SPREAD
+        );
+        if (level <= 0 || spread <= 0) return null;
+
+        const expected = level * factor;
+        if (!(day in revenueByDay)) {
+            return { type: 'gap', expected, score: null };
+        }
+
+        const score = (revenueByDay[day] / factor - level) / spread;
+        if (score > settings.THRESHOLD) return { type: 'spike', expected, score };
+        if (score < -settings.THRESHOLD) return { type: 'drop', expected, score };
+        return null;
+    }
+
+    /**
+     * Find anomalies in daily brand and channel series
+     * @param {Array} rows - Daily [{ date, brand, channel, revenue }], ideally with history before the period
+     * @param {Object} options - { start, end } (dates to check, YYYY-MM-DD), today (never checked: it is still partial)
+     * @returns {Array} [{ key, date, brand, channel, type, revenue, expected, score }], newest first
+     *   Days after a series' last day with data are not gaps; they are late data, not holes
+     */
+    function detectAnomalies(rows = [], { start, end, today } = {}) {
+        if (!start || !end) return [];
+        const settings = getAnomalySettings();
+
+        const series = {};
+        rows.forEach(row => {
+            if (!row.date || !row.channel) return;
+            const key = `${row.brand || ''}|${row.channel}`;
+            if (!series[key]) series[key] = { brand: row.brand || '', channel: row.channel, revenueByDay: {} };
+            const day = toDayNumber(row.date);
+            series[key].revenueByDay[day] = (series[key].revenueByDay[day] || 0) + (parseFloat(row.revenue) || 0);
+        });
+
+        const anomalies = [];
+        Object.values(series).forEach(({ brand, channel, revenueByDay }) => {
+            const days = Object.keys(revenueByDay).map(Number);
+            const lastDataDay = Math.max(...days);
+            const lastDay = Math.min(toDayNumber(end), lastDataDay, today ? toDayNumber(today) - 1 : Infinity);
+
+            for (let day = Math.max(toDayNumber(start), Math.min(...days) + 1); day <= lastDay; day++) {
+                const result = checkDay(revenueByDay, day, settings);
+                if (!result) continue;
+                const date = fromDayNumber(day);
+                anomalies.push({
+                    key: `${brand}|${channel}|${date}|${result.type}`,
+                    date,
+                    brand,
+                    channel,
+                    type: result.type,
+                    revenue: day in revenueByDay ? revenueByDay[day] : null,
+                    expected: result.expected,
+                    score: result.score === null ? null : Math.round(result.score * 10) / 10
+                });
+            }
+        });
+
+        return anomalies.sort((a, b) => b.date.localeCompare(a.date) || a.key.localeCompare(b.key));
+    }
+
+    /**
+     * One line about an anomaly, e.g. "📈 Spike · Amazon LifePro: $24K vs ~$12K expected"
+     */
+    function describeAnomaly(anomaly) {
+        const { formatCurrency } = window.formatters || {};
+        const money = (value) => formatCurrency ? formatCurrency(value) : '$' + Math.round(value || 0).toLocaleString();
+        const type = ANOMALY_TYPES[anomaly.type] || { label: anomaly.type, icon: '' };
+        const scope = [anomaly.channel, anomaly.brand].filter(Boolean).join(' ');
+        const detail = anomaly.type === 'gap'
+            ? `no data (~${money(anomaly.expected)} expected)`
+            : `${money(anomaly.revenue)} vs ~${money(anomaly.expected)} expected`;
+        return `${type.icon} ${type.label} · ${scope}: ${detail}`;
+    }
+
+    // Make available globally
+    window.anomalyDetection = {
+        getAnomalySettings,
+        getAnomalyTypes,
+        getReviewOptions,
+        detectAnomalies,
+        describeAnomaly
+    };
+
+    // Also add to ChaiVision namespace
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.anomalyDetection = window.anomalyDetection;
+})();
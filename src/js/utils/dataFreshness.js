@@ -0,0 +1,103 @@
+/**
+ * Chai Vision Dashboard - Data Freshness
+ * The last loaded day of each brand and channel, checked against the expected upload lag
+ * (DATA_FRESHNESS.EXPECTED_LAG_DAYS business days before today). A channel whose last day is
+ * older is stale: its recent revenue is missing, not low, so it can be left out of the run rate.
+ *   status: { lastDate (YYYY-MM-DD, null = never loaded), stale, daysBehind }
+ */
+
+(function () {
+    'use strict';
+
+    const DEFAULTS = {
+        EXPECTED_LAG_DAYS: 2,
+        EXCLUDE_STALE_FROM_RUN_RATE: false,
+        FALLBACK_LOOKBACK_DAYS: 90
+    };
+
+    const normalizeName = (value) => String(value || '').trim().toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]+/g, '');
+    const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+
+    function getFreshnessSettings() {
+        // CONFIG loads after the utils; read it at call time
+        const config = window.CONFIG || window.ChaiVision?.CONFIG || {};
+        return { ...DEFAULTS, ...(config.DATA_FRESHNESS || {}) };
+    }
+
+    /**
+     * The last day every channel should have data for by now
+     * @returns {string|null} YYYY-MM-DD
+     */
+    function getExpectedDataDate(lagDays = getFreshnessSettings().EXPECTED_LAG_DAYS) {
+        const { getBusinessDaysAgo, toDateString } = window.dateUtils || {};
+        return getBusinessDaysAgo ? toDateString(getBusinessDaysAgo(lagDays)) : null;
+    }
+
+    function getStatus(lastDate, expectedDate) {
+        if (!lastDate || !expectedDate) return { lastDate: lastDate || null, stale: false, daysBehind: 0 };
+        const daysBehind = Math.max(0, daysBetween(lastDate, expectedDate));
+        return { lastDate, stale: daysBehind > 0, daysBehind };
+    }
+
+    /**
+     * Freshness of the brands and channels in view
+     * @param {Array} lastDates - [{ brand, channel, lastDate }] (see dataService.loadLastSalesDates)
+     * @param {Object} options - { brands, channels (dashboard channel names), mapChannel (database name -> dashboard name), expectedDate }
+     * @returns {Object} { expectedDate, channels: { [channel]: status }, brands: { [brand]: status + channels: { [channel]: status } },
+     *   staleChannels: [channel] }
+     *   A channel's last day is the latest of any brand in view; a channel nothing was ever loaded for is not stale
+     */
+    function getDataFreshness(lastDates = [], { brands = [], channels = [], mapChannel, expectedDate = getExpectedDataDate() } = {}) {
+        const brandByKey = Object.fromEntries(brands.map(brand => [normalizeName(brand), brand]));
+        const channelLast = {};
+        const brandLast = {};
+        const pairLast = {};
+
+        lastDates.forEach(row => {
+            const brand = brandByKey[normalizeName(row.brand)];
+            const channel = mapChannel ? mapChannel(row.channel) : row.channel;
+            if (!brand || !channels.includes(channel) || !row.lastDate) return;
+
+            if (!channelLast[channel] || row.lastDate > channelLast[channel]) channelLast[channel] = row.lastDate;
+            if (!brandLast[brand] || row.lastDate > brandLast[brand]) brandLast[brand] = row.lastDate;
+            pairLast[brand] = pairLast[brand] || {};
+            if (!pairLast[brand][channel] || row.lastDate > pairLast[brand][channel]) pairLast[brand][channel] = row.lastDate;
+        });
+
+        const channelStatus = Object.fromEntries(channels.map(channel => [channel, getStatus(channelLast[channel], expectedDate)]));
+        const brandStatus = Object.fromEntries(brands.map(brand => [brand, {
+            ...getStatus(brandLast[brand], expectedDate),
+            channels: Object.fromEntries(Object.entries(pairLast[brand] || {})
+                .map(([channel, lastDate]) => [channel, getStatus(lastDate, expectedDate)]))
+        }]));
+
+        return {
+            expectedDate,
+            channels: channelStatus,
+            brands: brandStatus,
+            staleChannels: channels.filter(channel => channelStatus[channel].stale)
+        };
+    }
+
+    /**
+     * "Oct 14, 3 days behind" / "Oct 17" / "No data loaded"
+     */
+    function describeFreshness(status) {
+        if (!status?.lastDate) return 'No data loaded';
+        const [year, month, day] = status.lastDate.split('-').map(Number);
+        const label = new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        return status.stale ? `${label}, ${status.daysBehind} day${status.daysBehind === 1 ? '' : 's'} behind` : label;
+    }
+
+    // Make available globally
+    window.dataFreshness = {
+        getFreshnessSettings,
+        getExpectedDataDate,
+        getDataFreshness,
+        describeFreshness
+    };
+
+    // Also add to ChaiVision namespace
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.dataFreshness = window.dataFreshness;
+})();
@@ -1,99 +1,793 @@
 (function() {
     'use strict';
-    
+
+    const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+        'July', 'August', 'September', 'October', 'November', 'December'];
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // Per-user time zone from Preferences; null falls back to CONFIG.DATES.TIMEZONE
+    let timeZoneOverride = null;
+
+    // ============================================
+    // TIME ZONE
+    // ============================================
+    // "Today", elapsed days and date keys are computed in one configured zone so every
+    // teammate sees the same days remaining and run rate. Dates returned by the helpers
+    // below are local-midnight Date objects that stand for a calendar day in that zone.
+
+    function isValidTimeZone(timeZone) {
+        if (!timeZone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Time zone used for period math: user override, then CONFIG.DATES.TIMEZONE, then the browser's
+     */
+    function getTimeZone() {
+        if (isValidTimeZone(timeZoneOverride)) return timeZoneOverride;
+        const configured = (window.CONFIG || window.ChaiVision?.CONFIG)?.DATES?.TIMEZONE;
+        if (isValidTimeZone(configured)) return configured;
+        return Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    /**
+     * Set (or clear with null) the per-user time zone from Preferences
+     */
+    function setTimeZoneOverride(timeZone) {
+        if (timeZone && !isValidTimeZone(timeZone)) {
+            timeZoneOverride = null;
+            console.warn(`⚠️ Unknown time zone "${timeZone}", using ${getTimeZone()}`);
+            return;
+        }
+        timeZoneOverride = timeZone || null;
+    }
+
+    /**
+     * Calendar date (YYYY-MM-DD) of an instant in the configured time zone
+     * @param {Date|number|string} instant - Defaults to now
+     */
+    function toZonedDateString(instant = new Date(), timeZone = getTimeZone()) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+            .formatToParts(new Date(instant))
+            .forEach(part => { parts[part.type] = part.value; });
+        return `${parts.year}-${parts.month}-${parts.day}`;
+    }
+
+    /**
+     * Today's date in the configured time zone, as YYYY-MM-DD
+     */
+    function getTodayString() {
+        return toZonedDateString(new Date());
+    }
+
+    /**
+     * Today's date in the configured time zone, as a local-midnight Date
+     */
+    function getToday() {
+        const [year, month, day] = getTodayString().split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Shift a YYYY-MM-DD date by whole days
+     */
+    function addDaysToDateString(dateString, days) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return toDateString(new Date(year, month - 1, day + days));
+    }
+
+    /**
+     * Normalize a date value to a YYYY-MM-DD key.
+     * Plain dates and timestamps without an offset keep their calendar date; instants
+     * (Date objects, timestamps with Z or +hh:mm) are converted to the configured zone.
+     */
+    function normalizeDateKey(value) {
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? value : toZonedDateString(value);
+        }
+        if (typeof value !== 'string') return value;
+
+        const trimmed = value.trim();
+        if (/T.*(Z|[+-]\d{2}:?\d{2})$/.test(trimmed)) {
+            const instant = new Date(trimmed);
+            if (!isNaN(instant.getTime())) return toZonedDateString(instant);
+        }
+        return trimmed.split('T')[0];
+    }
+
+    // ============================================
+    // FISCAL CALENDAR
+    // ============================================
+    // Years, quarters and months in the dashboard are fiscal. A fiscal year is named
+    // after the calendar year it ends in (FISCAL_YEAR_START: 7 makes FY2026 Jul 2025 - Jun 2026).
+    // Months keep their calendar number (1-12) as a label: with a 4-4-5 calendar month 7
+    // is the 4 or 5 week period that stands in for July.
+
+    /**
+     * Fiscal settings from CONFIG.DATES, read per call because config.js loads after this file
+     * @returns {{ startMonth: number, calendar: string }} calendar is 'standard' or '445'
+     */
+    function getFiscalSettings() {
+        const dates = (window.CONFIG || window.ChaiVision?.CONFIG)?.DATES || {};
+        const startMonth = parseInt(dates.FISCAL_YEAR_START);
+        return {
+            startMonth: startMonth >= 1 && startMonth <= 12 ? startMonth : 1,
+            calendar: dates.FISCAL_CALENDAR === '445' ? '445' : 'standard'
+        };
+    }
+
+    /**
+     * True when fiscal periods are plain calendar periods (January start, standard months)
+     */
+    function isCalendarYear() {
+        const { startMonth, calendar } = getFiscalSettings();
+        return startMonth === 1 && calendar === 'standard';
+    }
+
+    /**
+     * Display label for a fiscal year: '2026' on a calendar year, 'FY2026' otherwise
+     */
+    function getFiscalYearLabel(year) {
+        return isCalendarYear() ? String(year) : `FY${year}`;
+    }
+
+    function addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    function countDays(start, end) {
+        return Math.round((end - start) / DAY_MS) + 1;
+    }
+
+    /**
+     * Nominal first day of a fiscal year (1st of the start month)
+     */
+    function getNominalFiscalStart(fiscalYear) {
+        const { startMonth } = getFiscalSettings();
+        const startYear = startMonth === 1 ? parseInt(fiscalYear) : parseInt(fiscalYear) - 1;
+        return new Date(startYear, startMonth - 1, 1);
+    }
+
+    /**
+     * First day of a 4-4-5 fiscal year: the Monday nearest the nominal start
+     */
+    function get445YearStart(fiscalYear) {
+        const nominal = getNominalFiscalStart(fiscalYear);
+        const sinceMonday = (nominal.getDay() + 6) % 7;
+        return addDays(nominal, sinceMonday <= 3 ? -sinceMonday : 7 - sinceMonday);
+    }
+
+    /**
+     * Weeks in each of the 12 periods of a 4-4-5 year; a 53rd week goes to the last period
+     */
+    function get445PeriodWeeks(fiscalYear) {
+        const weeks = Math.round((get445YearStart(parseInt(fiscalYear) + 1) - get445YearStart(fiscalYear)) / (7 * DAY_MS));
+        const pattern = [4, 4, 5, 4, 4, 5, 4, 4, 5, 4, 4, 5];
+        if (weeks === 53) pattern[11]++;
+        return pattern;
+    }
+
+    /**
+     * Position (0-11) of a month label within the fiscal year
+     */
+    function getFiscalMonthIndex(month) {
+        return (parseInt(month) - getFiscalSettings().startMonth + 12) % 12;
+    }
+
+    /**
+     * Month label (1-12) at a fiscal position (0-11)
+     */
+    function getMonthAtFiscalIndex(index) {
+        return (getFiscalSettings().startMonth - 1 + index) % 12 + 1;
+    }
+
+    /**
+     * First and last day of a fiscal year
+     * @returns {{ start: Date, end: Date }}
+     */
+    function getFiscalYearRange(fiscalYear) {
+        if (getFiscalSettings().calendar === '445') {
+            return {
+                start: get445YearStart(fiscalYear),
+                end: addDays(get445YearStart(parseInt(fiscalYear) + 1), -1)
+            };
+        }
+        const start = getNominalFiscalStart(fiscalYear);
+        return { start, end: new Date(start.getFullYear(), start.getMonth() + 12, 0) };
+    }
+
+    /**
+     * First and last day of a fiscal month
+     * @param {number} fiscalYear - Fiscal year
+     * @param {number} month - Month label (1-12)
+     * @returns {{ start: Date, end: Date }}
+     */
+    function getFiscalMonthRange(fiscalYear, month) {
+        const index = getFiscalMonthIndex(month);
+
+        if (getFiscalSettings().calendar === '445') {
+            const periodWeeks = get445PeriodWeeks(fiscalYear);
+            const weeksBefore = periodWeeks.slice(0, index).reduce((sum, weeks) => sum + weeks, 0);
+            const start = addDays(get445YearStart(fiscalYear), weeksBefore * 7);
+            return { start, end: addDays(start, periodWeeks[index] * 7 - 1) };
+        }
+
+        const yearStart = getNominalFiscalStart(fiscalYear);
+        return {
+            start: new Date(yearStart.getFullYear(), yearStart.getMonth() + index, 1),
+            end: new Date(yearStart.getFullYear(), yearStart.getMonth() + index + 1, 0)
+        };
+    }
+
+    /**
+     * Month labels (1-12) making up a fiscal quarter, in order
+     * @param {string} quarter - 'Q1' | 'Q2' | 'Q3' | 'Q4'
+     */
+    function getQuarterMonths(quarter) {
+        const first = ((parseInt(String(quarter || 'Q1').replace('Q', '')) || 1) - 1) * 3;
+        return [0, 1, 2].map(offset => getMonthAtFiscalIndex(first + offset));
+    }
+
+    /**
+     * Fiscal quarter a month label belongs to
+     * @returns {string} 'Q1' - 'Q4'
+     */
+    function getFiscalQuarterOfMonth(month) {
+        return `Q${Math.floor(getFiscalMonthIndex(month) / 3) + 1}`;
+    }
+
+    /**
+     * First and last day of a fiscal quarter
+     * @returns {{ start: Date, end: Date }}
+     */
+    function getFiscalQuarterRange(fiscalYear, quarter) {
+        const months = getQuarterMonths(quarter);
+        return {
+            start: getFiscalMonthRange(fiscalYear, months[0]).start,
+            end: getFiscalMonthRange(fiscalYear, months[2]).end
+        };
+    }
+
+    /**
+     * Fiscal year, quarter and month of a date
+     * @param {Date|string} date - Date or YYYY-MM-DD string
+     * @returns {{ year: string, quarter: string, month: number }}
+     */
+    function getFiscalPeriod(date = new Date()) {
+        const d = typeof date === 'string'
+            ? new Date(parseInt(date.slice(0, 4)), parseInt(date.slice(5, 7)) - 1, parseInt(date.slice(8, 10)))
+            : new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const { startMonth, calendar } = getFiscalSettings();
+
+        let month = d.getMonth() + 1;
+        let year = startMonth === 1 || month < startMonth ? d.getFullYear() : d.getFullYear() + 1;
+
+        if (calendar === '445') {
+            // Week-aligned years start up to 3 days either side of the 1st
+            if (d < getFiscalYearRange(year).start) year--;
+            else if (d > getFiscalYearRange(year).end) year++;
+
+            for (let index = 0; index < 12; index++) {
+                const label = getMonthAtFiscalIndex(index);
+                if (d <= getFiscalMonthRange(year, label).end) {
+                    month = label;
+                    break;
+                }
+            }
+        }
+
+        return { year: year.toString(), quarter: getFiscalQuarterOfMonth(month), month };
+    }
+
+    /**
+     * Quarter picker options, e.g. { value: 'Q1', label: 'Q1 (Jul - Sep)' } on a non-calendar year
+     */
+    function getQuarterOptions() {
+        return ['Q1', 'Q2', 'Q3', 'Q4'].map(quarter => {
+            if (isCalendarYear()) return { value: quarter, label: quarter };
+            const months = getQuarterMonths(quarter);
+            return {
+                value: quarter,
+                label: `${quarter} (${MONTH_NAMES[months[0] - 1].slice(0, 3)} - ${MONTH_NAMES[months[2] - 1].slice(0, 3)})`
+            };
+        });
+    }
+
+    /**
+     * Month picker options in fiscal order; 4-4-5 labels carry the period number
+     */
+    function getMonthOptions() {
+        const is445 = getFiscalSettings().calendar === '445';
+        return Array.from({ length: 12 }, (_, index) => {
+            const month = getMonthAtFiscalIndex(index);
+            return {
+                value: month,
+                label: is445 ? `${MONTH_NAMES[month - 1]} (P${index + 1})` : MONTH_NAMES[month - 1]
+            };
+        });
+    }
+
+    /**
+     * Human readable period, e.g. 'FY2026', 'Q1 FY2026', 'July 2025', 'Week 5 2026', 'Last 30 days (...)'
+     */
+    function getPeriodLabel(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange) {
+        const yearLabel = getFiscalYearLabel(selectedYear);
+
+        if (view === 'annual') {
+            return yearLabel;
+        } else if (view === 'quarterly') {
+            return `${selectedPeriod} ${yearLabel}`;
+        } else if (view === 'monthly') {
+            const monthName = MONTH_NAMES[parseInt(selectedMonth) - 1] || '';
+            // Standard months are real calendar months, so show the calendar year they fall in
+            return getFiscalSettings().calendar === '445'
+                ? `${monthName} ${yearLabel}`
+                : `${monthName} ${getFiscalMonthRange(selectedYear, selectedMonth).start.getFullYear()}`;
+        } else if (view === 'weekly') {
+            return `Week ${selectedWeek} ${selectedYear}`;
+        } else if (view === 'custom') {
+            const range = resolveCustomRange(customRange);
+            const preset = RANGE_PRESETS.find(option => option.value === range.preset && option.value !== 'custom');
+            const dates = formatDateRange(range.start, range.end);
+            return preset ? `${preset.label} (${dates})` : dates;
+        }
+        return '';
+    }
+
+    /**
+     * 'Sep 20, 2026 - Oct 19, 2026' for two YYYY-MM-DD strings
+     */
+    function formatDateRange(start, end) {
+        const format = (value) => new Date(parseInt(value.slice(0, 4)), parseInt(value.slice(5, 7)) - 1, parseInt(value.slice(8, 10)))
+            .toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        return `${format(start)} - ${format(end)}`;
+    }
+
+    // ============================================
+    // CUSTOM RANGES
+    // ============================================
+
+    const RANGE_PRESETS = [
+        { value: 'last7', label: 'Last 7 days' },
+        { value: 'last30', label: 'Last 30 days' },
+        { value: 'last90', label: 'Last 90 days' },
+        { value: 'mtd', label: 'Month to date' },
+        { value: 'qtd', label: 'Quarter to date' },
+        { value: 'ytd', label: 'Year to date' },
+        { value: 'ttm', label: 'Trailing 12 months' },
+        { value: 'custom', label: 'Custom range' }
+    ];
+
+    /**
+     * Custom range picker presets
+     * @returns {Array} [{ value, label }]
+     */
+    function getRangePresetOptions() {
+        return RANGE_PRESETS.slice();
+    }
+
+    /**
+     * Resolve a preset to dates, ending today in DATES.TIMEZONE. MTD/QTD/YTD use fiscal periods.
+     * @param {string} preset - 'last7' | 'last30' | 'last90' | 'mtd' | 'qtd' | 'ytd' | 'ttm'
+     * @returns {{ preset: string, start: string, end: string }|null} null for unknown presets
+     */
+    function getPresetRange(preset) {
+        const today = getTodayString();
+        const current = getFiscalPeriod(getToday());
+
+        switch (preset) {
+            case 'last7':
+                return { preset, start: addDaysToDateString(today, -6), end: today };
+            case 'last30':
+                return { preset, start: addDaysToDateString(today, -29), end: today };
+            case 'last90':
+                return { preset, start: addDaysToDateString(today, -89), end: today };
+            case 'mtd':
+                return { preset, start: toDateString(getFiscalMonthRange(current.year, current.month).start), end: today };
+            case 'qtd':
+                return { preset, start: toDateString(getFiscalQuarterRange(current.year, current.quarter).start), end: today };
+            case 'ytd':
+                return { preset, start: toDateString(getFiscalYearRange(current.year).start), end: today };
+            case 'ttm': {
+                const [year, month, day] = today.split('-').map(Number);
+                return { preset, start: toDateString(new Date(year - 1, month - 1, day + 1)), end: today };
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Normalize a { preset, start, end } selection: presets are re-resolved against today,
+     * explicit ranges are ordered. Falls back to the last 30 days.
+     */
+    function resolveCustomRange(range) {
+        if (range?.preset && range.preset !== 'custom') {
+            const resolved = getPresetRange(range.preset);
+            if (resolved) return resolved;
+        }
+        if (range?.start && range?.end) {
+            return range.start <= range.end
+                ? { preset: 'custom', start: range.start, end: range.end }
+                : { preset: 'custom', start: range.end, end: range.start };
+        }
+        return getPresetRange('last30');
+    }
+
     function getCurrentQuarter() {
-        const month = new Date().getMonth();
-        return `Q${Math.floor(month / 3) + 1}`;
+        return getFiscalPeriod(getToday()).quarter;
     }
 
     function getCurrentMonth() {
-        return new Date().getMonth() + 1;
+        return getFiscalPeriod(getToday()).month;
     }
 
     function getCurrentYear() {
-        return new Date().getFullYear().toString();
+        return getFiscalPeriod(getToday()).year;
     }
 
-    function getDaysInPeriod(view, selectedPeriod, selectedYear, selectedMonth) {
-        const year = parseInt(selectedYear);
+    /**
+     * Format a local Date as YYYY-MM-DD (toISOString would shift it to UTC)
+     * @param {Date} date - Date to format
+     * @returns {string} YYYY-MM-DD
+     */
+    function toDateString(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
 
-        if (view === 'annual') {
-            const isLeapYear = (year % 4 === 0 && year % 100 !== 0) || (year % 400 === 0);
-            return isLeapYear ? 366 : 365;
-        } else if (view === 'quarterly') {
-            // Calculate actual days in quarter by summing the months
-            const quarterMonths = {
-                'Q1': [0, 1, 2],  // Jan, Feb, Mar
-                'Q2': [3, 4, 5],  // Apr, May, Jun
-                'Q3': [6, 7, 8],  // Jul, Aug, Sep
-                'Q4': [9, 10, 11] // Oct, Nov, Dec
-            };
+    /**
+     * ISO-8601 week of a date: weeks start on Monday and week 1 contains the year's first Thursday
+     * @param {Date|string} date - Date or YYYY-MM-DD string
+     * @returns {{ year: number, week: number }} ISO week-year (may differ from the calendar year) and week number
+     */
+    function getISOWeek(date = new Date()) {
+        const d = typeof date === 'string'
+            ? new Date(parseInt(date.slice(0, 4)), parseInt(date.slice(5, 7)) - 1, parseInt(date.slice(8, 10)))
+            : new Date(date.getFullYear(), date.getMonth(), date.getDate());
 
-            const months = quarterMonths[selectedPeriod] || quarterMonths['Q1'];
-            let totalDays = 0;
+        // Move to the Thursday of this week; its calendar year is the ISO week-year
+        const dayOfWeek = (d.getDay() + 6) % 7; // Monday = 0
+        d.setDate(d.getDate() - dayOfWeek + 3);
+        const year = d.getFullYear();
 
-            months.forEach(monthIndex => {
-                totalDays += new Date(year, monthIndex + 1, 0).getDate();
-            });
+        const firstThursday = new Date(year, 0, 4);
+        firstThursday.setDate(firstThursday.getDate() - ((firstThursday.getDay() + 6) % 7) + 3);
 
-            return totalDays;
-        } else if (view === 'monthly') {
-            const month = parseInt(selectedMonth) - 1;
-            const daysInMonth = new Date(year, month + 1, 0).getDate();
-            return daysInMonth;
+        const week = 1 + Math.round((d - firstThursday) / (7 * 24 * 60 * 60 * 1000));
+        return { year, week };
+    }
+
+    /**
+     * Current ISO week number
+     * @returns {number} Week (1-53)
+     */
+    function getCurrentWeek() {
+        return getISOWeek(getToday()).week;
+    }
+
+    /**
+     * Current ISO week-year (the year the weekly view's weeks belong to, not a fiscal year)
+     * @returns {string} Week-year (YYYY)
+     */
+    function getCurrentWeekYear() {
+        return String(getISOWeek(getToday()).year);
+    }
+
+    /**
+     * Number of ISO weeks in a week-year (52 or 53)
+     * @param {number} year - ISO week-year
+     * @returns {number} 52 or 53
+     */
+    function getISOWeeksInYear(year) {
+        // December 28th is always in the last ISO week of its year
+        return getISOWeek(new Date(parseInt(year), 11, 28)).week;
+    }
+
+    /**
+     * Monday of an ISO week
+     * @param {number} year - ISO week-year
+     * @param {number} week - ISO week (1-53)
+     * @returns {Date} Local midnight on the Monday
+     */
+    function getISOWeekStart(year, week) {
+        const jan4 = new Date(parseInt(year), 0, 4);
+        const monday = new Date(jan4);
+        monday.setDate(jan4.getDate() - ((jan4.getDay() + 6) % 7) + (parseInt(week) - 1) * 7);
+        return monday;
+    }
+
+    /**
+     * Sunday of an ISO week
+     * @param {number} year - ISO week-year
+     * @param {number} week - ISO week (1-53)
+     * @returns {Date} Local midnight on the Sunday
+     */
+    function getISOWeekEnd(year, week) {
+        const sunday = getISOWeekStart(year, week);
+        sunday.setDate(sunday.getDate() + 6);
+        return sunday;
+    }
+
+    /**
+     * Days in an ISO week (always 7; here so weekly pacing reads like the other periods)
+     * @returns {number} 7
+     */
+    function getDaysInWeek() {
+        return 7;
+    }
+
+    /**
+     * Days of an ISO week that have started, for week-elapsed pacing
+     * @param {number} year - ISO week-year
+     * @param {number} week - ISO week (1-53)
+     * @returns {number} 0 before the week, 7 after it, otherwise 1-7
+     */
+    function getWeekDaysElapsed(year, week) {
+        const today = getToday();
+
+        const start = getISOWeekStart(year, week);
+        if (today < start) return 0;
+
+        const elapsed = Math.round((today - start) / (1000 * 60 * 60 * 24)) + 1;
+        return Math.min(elapsed, getDaysInWeek());
+    }
+
+    /**
+     * Split a date range into the fiscal quarters it touches, so quarterly targets can be
+     * prorated by day (a range can straddle quarters and fiscal years)
+     * @param {Date|string} start - First day (Date or YYYY-MM-DD)
+     * @param {Date|string} end - Last day, inclusive
+     * @returns {Array<{ year: string, quarter: string, days: number, ratio: number }>} year is the fiscal year
+     *          ratio = days of the range in that quarter / days in that quarter
+     */
+    function getRangeQuarterShares(start, end) {
+        const toDate = (value) => typeof value === 'string'
+            ? new Date(parseInt(value.slice(0, 4)), parseInt(value.slice(5, 7)) - 1, parseInt(value.slice(8, 10)))
+            : new Date(value.getFullYear(), value.getMonth(), value.getDate());
+        const last = toDate(end);
+        const shares = [];
+
+        // Walk quarter by quarter rather than day by day; ranges can span years
+        let cursor = toDate(start);
+        while (cursor <= last) {
+            const { year, quarter } = getFiscalPeriod(cursor);
+            const quarterRange = getFiscalQuarterRange(year, quarter);
+            const sliceEnd = quarterRange.end < last ? quarterRange.end : last;
+            const days = countDays(cursor, sliceEnd);
+            shares.push({ year, quarter, days, ratio: days / countDays(quarterRange.start, quarterRange.end) });
+            cursor = addDays(sliceEnd, 1);
         }
-        return 30;
+
+        return shares;
     }
 
-    function getDaysElapsed(view, selectedPeriod, selectedYear, selectedMonth) {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        let startDate, endDate;
-        
+    /**
+     * Split an ISO week into the fiscal quarters it touches (see getRangeQuarterShares)
+     * @param {number} year - ISO week-year
+     * @param {number} week - ISO week (1-53)
+     */
+    function getWeekQuarterShares(year, week) {
+        return getRangeQuarterShares(getISOWeekStart(year, week), getISOWeekEnd(year, week));
+    }
+
+    /**
+     * Week picker options for an ISO week-year
+     * @param {number} year - ISO week-year
+     * @returns {Array} [{ value, label }] e.g. { value: 5, label: 'W05 (Jan 27 - Feb 2)' }
+     */
+    function getWeekOptions(year) {
+        const format = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        return Array.from({ length: getISOWeeksInYear(year) }, (_, i) => {
+            const week = i + 1;
+            return {
+                value: week,
+                label: `W${String(week).padStart(2, '0')} (${format(getISOWeekStart(year, week))} - ${format(getISOWeekEnd(year, week))})`
+            };
+        });
+    }
+
+    /**
+     * First and last day of the selected dashboard period (fiscal for annual/quarterly/monthly)
+     * @param {string} view - 'annual' | 'quarterly' | 'monthly' | 'weekly' | 'custom'
+     * @param {string} selectedYear - Fiscal year, or the ISO week-year in the weekly view
+     * @param {Object} customRange - { preset, start, end } for the custom view
+     * @returns {{ start: Date, end: Date }|null}
+     */
+    function getPeriodBounds(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange) {
         if (view === 'annual') {
-            startDate = new Date(parseInt(selectedYear), 0, 1);
-            endDate = new Date(parseInt(selectedYear), 11, 31);
+            return getFiscalYearRange(selectedYear);
         } else if (view === 'quarterly') {
-            const quarterStarts = { 'Q1': 0, 'Q2': 3, 'Q3': 6, 'Q4': 9 };
-            const quarterEnds = { 'Q1': 2, 'Q2': 5, 'Q3': 8, 'Q4': 11 };
-            startDate = new Date(parseInt(selectedYear), quarterStarts[selectedPeriod], 1);
-            endDate = new Date(parseInt(selectedYear), quarterEnds[selectedPeriod] + 1, 0);
+            return getFiscalQuarterRange(selectedYear, selectedPeriod || 'Q1');
         } else if (view === 'monthly') {
-            const month = parseInt(selectedMonth) - 1;
-            startDate = new Date(parseInt(selectedYear), month, 1);
-            endDate = new Date(parseInt(selectedYear), month + 1, 0);
+            return getFiscalMonthRange(selectedYear, selectedMonth);
+        } else if (view === 'weekly') {
+            return { start: getISOWeekStart(selectedYear, selectedWeek), end: getISOWeekEnd(selectedYear, selectedWeek) };
+        } else if (view === 'custom') {
+            const { start, end } = resolveCustomRange(customRange);
+            const toDate = (value) => new Date(parseInt(value.slice(0, 4)), parseInt(value.slice(5, 7)) - 1, parseInt(value.slice(8, 10)));
+            return { start: toDate(start), end: toDate(end) };
+        }
+        return null;
+    }
+
+    /**
+     * Start/end dates (YYYY-MM-DD) of the selected dashboard period
+     * @param {string} view - 'annual' | 'quarterly' | 'monthly' | 'weekly' | 'custom'
+     * @returns {{ start: string|null, end: string|null }}
+     */
+    function getPeriodDateRange(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange) {
+        const bounds = getPeriodBounds(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange);
+        return bounds
+            ? { start: toDateString(bounds.start), end: toDateString(bounds.end) }
+            : { start: null, end: null };
+    }
+
+    function getDaysInPeriod(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange) {
+        if (view === 'weekly') {
+            return getDaysInWeek();
         }
+
+        const bounds = getPeriodBounds(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange);
+        return bounds ? countDays(bounds.start, bounds.end) : 30;
+    }
+
+    function getDaysElapsed(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange) {
+        if (view === 'weekly') {
+            return getWeekDaysElapsed(selectedYear, selectedWeek);
+        }
+
+        const today = getToday();
         
-        if (today < startDate) return 0;
-        if (today > endDate) return getDaysInPeriod(view, selectedPeriod, selectedYear, selectedMonth);
+        const bounds = getPeriodBounds(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange);
+        if (!bounds) return 0;
         
-        const elapsed = Math.floor((today - startDate) / (1000 * 60 * 60 * 24)) + 1;
-        return elapsed;
+        if (today < bounds.start) return 0;
+        if (today > bounds.end) return getDaysInPeriod(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange);
+        
+        return countDays(bounds.start, today);
+    }
+
+    /**
+     * Fiscal quarter shares of the selected period, for prorating quarterly targets
+     * (weekly and custom views; see getRangeQuarterShares)
+     */
+    function getPeriodQuarterShares(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange) {
+        const bounds = getPeriodBounds(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange);
+        return bounds ? getRangeQuarterShares(bounds.start, bounds.end) : [];
+    }
+
+    // ============================================
+    // PERIOD COMPARISON
+    // ============================================
+
+    const COMPARISON_MODES = [
+        { value: 'none', label: 'No comparison' },
+        { value: 'previous', label: 'Prior period' },
+        { value: 'yoy', label: 'Same period last year' },
+        { value: 'custom', label: 'Custom period' }
+    ];
+
+    /**
+     * Comparison picker options
+     * @returns {Array} [{ value, label }]
+     */
+    function getComparisonModeOptions() {
+        return COMPARISON_MODES.slice();
+    }
+
+    /**
+     * Date range the selected period is compared against
+     *   previous - the preceding fiscal year/quarter/month, or the same number of days just before a week or custom range
+     *   yoy      - the same fiscal period or ISO week a year earlier; custom ranges move back one calendar year
+     *   custom   - comparisonRange as given
+     * A period still in progress is compared to-date: the comparison covers the same number of elapsed days.
+     * @param {string} mode - 'none' | 'previous' | 'yoy' | 'custom'
+     * @param {Object} comparisonRange - { start, end } for the custom mode
+     * @returns {{ mode: string, start: string, end: string }|null} null when comparison is off
+     */
+    function getComparisonRange(mode, view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange, comparisonRange) {
+        if (mode === 'custom') {
+            if (!comparisonRange?.start || !comparisonRange?.end) return null;
+            return comparisonRange.start <= comparisonRange.end
+                ? { mode, start: comparisonRange.start, end: comparisonRange.end }
+                : { mode, start: comparisonRange.end, end: comparisonRange.start };
+        }
+        if (mode !== 'previous' && mode !== 'yoy') return null;
+
+        const bounds = getPeriodBounds(view, selectedPeriod, selectedYear, selectedMonth, selectedWeek, customRange);
+        if (!bounds) return null;
+
+        let range;
+        if (mode === 'previous') {
+            if (view === 'annual' || view === 'quarterly' || view === 'monthly') {
+                const prior = getFiscalPeriod(addDays(bounds.start, -1));
+                range = view === 'annual' ? getFiscalYearRange(prior.year)
+                    : view === 'quarterly' ? getFiscalQuarterRange(prior.year, prior.quarter)
+                    : getFiscalMonthRange(prior.year, prior.month);
+            } else {
+                const days = countDays(bounds.start, bounds.end);
+                range = { start: addDays(bounds.start, -days), end: addDays(bounds.start, -1) };
+            }
+        } else {
+            const year = parseInt(selectedYear) - 1;
+            if (view === 'annual') {
+                range = getFiscalYearRange(year);
+            } else if (view === 'quarterly') {
+                range = getFiscalQuarterRange(year, selectedPeriod || 'Q1');
+            } else if (view === 'monthly') {
+                range = getFiscalMonthRange(year, selectedMonth);
+            } else if (view === 'weekly') {
+                // Week 53 compares against the last week of a 52-week year
+                const week = Math.min(parseInt(selectedWeek) || 1, getISOWeeksInYear(year));
+                range = { start: getISOWeekStart(year, week), end: getISOWeekEnd(year, week) };
+            } else {
+                // Feb 29 has no counterpart a year earlier; it maps to Feb 28
+                const shift = (date) => new Date(date.getFullYear() - 1, date.getMonth(),
+                    Math.min(date.getDate(), new Date(date.getFullYear() - 1, date.getMonth() + 1, 0).getDate()));
+                range = { start: shift(bounds.start), end: shift(bounds.end) };
+            }
+        }
+
+        const today = getToday();
+        if (today >= bounds.start && today < bounds.end) {
+            const elapsedEnd = addDays(range.start, countDays(bounds.start, today) - 1);
+            if (elapsedEnd < range.end) range = { start: range.start, end: elapsedEnd };
+        }
+
+        return { mode, start: toDateString(range.start), end: toDateString(range.end) };
+    }
+
+    /**
+     * Label for a comparison range, e.g. 'vs last year (Oct 1, 2025 - Oct 19, 2025)'
+     * @param {Object} comparison - Result of getComparisonRange
+     */
+    function getComparisonLabel(comparison) {
+        if (!comparison) return '';
+        const prefix = comparison.mode === 'previous' ? 'vs prior period'
+            : comparison.mode === 'yoy' ? 'vs last year'
+            : 'vs';
+        return `${prefix} (${formatDateRange(comparison.start, comparison.end)})`;
+    }
+
+    /**
+     * The day `days` business days (Monday - Friday) before today in the configured time zone
+     * @returns {Date} Local midnight
+     */
+    function getBusinessDaysAgo(days = 2) {
+        const date = getToday();
+        let remaining = days;
+        while (remaining > 0) {
+            date.setDate(date.getDate() - 1);
+            if (date.getDay() !== 0 && date.getDay() !== 6) remaining--;
+        }
+        return date;
     }
 
     function getTwoBusinessDaysAgo() {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        today.setDate(today.getDate() - 2);
-        return today;
+        return getBusinessDaysAgo(2);
     }
 
     /**
-     * Generate year options for dropdowns based on data availability
+     * Generate fiscal year options for dropdowns based on data availability
      * @param {Array} salesData - Sales data to detect years from
      * @param {number} startYear - Starting year (default: 2020)
      * @returns {Array} Array of year objects with value and label
      */
     function getYearOptions(salesData = [], startYear = 2020) {
-        const currentYear = new Date().getFullYear();
+        const currentYear = parseInt(getCurrentYear());
         const years = new Set();
         
-        // Add years from sales data
+        // Add fiscal years from sales data
         if (salesData && salesData.length > 0) {
             salesData.forEach(record => {
                 if (record.date) {
-                    const year = new Date(record.date).getFullYear();
+                    const year = parseInt(getFiscalPeriod(record.date).year);
                     if (year >= startYear && year <= currentYear) {
                         years.add(year);
                     }
@@ -114,65 +808,75 @@
         
         return yearArray.map(year => ({
             value: year.toString(),
-            label: year.toString()
+            label: getFiscalYearLabel(year)
         }));
     }
 
     /**
-     * Get the latest year from sales data
+     * Year options for the weekly view: ISO week-years with sales data (or this and last week-year)
+     * @param {Array} salesData - Sales data to analyze
+     * @param {number} startYear - Earliest year to include
+     * @returns {Array} [{ value: 'YYYY', label: 'YYYY' }], newest first
+     */
+    function getWeekYearOptions(salesData = [], startYear = 2020) {
+        const currentYear = parseInt(getCurrentWeekYear());
+        const years = new Set([currentYear]);
+        if (currentYear > startYear) years.add(currentYear - 1);
+
+        (salesData || []).forEach(record => {
+            if (!record.date) return;
+            const key = normalizeDateKey(record.date);
+            if (typeof key !== 'string') return;
+            const year = getISOWeek(new Date(parseInt(key.slice(0, 4)), parseInt(key.slice(5, 7)) - 1, parseInt(key.slice(8, 10)))).year;
+            if (year >= startYear && year <= currentYear) years.add(year);
+        });
+
+        return Array.from(years).sort((a, b) => b - a).map(year => ({ value: String(year), label: String(year) }));
+    }
+
+    /**
+     * Get the latest fiscal year from sales data
      * @param {Array} salesData - Sales data to analyze
      * @returns {string} Latest year as string, or current year if no data
      */
     function getLatestYearFromData(salesData = []) {
         if (!salesData || salesData.length === 0) {
-            return new Date().getFullYear().toString();
+            return getCurrentYear();
         }
 
         let latestYear = 0;
         salesData.forEach(record => {
             if (record.date) {
-                const year = new Date(record.date).getFullYear();
+                const year = parseInt(getFiscalPeriod(record.date).year);
                 if (year > latestYear) {
                     latestYear = year;
                 }
             }
         });
 
-        return latestYear > 0 ? latestYear.toString() : new Date().getFullYear().toString();
+        return latestYear > 0 ? latestYear.toString() : getCurrentYear();
     }
 
     /**
-     * Get actual days in a specific quarter for accurate monthly target distribution
-     * @param {number} year - The year
+     * Get actual days in a fiscal quarter for accurate monthly target distribution
+     * @param {number} year - Fiscal year
      * @param {string} quarter - Quarter string (Q1, Q2, Q3, Q4)
      * @returns {number} Total days in the quarter
      */
     function getDaysInQuarter(year, quarter) {
-        const quarterMonths = {
-            'Q1': [0, 1, 2],  // Jan, Feb, Mar
-            'Q2': [3, 4, 5],  // Apr, May, Jun
-            'Q3': [6, 7, 8],  // Jul, Aug, Sep
-            'Q4': [9, 10, 11] // Oct, Nov, Dec
-        };
-
-        const months = quarterMonths[quarter] || quarterMonths['Q1'];
-        let totalDays = 0;
-
-        months.forEach(monthIndex => {
-            totalDays += new Date(year, monthIndex + 1, 0).getDate();
-        });
-
-        return totalDays;
+        const { start, end } = getFiscalQuarterRange(year, quarter || 'Q1');
+        return countDays(start, end);
     }
 
     /**
-     * Get days in a specific month
-     * @param {number} year - The year
+     * Get days in a fiscal month (a 4 or 5 week period on a 4-4-5 calendar)
+     * @param {number} year - Fiscal year
      * @param {number} month - Month (1-12)
      * @returns {number} Days in the month
      */
     function getDaysInMonth(year, month) {
-        return new Date(year, month, 0).getDate();
+        const { start, end } = getFiscalMonthRange(year, month);
+        return countDays(start, end);
     }
     
     // Make available globally
@@ -182,11 +886,53 @@
         getCurrentYear,
         getDaysInPeriod,
         getDaysElapsed,
+        getBusinessDaysAgo,
         getTwoBusinessDaysAgo,
         getYearOptions,
+        getWeekYearOptions,
         getLatestYearFromData,
         getDaysInQuarter,
-        getDaysInMonth
+        getDaysInMonth,
+        toDateString,
+        getISOWeek,
+        getCurrentWeek,
+        getCurrentWeekYear,
+        getISOWeeksInYear,
+        getISOWeekStart,
+        getISOWeekEnd,
+        getDaysInWeek,
+        getWeekDaysElapsed,
+        getWeekQuarterShares,
+        getRangeQuarterShares,
+        getPeriodQuarterShares,
+        getComparisonModeOptions,
+        getComparisonRange,
+        getComparisonLabel,
+        getWeekOptions,
+        getPeriodBounds,
+        getPeriodDateRange,
+        getFiscalSettings,
+        isCalendarYear,
+        getFiscalYearLabel,
+        getFiscalYearRange,
+        getFiscalQuarterRange,
+        getFiscalMonthRange,
+        getFiscalPeriod,
+        getFiscalQuarterOfMonth,
+        getQuarterMonths,
+        getQuarterOptions,
+        getMonthOptions,
+        getPeriodLabel,
+        getTimeZone,
+        setTimeZoneOverride,
+        toZonedDateString,
+        getToday,
+        getTodayString,
+        addDaysToDateString,
+        normalizeDateKey,
+        getRangePresetOptions,
+        getPresetRange,
+        resolveCustomRange
     };
     
     window.ChaiVision = window.ChaiVision || {};
@@ -0,0 +1,343 @@
+/**
+ * Chai Vision Dashboard - Revenue Forecasting
+ * Period-end forecasts from daily sales_agg history: a recent revenue level, adjusted for
+ * day-of-week and for the seasonal shape of the same dates in prior years.
+ * Intervals combine day-to-day noise, uncertainty in the level and year-to-year seasonal spread.
+ */
+
+(function () {
+    'use strict';
+
+    const DEFAULTS = {
+        HISTORY_YEARS: 2,
+        LEVEL_WINDOW_DAYS: 28,
+        SEASONAL_WINDOW_DAYS: 7,
+        DOW_WINDOW_DAYS: 364,
+        CONFIDENCE: 0.8
+    };
+
+    // Two-sided z-scores for the supported confidence levels
+    const Z_SCORES = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+
+    // Seasonal ratios outside this range are treated as data problems, not seasonality
+    const SEASONAL_LIMITS = [0.2, 5];
+
+    // Relative uncertainty assumed when there is no prior-year history to measure seasonality
+    const NO_HISTORY_SEASONAL_UNCERTAINTY = 0.1;
+
+    function getForecastSettings() {
+        // CONFIG loads after the utils; read it at call time
+        const config = window.CONFIG || window.ChaiVision?.CONFIG || {};
+        return { ...DEFAULTS, ...(config.FORECAST || {}) };
+    }
+
+    function getZScore(confidence) {
+        return Z_SCORES[confidence] || Z_SCORES[DEFAULTS.CONFIDENCE];
+    }
+
+    // ==================== DATE HELPERS (YYYY-MM-DD, day numbers in UTC) ====================
+
+    function toDayNumber(dateString) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return Math.round(Date.UTC(year, month - 1, day) / 86400000);
+    }
+
+    function fromDayNumber(dayNumber) {
+        return new Date(dayNumber * 86400000).toISOString().slice(0, 10);
+    }
+
+    // 0 = Monday ... 6 = Sunday
+    function getWeekday(dayNumber) {
+        return (dayNumber + 3) % 7;
+    }
+
+    // Same date `years` earlier; Feb 29 maps to Feb 28
+    function shiftYears(dayNumber, years) {
+        const date = new Date(dayNumber * 86400000);
+        const year = date.getUTCFullYear() - years;
+        const month = date.getUTCMonth();
+        const day = Math.min(date.getUTCDate(), new Date(Date.UTC(year, month + 1, 0)).getUTCDate());
+        return Math.round(Date.UTC(year, month, day) / 86400000);
+    }
+
+    // ==================== SERIES MODEL ====================
+
+    function mean(values) {
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    }
+
+    function standardDeviation(values) {
+        if (values.length < 2) return 0;
+        const average = mean(values);
+        return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+    }
+
+    /**
+     * Day-of-week factors (Monday first, averaging 1) from the days before the forecast.
+     * Shrunk toward 1 until eight weeks of history are available.
+     */
+    function getWeekdayFactors(valueAt, fromDay, toDay) {
+        const totals = [0, 0, 0, 0, 0, 0, 0];
+        const counts = [0, 0, 0, 0, 0, 0, 0];
+        for (let day = fromDay; day <= toDay; day++) {
+            totals[getWeekday(day)] += valueAt(day);
+            counts[getWeekday(day)] += 1;
+        }
+        const averages = totals.map((total, index) => counts[index] > 0 ? total / counts[index] : 0);
+        const overall = mean(averages);
+        if (overall <= 0) return [1, 1, 1, 1, 1, 1, 1];
+
+        const weight = Math.min(1, (toDay - fromDay + 1) / 56);
+        return averages.map(average => 1 + weight * (average / overall - 1));
+    }
+
+    /**
+     * Seasonal ratio for each forecast day in one prior year: revenue around that date a year (or more) ago,
+     * relative to revenue over the level window at the same point that year
+     */
+    function getSeasonalRatios(valueAt, firstDay, forecastDays, levelFrom, levelTo, years, halfWindow) {
+        const priorLevelFrom = shiftYears(levelFrom, years);
+        if (priorLevelFrom - halfWindow < firstDay) return null;
+
+        const windowMean = (from, to) => {
+            let total = 0;
+            for (let day = from; day <= to; day++) total += valueAt(day);
+            return total / (to - from + 1);
+        };
+
+        const base = windowMean(priorLevelFrom, shiftYears(levelTo, years));
+        if (base <= 0) return null;
+
+        return forecastDays.map(day => {
+            const priorDay = shiftYears(day, years);
+            const ratio = windowMean(priorDay - halfWindow, priorDay + halfWindow) / base;
+            return Math.min(SEASONAL_LIMITS[1], Math.max(SEASONAL_LIMITS[0], ratio));
+        });
+    }
+
+    /**
+     * Forecast one daily series over the forecast days
+     * @param {Object} revenueByDay - { [dayNumber]: revenue }
+     * @param {number} lastDay - Last day with actuals; the level ends there even when the forecast starts later
+     * @returns {{ days: Array, residuals: number[], seasonalYears: number, relativeSd: number }}
+     * Each day carries `scale`, the revenue one unit of residual (relative to the level) is worth that day
+     */
+    function forecastSeries(revenueByDay, firstDay, lastDay, forecastFrom, forecastTo, settings) {
+        const valueAt = (day) => revenueByDay[day] || 0;
+        const levelTo = Math.min(lastDay, forecastFrom - 1);
+        const levelFrom = Math.max(firstDay, levelTo - settings.LEVEL_WINDOW_DAYS + 1);
+        const forecastDays = [];
+        for (let day = forecastFrom; day <= forecastTo; day++) forecastDays.push(day);
+
+        if (levelFrom > levelTo) {
+            return { days: forecastDays.map(day => ({ day, expected: 0, noiseSd: 0, scale: 0 })), residuals: [], seasonalYears: 0, relativeSd: 0 };
+        }
+
+        const weekdayFactors = getWeekdayFactors(valueAt, Math.max(firstDay, levelTo - settings.DOW_WINDOW_DAYS + 1), levelTo);
+
+        // Level with the day-of-week pattern taken out, and how far each day strays from it
+        const levelWindow = [];
+        for (let day = levelFrom; day <= levelTo; day++) levelWindow.push(day);
+        const level = mean(levelWindow.map(day => valueAt(day) / weekdayFactors[getWeekday(day)]));
+        const residuals = level > 0
+            ? levelWindow.map(day => (valueAt(day) - level * weekdayFactors[getWeekday(day)]) / level)
+            : [];
+        const dailyRelativeSd = standardDeviation(residuals);
+        const levelRelativeSd = dailyRelativeSd / Math.sqrt(Math.max(1, levelWindow.length));
+
+        // Seasonal shape averaged across the prior years that have enough history
+        const yearlyRatios = [];
+        for (let years = 1; years <= settings.HISTORY_YEARS; years++) {
+            const ratios = getSeasonalRatios(valueAt, firstDay, forecastDays, levelFrom, levelTo, years, settings.SEASONAL_WINDOW_DAYS);
+            if (ratios) yearlyRatios.push(ratios);
+        }
+        const seasonal = forecastDays.map((day, index) => yearlyRatios.length > 0
+            ? mean(yearlyRatios.map(ratios => ratios[index]))
+            : 1);
+
+        // Year-to-year spread of the remaining-period total, relative to the average year
+        let seasonalRelativeSd = NO_HISTORY_SEASONAL_UNCERTAINTY;
+        if (yearlyRatios.length >= 2) {
+            const yearTotals = yearlyRatios.map(ratios => ratios.reduce((sum, ratio) => sum + ratio, 0));
+            const averageTotal = mean(yearTotals);
+            // Two or three years say little about the spread; never go below the single-year allowance
+            seasonalRelativeSd = Math.max(NO_HISTORY_SEASONAL_UNCERTAINTY / 2,
+                averageTotal > 0 ? standardDeviation(yearTotals) / averageTotal : 0);
+        } else if (yearlyRatios.length === 1) {
+            seasonalRelativeSd = NO_HISTORY_SEASONAL_UNCERTAINTY / 2;
+        }
+
+        return {
+            days: forecastDays.map((day, index) => {
+                const expected = level * seasonal[index] * weekdayFactors[getWeekday(day)];
+                const scale = level * seasonal[index];
+                return { day, expected, noiseSd: dailyRelativeSd * scale, scale };
+            }),
+            residuals,
+            seasonalYears: yearlyRatios.length,
+            relativeSd: Math.sqrt(levelRelativeSd ** 2 + seasonalRelativeSd ** 2)
+        };
+    }
+
+    /**
+     * Expected value and interval for a set of forecast days: day-to-day noise is independent,
+     * level and seasonal uncertainty move all days together
+     * @param {Array} days - [{ expected, noiseSd, relativeSd }]
+     * @param {number} confidence - 0.8, 0.9, 0.95 or 0.99
+     * @returns {{ expected: number, lower: number, upper: number }}
+     */
+    function summarizeForecastDays(days = [], confidence) {
+        const expected = days.reduce((sum, day) => sum + day.expected, 0);
+        const noiseVariance = days.reduce((sum, day) => sum + day.noiseSd ** 2, 0);
+        const sharedSd = days.reduce((sum, day) => sum + day.expected * (day.relativeSd || 0), 0);
+        const margin = getZScore(confidence ?? getForecastSettings().CONFIDENCE) * Math.sqrt(noiseVariance + sharedSd ** 2);
+        return {
+            expected,
+            lower: Math.max(0, expected - margin),
+            upper: expected + margin
+        };
+    }
+
+    // ==================== PUBLIC API ====================
+
+    /**
+     * Date range of daily history a forecast needs, or null when the period is already over
+     * @param {string} periodStart - YYYY-MM-DD
+     * @param {string} periodEnd - YYYY-MM-DD
+     * @param {string} today - YYYY-MM-DD in DATES.TIMEZONE
+     * @returns {{ start: string, end: string } | null}
+     */
+    function getForecastHistoryRange(periodStart, periodEnd, today) {
+        if (!periodStart || !periodEnd || !today || periodEnd < today) return null;
+        const settings = getForecastSettings();
+        const anchor = toDayNumber(periodStart < today ? periodStart : today);
+        const start = shiftYears(anchor, settings.HISTORY_YEARS) - settings.LEVEL_WINDOW_DAYS - settings.SEASONAL_WINDOW_DAYS;
+        return {
+            start: fromDayNumber(start),
+            end: periodEnd < today ? periodEnd : today
+        };
+    }
+
+    /**
+     * Period-end revenue forecast, total and per channel
+     * @param {Object} options
+     * @param {Array} options.rows - Daily history [{ date, channel, revenue }], up to today
+     * @param {string} options.periodStart - YYYY-MM-DD
+     * @param {string} options.periodEnd - YYYY-MM-DD
+     * @param {string} options.today - YYYY-MM-DD in DATES.TIMEZONE
+     * @param {Object} options.actuals - Revenue to date by channel; defaults to the history rows inside the period
+     * @returns {Object|null} { total, channels, days, forecastStart, confidence, seasonalYears }
+     */
+    function buildForecast({ rows = [], periodStart, periodEnd, today, actuals } = {}) {
+        if (!periodStart || !periodEnd || !today || periodEnd < today) return null;
+        const settings = getForecastSettings();
+
+        const byChannel = {};
+        const totalByDay = {};
+        let firstDay = Infinity;
+        let lastDataDay = -Infinity;
+        rows.forEach(row => {
+            if (!row.date || !row.channel) return;
+            const day = toDayNumber(row.date);
+            const revenue = parseFloat(row.revenue) || 0;
+            byChannel[row.channel] = byChannel[row.channel] || {};
+            byChannel[row.channel][day] = (byChannel[row.channel][day] || 0) + revenue;
+            totalByDay[day] = (totalByDay[day] || 0) + revenue;
+            firstDay = Math.min(firstDay, day);
+            lastDataDay = Math.max(lastDataDay, day);
+        });
+
+        // Days after the last loaded day (or after today) are forecast; a lag in uploads widens the forecast
+        const todayDay = toDayNumber(today);
+        const periodStartDay = toDayNumber(periodStart);
+        const periodEndDay = toDayNumber(periodEnd);
+        const lastActualDay = Number.isFinite(lastDataDay) ? Math.min(lastDataDay, todayDay) : todayDay;
+        const forecastFrom = Math.max(periodStartDay, lastActualDay + 1);
+
+        const actualsByChannel = actuals || {};
+        if (!actuals) {
+            Object.entries(byChannel).forEach(([channel, values]) => {
+                actualsByChannel[channel] = Object.entries(values)
+                    .filter(([day]) => day >= periodStartDay && day <= lastActualDay)
+                    .reduce((sum, [, revenue]) => sum + revenue, 0);
+            });
+        }
+
+        const confidence = settings.CONFIDENCE;
+        const channels = {};
+        const days = [];
+        let seasonalYears = 0;
+
+        // Channels forecast separately; the total's interval comes from the total series, which keeps
+        // correlation between channels
+        Object.keys({ ...byChannel, ...actualsByChannel }).forEach(channel => {
+            const actual = actualsByChannel[channel] || 0;
+            const series = byChannel[channel] && Number.isFinite(firstDay)
+                ? forecastSeries(byChannel[channel], firstDay, lastActualDay, forecastFrom, periodEndDay, settings)
+                : { days: [], residuals: [], relativeSd: 0, seasonalYears: 0 };
+            const remaining = summarizeForecastDays(series.days.map(day => ({ ...day, relativeSd: series.relativeSd })), confidence);
+            channels[channel] = {
+                actual,
+                remaining: remaining.expected,
+                expected: actual + remaining.expected,
+                lower: actual + remaining.lower,
+                upper: actual + remaining.upper,
+                // Day-level model, for simulations that resample the channel's own daily deviations
+                model: {
+                    expected: series.days.map(day => day.expected),
+                    scale: series.days.map(day => day.scale),
+                    residuals: series.residuals,
+                    relativeSd: series.relativeSd
+                }
+            };
+        });
+
+        const totalSeries = Number.isFinite(firstDay)
+            ? forecastSeries(totalByDay, firstDay, lastActualDay, forecastFrom, periodEndDay, settings)
+            : { days: [], residuals: [], relativeSd: 0, seasonalYears: 0 };
+        seasonalYears = totalSeries.seasonalYears;
+
+        // Day-level forecast for charts, scaled so the days add up to the channel forecasts
+        const channelRemaining = Object.values(channels).reduce((sum, channel) => sum + channel.remaining, 0);
+        const totalRemaining = totalSeries.days.reduce((sum, day) => sum + day.expected, 0);
+        const scale = totalRemaining > 0 ? channelRemaining / totalRemaining : 0;
+        totalSeries.days.forEach(day => {
+            days.push({
+                date: fromDayNumber(day.day),
+                expected: day.expected * scale,
+                noiseSd: day.noiseSd * scale,
+                relativeSd: totalSeries.relativeSd
+            });
+        });
+
+        const actual = Object.values(channels).reduce((sum, channel) => sum + channel.actual, 0);
+        const remaining = summarizeForecastDays(days, confidence);
+
+        return {
+            total: {
+                actual,
+                remaining: remaining.expected,
+                expected: actual + remaining.expected,
+                lower: actual + remaining.lower,
+                upper: actual + remaining.upper
+            },
+            channels,
+            days,
+            forecastStart: fromDayNumber(forecastFrom),
+            confidence,
+            seasonalYears
+        };
+    }
+
+    // Make available globally
+    window.forecasting = {
+        getForecastSettings,
+        getForecastHistoryRange,
+        buildForecast,
+        summarizeForecastDays
+    };
+
+    // Also add to ChaiVision namespace
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.forecasting = window.forecasting;
+})();
@@ -83,7 +83,8 @@
                 });
                 
             case 'iso':
-                return d.toISOString().split('T')[0];
+                // Calendar day in DATES.TIMEZONE rather than UTC
+                return window.dateUtils?.normalizeDateKey ? window.dateUtils.normalizeDateKey(date) : d.toISOString().split('T')[0];
                 
             case 'display':
             default:
@@ -0,0 +1,130 @@
+/**
+ * Chai Vision Dashboard - KPI Level Utilities
+ * KPI threshold and optional extra tiers, as % of the full (100%) target, per fiscal year and brand.
+ * Stored next to the targets: targets[year].kpiLevels[brand] = { threshold: 85, tiers: [90, 100, 110] }
+ * Brands without an entry use CONFIG.KPI.DEFAULT_THRESHOLD / DEFAULT_TIERS.
+ */
+
+(function () {
+    'use strict';
+
+    const FALLBACK_THRESHOLD = 85;
+
+    function getDefaultKpiLevels() {
+        // CONFIG loads after the utils; read it at call time
+        const config = window.CONFIG || window.ChaiVision?.CONFIG || {};
+        return normalizeKpiLevels({
+            threshold: config.KPI?.DEFAULT_THRESHOLD ?? FALLBACK_THRESHOLD,
+            tiers: config.KPI?.DEFAULT_TIERS || []
+        }, FALLBACK_THRESHOLD);
+    }
+
+    /**
+     * Clean up a { threshold, tiers } entry: numeric threshold, tiers sorted and de-duplicated
+     * (the threshold itself is never repeated as a tier)
+     */
+    function normalizeKpiLevels(levels = {}, fallbackThreshold) {
+        const parsedThreshold = parseFloat(levels?.threshold);
+        const threshold = parsedThreshold > 0
+            ? parsedThreshold
+            : (fallbackThreshold ?? getDefaultKpiLevels().threshold);
+
+        const tiers = [...new Set((levels?.tiers || [])
+            .map(tier => parseFloat(tier))
+            .filter(tier => tier > 0 && tier !== threshold))]
+            .sort((a, b) => a - b);
+
+        return { threshold, tiers };
+    }
+
+    /**
+     * KPI levels for a brand in a fiscal year
+     * @param {Object} targets - Nested targets ({ [year]: { brands, kpiLevels } })
+     * @returns {{ threshold: number, tiers: number[] }}
+     */
+    function getKpiLevels(targets, year, brand) {
+        const saved = targets?.[String(year)]?.kpiLevels?.[brand];
+        return saved ? normalizeKpiLevels(saved) : getDefaultKpiLevels();
+    }
+
+    /**
+     * Tiers shown for a selection spanning several brands/years: the union of their tiers
+     * @param {Array} levelsList - [{ threshold, tiers }]
+     * @returns {number[]} Sorted tier percentages
+     */
+    function combineKpiTiers(levelsList = []) {
+        const tiers = new Set();
+        levelsList.forEach(levels => (levels?.tiers || []).forEach(tier => tiers.add(tier)));
+        return [...tiers].sort((a, b) => a - b);
+    }
+
+    /**
+     * Parse a tier list typed as text, e.g. '90, 100%, 110' -> [90, 100, 110]
+     */
+    function parseKpiTiers(text) {
+        return String(text || '')
+            .split(/[,;\s]+/)
+            .map(part => parseFloat(part.replace('%', '')))
+            .filter(value => !isNaN(value));
+    }
+
+    /**
+     * Validate KPI levels before saving
+     * @returns {{ isValid: boolean, errors: string[] }}
+     */
+    function validateKpiLevels(levels = {}) {
+        const errors = [];
+        const threshold = parseFloat(levels.threshold);
+
+        if (isNaN(threshold) || threshold <= 0 || threshold > 100) {
+            errors.push('KPI threshold must be between 1% and 100% of the full target');
+        }
+
+        (levels.tiers || []).forEach(tier => {
+            const value = parseFloat(tier);
+            if (isNaN(value) || value <= 0 || value > 300) {
+                errors.push(`Invalid tier: ${tier}. Tiers must be between 1% and 300%`);
+            }
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Color band for achievement against the KPI target (in %):
+     * success once the KPI target is met, warning from the threshold share of it
+     * @returns {string} 'success' | 'warning' | 'danger'
+     */
+    function getAchievementStatus(kpiAchievement, threshold) {
+        if (kpiAchievement >= 100) return 'success';
+        if (kpiAchievement >= (threshold ?? getDefaultKpiLevels().threshold)) return 'warning';
+        return 'danger';
+    }
+
+    /**
+     * '85%' or '86.4%' (blended thresholds across brands are rarely whole numbers)
+     */
+    function formatKpiLevel(percent) {
+        const value = Number(percent) || 0;
+        return Number.isInteger(value) ? `${value}%` : `${value.toFixed(1)}%`;
+    }
+
+    // Make available globally
+    window.kpiLevels = {
+        getDefaultKpiLevels,
+        normalizeKpiLevels,
+        getKpiLevels,
+        combineKpiTiers,
+        parseKpiTiers,
+        validateKpiLevels,
+        getAchievementStatus,
+        formatKpiLevel
+    };
+
+    // Also add to ChaiVision namespace
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.kpiLevels = window.kpiLevels;
+})();
@@ -117,14 +117,17 @@
      * @param {Object} params - Route parameters
      * @param {string} params.channel - Channel name (required)
      * @param {string} params.brand - Brand name (optional)
-     * @param {string} params.view - 'annual'|'quarterly'|'monthly'
+     * @param {string} params.view - 'annual'|'quarterly'|'monthly'|'weekly'|'custom'
      * @param {string} params.period - 'Q1'|'Q2'|'Q3'|'Q4' (for quarterly)
      * @param {string} params.year - Year (YYYY)
      * @param {number} params.month - Month (1-12, for monthly)
+     * @param {number} params.week - ISO week (1-53, for weekly; year is the ISO week-year)
+     * @param {string} params.start - First day YYYY-MM-DD (for custom)
+     * @param {string} params.end - Last day YYYY-MM-DD (for custom)
      * @returns {string} Route URL
      */
     function buildSKUPerformanceRoute(params) {
-        const { channel, brand, view, period, year, month } = params;
+        const { channel, brand, view, period, year, month, week, start, end } = params;
         
         if (!channel) {
             console.error('Channel is required for SKU performance route');
@@ -141,6 +144,9 @@
         if (period) url.searchParams.set('period', period);
         if (year) url.searchParams.set('year', year);
         if (month) url.searchParams.set('month', month.toString());
+        if (week) url.searchParams.set('week', week.toString());
+        if (start) url.searchParams.set('start', start);
+        if (end) url.searchParams.set('end', end);
         
         return url.toString();
     }
@@ -157,7 +163,10 @@
             view: url.searchParams.get('view') || 'quarterly',
             period: url.searchParams.get('period') || null,
             year: url.searchParams.get('year') || new Date().getFullYear().toString(),
-            month: url.searchParams.get('month') ? parseInt(url.searchParams.get('month')) : null
+            month: url.searchParams.get('month') ? parseInt(url.searchParams.get('month')) : null,
+            week: url.searchParams.get('week') ? parseInt(url.searchParams.get('week')) : null,
+            start: url.searchParams.get('start') || null,
+            end: url.searchParams.get('end') || null
         };
     }
     
@@ -0,0 +1,149 @@
+/**
+ * Chai Vision Dashboard - Top-Down Target Allocation
+ * Splits one company annual target across brands and channels in proportion to last year's actual
+ * mix, adjusted by per-brand and per-channel growth assumptions. Cells typed in by hand are locked and
+ * the rest of the company target is rebalanced over the unlocked cells.
+ *   mix:       { [brand]: { [channel]: last year's revenue } }
+ *   overrides: { 'brand|channel': locked value }
+ */
+
+(function () {
+    'use strict';
+
+    const cellKey = (brand, channel) => `${brand}|${channel}`;
+
+    // Tolerance for the allocated total matching the company target (whole dollars are allocated)
+    const TOLERANCE = 1;
+
+    const toNumber = (value) => {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : 0;
+    };
+
+    /**
+     * Last year's revenue of a brand and channel; sales channel names may differ in case from the configured ones
+     */
+    function getActual(mix, brand, channel) {
+        const brandMix = mix?.[brand] || {};
+        if (brandMix[channel] !== undefined) return toNumber(brandMix[channel]);
+        const match = Object.keys(brandMix).find(name => name.toLowerCase() === String(channel).toLowerCase());
+        return match ? toNumber(brandMix[match]) : 0;
+    }
+
+    /**
+     * Totals of last year's mix by brand, by channel and overall
+     */
+    function summarizeMix(mix, brands = [], channels = []) {
+        const brandTotals = {};
+        const channelTotals = {};
+        let total = 0;
+
+        brands.forEach(brand => {
+            brandTotals[brand] = 0;
+            channels.forEach(channel => {
+                const actual = getActual(mix, brand, channel);
+                brandTotals[brand] += actual;
+                channelTotals[channel] = (channelTotals[channel] || 0) + actual;
+                total += actual;
+            });
+        });
+
+        return { brandTotals, channelTotals, total };
+    }
+
+    /**
+     * Allocate the company target
+     * @param {Object} options - { total, mix, brands, channels, brandGrowth: { [brand]: % }, channelGrowth: { [channel]: % }, overrides }
+     * @returns {Object} { values: { [brand]: { [channel]: n } }, brandTotals, channelTotals, allocated,
+     *                     lockedTotal, remaining, overAllocated, underAllocated, noHistory }
+     *                     underAllocated: every cell is locked and the locks fall short of the company target
+     */
+    function allocateTargets({ total, mix = {}, brands = [], channels = [], brandGrowth = {}, channelGrowth = {}, overrides = {} } = {}) {
+        const companyTarget = Math.max(0, toNumber(total));
+
+        // Weight of each cell: last year's revenue grown by the brand and channel assumptions
+        const weights = {};
+        let weightTotal = 0;
+        brands.forEach(brand => {
+            channels.forEach(channel => {
+                const growth = (1 + toNumber(brandGrowth[brand]) / 100) * (1 + toNumber(channelGrowth[channel]) / 100);
+                const weight = Math.max(0, getActual(mix, brand, channel) * growth);
+                weights[cellKey(brand, channel)] = weight;
+                weightTotal += weight;
+            });
+        });
+
+        // Without any history every cell gets an even share
+        const noHistory = weightTotal <= 0;
+        const cellWeight = (key) => noHistory ? 1 : weights[key];
+
+        const lockedKeys = Object.keys(overrides).filter(key => key in weights);
+        const lockedTotal = lockedKeys.reduce((sum, key) => sum + Math.max(0, toNumber(overrides[key])), 0);
+        const openKeys = Object.keys(weights).filter(key => !lockedKeys.includes(key));
+        const remaining = companyTarget - lockedTotal;
+
+        // Spread what is left over the unlocked cells in whole dollars; rounding goes to the largest cell
+        const openWeight = openKeys.reduce((sum, key) => sum + cellWeight(key), 0);
+        const amounts = {};
+        openKeys.forEach(key => {
+            const share = openWeight > 0 ? cellWeight(key) / openWeight : 1 / openKeys.length;
+            amounts[key] = Math.round(Math.max(0, remaining) * share);
+        });
+        if (openKeys.length > 0 && remaining > 0) {
+            const largest = openKeys.reduce((best, key) => amounts[key] > amounts[best] ? key : best, openKeys[0]);
+            amounts[largest] += Math.round(remaining) - openKeys.reduce((sum, key) => sum + amounts[key], 0);
+        }
+        lockedKeys.forEach(key => {
+            amounts[key] = Math.max(0, toNumber(overrides[key]));
+        });
+
+        const values = {};
+        const brandTotals = {};
+        const channelTotals = {};
+        let allocated = 0;
+        brands.forEach(brand => {
+            values[brand] = {};
+            brandTotals[brand] = 0;
+            channels.forEach(channel => {
+                const value = amounts[cellKey(brand, channel)] || 0;
+                values[brand][channel] = value;
+                brandTotals[brand] += value;
+                channelTotals[channel] = (channelTotals[channel] || 0) + value;
+                allocated += value;
+            });
+        });
+
+        return {
+            values,
+            brandTotals,
+            channelTotals,
+            allocated,
+            lockedTotal,
+            remaining,
+            overAllocated: allocated - companyTarget > TOLERANCE,
+            underAllocated: companyTarget - allocated > TOLERANCE,
+            noHistory
+        };
+    }
+
+    /**
+     * Growth of a target over last year's actual as a percentage, or null without history
+     */
+    function getImpliedGrowth(target, actual) {
+        const base = toNumber(actual);
+        return base > 0 ? (toNumber(target) / base - 1) * 100 : null;
+    }
+
+    // Make available globally
+    window.targetAllocation = {
+        cellKey,
+        getActual,
+        summarizeMix,
+        allocateTargets,
+        getImpliedGrowth
+    };
+
+    // Also add to ChaiVision namespace
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.targetAllocation = window.targetAllocation;
+})();
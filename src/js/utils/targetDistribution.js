@@ -0,0 +1,194 @@
+/**
+ * Chai Vision Dashboard - Target Distribution Profiles
+ * Named splits of an annual target across the fiscal quarters (and optionally the fiscal months), used by
+ * Settings when auto-calculating quarterly and monthly targets.
+ *   Built-in profiles come from CONFIG.TARGET_DISTRIBUTION.PROFILES, user-defined ones from the
+ *   distribution_profiles table: { name, quarters: [Q1..Q4 %], months: [12 % in fiscal order] | null }
+ *   'Prior-year actuals' is derived per brand from its sales mix in the previous fiscal year.
+ * Assignments are stored next to the targets: targets[year].distribution[brand] = profile name
+ */
+
+(function () {
+    'use strict';
+
+    const PRIOR_YEAR_PROFILE = 'Prior-year actuals';
+
+    const FALLBACK_PROFILES = [
+        { name: 'Standard', quarters: [18.2, 18.2, 27.3, 36.3] }
+    ];
+
+    function getDistributionConfig() {
+        // CONFIG loads after the utils; read it at call time
+        const config = window.CONFIG || window.ChaiVision?.CONFIG || {};
+        return config.TARGET_DISTRIBUTION || {};
+    }
+
+    const round = (value) => Math.round(value * 10) / 10;
+
+    /**
+     * Scale shares to add up to 100; null when there is nothing to scale
+     */
+    function toPercentages(values, length) {
+        if (!Array.isArray(values) || values.length !== length) return null;
+        const numbers = values.map(value => Math.max(0, parseFloat(value) || 0));
+        const total = numbers.reduce((sum, value) => sum + value, 0);
+        return total > 0 ? numbers.map(value => value * 100 / total) : null;
+    }
+
+    /**
+     * Clean up a profile: quarter shares scaled to 100%, month shares kept only when all 12 are given
+     */
+    function normalizeProfile(profile = {}) {
+        return {
+            name: String(profile.name || '').trim(),
+            quarters: toPercentages(profile.quarters, 4) || [25, 25, 25, 25],
+            months: toPercentages(profile.months, 12)
+        };
+    }
+
+    function getBuiltInProfiles() {
+        const profiles = getDistributionConfig().PROFILES || FALLBACK_PROFILES;
+        return profiles.map(profile => ({ ...normalizeProfile(profile), builtIn: true }));
+    }
+
+    /**
+     * Built-in and saved profiles by name (saved ones win on a name clash), plus the prior-year option
+     * @param {Array} savedProfiles - Profiles from the distribution_profiles table
+     * @returns {Array} [{ value, label }] for a profile picker
+     */
+    function getProfileOptions(savedProfiles = []) {
+        const names = [...new Set([...getBuiltInProfiles(), ...savedProfiles].map(profile => profile.name))];
+        return [
+            ...names.map(name => ({ value: name, label: name })),
+            { value: PRIOR_YEAR_PROFILE, label: `${PRIOR_YEAR_PROFILE} (per brand)` }
+        ];
+    }
+
+    function findProfile(name, savedProfiles = []) {
+        return savedProfiles.find(profile => profile.name === name)
+            || getBuiltInProfiles().find(profile => profile.name === name)
+            || null;
+    }
+
+    /**
+     * Profile a brand uses in a fiscal year: its assignment, else CONFIG.TARGET_DISTRIBUTION.BRAND_DEFAULTS,
+     * else the default profile
+     * @param {Object} targets - Nested targets ({ [year]: { brands, distribution } })
+     * @returns {string} Profile name
+     */
+    function getAssignedProfileName(targets, year, brand) {
+        const assigned = targets?.[String(year)]?.distribution?.[brand];
+        if (assigned) return assigned;
+
+        const config = getDistributionConfig();
+        const brandDefault = Object.entries(config.BRAND_DEFAULTS || {})
+            .find(([name]) => name.toLowerCase() === String(brand || '').toLowerCase());
+        return brandDefault ? brandDefault[1] : (config.DEFAULT_PROFILE || FALLBACK_PROFILES[0].name);
+    }
+
+    /**
+     * Quarter and month mix of a brand's sales, as a profile
+     * @param {Array} rows - Daily { date, revenue } rows of one fiscal year
+     * @returns {Object|null} Profile, or null when there were no sales
+     */
+    function deriveProfileFromSales(rows = [], name = PRIOR_YEAR_PROFILE) {
+        const { getFiscalPeriod, getMonthOptions } = window.dateUtils || {};
+        if (!getFiscalPeriod) return null;
+
+        const quarters = [0, 0, 0, 0];
+        const byMonth = {};
+        rows.forEach(row => {
+            if (!row.date) return;
+            const revenue = parseFloat(row.revenue) || 0;
+            const period = getFiscalPeriod(String(row.date).slice(0, 10));
+            quarters[parseInt(period.quarter.replace('Q', '')) - 1] += revenue;
+            byMonth[period.month] = (byMonth[period.month] || 0) + revenue;
+        });
+
+        if (quarters.every(value => value <= 0)) return null;
+        const months = getMonthOptions ? getMonthOptions().map(option => byMonth[option.value] || 0) : null;
+        const profile = normalizeProfile({ name, quarters, months });
+        return {
+            ...profile,
+            quarters: profile.quarters.map(round),
+            months: profile.months ? profile.months.map(round) : null
+        };
+    }
+
+    /**
+     * Annual channel targets split into quarters by the profile
+     * @returns {Object} { Q1: { [channel]: n }, ..., Q4 }
+     */
+    function distributeAnnual(profile, annualTargets = {}, channels = []) {
+        const shares = normalizeProfile(profile).quarters;
+        const quarterlyTargets = { Q1: {}, Q2: {}, Q3: {}, Q4: {} };
+
+        channels.forEach(channel => {
+            const annualValue = parseFloat(annualTargets[channel]) || 0;
+            ['Q1', 'Q2', 'Q3', 'Q4'].forEach((quarter, index) => {
+                quarterlyTargets[quarter][channel] = annualValue * shares[index] / 100;
+            });
+        });
+
+        return quarterlyTargets;
+    }
+
+    /**
+     * Relative weights of the three months of a fiscal quarter, or null when the profile has no month shares
+     */
+    function getQuarterMonthWeights(profile, quarter) {
+        const months = normalizeProfile(profile).months;
+        if (!months) return null;
+        const first = (parseInt(String(quarter).replace('Q', '')) - 1) * 3;
+        return months.slice(first, first + 3);
+    }
+
+    /**
+     * Validate a user-defined profile before saving
+     * @returns {{ isValid: boolean, errors: string[] }}
+     */
+    function validateProfile(profile = {}, savedProfiles = []) {
+        const errors = [];
+        const name = String(profile.name || '').trim();
+        if (!name) {
+            errors.push('Profile name is required');
+        } else if (name === PRIOR_YEAR_PROFILE || getBuiltInProfiles().some(builtIn => builtIn.name === name)) {
+            errors.push(`"${name}" is a built-in profile`);
+        } else if (savedProfiles.some(saved => saved.name === name && saved !== profile)) {
+            errors.push(`A profile named "${name}" already exists`);
+        }
+
+        const quarters = (profile.quarters || []).map(value => parseFloat(value));
+        if (quarters.length !== 4 || quarters.some(value => isNaN(value) || value < 0)) {
+            errors.push('Enter a share of 0% or more for each quarter');
+        } else {
+            const total = quarters.reduce((sum, value) => sum + value, 0);
+            if (Math.abs(total - 100) > 0.5) {
+                errors.push(`Quarter shares add up to ${round(total)}%, they must add up to 100%`);
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    // Make available globally
+    window.targetDistribution = {
+        PRIOR_YEAR_PROFILE,
+        normalizeProfile,
+        getBuiltInProfiles,
+        getProfileOptions,
+        findProfile,
+        getAssignedProfileName,
+        deriveProfileFromSales,
+        distributeAnnual,
+        getQuarterMonthWeights,
+        validateProfile
+    };
+
+    // Also add to ChaiVision namespace
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.targetDistribution = window.targetDistribution;
+})();
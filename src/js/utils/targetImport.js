@@ -0,0 +1,278 @@
+/**
+ * Chai Vision Dashboard - Target Import / Export
+ * Targets as a flat sheet, one row per fiscal year, brand and channel:
+ *   Year | Brand | Channel | Annual | Q1 | Q2 | Q3 | Q4 | Jan..Dec (optional, in fiscal order)
+ * Month columns are written when any exported brand has monthly targets; a month may also be headed
+ * by its full name or its period key (M7). Imported rows replace those cells in the nested targets;
+ * channels a file leaves out keep their current values.
+ */
+
+(function () {
+    'use strict';
+
+    const QUARTERS = ['Q1', 'Q2', 'Q3', 'Q4'];
+
+    // Header and name matching ignores case, spaces and punctuation
+    const normalizeName = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+    // Spreadsheet cells may hold numbers or text such as "$1,250,000"
+    const parseAmount = (value) => {
+        if (value === null || value === undefined || String(value).trim() === '') return 0;
+        if (typeof value === 'number') return value;
+        return parseFloat(String(value).replace(/[$,\s]/g, ''));
+    };
+
+    /**
+     * Month columns in fiscal order: { period: 'M7', label: 'Jul', names: [...accepted headers] }
+     */
+    function getMonthColumns() {
+        const { getMonthOptions } = window.dateUtils || {};
+        const { getMonthPeriod } = window.targetPhasing || {};
+        const options = getMonthOptions ? getMonthOptions() : [];
+        return options.map(option => {
+            const name = option.label.split(' ')[0];
+            const period = getMonthPeriod ? getMonthPeriod(option.value) : `M${option.value}`;
+            return {
+                period,
+                label: name.slice(0, 3),
+                names: [name, name.slice(0, 3), period].map(normalizeName)
+            };
+        });
+    }
+
+    function getColumns(includeMonths = false) {
+        return ['Year', 'Brand', 'Channel', 'Annual', ...QUARTERS,
+            ...(includeMonths ? getMonthColumns().map(column => column.label) : [])];
+    }
+
+    /**
+     * Nested targets as sheet rows
+     * @param {Object} targets - { [year]: { brands: { [brand]: { annual, Q1..Q4, M1..M12? } } } }
+     * @returns {{ columns: string[], rows: Object[] }}
+     */
+    function buildTargetRows(targets = {}, { years, brands = [], channels = [] } = {}) {
+        const { hasMonthlyTargets } = window.targetPhasing || {};
+        const exportYears = (years || Object.keys(targets)).filter(year => targets[year]?.brands).sort();
+        const includeMonths = Boolean(hasMonthlyTargets) && exportYears.some(year =>
+            brands.some(brand => hasMonthlyTargets(targets[year].brands[brand])));
+        const monthColumns = includeMonths ? getMonthColumns() : [];
+
+        const rows = [];
+        exportYears.forEach(year => {
+            brands.forEach(brand => {
+                const brandTargets = targets[year].brands[brand];
+                if (!brandTargets) return;
+                channels.forEach(channel => {
+                    const row = { Year: year, Brand: brand, Channel: channel, Annual: brandTargets.annual?.[channel] || 0 };
+                    QUARTERS.forEach(quarter => {
+                        row[quarter] = brandTargets[quarter]?.[channel] || 0;
+                    });
+                    monthColumns.forEach(column => {
+                        row[column.label] = brandTargets[column.period]?.[channel] ?? '';
+                    });
+                    rows.push(row);
+                });
+            });
+        });
+
+        return { columns: getColumns(includeMonths), rows };
+    }
+
+    /**
+     * Read a .csv, .xlsx or .xls file into row objects keyed by its header row
+     * @returns {Promise<Object[]>}
+     */
+    function parseTargetFile(file) {
+        return new Promise((resolve, reject) => {
+            const name = String(file?.name || '').toLowerCase();
+
+            if (name.endsWith('.csv')) {
+                Papa.parse(file, {
+                    header: true,
+                    skipEmptyLines: true,
+                    complete: (results) => {
+                        if (results.errors && results.errors.length > 0) {
+                            reject(new Error(results.errors.map(e => `Row ${e.row}: ${e.message}`).join('. ')));
+                            return;
+                        }
+                        resolve(results.data || []);
+                    },
+                    error: reject
+                });
+            } else if (name.endsWith('.xlsx') || name.endsWith('.xls')) {
+                const reader = new FileReader();
+                reader.onload = (e) => {
+                    try {
+                        const workbook = XLSX.read(e.target.result, { type: 'array' });
+                        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+                        resolve(XLSX.utils.sheet_to_json(sheet, { defval: '' }));
+                    } catch (error) {
+                        reject(error);
+                    }
+                };
+                reader.onerror = () => reject(reader.error);
+                reader.readAsArrayBuffer(file);
+            } else {
+                reject(new Error('Choose a .csv, .xlsx or .xls file'));
+            }
+        });
+    }
+
+    /**
+     * Apply imported rows to the nested targets and validate every brand they touch
+     * @param {Object[]} rows - Rows from parseTargetFile
+     * @param {Object} options - { targets, brands, channels } (the brands and channels rows may name)
+     * @returns {{ targets: Object, imported: Array, changes: Array, errors: string[] }}
+     *   imported = [{ year, brand }], changes = [{ year, brand, period, channel, before, after }]
+     */
+    function readTargetRows(rows = [], { targets = {}, brands = [], channels = [] } = {}) {
+        const { hasMonthlyTargets, validateMonthlyTargets } = window.targetPhasing || {};
+        const { validateTargets } = window.validators || {};
+        const { diffTargets } = window.targetRevisions || {};
+        const brandByKey = Object.fromEntries(brands.map(brand => [normalizeName(brand), brand]));
+        const channelByKey = Object.fromEntries(channels.map(channel => [normalizeName(channel), channel]));
+        const errors = [];
+
+        // Map the file's headers onto periods
+        const headers = Object.keys(rows[0] || {});
+        const headerFor = (names) => headers.find(header => names.includes(normalizeName(header)));
+        const yearHeader = headerFor(['year', 'fiscalyear', 'fy']);
+        const brandHeader = headerFor(['brand']);
+        const channelHeader = headerFor(['channel']);
+        const periodHeaders = [
+            { period: 'annual', header: headerFor(['annual', 'annualtarget']) },
+            ...QUARTERS.map(quarter => ({ period: quarter, header: headerFor([normalizeName(quarter)]) })),
+            ...getMonthColumns().map(column => ({ period: column.period, header: headerFor(column.names), month: true }))
+        ].filter(column => column.header);
+
+        if (rows.length === 0) errors.push('The file has no rows');
+        if (rows.length > 0 && (!yearHeader || !brandHeader || !channelHeader)) {
+            errors.push(`The file needs ${getColumns().slice(0, 3).join(', ')} columns`);
+        }
+        if (rows.length > 0 && !periodHeaders.some(column => column.period === 'annual')) {
+            errors.push('The file needs an Annual column');
+        }
+        if (errors.length > 0) {
+            return { targets, imported: [], changes: [], errors };
+        }
+
+        const updated = { ...targets };
+        const seen = new Set();
+        const imported = [];
+
+        rows.forEach((row, index) => {
+            const line = index + 2; // header is row 1
+            const yearMatch = String(row[yearHeader] ?? '').match(/\d{4}/);
+            const brand = brandByKey[normalizeName(row[brandHeader])];
+            const channel = channelByKey[normalizeName(row[channelHeader])];
+
+            if (!yearMatch) {
+                errors.push(`Row ${line}: invalid year "${row[yearHeader]}"`);
+                return;
+            }
+            if (!brand) {
+                errors.push(`Row ${line}: unknown brand "${row[brandHeader]}"`);
+                return;
+            }
+            if (!channel) {
+                errors.push(`Row ${line}: unknown channel "${row[channelHeader]}"`);
+                return;
+            }
+
+            const year = yearMatch[0];
+            const key = `${year}|${brand}|${channel}`;
+            if (seen.has(key)) {
+                errors.push(`Row ${line}: ${brand} ${channel} appears more than once for ${year}`);
+                return;
+            }
+            seen.add(key);
+
+            updated[year] = { brands: {}, ...(updated[year] || {}) };
+            if (!imported.some(entry => entry.year === year && entry.brand === brand)) {
+                imported.push({ year, brand });
+                updated[year] = {
+                    ...updated[year],
+                    brands: { ...updated[year].brands, [brand]: { ...(updated[year].brands[brand] || {}) } }
+                };
+            }
+            const brandTargets = updated[year].brands[brand];
+
+            periodHeaders.forEach(({ period, header, month }) => {
+                // Blank month cells leave the channel's months as they are
+                if (month && String(row[header] ?? '').trim() === '') return;
+                const amount = parseAmount(row[header]);
+                if (isNaN(amount)) {
+                    errors.push(`Row ${line}: ${header} "${row[header]}" is not a number`);
+                    return;
+                }
+                brandTargets[period] = { ...(brandTargets[period] || {}), [channel]: amount };
+            });
+        });
+
+        // Every channel of an imported brand needs each period the validator checks
+        imported.forEach(({ year, brand }) => {
+            const brandTargets = updated[year].brands[brand];
+            ['annual', ...QUARTERS].forEach(period => {
+                brandTargets[period] = {
+                    ...Object.fromEntries(channels.map(channel => [channel, 0])),
+                    ...(brandTargets[period] || {})
+                };
+            });
+
+            const prefix = `${year} ${brand}`;
+            if (validateTargets) {
+                validateTargets(brandTargets, channels).errors.forEach(error => errors.push(`${prefix}: ${error}`));
+            }
+            if (hasMonthlyTargets && hasMonthlyTargets(brandTargets) && validateMonthlyTargets) {
+                validateMonthlyTargets(brandTargets, channels).errors.forEach(error => errors.push(`${prefix}: ${error}`));
+            }
+        });
+
+        const changes = [];
+        imported.forEach(({ year, brand }) => {
+            const before = targets[year]?.brands?.[brand] || {};
+            (diffTargets ? diffTargets(before, updated[year].brands[brand], channels) : []).forEach(change => {
+                changes.push({ year, brand, ...change });
+            });
+        });
+
+        return { targets: updated, imported, changes, errors };
+    }
+
+    /**
+     * Download sheet rows as a .csv or .xlsx file
+     */
+    function downloadTargetRows({ columns, rows }, format = 'csv', fileName = 'targets') {
+        if (format === 'xlsx') {
+            const sheet = XLSX.utils.json_to_sheet(rows, { header: columns });
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, sheet, 'Targets');
+            XLSX.writeFile(workbook, `${fileName}.xlsx`);
+            return;
+        }
+
+        const csvContent = Papa.unparse({ fields: columns, data: rows.map(row => columns.map(column => row[column])) });
+        const blob = new Blob([csvContent], { type: 'text/csv' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${fileName}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
+    }
+
+    // Make available globally
+    window.targetImport = {
+        getColumns,
+        buildTargetRows,
+        parseTargetFile,
+        readTargetRows,
+        downloadTargetRows
+    };
+
+    // Also add to ChaiVision namespace
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.targetImport = window.targetImport;
+})();
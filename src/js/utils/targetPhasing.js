@@ -0,0 +1,359 @@
+/**
+ * Chai Vision Dashboard - Target Phasing
+ * Spreads quarterly targets across the days of the quarter. A phasing profile weights each day by its
+ * calendar month and weekday, so holiday months carry more of the quarter than quiet ones.
+ * Stored next to the targets: targets[year].phasing[brand] = { mode, monthWeights: [12], weekdayWeights: [7] }
+ *   mode 'even'       - every day weighs the same (the old day-ratio proration)
+ *   mode 'historical' - weights derived from the brand's daily sales in the prior fiscal year
+ *   mode 'custom'     - weights entered in Settings
+ * monthWeights are indexed by calendar month (January first), weekdayWeights Monday first.
+ * Optional explicit month targets sit next to the quarters as targets[year].brands[brand].M1..M12
+ * (keyed by the fiscal month's label month) and must add up to their quarter.
+ */
+
+(function () {
+    'use strict';
+
+    const PHASING_MODES = [
+        { value: 'even', label: 'Even (by day)' },
+        { value: 'historical', label: "Last year's sales shape" },
+        { value: 'custom', label: 'Custom weights' }
+    ];
+
+    const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+    function getPhasingModeOptions() {
+        return PHASING_MODES.slice();
+    }
+
+    function getWeekdayLabels() {
+        return WEEKDAY_LABELS.slice();
+    }
+
+    function getDefaultPhasing() {
+        // CONFIG loads after the utils; read it at call time
+        const config = window.CONFIG || window.ChaiVision?.CONFIG || {};
+        return normalizePhasing(config.PHASING?.DEFAULT || { mode: 'even' });
+    }
+
+    /**
+     * Clean up a phasing entry: known mode, 12 month and 7 weekday weights, positive numbers (missing = 1)
+     */
+    function normalizePhasing(phasing = {}) {
+        const mode = PHASING_MODES.some(option => option.value === phasing?.mode) ? phasing.mode : 'even';
+        const weights = (values, length) => Array.from({ length }, (_, index) => {
+            const value = parseFloat(values?.[index]);
+            return value > 0 ? value : 1;
+        });
+
+        return {
+            mode,
+            monthWeights: weights(phasing?.monthWeights, 12),
+            weekdayWeights: weights(phasing?.weekdayWeights, 7)
+        };
+    }
+
+    /**
+     * Phasing profile for a brand in a fiscal year
+     * @param {Object} targets - Nested targets ({ [year]: { brands, phasing } })
+     */
+    function getPhasing(targets, year, brand) {
+        const saved = targets?.[String(year)]?.phasing?.[brand];
+        return saved ? normalizePhasing(saved) : getDefaultPhasing();
+    }
+
+    // ==================== DAY WEIGHTS (YYYY-MM-DD) ====================
+
+    function toDayNumber(dateString) {
+        const [year, month, day] = dateString.split('-').map(Number);
+        return Math.round(Date.UTC(year, month - 1, day) / 86400000);
+    }
+
+    function fromDayNumber(dayNumber) {
+        return new Date(dayNumber * 86400000).toISOString().slice(0, 10);
+    }
+
+    function getDayWeight(phasing, dateString) {
+        if (!phasing || phasing.mode === 'even') return 1;
+        const dayNumber = toDayNumber(dateString);
+        const month = parseInt(dateString.slice(5, 7)) - 1;
+        return phasing.monthWeights[month] * phasing.weekdayWeights[(dayNumber + 3) % 7];
+    }
+
+    /**
+     * Sum of day weights from start to end, inclusive
+     */
+    function getRangeWeight(phasing, start, end) {
+        let total = 0;
+        for (let day = toDayNumber(start), last = toDayNumber(end); day <= last; day++) {
+            total += getDayWeight(phasing, fromDayNumber(day));
+        }
+        return total;
+    }
+
+    /**
+     * Share of a quarter's target that falls in [sliceStart, sliceEnd]
+     */
+    function getPhasedShare(phasing, quarterStart, quarterEnd, sliceStart, sliceEnd) {
+        const quarterWeight = getRangeWeight(phasing, quarterStart, quarterEnd);
+        if (quarterWeight <= 0) return 0;
+        return getRangeWeight(phasing, sliceStart, sliceEnd) / quarterWeight;
+    }
+
+    /**
+     * Fiscal quarters a date range touches, with the phased share of each quarter's target it covers
+     * @param {string} start - YYYY-MM-DD
+     * @param {string} end - YYYY-MM-DD
+     * @param {Object|Function} phasingFor - Profile (see getPhasing), or fiscal year => profile; the days ratio is used when omitted
+     * @returns {Array} [{ year, quarter, ratio, quarterStart, quarterEnd, sliceStart, sliceEnd }]
+     */
+    function getPhasedQuarterShares(start, end, phasingFor) {
+        const { getRangeQuarterShares, getFiscalQuarterRange, toDateString } = window.dateUtils || {};
+        if (!getRangeQuarterShares || !start || !end) return [];
+
+        return getRangeQuarterShares(start, end).map(share => {
+            const range = getFiscalQuarterRange(share.year, share.quarter);
+            const quarterStart = toDateString(range.start);
+            const quarterEnd = toDateString(range.end);
+            const sliceStart = quarterStart > start ? quarterStart : start;
+            const sliceEnd = quarterEnd < end ? quarterEnd : end;
+            const phasing = typeof phasingFor === 'function' ? phasingFor(share.year) : phasingFor;
+            return {
+                year: share.year,
+                quarter: share.quarter,
+                ratio: phasing ? getPhasedShare(phasing, quarterStart, quarterEnd, sliceStart, sliceEnd) : share.ratio,
+                quarterStart,
+                quarterEnd,
+                sliceStart,
+                sliceEnd
+            };
+        });
+    }
+
+    /**
+     * Spread a quarter's amount over its days and add the days in the slice to `into` ({ [date]: amount })
+     */
+    function distributeTarget(phasing, amount, quarterStart, quarterEnd, sliceStart, sliceEnd, into = {}) {
+        const quarterWeight = getRangeWeight(phasing, quarterStart, quarterEnd);
+        if (quarterWeight <= 0 || !amount) return into;
+        for (let day = toDayNumber(sliceStart), last = toDayNumber(sliceEnd); day <= last; day++) {
+            const date = fromDayNumber(day);
+            into[date] = (into[date] || 0) + amount * getDayWeight(phasing, date) / quarterWeight;
+        }
+        return into;
+    }
+
+    // ==================== PROFILES ====================
+
+    /**
+     * Month and weekday weights from daily sales: average daily revenue per calendar month and per weekday,
+     * relative to the overall average. Months without sales keep a weight of 1.
+     * @param {Array} rows - [{ date, revenue }]
+     * @returns {Object} Profile with mode 'historical'
+     */
+    function deriveHistoricalPhasing(rows = []) {
+        const byDate = {};
+        rows.forEach(row => {
+            if (!row.date) return;
+            const date = String(row.date).slice(0, 10);
+            byDate[date] = (byDate[date] || 0) + (parseFloat(row.revenue) || 0);
+        });
+
+        const dates = Object.keys(byDate);
+        if (dates.length === 0) return normalizePhasing({ mode: 'historical' });
+
+        const overall = dates.reduce((sum, date) => sum + byDate[date], 0) / dates.length;
+        const average = (filter) => {
+            const matching = dates.filter(filter);
+            return matching.length > 0 ? matching.reduce((sum, date) => sum + byDate[date], 0) / matching.length : 0;
+        };
+        const round = (value) => Math.round(value * 100) / 100;
+
+        return normalizePhasing({
+            mode: 'historical',
+            monthWeights: Array.from({ length: 12 }, (_, month) => {
+                const value = average(date => parseInt(date.slice(5, 7)) - 1 === month);
+                return overall > 0 && value > 0 ? round(value / overall) : 1;
+            }),
+            weekdayWeights: Array.from({ length: 7 }, (_, weekday) => {
+                const value = average(date => (toDayNumber(date) + 3) % 7 === weekday);
+                return overall > 0 && value > 0 ? round(value / overall) : 1;
+            })
+        });
+    }
+
+    // ==================== MONTHLY TARGETS ====================
+
+    const MONTH_PERIODS = Array.from({ length: 12 }, (_, index) => `M${index + 1}`);
+
+    /**
+     * Target period key of a fiscal month label, e.g. 7 -> 'M7'
+     */
+    function getMonthPeriod(month) {
+        return `M${parseInt(month)}`;
+    }
+
+    function hasMonthlyTargets(brandTargets) {
+        return MONTH_PERIODS.some(period => brandTargets?.[period]);
+    }
+
+    /**
+     * Split a quarter's channel targets into its fiscal months by the phasing profile (or explicit month
+     * weights, e.g. from a distribution profile), in whole dollars; the last month takes the rounding
+     * difference so the months add up to the quarter
+     * @param {Array} monthWeights - Optional relative weights of the quarter's three months
+     * @returns {Object} e.g. { M1: { [channel]: n }, M2: {...}, M3: {...} }
+     */
+    function splitQuarterIntoMonths(phasing, year, quarter, quarterTargets = {}, monthWeights = null) {
+        const { getQuarterMonths, getFiscalMonthRange, getFiscalQuarterRange, toDateString } = window.dateUtils || {};
+        const months = getQuarterMonths(quarter);
+        const quarterRange = getFiscalQuarterRange(year, quarter);
+        const quarterStart = toDateString(quarterRange.start);
+        const quarterEnd = toDateString(quarterRange.end);
+        const weightTotal = monthWeights ? monthWeights.reduce((sum, weight) => sum + weight, 0) : 0;
+        const shares = weightTotal > 0
+            ? monthWeights.map(weight => weight / weightTotal)
+            : months.map(month => {
+                const range = getFiscalMonthRange(year, month);
+                return getPhasedShare(phasing, quarterStart, quarterEnd, toDateString(range.start), toDateString(range.end));
+            });
+
+        const result = {};
+        months.forEach(month => {
+            result[getMonthPeriod(month)] = {};
+        });
+        Object.entries(quarterTargets).forEach(([channel, value]) => {
+            const total = parseFloat(value) || 0;
+            let assigned = 0;
+            months.forEach((month, index) => {
+                const amount = index === months.length - 1 ? total - assigned : Math.round(total * shares[index]);
+                result[getMonthPeriod(month)][channel] = amount;
+                assigned += amount;
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Targets behind a quarter share (see getPhasedQuarterShares): the quarter itself, or its explicit
+     * months when the brand has them for that quarter, each with the phased share that falls in the slice
+     * @param {Object} share - { year, quarter, ratio, quarterStart, quarterEnd, sliceStart, sliceEnd }
+     * @param {Object} brandTargets - targets[share.year].brands[brand]
+     * @param {Object} phasing - Profile used inside each month; even when omitted
+     * @returns {Array} [{ data: { [channel]: n }, ratio, rangeStart, rangeEnd, sliceStart, sliceEnd }]
+     */
+    function getTargetSlices(share, brandTargets, phasing) {
+        if (!brandTargets) return [];
+        const { getQuarterMonths, getFiscalMonthRange, toDateString } = window.dateUtils || {};
+        const months = getQuarterMonths(share.quarter);
+        if (!months.some(month => brandTargets[getMonthPeriod(month)])) {
+            const data = brandTargets[share.quarter];
+            return data ? [{
+                data,
+                ratio: share.ratio,
+                rangeStart: share.quarterStart,
+                rangeEnd: share.quarterEnd,
+                sliceStart: share.sliceStart,
+                sliceEnd: share.sliceEnd
+            }] : [];
+        }
+
+        const slices = [];
+        months.forEach(month => {
+            const data = brandTargets[getMonthPeriod(month)];
+            const range = getFiscalMonthRange(share.year, month);
+            const rangeStart = toDateString(range.start);
+            const rangeEnd = toDateString(range.end);
+            const sliceStart = rangeStart > share.sliceStart ? rangeStart : share.sliceStart;
+            const sliceEnd = rangeEnd < share.sliceEnd ? rangeEnd : share.sliceEnd;
+            if (!data || sliceStart > sliceEnd) return;
+            slices.push({
+                data,
+                ratio: getPhasedShare(phasing, rangeStart, rangeEnd, sliceStart, sliceEnd),
+                rangeStart,
+                rangeEnd,
+                sliceStart,
+                sliceEnd
+            });
+        });
+        return slices;
+    }
+
+    /**
+     * Check that explicit month targets add up to their quarter for every channel (to the dollar)
+     * @param {Object} brandTargets - { annual, Q1..Q4, M1..M12 }
+     * @param {Array} channels - Channels to check
+     * @returns {{ isValid: boolean, errors: string[] }}
+     */
+    function validateMonthlyTargets(brandTargets = {}, channels = []) {
+        const errors = [];
+        if (hasMonthlyTargets(brandTargets)) {
+            const { getQuarterMonths } = window.dateUtils || {};
+            ['Q1', 'Q2', 'Q3', 'Q4'].forEach(quarter => {
+                channels.forEach(channel => {
+                    const quarterTotal = parseFloat(brandTargets[quarter]?.[channel]) || 0;
+                    const monthsTotal = getQuarterMonths(quarter).reduce((sum, month) =>
+                        sum + (parseFloat(brandTargets[getMonthPeriod(month)]?.[channel]) || 0), 0);
+                    if (Math.abs(monthsTotal - quarterTotal) >= 1) {
+                        errors.push(`${quarter} ${channel}: months add up to $${monthsTotal.toLocaleString()}, quarter target is $${quarterTotal.toLocaleString()}`);
+                    }
+                });
+            });
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Validate a phasing profile before saving
+     * @returns {{ isValid: boolean, errors: string[] }}
+     */
+    function validatePhasing(phasing = {}) {
+        const errors = [];
+        if (!PHASING_MODES.some(option => option.value === phasing.mode)) {
+            errors.push(`Unknown phasing mode: ${phasing.mode}`);
+        }
+        if (phasing.mode !== 'even') {
+            [...(phasing.monthWeights || []), ...(phasing.weekdayWeights || [])].forEach(weight => {
+                const value = parseFloat(weight);
+                if (isNaN(value) || value <= 0 || value > 100) {
+                    errors.push(`Invalid phasing weight: ${weight}. Weights must be greater than 0 and at most 100`);
+                }
+            });
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    // Make available globally
+    window.targetPhasing = {
+        getPhasingModeOptions,
+        getWeekdayLabels,
+        getDefaultPhasing,
+        normalizePhasing,
+        getPhasing,
+        getDayWeight,
+        getRangeWeight,
+        getPhasedShare,
+        getPhasedQuarterShares,
+        distributeTarget,
+        deriveHistoricalPhasing,
+        validatePhasing,
+        MONTH_PERIODS,
+        getMonthPeriod,
+        hasMonthlyTargets,
+        splitQuarterIntoMonths,
+        getTargetSlices,
+        validateMonthlyTargets
+    };
+
+    // Also add to ChaiVision namespace
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.targetPhasing = window.targetPhasing;
+})();
@@ -0,0 +1,183 @@
+/**
+ * Chai Vision Dashboard - Target Revisions
+ * Manager edits become pending revisions that an Admin approves or rejects; every applied change to a
+ * brand's targets is an approved revision with a version number per brand and fiscal year.
+ * A revision holds brand snapshots taken from the nested targets:
+ *   { targets: { annual, Q1..Q4, M1..M12? }, kpiLevels, phasing, distribution }
+ *   base = the snapshot when it was submitted, proposed = the snapshot it asks for; approving applies only
+ *   the changes between the two (see mergeRevision)
+ */
+
+(function () {
+    'use strict';
+
+    const STATUSES = {
+        pending: { label: 'Pending', className: 'warning' },
+        approved: { label: 'Approved', className: 'success' },
+        rejected: { label: 'Rejected', className: 'danger' }
+    };
+
+    const PERIOD_ORDER = ['annual', 'Q1', 'Q2', 'Q3', 'Q4',
+        ...Array.from({ length: 12 }, (_, index) => `M${index + 1}`)];
+
+    const SETTING_LABELS = {
+        kpiLevels: 'KPI levels',
+        phasing: 'Phasing',
+        distribution: 'Distribution profile'
+    };
+
+    const toNumber = (value) => parseFloat(value) || 0;
+
+    function getStatus(status) {
+        return STATUSES[status] || { label: status, className: 'neutral' };
+    }
+
+    /**
+     * A brand's targets and per-brand settings for a fiscal year
+     */
+    function getBrandSnapshot(targets, year, brand) {
+        const yearData = targets?.[String(year)] || {};
+        return {
+            targets: yearData.brands?.[brand] || {},
+            kpiLevels: yearData.kpiLevels?.[brand] || null,
+            phasing: yearData.phasing?.[brand] || null,
+            distribution: yearData.distribution?.[brand] || null
+        };
+    }
+
+    /**
+     * Nested targets with one brand's snapshot written in (settings the snapshot doesn't have are kept)
+     */
+    function applyBrandSnapshot(targets, year, brand, snapshot) {
+        const key = String(year);
+        const yearData = { brands: {}, ...(targets?.[key] || {}) };
+        const updatedYear = {
+            ...yearData,
+            brands: { ...yearData.brands, [brand]: snapshot.targets || {} }
+        };
+        ['kpiLevels', 'phasing', 'distribution'].forEach(setting => {
+            if (snapshot[setting]) {
+                updatedYear[setting] = { ...(yearData[setting] || {}), [brand]: snapshot[setting] };
+            }
+        });
+        return { ...(targets || {}), [key]: updatedYear };
+    }
+
+    /**
+     * Changed target cells between two snapshots' targets, in period order
+     * @returns {Array} [{ period, channel, before, after }]
+     */
+    function diffTargets(before = {}, after = {}, channels = []) {
+        const periods = PERIOD_ORDER.filter(period => before[period] || after[period]);
+        const changes = [];
+        periods.forEach(period => {
+            channels.forEach(channel => {
+                const oldValue = toNumber(before[period]?.[channel]);
+                const newValue = toNumber(after[period]?.[channel]);
+                if (Math.abs(oldValue - newValue) >= 0.005) {
+                    changes.push({ period, channel, before: oldValue, after: newValue });
+                }
+            });
+        });
+        return changes;
+    }
+
+    /**
+     * Labels of the per-brand settings that differ between two snapshots
+     */
+    function diffSettings(before = {}, after = {}) {
+        return Object.keys(SETTING_LABELS)
+            .filter(setting => after[setting] && JSON.stringify(before[setting] || null) !== JSON.stringify(after[setting]))
+            .map(setting => SETTING_LABELS[setting]);
+    }
+
+    /**
+     * The current snapshot with only the revision's own changes (base -> proposed) applied, so edits made
+     * after it was submitted are kept. A cell or setting that changed both ways to different values conflicts.
+     * @returns {Object} { snapshot, conflicts: [{ period, channel, base, proposed, current }], settingConflicts: [label] }
+     */
+    function mergeRevision(base = {}, proposed = {}, current = {}, channels = []) {
+        const baseTargets = base.targets || {};
+        const proposedTargets = proposed.targets || {};
+        const merged = Object.fromEntries(Object.entries(current.targets || {})
+            .map(([period, values]) => [period, { ...values }]));
+        const conflicts = [];
+        const differs = (a, b) => Math.abs(toNumber(a) - toNumber(b)) >= 0.005;
+
+        PERIOD_ORDER.forEach(period => {
+            // Monthly targets the revision removed go only if nobody has changed them since
+            if (baseTargets[period] && !proposedTargets[period]) {
+                const changedSince = channels.filter(channel => differs(merged[period]?.[channel], baseTargets[period][channel]));
+                if (changedSince.length === 0) delete merged[period];
+                changedSince.forEach(channel => conflicts.push({
+                    period, channel, base: toNumber(baseTargets[period][channel]), proposed: 0, current: toNumber(merged[period]?.[channel])
+                }));
+                return;
+            }
+            channels.forEach(channel => {
+                const baseValue = baseTargets[period]?.[channel];
+                const proposedValue = proposedTargets[period]?.[channel];
+                if (!differs(baseValue, proposedValue)) return;
+                const currentValue = merged[period]?.[channel];
+                if (differs(currentValue, baseValue) && differs(currentValue, proposedValue)) {
+                    conflicts.push({
+                        period, channel, base: toNumber(baseValue), proposed: toNumber(proposedValue), current: toNumber(currentValue)
+                    });
+                    return;
+                }
+                merged[period] = { ...(merged[period] || {}), [channel]: proposedValue };
+            });
+        });
+
+        const snapshot = { ...current, targets: merged };
+        const settingConflicts = [];
+        Object.keys(SETTING_LABELS).forEach(setting => {
+            const baseValue = JSON.stringify(base[setting] || null);
+            const proposedValue = JSON.stringify(proposed[setting] || null);
+            const currentValue = JSON.stringify(current[setting] || null);
+            if (!proposed[setting] || baseValue === proposedValue) return;
+            if (currentValue !== baseValue && currentValue !== proposedValue) {
+                settingConflicts.push(SETTING_LABELS[setting]);
+                return;
+            }
+            snapshot[setting] = proposed[setting];
+        });
+
+        return { snapshot, conflicts, settingConflicts };
+    }
+
+    /**
+     * Next version number of a brand's targets for a fiscal year
+     */
+    function getNextVersion(revisions = [], year, brand) {
+        return revisions
+            .filter(revision => String(revision.year) === String(year) && revision.brand === brand && revision.status === 'approved')
+            .reduce((max, revision) => Math.max(max, revision.version || 0), 0) + 1;
+    }
+
+    /**
+     * Approved revisions of a brand and year, newest first
+     */
+    function getVersions(revisions = [], year, brand) {
+        return revisions
+            .filter(revision => String(revision.year) === String(year) && revision.brand === brand && revision.status === 'approved')
+            .sort((a, b) => (b.version || 0) - (a.version || 0));
+    }
+
+    // Make available globally
+    window.targetRevisions = {
+        PERIOD_ORDER,
+        getStatus,
+        getBrandSnapshot,
+        applyBrandSnapshot,
+        diffTargets,
+        diffSettings,
+        mergeRevision,
+        getNextVersion,
+        getVersions
+    };
+
+    // Also add to ChaiVision namespace
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.targetRevisions = window.targetRevisions;
+})();
@@ -0,0 +1,136 @@
+/**
+ * Chai Vision Dashboard - Target Roll Forward
+ * Seeds a fiscal year's targets from the year before: its targets or its actual sales, grown by
+ * company, brand and channel % (all three compound). Brands that already have targets for the new
+ * year are kept or replaced by the chosen conflict mode.
+ *   growth: { company: %, brands: { [brand]: % }, channels: { [channel]: % } }
+ */
+
+(function () {
+    'use strict';
+
+    const SOURCES = [
+        { value: 'targets', label: 'Last year\'s targets' },
+        { value: 'actuals', label: 'Last year\'s actuals' }
+    ];
+
+    const CONFLICT_MODES = [
+        { value: 'keep', label: 'Keep their existing targets' },
+        { value: 'replace', label: 'Replace them' }
+    ];
+
+    const PERIODS = ['annual', 'Q1', 'Q2', 'Q3', 'Q4'];
+
+    const toNumber = (value) => parseFloat(value) || 0;
+
+    function getSourceOptions() {
+        return SOURCES;
+    }
+
+    function getConflictOptions() {
+        return CONFLICT_MODES;
+    }
+
+    /**
+     * Effective % growth of a brand and channel
+     */
+    function getGrowth(growth = {}, brand, channel) {
+        const factor = (1 + toNumber(growth.company) / 100) *
+            (1 + toNumber(growth.brands?.[brand]) / 100) *
+            (1 + toNumber(growth.channels?.[channel]) / 100);
+        return (factor - 1) * 100;
+    }
+
+    /**
+     * Whether a brand has any non-zero annual target in a year's targets
+     */
+    function hasTargets(brandTargets, channels = []) {
+        return channels.some(channel => toNumber(brandTargets?.annual?.[channel]) !== 0);
+    }
+
+    /**
+     * Grow last year's brand targets (or actuals in the same shape) into the new year's
+     * @param {Object} sourceTargets - { [brand]: { annual, Q1..Q4, M1..M12? } }
+     * @param {Object} options - { growth, brands, channels, includeMonths }
+     * @returns {Object} { [brand]: { annual, Q1..Q4, M1..M12? } }
+     */
+    function buildRolledTargets(sourceTargets = {}, { growth = {}, brands = [], channels = [], includeMonths = true } = {}) {
+        const { buildScenarioTargets } = window.targetScenarios || {};
+        const { MONTH_PERIODS = [] } = window.targetPhasing || {};
+
+        // Company growth compounds into each brand's, so the scenario builder applies all three
+        const adjustments = {
+            brands: Object.fromEntries(brands.map(brand => [brand,
+                ((1 + toNumber(growth.company) / 100) * (1 + toNumber(growth.brands?.[brand]) / 100) - 1) * 100])),
+            channels: growth.channels || {}
+        };
+
+        const source = Object.fromEntries(brands.map(brand => {
+            const periods = includeMonths ? [...PERIODS, ...MONTH_PERIODS] : PERIODS;
+            return [brand, Object.fromEntries(periods
+                .filter(period => sourceTargets[brand]?.[period])
+                .map(period => [period, sourceTargets[brand][period]]))];
+        }));
+
+        if (!buildScenarioTargets) return source;
+
+        // Rounded to cents so quarters still add up to the annual target
+        const rolled = buildScenarioTargets(source, adjustments, brands, channels);
+        Object.values(rolled).forEach(brandTargets => {
+            Object.values(brandTargets).forEach(values => {
+                Object.keys(values).forEach(channel => {
+                    values[channel] = Math.round(values[channel] * 100) / 100;
+                });
+            });
+        });
+        return rolled;
+    }
+
+    /**
+     * Which brands the roll forward writes, given the targets already in the new year
+     * @returns {Object} { [brand]: 'new' | 'replace' | 'keep' | 'empty' } ('empty' = nothing to roll forward)
+     */
+    function getRollForwardPlan(rolledTargets = {}, existingBrands = {}, { brands = [], channels = [], conflictMode = 'keep' } = {}) {
+        return Object.fromEntries(brands.map(brand => {
+            if (!hasTargets(rolledTargets[brand], channels)) return [brand, 'empty'];
+            if (!hasTargets(existingBrands[brand], channels)) return [brand, 'new'];
+            return [brand, conflictMode === 'replace' ? 'replace' : 'keep'];
+        }));
+    }
+
+    /**
+     * Validate growth inputs before previewing
+     * @returns {{ isValid: boolean, errors: string[] }}
+     */
+    function validateGrowth(growth = {}) {
+        const errors = [];
+        const percentages = [
+            growth.company,
+            ...Object.values(growth.brands || {}),
+            ...Object.values(growth.channels || {})
+        ].filter(value => value !== '' && value !== undefined && value !== null);
+        if (percentages.some(value => isNaN(parseFloat(value)) || parseFloat(value) < -100)) {
+            errors.push('Growth must be a number of -100% or more');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    // Make available globally
+    window.targetRollForward = {
+        getSourceOptions,
+        getConflictOptions,
+        getGrowth,
+        hasTargets,
+        buildRolledTargets,
+        getRollForwardPlan,
+        validateGrowth
+    };
+
+    // Also add to ChaiVision namespace
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.targetRollForward = window.targetRollForward;
+})();
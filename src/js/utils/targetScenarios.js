@@ -0,0 +1,182 @@
+/**
+ * Chai Vision Dashboard - What-If Target Scenarios
+ * Named alternate target sets for one fiscal year, kept apart from the real targets. A scenario starts
+ * from the year's targets or last year's actuals and applies % adjustments:
+ *   { brands: { [brand]: % }, channels: { [channel]: % }, cells: { 'brand|channel': % } }
+ * A cell adjustment replaces the brand and channel ones for that cell; otherwise both compound.
+ * The result is stored with the scenario: targets = { [brand]: { annual, Q1..Q4, M1..M12? } }
+ */
+
+(function () {
+    'use strict';
+
+    const BASES = [
+        { value: 'targets', label: 'Current targets' },
+        { value: 'actuals', label: 'Last year\'s actuals' }
+    ];
+
+    const cellKey = (brand, channel) => `${brand}|${channel}`;
+
+    const toNumber = (value) => {
+        const number = parseFloat(value);
+        return Number.isFinite(number) ? number : 0;
+    };
+
+    // Channel names in sales data may differ from the configured ones in case and punctuation
+    const normalizeName = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+    function getBaseOptions() {
+        return BASES;
+    }
+
+    /**
+     * Select value identifying a scenario (names are unique per year)
+     */
+    function getScenarioKey(scenario) {
+        return scenario ? `${scenario.year}|${scenario.name}` : '';
+    }
+
+    /**
+     * Effective % change of a brand and channel
+     */
+    function getAdjustment(adjustments = {}, brand, channel) {
+        const cell = adjustments.cells?.[cellKey(brand, channel)];
+        if (cell !== undefined && cell !== '') return toNumber(cell);
+        const brandFactor = 1 + toNumber(adjustments.brands?.[brand]) / 100;
+        const channelFactor = 1 + toNumber(adjustments.channels?.[channel]) / 100;
+        return (brandFactor * channelFactor - 1) * 100;
+    }
+
+    /**
+     * Last year's sales as a target set: annual, fiscal quarter and fiscal month totals per brand and channel
+     * @param {Array} rows - { date, brand, channel, revenue } rows of one fiscal year (any grain up to a month)
+     * @returns {Object} { [brand]: { annual, Q1..Q4, M1..M12 } }
+     */
+    function buildActualTargets(rows = [], brands = [], channels = []) {
+        const { getFiscalPeriod } = window.dateUtils || {};
+        const { getMonthPeriod } = window.targetPhasing || {};
+        const brandByKey = Object.fromEntries(brands.map(brand => [normalizeName(brand), brand]));
+        const channelByKey = Object.fromEntries(channels.map(channel => [normalizeName(channel), channel]));
+
+        const result = {};
+        brands.forEach(brand => {
+            result[brand] = { annual: {}, Q1: {}, Q2: {}, Q3: {}, Q4: {} };
+        });
+        if (!getFiscalPeriod) return result;
+
+        rows.forEach(row => {
+            const brand = brandByKey[normalizeName(row.brand)];
+            const channel = channelByKey[normalizeName(row.channel)];
+            if (!brand || !channel || !row.date) return;
+
+            const revenue = toNumber(row.revenue);
+            const period = getFiscalPeriod(String(row.date).slice(0, 10));
+            const monthPeriod = getMonthPeriod ? getMonthPeriod(period.month) : `M${period.month}`;
+            ['annual', period.quarter, monthPeriod].forEach(key => {
+                result[brand][key] = result[brand][key] || {};
+                result[brand][key][channel] = (result[brand][key][channel] || 0) + revenue;
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * Apply the adjustments to every period of the base target set
+     * @param {Object} baseTargets - { [brand]: { annual, Q1..Q4, M1..M12? } }
+     * @returns {Object} Adjusted target set, same shape
+     */
+    function buildScenarioTargets(baseTargets = {}, adjustments = {}, brands = [], channels = []) {
+        const result = {};
+        brands.forEach(brand => {
+            const base = baseTargets[brand] || {};
+            result[brand] = {};
+            Object.keys(base).forEach(period => {
+                if (!base[period] || typeof base[period] !== 'object') return;
+                result[brand][period] = {};
+                channels.forEach(channel => {
+                    const value = toNumber(base[period][channel]);
+                    result[brand][period][channel] = value * (1 + getAdjustment(adjustments, brand, channel) / 100);
+                });
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Annual total of a target set over the given brands and channels
+     */
+    function getAnnualTotal(targetSet = {}, brands = [], channels = []) {
+        return brands.reduce((sum, brand) =>
+            sum + channels.reduce((brandSum, channel) => brandSum + toNumber(targetSet[brand]?.annual?.[channel]), 0), 0);
+    }
+
+    /**
+     * Targets with the scenario's brands swapped in for its year; KPI levels, phasing and other years are kept
+     * @param {Object} targets - Nested targets ({ [year]: { brands, kpiLevels, phasing } })
+     * @param {Object|null} scenario - Scenario, or null for the real targets
+     */
+    function applyScenario(targets, scenario) {
+        if (!scenario?.targets) return targets;
+        const year = String(scenario.year);
+        const yearData = targets?.[year] || {};
+        return {
+            ...(targets || {}),
+            [year]: {
+                ...yearData,
+                brands: { ...(yearData.brands || {}), ...scenario.targets }
+            }
+        };
+    }
+
+    /**
+     * Validate a scenario before saving
+     * @returns {{ isValid: boolean, errors: string[] }}
+     */
+    function validateScenario(scenario = {}) {
+        const errors = [];
+        if (!String(scenario.name || '').trim()) {
+            errors.push('Scenario name is required');
+        }
+        if (!scenario.year) {
+            errors.push('Scenario year is required');
+        }
+        if (!BASES.some(base => base.value === scenario.base)) {
+            errors.push('Choose what the scenario starts from');
+        }
+
+        const percentages = [
+            ...Object.values(scenario.adjustments?.brands || {}),
+            ...Object.values(scenario.adjustments?.channels || {}),
+            ...Object.values(scenario.adjustments?.cells || {})
+        ].filter(value => value !== '' && value !== undefined);
+        if (percentages.some(value => isNaN(parseFloat(value)) || parseFloat(value) < -100)) {
+            errors.push('Adjustments must be numbers of -100% or more');
+        }
+        if (Object.keys(scenario.targets || {}).length === 0) {
+            errors.push('The scenario has no targets');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+
+    // Make available globally
+    window.targetScenarios = {
+        cellKey,
+        getBaseOptions,
+        getScenarioKey,
+        getAdjustment,
+        buildActualTargets,
+        buildScenarioTargets,
+        getAnnualTotal,
+        applyScenario,
+        validateScenario
+    };
+
+    // Also add to ChaiVision namespace
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.targetScenarios = window.targetScenarios;
+})();
@@ -0,0 +1,152 @@
+/**
+ * Chai Vision Dashboard - Target Probability Simulation
+ * Monte Carlo over the period-end forecast: each run resamples every channel's own daily deviations
+ * (from the recent history in forecasting.js) and draws one level/seasonal shock shared by all channels,
+ * since a soft quarter usually hits every channel at once.
+ */
+
+(function () {
+    'use strict';
+
+    const DEFAULT_RUNS = 2000;
+    const DEFAULT_BINS = 24;
+
+    // Small seeded generator so the same data always gives the same odds (no flicker between renders)
+    function createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    // Standard normal draw (Box-Muller)
+    function createNormal(random) {
+        return () => {
+            const u = Math.max(random(), 1e-12);
+            return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+        };
+    }
+
+    function percentile(sorted, fraction) {
+        if (sorted.length === 0) return 0;
+        const index = Math.min(sorted.length - 1, Math.max(0, Math.round(fraction * (sorted.length - 1))));
+        return sorted[index];
+    }
+
+    function share(outcomes, target) {
+        if (!(target > 0)) return null;
+        let hits = 0;
+        for (let i = 0; i < outcomes.length; i++) {
+            if (outcomes[i] >= target) hits++;
+        }
+        return hits / outcomes.length;
+    }
+
+    function summarize(outcomes, targetKpi, target100) {
+        const sorted = Float64Array.from(outcomes).sort();
+        return {
+            probabilityKpi: share(outcomes, targetKpi),
+            probability100: share(outcomes, target100),
+            p10: percentile(sorted, 0.1),
+            p50: percentile(sorted, 0.5),
+            p90: percentile(sorted, 0.9)
+        };
+    }
+
+    function buildHistogram(outcomes, bins) {
+        let min = Infinity;
+        let max = -Infinity;
+        outcomes.forEach(value => {
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        });
+        if (!Number.isFinite(min)) return [];
+        const width = max > min ? (max - min) / bins : 1;
+
+        const histogram = Array.from({ length: max > min ? bins : 1 }, (_, index) => ({
+            from: min + index * width,
+            to: min + (index + 1) * width,
+            count: 0
+        }));
+        outcomes.forEach(value => {
+            const index = Math.min(histogram.length - 1, Math.floor((value - min) / width));
+            histogram[index].count += 1;
+        });
+        return histogram;
+    }
+
+    /**
+     * Simulate period-end revenue and the odds of reaching the KPI and full targets
+     * @param {Object} forecast - Result of forecasting.buildForecast
+     * @param {Object} targets - { totalKpi, total100, channelsKpi: { [channel]: n }, channels100: { [channel]: n } }
+     * @param {Object} options - { runs, bins, seed }
+     * @returns {Object|null} { runs, probabilityKpi, probability100, p10, p50, p90, histogram, channels }
+     */
+    function simulateTargetOutcomes(forecast, targets = {}, options = {}) {
+        if (!forecast?.channels) return null;
+
+        // CONFIG loads after the utils; read it at call time
+        const config = window.CONFIG || window.ChaiVision?.CONFIG || {};
+        const runs = options.runs || config.FORECAST?.SIMULATION_RUNS || DEFAULT_RUNS;
+        const bins = options.bins || DEFAULT_BINS;
+        const random = createRandom(options.seed ?? 1);
+        const normal = createNormal(random);
+
+        const channels = Object.keys(forecast.channels);
+        const totals = new Float64Array(runs);
+        const channelOutcomes = {};
+        channels.forEach(channel => {
+            channelOutcomes[channel] = new Float64Array(runs);
+        });
+
+        for (let run = 0; run < runs; run++) {
+            const shock = normal();
+            let total = 0;
+
+            channels.forEach(channel => {
+                const { actual, model } = forecast.channels[channel];
+                let outcome = actual;
+                if (model && model.expected.length > 0) {
+                    const levelFactor = Math.max(0, 1 + model.relativeSd * shock);
+                    const residuals = model.residuals;
+                    for (let day = 0; day < model.expected.length; day++) {
+                        const deviation = residuals.length > 0
+                            ? residuals[Math.floor(random() * residuals.length)] * model.scale[day]
+                            : 0;
+                        outcome += Math.max(0, model.expected[day] * levelFactor + deviation);
+                    }
+                }
+                channelOutcomes[channel][run] = outcome;
+                total += outcome;
+            });
+
+            totals[run] = total;
+        }
+
+        const channelResults = {};
+        channels.forEach(channel => {
+            channelResults[channel] = summarize(channelOutcomes[channel],
+                targets.channelsKpi?.[channel], targets.channels100?.[channel]);
+        });
+
+        return {
+            runs,
+            ...summarize(totals, targets.totalKpi, targets.total100),
+            histogram: buildHistogram(totals, bins),
+            channels: channelResults
+        };
+    }
+
+    // Make available globally
+    window.targetSimulation = {
+        simulateTargetOutcomes
+    };
+
+    // Also add to ChaiVision namespace
+    window.ChaiVision = window.ChaiVision || {};
+    window.ChaiVision.targetSimulation = window.targetSimulation;
+})();
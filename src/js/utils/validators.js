@@ -280,7 +280,7 @@
     // TARGET VALIDATION
     // ============================================
 
-    function validateTargets(targets) {
+    function validateTargets(targets, channels = ALL_CHANNELS) {
         const errors = [];
 
         if (!targets || typeof targets !== 'object') {
@@ -293,7 +293,7 @@
             errors.push('Annual targets are required');
         } else {
             // Validate each channel has a target
-            ALL_CHANNELS.forEach(channel => {
+            channels.forEach(channel => {
                 if (targets.annual[channel] === undefined) {
                     errors.push(`Missing annual target for ${channel}`);
                 } else if (!isValidRevenue(targets.annual[channel])) {
@@ -307,7 +307,7 @@
             if (!targets[quarter] || typeof targets[quarter] !== 'object') {
                 errors.push(`${quarter} targets are required`);
             } else {
-                ALL_CHANNELS.forEach(channel => {
+                channels.forEach(channel => {
                     if (targets[quarter][channel] === undefined) {
                         errors.push(`Missing ${quarter} target for ${channel}`);
                     } else if (!isValidRevenue(targets[quarter][channel])) {
@@ -319,7 +319,7 @@
 
         // Validate quarterly totals match annual
         if (errors.length === 0) {
-            ALL_CHANNELS.forEach(channel => {
+            channels.forEach(channel => {
                 const quarterlySum = ['Q1', 'Q2', 'Q3', 'Q4'].reduce((sum, quarter) => {
                     return sum + (parseFloat(targets[quarter][channel]) || 0);
                 }, 0);